@@ -0,0 +1,328 @@
+// ============================================
+// Log Query Engine
+// Filtering, sorting, cursor pagination and aggregation over the event
+// log and login attempt collections, for /api/logs/*. Logs can be far
+// larger than memory, so a query is one streaming pass over the time
+// range: only the current page (limit + 1 records) and the aggregation
+// counters are held.
+//
+// Cursors are opaque base64url tokens holding the sort order and the
+// (sort value, record id) of the last record returned, so a page never
+// repeats or skips records - even ones written between requests.
+// ============================================
+
+const DEFAULT_CONFIG = {
+    defaultRange: '24h',
+    defaultLimit: 100,
+    maxLimit: 1000,
+    defaultGroupSize: 50,
+    maxGroupSize: 1000,
+    maxGroupByFields: 2,
+    maxBuckets: 1000
+};
+
+// Per collection: the record id, query parameters that filter on a field
+// (`list` ones take comma-separated values) and the fields that can be
+// sorted or grouped by
+const LOG_TYPES = {
+    events: {
+        collection: 'eventLogs',
+        idField: 'log_id',
+        filters: {
+            eventType: { field: 'event_type', list: true },
+            sessionId: { field: 'session_id' },
+            userId: { field: 'user_id', integer: true },
+            ip: { field: 'ip_address' },
+            fingerprint: { field: 'device_fingerprint' }
+        },
+        sortable: ['timestamp', 'event_type', 'session_id', 'user_id', 'ip_address'],
+        groupable: ['event_type', 'session_id', 'user_id', 'ip_address', 'device_fingerprint']
+    },
+    loginAttempts: {
+        collection: 'loginAttempts',
+        idField: 'attempt_id',
+        filters: {
+            status: { field: 'attempt_status', list: true },
+            failureReason: { field: 'failure_reason', list: true },
+            username: { field: 'username' },
+            userId: { field: 'user_id', integer: true },
+            sessionId: { field: 'session_id' },
+            ip: { field: 'ip_address' },
+            fingerprint: { field: 'device_fingerprint' }
+        },
+        sortable: ['timestamp', 'username', 'attempt_status', 'ip_address'],
+        groupable: ['username', 'user_id', 'attempt_status', 'failure_reason', 'session_id', 'ip_address', 'device_fingerprint']
+    }
+};
+
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "15m", "6h", "30d" -> milliseconds, or null
+function parseDuration(value) {
+    const match = /^(\d+)([mhd])$/.exec(String(value || ''));
+    if (!match || parseInt(match[1], 10) === 0) return null;
+    return parseInt(match[1], 10) * DURATION_UNITS[match[2]];
+}
+
+function encodeCursor(cursor) {
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(token) {
+    try {
+        const cursor = JSON.parse(Buffer.from(token, 'base64url').toString());
+        return cursor && typeof cursor.sort === 'string' && 'id' in cursor ? cursor : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Missing values sort before any value
+function compareValues(a, b) {
+    const left = a === undefined ? null : a;
+    const right = b === undefined ? null : b;
+    
+    if (left === right) return 0;
+    if (left === null) return -1;
+    if (right === null) return 1;
+    if (typeof left === 'number' && typeof right === 'number') return left - right;
+    return String(left) < String(right) ? -1 : 1;
+}
+
+function createLogQueryEngine({ storage, config = {} }) {
+    const settings = { ...DEFAULT_CONFIG, ...config };
+    
+    // Validate ?query parameters for a log type. Returns { errors } or the
+    // parsed query.
+    async function parse(type, query) {
+        const spec = LOG_TYPES[type];
+        const errors = [];
+        
+        // Time range: ?from/?to (ISO 8601), or ?timeRange=<n>m|h|d back from now
+        const now = Date.now();
+        let from = null;
+        let to = new Date(now);
+        
+        if (query.to !== undefined) {
+            to = new Date(query.to);
+            if (Number.isNaN(to.getTime())) errors.push('to must be an ISO 8601 date');
+        }
+        if (query.from !== undefined) {
+            from = new Date(query.from);
+            if (Number.isNaN(from.getTime())) errors.push('from must be an ISO 8601 date');
+            if (query.timeRange !== undefined) errors.push('Use either from or timeRange, not both');
+        } else {
+            const rangeMs = parseDuration(query.timeRange || settings.defaultRange);
+            if (rangeMs === null) errors.push('timeRange must look like 30m, 24h or 7d');
+            else from = new Date(to.getTime() - rangeMs);
+        }
+        if (errors.length === 0 && from >= to) errors.push('from must be before to');
+        
+        // Field filters. All single values go in an object filter, which
+        // SQLite can use an index for; value lists need a predicate.
+        const exact = {};
+        const lists = [];
+        
+        for (const [param, { field, list, integer }] of Object.entries(spec.filters)) {
+            if (query[param] === undefined || query[param] === '') continue;
+            
+            let values = list ? String(query[param]).split(',') : [String(query[param])];
+            if (integer) {
+                values = values.map(value => parseInt(value, 10));
+                if (values.some(Number.isNaN)) {
+                    errors.push(`${param} must be a number`);
+                    continue;
+                }
+            }
+            
+            if (values.length === 1) exact[field] = values[0];
+            else lists.push([field, new Set(values)]);
+        }
+        
+        // Page events only carry the user ID
+        if (type === 'events' && query.username) {
+            const user = await storage.users.find({ username: String(query.username) });
+            exact.user_id = user ? user.user_id : -1;
+        }
+        
+        // ?sort=field (ascending) or -field (descending)
+        const sort = String(query.sort || '-timestamp');
+        const sortField = sort.replace(/^-/, '');
+        if (!spec.sortable.includes(sortField)) {
+            errors.push(`sort must be one of: ${spec.sortable.join(', ')} (prefix with - for descending)`);
+        }
+        
+        const limit = query.limit === undefined ? settings.defaultLimit : parseInt(query.limit, 10);
+        if (Number.isNaN(limit) || limit < 0 || limit > settings.maxLimit) {
+            errors.push(`limit must be between 0 and ${settings.maxLimit}`);
+        }
+        
+        let cursor = null;
+        if (query.cursor) {
+            cursor = decodeCursor(String(query.cursor));
+            if (!cursor) errors.push('cursor is invalid');
+            else if (cursor.sort !== sort) errors.push('cursor belongs to a different sort order');
+        }
+        
+        // Aggregations: ?groupBy=field[,field] and/or ?interval=<n>m|h|d
+        const groupBy = query.groupBy ? String(query.groupBy).split(',') : [];
+        const badGroups = groupBy.filter(field => !spec.groupable.includes(field));
+        if (badGroups.length > 0) errors.push(`groupBy must be one of: ${spec.groupable.join(', ')}`);
+        if (groupBy.length > settings.maxGroupByFields) {
+            errors.push(`groupBy takes at most ${settings.maxGroupByFields} fields`);
+        }
+        
+        const size = query.size === undefined ? settings.defaultGroupSize : parseInt(query.size, 10);
+        if (Number.isNaN(size) || size < 1 || size > settings.maxGroupSize) {
+            errors.push(`size must be between 1 and ${settings.maxGroupSize}`);
+        }
+        
+        let interval = null;
+        if (query.interval !== undefined) {
+            interval = parseDuration(query.interval);
+            if (interval === null) errors.push('interval must look like 5m, 1h or 1d');
+            else if (errors.length === 0 && (to - from) / interval > settings.maxBuckets) {
+                errors.push(`interval is too small for this time range (at most ${settings.maxBuckets} buckets)`);
+            }
+        }
+        
+        if (errors.length > 0) return { errors };
+        
+        return {
+            type,
+            from,
+            to,
+            exact,
+            lists,
+            sort,
+            sortField,
+            descending: sort.startsWith('-'),
+            limit,
+            cursor,
+            groupBy,
+            size,
+            interval,
+            intervalText: query.interval
+        };
+    }
+    
+    // Run a parsed query. Returns { records, total, nextCursor, aggregations }
+    // (aggregations only if groupBy or interval was given).
+    async function run(parsed) {
+        const spec = LOG_TYPES[parsed.type];
+        const { sortField, descending, limit, cursor, groupBy, interval } = parsed;
+        const direction = descending ? -1 : 1;
+        
+        // Position in the requested order
+        const compare = (a, b) => direction * (
+            compareValues(a[sortField], b[sortField]) || compareValues(a[spec.idField], b[spec.idField])
+        );
+        const cursorRecord = cursor && { [sortField]: cursor.value, [spec.idField]: cursor.id };
+        
+        const filter = parsed.lists.length === 0
+            ? parsed.exact
+            : record => parsed.lists.every(([field, values]) => values.has(record[field])) &&
+                Object.entries(parsed.exact).every(([field, value]) => record[field] === value);
+        
+        const options = { since: parsed.from.toISOString(), until: parsed.to.toISOString() };
+        
+        // The first limit + 1 records after the cursor, in order; the
+        // extra one shows whether there is a next page
+        const page = [];
+        let total = 0;
+        
+        const groups = new Map();
+        const groupKey = record => JSON.stringify(groupBy.map(field => record[field] ?? null));
+        
+        const bucketStart = interval && Math.floor(parsed.from.getTime() / interval) * interval;
+        const buckets = interval
+            ? Array.from({ length: Math.ceil((parsed.to.getTime() - bucketStart) / interval) }, () => ({ count: 0, groups: new Map() }))
+            : null;
+        
+        for await (const record of storage[spec.collection].iterate(filter, options)) {
+            total++;
+            
+            if (groupBy.length > 0) {
+                const key = groupKey(record);
+                groups.set(key, (groups.get(key) || 0) + 1);
+            }
+            
+            if (buckets) {
+                const bucket = buckets[Math.floor((new Date(record.timestamp).getTime() - bucketStart) / interval)];
+                if (bucket) {
+                    bucket.count++;
+                    if (groupBy.length > 0) {
+                        const key = groupKey(record);
+                        bucket.groups.set(key, (bucket.groups.get(key) || 0) + 1);
+                    }
+                }
+            }
+            
+            if (limit === 0 || (cursorRecord && compare(record, cursorRecord) <= 0)) continue;
+            if (page.length > limit && compare(record, page[page.length - 1]) >= 0) continue;
+            
+            // Binary insertion keeps the page sorted
+            let low = 0;
+            let high = page.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (compare(page[mid], record) < 0) low = mid + 1;
+                else high = mid;
+            }
+            page.splice(low, 0, record);
+            if (page.length > limit + 1) page.pop();
+        }
+        
+        const hasMore = page.length > limit;
+        const records = page.slice(0, limit);
+        const last = records[records.length - 1];
+        
+        const result = {
+            records,
+            total,
+            nextCursor: hasMore && last
+                ? encodeCursor({ sort: parsed.sort, value: last[sortField] ?? null, id: last[spec.idField] })
+                : null
+        };
+        
+        if (groupBy.length === 0 && !interval) return result;
+        
+        const toGroup = ([key, count]) => ({
+            key: Object.fromEntries(JSON.parse(key).map((value, i) => [groupBy[i], value])),
+            count
+        });
+        
+        result.aggregations = {};
+        
+        if (groupBy.length > 0) {
+            const sorted = [...groups].sort((a, b) => b[1] - a[1]);
+            const top = sorted.slice(0, parsed.size);
+            
+            result.aggregations.groupBy = {
+                fields: groupBy,
+                groups: top.map(toGroup),
+                distinct: groups.size,
+                otherCount: sorted.slice(parsed.size).reduce((sum, [, count]) => sum + count, 0)
+            };
+        }
+        
+        if (buckets) {
+            result.aggregations.histogram = {
+                interval: parsed.intervalText,
+                buckets: buckets.map((bucket, i) => ({
+                    start: new Date(bucketStart + i * interval).toISOString(),
+                    count: bucket.count,
+                    ...(groupBy.length > 0 && {
+                        groups: [...bucket.groups].sort((a, b) => b[1] - a[1]).slice(0, parsed.size).map(toGroup)
+                    })
+                }))
+            };
+        }
+        
+        return result;
+    }
+    
+    return { settings, parse, run };
+}
+
+module.exports = { createLogQueryEngine, LOG_TYPES, parseDuration };
@@ -0,0 +1,194 @@
+// Dashboard JavaScript for IntelliBank
+// Loads the signed-in user's profile and account summary from the backend
+
+// ============================================
+// Configuration
+// ============================================
+const API_BASE = 'http://localhost:5000/api';
+const SESSION_KEY = 'intellisoc_session';   // Written by login.js
+const LOGIN_PAGE = 'login.html';
+
+// ============================================
+// Session Storage
+// ============================================
+// "Remember me" sessions live in localStorage, others in sessionStorage
+function getStoredSession() {
+    const raw = sessionStorage.getItem(SESSION_KEY) || localStorage.getItem(SESSION_KEY);
+    try {
+        return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function clearStoredSession() {
+    sessionStorage.removeItem(SESSION_KEY);
+    localStorage.removeItem(SESSION_KEY);
+}
+
+function redirectToLogin() {
+    clearStoredSession();
+    window.location.replace(LOGIN_PAGE);
+}
+
+// ============================================
+// API Calls
+// ============================================
+// GET an authenticated endpoint; a rejected session sends the user back
+// to the login page
+async function apiGet(path, session) {
+    const response = await fetch(API_BASE + path, {
+        headers: { 'Authorization': 'Bearer ' + session.sessionToken }
+    });
+    
+    if (response.status === 401) {
+        redirectToLogin();
+        throw new Error('Session expired');
+    }
+    
+    const result = await response.json();
+    if (!response.ok) {
+        throw new Error(result.message || `Request failed (${response.status})`);
+    }
+    
+    return result.data;
+}
+
+// ============================================
+// Rendering
+// ============================================
+function formatCurrency(amount, currency = 'USD') {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+}
+
+function setText(id, text) {
+    document.getElementById(id).textContent = text;
+}
+
+function renderProfile(profile) {
+    const firstName = (profile.user.fullName || profile.user.username).split(' ')[0];
+    setText('welcomeTitle', `Welcome back, ${firstName}`);
+    setText('sessionId', profile.session.sessionId || 'N/A');
+    
+    // Analysts and admins also get the Security Operations Console
+    document.getElementById('socLink').hidden = !['analyst', 'admin'].includes(profile.user.role);
+}
+
+function renderTransactions(result) {
+    const list = document.getElementById('transactionList');
+    list.innerHTML = '';
+    
+    setText('transactionCount', result.pagination.total > 0 ? `${result.pagination.total} total` : '');
+    
+    if (result.transactions.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'transaction-empty';
+        empty.textContent = 'No transactions yet.';
+        list.appendChild(empty);
+        return;
+    }
+    
+    result.transactions.forEach(transaction => {
+        const incoming = transaction.direction === 'credit';
+        
+        const item = document.createElement('li');
+        item.className = 'transaction-item';
+        
+        const details = document.createElement('div');
+        const title = document.createElement('div');
+        title.textContent = `${incoming ? 'From' : 'To'} ${transaction.counterparty}` +
+            (transaction.description ? ` · ${transaction.description}` : '');
+        const meta = document.createElement('div');
+        meta.className = 'transaction-meta';
+        meta.textContent = new Date(transaction.createdAt).toLocaleString() +
+            (transaction.status !== 'posted' ? ` · ${transaction.status}` : '');
+        details.append(title, meta);
+        
+        const amount = document.createElement('div');
+        amount.className = `transaction-amount ${transaction.direction}`;
+        amount.textContent = (incoming ? '+' : '−') + formatCurrency(transaction.amount, transaction.currency);
+        
+        item.append(details, amount);
+        list.appendChild(item);
+    });
+}
+
+function renderAccounts(accounts) {
+    const { summary } = accounts;
+    
+    setText('accountBalance', formatCurrency(accounts.totalBalance));
+    setText('activeSessions', String(summary.activeSessions));
+    setText('failedLogins', String(summary.failedLoginsSinceLastLogin));
+    
+    if (summary.lastLogin) {
+        const when = new Date(summary.lastLogin.timestamp).toLocaleString();
+        setText('lastLogin', `Last login: ${when} from ${summary.lastLogin.ipAddress}`);
+    }
+    
+    if (summary.failedLoginsSinceLastLogin > 0) {
+        setText('welcomeSubtitle',
+            `There were ${summary.failedLoginsSinceLastLogin} failed sign-in attempt(s) on your account since your last login. ` +
+            'If this wasn\'t you, sign out of all devices and change your password.');
+    }
+}
+
+async function loadDashboard() {
+    const session = getStoredSession();
+    
+    if (!session || !session.sessionToken || new Date(session.expiresAt) <= new Date()) {
+        redirectToLogin();
+        return;
+    }
+    
+    setText('sessionId', session.sessionId || 'N/A');
+    
+    try {
+        const [profile, accounts, transactions] = await Promise.all([
+            apiGet('/me', session),
+            apiGet('/accounts', session),
+            apiGet('/transactions?limit=5', session)
+        ]);
+        
+        renderProfile(profile);
+        renderAccounts(accounts);
+        renderTransactions(transactions);
+    } catch (e) {
+        console.error('Failed to load dashboard:', e);
+        setText('welcomeSubtitle', 'We couldn\'t load your account details. Please refresh the page to try again.');
+    }
+}
+
+// ============================================
+// Logout (ends the session on the server too)
+// ============================================
+async function logout(everywhere) {
+    const session = getStoredSession();
+    
+    if (session && session.sessionToken) {
+        try {
+            await fetch(API_BASE + (everywhere ? '/sessions' : '/auth/logout'), {
+                method: everywhere ? 'DELETE' : 'POST',
+                headers: { 'Authorization': 'Bearer ' + session.sessionToken }
+            });
+        } catch (e) {
+            // Still clear the local session - the server copy expires on its own
+            console.error('Logout request failed:', e);
+        }
+    }
+    
+    clearStoredSession();
+    window.location.href = 'index.html';
+}
+
+document.querySelectorAll('[data-logout]').forEach(link => {
+    link.addEventListener('click', (e) => {
+        e.preventDefault();
+        link.classList.add('is-busy');
+        logout(link.dataset.logout === 'all');
+    });
+});
+
+loadDashboard();
+
+// Log dashboard access
+console.log('Dashboard accessed at:', new Date().toISOString());
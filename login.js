@@ -8,7 +8,30 @@ const LOG_CONFIG = {
     enabled: true,
     endpoint: 'http://localhost:5000/api/log',  // Configure this to your IntelliSOC backend
     sessionId: generateSessionId(),
-    deviceFingerprint: generateDeviceFingerprint()
+    deviceFingerprint: generateDeviceFingerprint(),
+    
+    // Telemetry transport (see "Telemetry Transport" below)
+    queueKey: 'intellisoc_telemetry_queue',
+    batchSize: 25,              // Events per /batch request
+    flushIntervalMs: 5000,      // Send whatever is queued this often
+    maxQueueSize: 500,          // Oldest events are dropped beyond this
+    retryBaseMs: 2000,          // Backoff after a failed send: 2s, 4s, 8s...
+    retryMaxMs: 60000
+};
+
+// ============================================
+// Authentication Configuration
+// ============================================
+const AUTH_CONFIG = {
+    endpoint: 'http://localhost:5000/api/auth/login',
+    mfaEndpoint: 'http://localhost:5000/api/auth/mfa/verify',
+    // Read by dashboard.html; "Remember me" keeps it in localStorage,
+    // otherwise it lasts for the browser session (sessionStorage)
+    sessionKey: 'intellisoc_session',
+    dashboardUrl: 'dashboard.html',
+    // The server scores the session's telemetry before deciding a login,
+    // so queued events are sent first (waiting at most this long)
+    telemetryFlushTimeoutMs: 1000
 };
 
 // ============================================
@@ -64,20 +87,24 @@ function getTimezoneInfo() {
 // ============================================
 // Logging Functions
 // ============================================
+function getDeviceInfo() {
+    return {
+        fingerprint: LOG_CONFIG.deviceFingerprint,
+        browser: getBrowserInfo(),
+        screen: getScreenInfo(),
+        timezone: getTimezoneInfo(),
+        referrer: document.referrer,
+        currentUrl: window.location.href
+    };
+}
+
 function createLogEntry(eventType, eventData) {
     const logEntry = {
         timestamp: new Date().toISOString(),
         sessionId: LOG_CONFIG.sessionId,
         eventType: eventType,
         eventData: eventData,
-        deviceInfo: {
-            fingerprint: LOG_CONFIG.deviceFingerprint,
-            browser: getBrowserInfo(),
-            screen: getScreenInfo(),
-            timezone: getTimezoneInfo(),
-            referrer: document.referrer,
-            currentUrl: window.location.href
-        }
+        deviceInfo: getDeviceInfo()
     };
     
     return logEntry;
@@ -91,28 +118,27 @@ function logEvent(eventType, eventData) {
     // Console logging for development
     console.log('🔒 IntelliSOC Log:', logEntry);
     
-    // Send to backend (implement your API endpoint)
+    // Queue for delivery to the backend (persisted until sent)
     sendToBackend(logEntry);
     
-    // Store in localStorage for offline capability
+    // Keep a local copy for exportLogs()
     storeLogLocally(logEntry);
 }
 
 function sendToBackend(logEntry) {
-    // Implement actual API call to your IntelliSOC backend
-    // Example:
-    /*
-    fetch(LOG_CONFIG.endpoint, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(logEntry)
-    }).catch(err => console.error('Logging failed:', err));
-    */
-    
-    // For now, just log to console
-    console.log('📡 Would send to backend:', LOG_CONFIG.endpoint);
+    telemetry.queue.push(logEntry);
+    
+    // Queue full (e.g. backend unreachable for a long time) - drop the oldest
+    while (telemetry.queue.length > LOG_CONFIG.maxQueueSize) {
+        telemetry.queue.shift();
+        telemetry.dropped++;
+    }
+    
+    saveTelemetryQueue();
+    
+    if (telemetry.queue.length >= LOG_CONFIG.batchSize) {
+        flushTelemetry();
+    }
 }
 
 function storeLogLocally(logEntry) {
@@ -131,6 +157,154 @@ function storeLogLocally(logEntry) {
     }
 }
 
+// ============================================
+// Telemetry Transport
+// ============================================
+// Events are queued in localStorage and sent to /api/log/batch in batches,
+// so nothing is lost across reloads or while the backend is unreachable.
+// Failed sends are retried with exponential backoff; when the page is hidden
+// or closed the queue is handed to navigator.sendBeacon. Events discarded
+// because the queue overflowed or the server rejected them are counted and
+// reported to the backend as `droppedEvents` with the next batch.
+const telemetry = {
+    queue: [],
+    dropped: 0,
+    inFlight: null,         // Events in the request currently being sent
+    failures: 0,            // Consecutive failed sends, drives the backoff
+    retryTimer: null
+};
+
+function loadTelemetryQueue() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(LOG_CONFIG.queueKey) || 'null');
+        if (saved && Array.isArray(saved.events)) {
+            telemetry.queue = saved.events.concat(telemetry.queue);
+            telemetry.dropped += saved.dropped || 0;
+        }
+    } catch (e) {
+        console.error('Failed to restore telemetry queue:', e);
+    }
+}
+
+function saveTelemetryQueue() {
+    try {
+        localStorage.setItem(LOG_CONFIG.queueKey, JSON.stringify({
+            events: telemetry.queue,
+            dropped: telemetry.dropped
+        }));
+    } catch (e) {
+        // Storage full or disabled - the in-memory queue still gets sent
+        console.error('Failed to persist telemetry queue:', e);
+    }
+}
+
+// Remove sent (or rejected) events from the queue
+function removeFromQueue(events) {
+    telemetry.queue = telemetry.queue.filter(entry => !events.includes(entry));
+    saveTelemetryQueue();
+}
+
+function nextBatch() {
+    return telemetry.queue
+        .filter(entry => !telemetry.inFlight || !telemetry.inFlight.includes(entry))
+        .slice(0, LOG_CONFIG.batchSize);
+}
+
+function batchPayload(events) {
+    return JSON.stringify({ events, droppedEvents: telemetry.dropped });
+}
+
+function scheduleTelemetryRetry() {
+    telemetry.failures++;
+    const delay = Math.min(
+        LOG_CONFIG.retryBaseMs * Math.pow(2, telemetry.failures - 1),
+        LOG_CONFIG.retryMaxMs
+    );
+    
+    // Jitter so many clients coming back online don't retry in lockstep
+    telemetry.retryTimer = setTimeout(() => {
+        telemetry.retryTimer = null;
+        flushTelemetry();
+    }, delay / 2 + Math.random() * delay / 2);
+}
+
+async function flushTelemetry() {
+    // One request at a time, and wait out any pending backoff
+    if (telemetry.inFlight || telemetry.retryTimer) return;
+    
+    const batch = nextBatch();
+    if (batch.length === 0) return;
+    
+    const droppedReported = telemetry.dropped;
+    telemetry.inFlight = batch;
+    
+    try {
+        const response = await fetch(`${LOG_CONFIG.endpoint}/batch`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: batchPayload(batch)
+        });
+        
+        if (response.ok) {
+            telemetry.failures = 0;
+            telemetry.dropped -= droppedReported;
+            removeFromQueue(batch);
+        } else if (response.status >= 400 && response.status < 500 &&
+                   response.status !== 408 && response.status !== 429) {
+            // Rejected outright (e.g. malformed or blocked) - retrying won't help
+            console.error('Telemetry batch rejected:', response.status);
+            telemetry.dropped += batch.length;
+            removeFromQueue(batch);
+        } else {
+            throw new Error(`HTTP ${response.status}`);
+        }
+    } catch (err) {
+        console.error('Logging failed, will retry:', err.message);
+        telemetry.inFlight = null;
+        scheduleTelemetryRetry();
+        return;
+    }
+    
+    telemetry.inFlight = null;
+    
+    // Keep draining if more than one batch is waiting
+    if (telemetry.queue.length >= LOG_CONFIG.batchSize) {
+        flushTelemetry();
+    }
+}
+
+// Last-chance delivery when the page is hidden or unloading. Beacons
+// survive the page going away but give no response, so queued events
+// are treated as sent once the browser accepts them.
+function flushTelemetryWithBeacon() {
+    if (!navigator.sendBeacon) return;
+    
+    let batch;
+    while ((batch = nextBatch()).length > 0) {
+        // text/plain keeps the beacon a "simple" CORS request (no preflight)
+        const payload = new Blob([batchPayload(batch)], { type: 'text/plain' });
+        if (!navigator.sendBeacon(`${LOG_CONFIG.endpoint}/batch`, payload)) break;
+        
+        telemetry.dropped = 0;
+        removeFromQueue(batch);
+    }
+}
+
+loadTelemetryQueue();
+setInterval(flushTelemetry, LOG_CONFIG.flushIntervalMs);
+
+// Back online - don't wait out the backoff
+window.addEventListener('online', () => {
+    if (telemetry.retryTimer) {
+        clearTimeout(telemetry.retryTimer);
+        telemetry.retryTimer = null;
+    }
+    telemetry.failures = 0;
+    flushTelemetry();
+});
+
 // ============================================
 // Page Load Tracking
 // ============================================
@@ -286,60 +460,432 @@ loginForm.addEventListener('submit', async (e) => {
         ipAddress: getIPAddress() // Would need backend implementation
     });
     
-    // Simulate authentication (replace with actual backend call)
-    setTimeout(() => {
-        // Mock authentication logic
-        const isValidCredentials = authenticateUser(username, password);
+    await Promise.race([
+        flushTelemetry(),
+        new Promise(resolve => setTimeout(resolve, AUTH_CONFIG.telemetryFlushTimeoutMs))
+    ]);
+    
+    const credentials = { username, password, rememberMe };
+    let { response, result } = await requestLogin(credentials);
+    
+    // The server wants proof of work first: solve it and try once more
+    if (response && response.status === 428 && result && result.data && result.data.challenge) {
+        ({ response, result } = await retryWithChallenge(credentials, result.data, { response, result }));
+    }
+    
+    // Password accepted but the account has two-factor authentication
+    if (response && response.ok && result && result.data && result.data.mfaRequired) {
+        logEvent('MFA_REQUIRED', {
+            username: username,
+            attemptNumber: loginAttemptCount,
+            timestamp: new Date().toISOString()
+        });
+        
+        showMfaStep(result.data, { username, rememberMe });
+        return;
+    }
+    
+    if (response && response.ok && result && result.data && result.data.sessionToken) {
+        // Success
+        storeSession(result.data, rememberMe);
         
-        if (isValidCredentials) {
-            // Success
-            logEvent('LOGIN_SUCCESS', {
-                username: username,
-                attemptNumber: loginAttemptCount,
-                totalTimeTaken: Date.now() - firstAttemptTime,
-                timestamp: new Date().toISOString()
-            });
-            
-            showAlert('success', 'Login successful! Redirecting to dashboard...');
-            
-            setTimeout(() => {
-                window.location.href = 'dashboard.html'; // Create this page
-            }, 1500);
-            
-        } else {
-            // Failure
-            logEvent('LOGIN_FAILURE', {
-                username: username,
-                attemptNumber: loginAttemptCount,
-                reason: 'invalid_credentials',
-                timestamp: new Date().toISOString(),
-                ipAddress: getIPAddress()
-            });
-            
-            showAlert('error', 'Invalid username or password. Please try again.');
-            
-            // Hide loading, show button
-            loadingSpinner.style.display = 'none';
-            loginBtn.style.display = 'flex';
-            
-            // Clear password field
-            passwordInput.value = '';
-        }
-    }, 2000);
+        logEvent('LOGIN_SUCCESS', {
+            username: username,
+            attemptNumber: loginAttemptCount,
+            totalTimeTaken: Date.now() - firstAttemptTime,
+            timestamp: new Date().toISOString()
+        });
+        
+        showAlert('success', 'Login successful! Redirecting to dashboard...');
+        
+        setTimeout(() => {
+            window.location.href = AUTH_CONFIG.dashboardUrl;
+        }, 1500);
+        return;
+    }
+    
+    // Failure
+    logEvent('LOGIN_FAILURE', {
+        username: username,
+        attemptNumber: loginAttemptCount,
+        reason: !response ? 'network_error' : (response.status === 401 ? 'invalid_credentials' : `http_${response.status}`),
+        httpStatus: response ? response.status : null,
+        timestamp: new Date().toISOString(),
+        ipAddress: getIPAddress()
+    });
+    
+    if (!response) {
+        showAlert('error', 'Unable to reach the server. Please check your connection and try again.');
+    } else {
+        showLoginFailure(response.status, result);
+    }
+    
+    // Hide loading, show button
+    loadingSpinner.style.display = 'none';
+    loginBtn.style.display = 'flex';
+    
+    // Clear password field
+    passwordInput.value = '';
 });
 
+// Persist the server session for dashboard.html
+function storeSession(data, rememberMe) {
+    const session = JSON.stringify({
+        sessionToken: data.sessionToken,
+        sessionId: data.sessionId,
+        username: data.username,
+        expiresAt: data.expiresAt
+    });
+    
+    // Never leave a stale session behind in the other storage
+    sessionStorage.removeItem(AUTH_CONFIG.sessionKey);
+    localStorage.removeItem(AUTH_CONFIG.sessionKey);
+    (rememberMe ? localStorage : sessionStorage).setItem(AUTH_CONFIG.sessionKey, session);
+}
+
+// POST the credentials (plus telemetry context). Returns { response, result },
+// with response null when the server couldn't be reached.
+async function requestLogin(credentials, extra = {}) {
+    let response = null;
+    let result = null;
+    
+    try {
+        response = await fetch(AUTH_CONFIG.endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                ...credentials,
+                sessionId: LOG_CONFIG.sessionId,
+                deviceInfo: getDeviceInfo(),
+                behavior: getBehaviorFeatures(),
+                automation: getAutomationSignals(),
+                ...extra
+            })
+        });
+        result = await response.json().catch(() => null);
+    } catch (err) {
+        console.error('Login request failed:', err);
+    }
+    
+    return { response, result };
+}
+
+async function retryWithChallenge(credentials, { challenge, reasons }, original) {
+    const startedAt = Date.now();
+    
+    logEvent('LOGIN_CHALLENGE', {
+        difficulty: challenge.difficulty,
+        reasons: reasons,
+        timestamp: new Date().toISOString()
+    });
+    
+    const solved = await solveChallenge(challenge).catch(err => {
+        console.error('Challenge not solved:', err.message);
+        return null;
+    });
+    
+    logEvent('LOGIN_CHALLENGE_SOLVED', {
+        difficulty: challenge.difficulty,
+        solved: solved !== null,
+        hashes: solved ? solved.hashes : null,
+        timeTaken: Date.now() - startedAt,
+        timestamp: new Date().toISOString()
+    });
+    
+    if (!solved) return original;
+    
+    return requestLogin(credentials, {
+        challengeToken: challenge.token,
+        challengeSolution: solved.solution
+    });
+}
+
 // ============================================
-// Mock Authentication (Replace with Backend)
+// Two-Factor Authentication Step
+// After the password is accepted the server returns a short-lived
+// mfaToken; a code from the authenticator app (or a recovery code)
+// exchanges it for the real session.
 // ============================================
-function authenticateUser(username, password) {
-    // Mock credentials for testing
-    const validCredentials = {
-        'admin': 'admin123',
-        'user1': 'password123',
-        'testuser': 'test123'
+const mfaForm = document.getElementById('mfaForm');
+const mfaCodeInput = document.getElementById('mfaCode');
+const mfaCodeLabelText = document.getElementById('mfaCodeLabelText');
+const mfaUseRecoveryLink = document.getElementById('mfaUseRecovery');
+const mfaBackLink = document.getElementById('mfaBack');
+const mfaBtn = document.getElementById('mfaBtn');
+
+let mfaState = null;
+
+function showMfaStep(data, { username, rememberMe }) {
+    mfaState = { token: data.mfaToken, username, rememberMe, useRecoveryCode: false, startedAt: Date.now() };
+    
+    loginForm.style.display = 'none';
+    loadingSpinner.style.display = 'none';
+    loginBtn.style.display = 'flex';
+    passwordInput.value = '';
+    
+    setMfaMode(false);
+    mfaForm.style.display = 'block';
+    mfaCodeInput.focus();
+    
+    showAlert('success', 'Password accepted. Enter the code from your authenticator app.');
+}
+
+function hideMfaStep() {
+    mfaState = null;
+    mfaForm.style.display = 'none';
+    mfaCodeInput.value = '';
+    loginForm.style.display = 'block';
+    alertMessage.style.display = 'none';
+}
+
+function setMfaMode(useRecoveryCode) {
+    mfaState.useRecoveryCode = useRecoveryCode;
+    mfaCodeInput.value = '';
+    
+    if (useRecoveryCode) {
+        mfaCodeLabelText.textContent = 'Recovery Code';
+        mfaCodeInput.placeholder = 'e.g. 4f9c-2a7e-b1d0';
+        mfaCodeInput.inputMode = 'text';
+        mfaCodeInput.autocomplete = 'off';
+        mfaUseRecoveryLink.textContent = 'Use authenticator app instead';
+    } else {
+        mfaCodeLabelText.textContent = 'Authentication Code';
+        mfaCodeInput.placeholder = '6-digit code from your authenticator app';
+        mfaCodeInput.inputMode = 'numeric';
+        mfaCodeInput.autocomplete = 'one-time-code';
+        mfaUseRecoveryLink.textContent = 'Use a recovery code instead';
+    }
+}
+
+mfaUseRecoveryLink.addEventListener('click', (e) => {
+    e.preventDefault();
+    if (!mfaState) return;
+    
+    setMfaMode(!mfaState.useRecoveryCode);
+    mfaCodeInput.focus();
+    
+    logEvent('MFA_METHOD_SWITCH', {
+        method: mfaState.useRecoveryCode ? 'recovery_code' : 'totp',
+        timestamp: new Date().toISOString()
+    });
+});
+
+mfaBackLink.addEventListener('click', (e) => {
+    e.preventDefault();
+    
+    logEvent('MFA_CANCELLED', {
+        timestamp: new Date().toISOString()
+    });
+    
+    hideMfaStep();
+});
+
+mfaForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (!mfaState) return;
+    
+    const value = mfaCodeInput.value.trim();
+    if (!value) {
+        showAlert('error', mfaState.useRecoveryCode ? 'Please enter a recovery code' : 'Please enter the 6-digit code');
+        return;
+    }
+    
+    const method = mfaState.useRecoveryCode ? 'recovery_code' : 'totp';
+    mfaBtn.disabled = true;
+    
+    let response = null;
+    let result = null;
+    
+    try {
+        response = await fetch(AUTH_CONFIG.mfaEndpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                mfaToken: mfaState.token,
+                [mfaState.useRecoveryCode ? 'recoveryCode' : 'code']: value
+            })
+        });
+        result = await response.json().catch(() => null);
+    } catch (err) {
+        console.error('MFA request failed:', err);
+    }
+    
+    mfaBtn.disabled = false;
+    
+    if (response && response.ok && result && result.data && result.data.sessionToken) {
+        storeSession(result.data, mfaState.rememberMe);
+        
+        logEvent('MFA_SUCCESS', {
+            username: mfaState.username,
+            method: method,
+            timeTaken: Date.now() - mfaState.startedAt,
+            timestamp: new Date().toISOString()
+        });
+        
+        const remaining = result.data.recoveryCodesRemaining;
+        showAlert('success', typeof remaining === 'number'
+            ? `Login successful! You have ${remaining} recovery code${remaining === 1 ? '' : 's'} left. Redirecting...`
+            : 'Login successful! Redirecting to dashboard...');
+        
+        setTimeout(() => {
+            window.location.href = AUTH_CONFIG.dashboardUrl;
+        }, 1500);
+        return;
+    }
+    
+    logEvent('MFA_FAILURE', {
+        username: mfaState.username,
+        method: method,
+        httpStatus: response ? response.status : null,
+        remainingAttempts: result && result.data ? result.data.remainingAttempts : null,
+        timestamp: new Date().toISOString()
+    });
+    
+    mfaCodeInput.value = '';
+    
+    if (!response) {
+        showAlert('error', 'Unable to reach the server. Please check your connection and try again.');
+        return;
+    }
+    
+    const message = (result && result.message) || 'Verification failed. Please try again.';
+    const expired = response.status === 401 && !(result && result.data && result.data.remainingAttempts > 0);
+    
+    // The pending login is gone (expired, or too many wrong codes)
+    if (expired || response.status === 429) {
+        hideMfaStep();
+    }
+    
+    if (response.status === 429) {
+        showLoginFailure(response.status, result);
+    } else {
+        showAlert('error', message);
+    }
+});
+
+// ============================================
+// Proof-of-Work Challenge
+// Find a solution such that SHA-256(`${token}:${solution}`) starts with
+// `difficulty` zero bits (see security/login-challenge.js). Hashes are
+// computed in batches so the page stays responsive.
+// ============================================
+const CHALLENGE_BATCH_SIZE = 512;
+
+function leadingZeroBits(bytes) {
+    let bits = 0;
+    
+    for (const byte of bytes) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        return bits + Math.clz32(byte) - 24;
+    }
+    
+    return bits;
+}
+
+async function solveChallenge(challenge) {
+    if (!window.crypto || !window.crypto.subtle) {
+        throw new Error('Web Crypto is unavailable (the page must be served from https or localhost)');
+    }
+    
+    const encoder = new TextEncoder();
+    const expiresAt = new Date(challenge.expiresAt).getTime();
+    let nonce = 0;
+    
+    while (Date.now() < expiresAt) {
+        const candidates = [];
+        for (let i = 0; i < CHALLENGE_BATCH_SIZE; i++) {
+            candidates.push(String(nonce++));
+        }
+        
+        const digests = await Promise.all(candidates.map(candidate =>
+            crypto.subtle.digest('SHA-256', encoder.encode(`${challenge.token}:${candidate}`))
+        ));
+        
+        const index = digests.findIndex(digest => leadingZeroBits(new Uint8Array(digest)) >= challenge.difficulty);
+        if (index !== -1) {
+            return { solution: candidates[index], hashes: nonce - CHALLENGE_BATCH_SIZE + index + 1 };
+        }
+    }
+    
+    throw new Error('Challenge expired before it was solved');
+}
+
+// ============================================
+// Login Failure / Lockout Display
+// ============================================
+let lockoutTimer = null;
+
+function formatWaitTime(seconds) {
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+// Show the server's failure response: remaining attempts, or a countdown
+// that keeps the login button disabled until retryAfter passes (account
+// lockout or blocked IP)
+function showLoginFailure(status, result) {
+    const data = (result && result.data) || {};
+    
+    if (data.retryAfter > 0) {
+        const reason = status === 403
+            ? 'Access from your network has been temporarily blocked.'
+            : 'Too many failed attempts.';
+        startLockoutCountdown(data.retryAfter, reason);
+        return;
+    }
+    
+    if (status !== 401) {
+        showAlert('error', (result && result.message) || 'Login failed. Please try again later.');
+        return;
+    }
+    
+    let message = 'Invalid username or password. Please try again.';
+    if (typeof data.remainingAttempts === 'number') {
+        message += ` ${data.remainingAttempts} attempt${data.remainingAttempts === 1 ? '' : 's'} remaining before your account is temporarily locked.`;
+    }
+    
+    showAlert('error', message);
+}
+
+function startLockoutCountdown(seconds, reason) {
+    const lockedUntil = Date.now() + seconds * 1000;
+    
+    clearInterval(lockoutTimer);
+    loginBtn.disabled = true;
+    
+    logEvent('LOGIN_LOCKOUT', {
+        retryAfter: seconds,
+        reason: reason,
+        attemptNumber: loginAttemptCount,
+        timestamp: new Date().toISOString()
+    });
+    
+    const tick = () => {
+        const remaining = Math.ceil((lockedUntil - Date.now()) / 1000);
+        
+        if (remaining <= 0) {
+            clearInterval(lockoutTimer);
+            loginBtn.disabled = false;
+            alertMessage.style.display = 'none';
+            return;
+        }
+        
+        // Update the text directly - showAlert() would log an event every second
+        alertMessage.className = 'alert-message error';
+        alertMessage.textContent = `${reason} Please try again in ${formatWaitTime(remaining)}.`;
+        alertMessage.style.display = 'flex';
     };
     
-    return validCredentials[username] === password;
+    tick();
+    lockoutTimer = setInterval(tick, 1000);
 }
 
 // ============================================
@@ -366,16 +912,17 @@ let lastMouseTime = Date.now();
 document.addEventListener('mousemove', (e) => {
     const currentTime = Date.now();
     
-    // Log mouse movement every 500ms to avoid excessive logging
-    if (currentTime - lastMouseTime > 500) {
+    // Sample every 50ms: fine enough for velocity/curvature, and the
+    // points themselves never leave the page (see getBehaviorFeatures)
+    if (currentTime - lastMouseTime > 50) {
         mouseMovements.push({
             x: e.clientX,
             y: e.clientY,
             timestamp: currentTime
         });
         
-        // Keep only last 20 movements
-        if (mouseMovements.length > 20) {
+        // Keep only last 100 movements
+        if (mouseMovements.length > 100) {
             mouseMovements.shift();
         }
         
@@ -387,22 +934,42 @@ document.addEventListener('mousemove', (e) => {
 // Keyboard Behavior Tracking
 // ============================================
 let keyPressTimings = [];
+const pressedKeys = new Map(); // e.code -> timing entry, to pair keyup with keydown
 
 document.addEventListener('keydown', (e) => {
-    keyPressTimings.push({
-        key: e.key === 'Enter' ? 'Enter' : 'Key', // Don't log actual keys for security
-        timestamp: Date.now()
-    });
+    if (e.repeat) return;
+    
+    const timing = {
+        // Don't log actual keys for security
+        key: e.key === 'Enter' || e.key === 'Backspace' ? e.key : 'Key',
+        timestamp: Date.now(),
+        releasedAt: null
+    };
+    
+    keyPressTimings.push(timing);
+    pressedKeys.set(e.code, timing);
     
     if (keyPressTimings.length > 50) {
         keyPressTimings.shift();
     }
 });
 
+document.addEventListener('keyup', (e) => {
+    const timing = pressedKeys.get(e.code);
+    
+    if (timing) {
+        timing.releasedAt = Date.now();
+        pressedKeys.delete(e.code);
+    }
+});
+
 // ============================================
 // Copy/Paste Detection
 // ============================================
+const pastedFields = { username: false, password: false };
+
 usernameInput.addEventListener('paste', () => {
+    pastedFields.username = true;
     logEvent('PASTE_DETECTED', {
         field: 'username',
         timestamp: new Date().toISOString()
@@ -410,12 +977,140 @@ usernameInput.addEventListener('paste', () => {
 });
 
 passwordInput.addEventListener('paste', () => {
+    pastedFields.password = true;
     logEvent('PASTE_DETECTED', {
         field: 'password',
         timestamp: new Date().toISOString()
     });
 });
 
+// ============================================
+// Behavioral Features
+// Summaries of the keyboard/mouse data above, sent with the login request
+// so the server can compare them to the user's usual behaviour. Only
+// aggregate statistics are sent: no keys, coordinates or timestamps.
+// ============================================
+
+// Pauses longer than this are thinking, not typing
+const MAX_TYPING_GAP_MS = 3000;
+
+function summarize(values) {
+    if (values.length === 0) return { mean: null, std: null };
+    
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    
+    return { mean: Math.round(mean * 10) / 10, std: Math.round(Math.sqrt(variance) * 10) / 10 };
+}
+
+function getKeystrokeFeatures() {
+    const dwell = [];
+    const flight = [];
+    const intervals = [];
+    
+    keyPressTimings.forEach((timing, i) => {
+        if (timing.releasedAt) {
+            dwell.push(timing.releasedAt - timing.timestamp);
+        }
+        
+        const previous = keyPressTimings[i - 1];
+        if (!previous) return;
+        
+        const interval = timing.timestamp - previous.timestamp;
+        if (interval > MAX_TYPING_GAP_MS) return;
+        
+        intervals.push(interval);
+        // Negative when the next key goes down before the last is released
+        if (previous.releasedAt) flight.push(timing.timestamp - previous.releasedAt);
+    });
+    
+    const dwellStats = summarize(dwell);
+    const flightStats = summarize(flight);
+    const meanInterval = summarize(intervals).mean;
+    
+    return {
+        keyCount: keyPressTimings.length,
+        dwellMean: dwellStats.mean,
+        dwellStd: dwellStats.std,
+        flightMean: flightStats.mean,
+        flightStd: flightStats.std,
+        keysPerSecond: meanInterval ? Math.round(10000 / meanInterval) / 10 : null,
+        correctionRate: keyPressTimings.length
+            ? Math.round(keyPressTimings.filter(t => t.key === 'Backspace').length / keyPressTimings.length * 1000) / 1000
+            : null
+    };
+}
+
+function getMouseFeatures() {
+    const velocities = [];
+    const turns = [];
+    let pathLength = 0;
+    let previousAngle = null;
+    
+    for (let i = 1; i < mouseMovements.length; i++) {
+        const from = mouseMovements[i - 1];
+        const to = mouseMovements[i];
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const distance = Math.hypot(dx, dy);
+        const elapsed = to.timestamp - from.timestamp;
+        
+        // Skip pauses; they're idle time, not movement
+        if (distance === 0 || elapsed > 1000) {
+            previousAngle = null;
+            continue;
+        }
+        
+        pathLength += distance;
+        velocities.push(distance / elapsed * 1000); // px/s
+        
+        // Change of direction between consecutive segments (0..π)
+        const angle = Math.atan2(dy, dx);
+        if (previousAngle !== null) {
+            const turn = Math.abs(angle - previousAngle);
+            turns.push(turn > Math.PI ? 2 * Math.PI - turn : turn);
+        }
+        previousAngle = angle;
+    }
+    
+    const first = mouseMovements[0];
+    const last = mouseMovements[mouseMovements.length - 1];
+    const velocityStats = summarize(velocities);
+    const curvature = summarize(turns).mean;
+    
+    return {
+        sampleCount: mouseMovements.length,
+        velocityMean: velocityStats.mean,
+        velocityStd: velocityStats.std,
+        curvatureMean: curvature === null ? null : Math.round(curvature * 1000) / 1000,
+        // 1 = a perfectly straight path from first to last sample
+        straightness: pathLength > 0
+            ? Math.round(Math.hypot(last.x - first.x, last.y - first.y) / pathLength * 1000) / 1000
+            : null
+    };
+}
+
+function getBehaviorFeatures() {
+    return {
+        keystroke: getKeystrokeFeatures(),
+        mouse: getMouseFeatures(),
+        paste: { ...pastedFields }
+    };
+}
+
+// Browser traits that give away automation tools, checked by the
+// server's bot scoring together with the features above
+function getAutomationSignals() {
+    return {
+        webdriver: navigator.webdriver === true,
+        headless: /HeadlessChrome|PhantomJS/.test(navigator.userAgent),
+        pluginCount: navigator.plugins ? navigator.plugins.length : null,
+        languageCount: navigator.languages ? navigator.languages.length : null,
+        touchPoints: navigator.maxTouchPoints || 0,
+        msSincePageLoad: Math.round(performance.now())
+    };
+}
+
 // ============================================
 // Tab Visibility Tracking
 // ============================================
@@ -424,6 +1119,11 @@ document.addEventListener('visibilitychange', () => {
         hidden: document.hidden,
         timestamp: new Date().toISOString()
     });
+    
+    // The page may never become visible again (mobile tab switch / close)
+    if (document.hidden) {
+        flushTelemetryWithBeacon();
+    }
 });
 
 // ============================================
@@ -435,6 +1135,8 @@ window.addEventListener('beforeunload', () => {
         loginAttempts: loginAttemptCount,
         timestamp: new Date().toISOString()
     });
+    
+    flushTelemetryWithBeacon();
 });
 
 // ============================================
@@ -489,6 +1191,20 @@ window.clearLogs = function() {
     console.log('🗑️ Logs cleared');
 };
 
+// ============================================
+// Telemetry Status (for testing)
+// ============================================
+window.telemetryStatus = function() {
+    const status = {
+        queued: telemetry.queue.length,
+        inFlight: telemetry.inFlight ? telemetry.inFlight.length : 0,
+        droppedUnreported: telemetry.dropped,
+        consecutiveFailures: telemetry.failures
+    };
+    console.table(status);
+    return status;
+};
+
 // ============================================
 // Console Info
 // ============================================
@@ -496,3 +1212,4 @@ console.log('%c🔒 IntelliSOC Security Monitoring Active', 'color: #4A90E2; fon
 console.log('%cSession ID:', 'color: #666; font-weight: bold;', LOG_CONFIG.sessionId);
 console.log('%cTo export logs, run: exportLogs()', 'color: #666;');
 console.log('%cTo clear logs, run: clearLogs()', 'color: #666;');
+console.log('%cTo check telemetry delivery, run: telemetryStatus()', 'color: #666;');
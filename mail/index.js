@@ -0,0 +1,67 @@
+// ============================================
+// Outgoing Mail
+// createMailer() returns { description, send({ to, subject, text }) }.
+// Delivery is left to a transport:
+//   outbox (default) - .eml files in a local directory (see ./outbox.js)
+//   console          - printed to the server log
+// or any object with an async send(message) method, e.g. a wrapper around
+// an SMTP client. send() resolves to { messageId, ...transport result }.
+// ============================================
+
+const crypto = require('crypto');
+const { createOutboxTransport } = require('./outbox');
+
+const TRANSPORTS = ['outbox', 'console'];
+
+function createConsoleTransport() {
+    return {
+        description: 'console',
+        
+        async send(message) {
+            console.log(`✉️  To: ${message.to} | ${message.subject}\n${message.text}`);
+            return {};
+        }
+    };
+}
+
+function resolveTransport(transport, { outboxDir }) {
+    if (transport && typeof transport.send === 'function') return transport;
+    
+    switch (transport) {
+        case 'outbox':
+            return createOutboxTransport({ outboxDir });
+        case 'console':
+            return createConsoleTransport();
+        default:
+            throw new Error(`Unknown mail transport "${transport}" (expected one of: ${TRANSPORTS.join(', ')})`);
+    }
+}
+
+function createMailer({ transport = 'outbox', outboxDir, from }) {
+    const delivery = resolveTransport(transport, { outboxDir });
+    const domain = from.split('@')[1]?.replace(/>$/, '') || 'localhost';
+    
+    return {
+        description: delivery.description || 'custom transport',
+        
+        async send({ to, subject, text }) {
+            if (!to || !subject || !text) {
+                throw new Error('Mail needs a recipient, a subject and a body');
+            }
+            
+            const message = {
+                messageId: `${crypto.randomBytes(12).toString('hex')}@${domain}`,
+                date: new Date().toISOString(),
+                from,
+                to,
+                subject,
+                text
+            };
+            
+            const result = await delivery.send(message);
+            return { messageId: message.messageId, ...result };
+        }
+    };
+}
+
+module.exports = { createMailer, TRANSPORTS };
@@ -0,0 +1,50 @@
+// ============================================
+// Outbox Mail Transport
+// Writes each message to the outbox directory as an .eml file instead of
+// sending it, so registration and password reset work offline. The files
+// open in any mail client; the links in them can be followed by hand.
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+
+// RFC 2047 encoded-word for non-ASCII header values
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value)
+        ? value
+        : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+function toEml(message) {
+    const headers = [
+        `Message-ID: <${message.messageId}>`,
+        `Date: ${new Date(message.date).toUTCString()}`,
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${encodeHeader(message.subject)}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit'
+    ];
+    
+    return `${headers.join('\r\n')}\r\n\r\n${message.text.replace(/\r?\n/g, '\r\n')}\r\n`;
+}
+
+function createOutboxTransport({ outboxDir }) {
+    return {
+        description: `outbox (${outboxDir})`,
+        
+        async send(message) {
+            await fs.promises.mkdir(outboxDir, { recursive: true });
+            
+            // Timestamp first so a directory listing is in sending order
+            const stamp = message.date.replace(/[:.]/g, '-');
+            const file = path.join(outboxDir, `${stamp}_${message.messageId.split('@')[0]}.eml`);
+            
+            await fs.promises.writeFile(file, toEml(message));
+            return { file };
+        }
+    };
+}
+
+module.exports = { createOutboxTransport };
@@ -0,0 +1,72 @@
+// Password Strength Meter for IntelliBank
+// Live feedback under a new-password field, from the same rules the server
+// enforces: security/password-policy.js (load it before this script), with
+// the server's settings from /api/auth/password-policy and the bundled
+// common password list.
+
+const PASSWORD_METER_CONFIG = {
+    commonPasswordsUrl: 'security/common-passwords.txt'
+};
+
+// Fill `container` with a strength bar and the policy checklist for
+// `input`. getContext() returns { username, email } for the personal-info
+// rule; changes in `relatedInputs` re-check. Returns { result() }, the
+// latest evaluation (null before anything is typed).
+function attachPasswordMeter({ input, container, apiBase, getContext = () => ({}), relatedInputs = [] }) {
+    // Defaults until the server's settings and the list arrive; the server
+    // checks again on submit either way
+    let policy = PasswordPolicy.createPasswordPolicy();
+    let latest = null;
+    
+    const bar = document.createElement('div');
+    bar.className = 'password-meter-bar';
+    const fill = document.createElement('div');
+    bar.appendChild(fill);
+    
+    const label = document.createElement('span');
+    label.className = 'password-meter-label';
+    
+    const checklist = document.createElement('ul');
+    checklist.className = 'password-meter-checks';
+    
+    container.append(bar, label, checklist);
+    
+    function render() {
+        if (!input.value) {
+            latest = null;
+            container.style.display = 'none';
+            return;
+        }
+        
+        latest = policy.evaluate(input.value, getContext());
+        const { score, label: strengthLabel } = latest.strength;
+        
+        container.style.display = 'block';
+        fill.className = `password-meter-fill score-${score}`;
+        fill.style.width = `${(score + 1) * 20}%`;
+        label.textContent = `Strength: ${strengthLabel}`;
+        
+        checklist.replaceChildren(...latest.checks.map(check => {
+            const item = document.createElement('li');
+            item.className = check.passed ? 'passed' : 'failed';
+            item.textContent = check.requirement;
+            return item;
+        }));
+    }
+    
+    Promise.all([
+        fetch(`${apiBase}/auth/password-policy`).then(r => r.ok ? r.json() : null).catch(() => null),
+        fetch(PASSWORD_METER_CONFIG.commonPasswordsUrl).then(r => r.ok ? r.text() : '').catch(() => '')
+    ]).then(([policyResult, commonPasswords]) => {
+        policy = PasswordPolicy.createPasswordPolicy({
+            config: policyResult && policyResult.data ? policyResult.data.policy : {},
+            commonPasswords: PasswordPolicy.parseCommonPasswords(commonPasswords)
+        });
+        render();
+    });
+    
+    input.addEventListener('input', render);
+    relatedInputs.forEach(related => related.addEventListener('input', render));
+    
+    return { result: () => latest };
+}
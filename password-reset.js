@@ -0,0 +1,157 @@
+// Password Reset Page JavaScript for IntelliBank
+// Without a token: asks for a reset link (/api/auth/password/forgot).
+// Opened from the emailed link (password-reset.html?token=<token>): sets
+// the new password (/api/auth/password/reset).
+
+// ============================================
+// Configuration
+// ============================================
+const API_BASE = 'http://localhost:5000/api';
+const LOGIN_PAGE = 'login.html';
+
+// ============================================
+// Page Elements
+// ============================================
+const forgotForm = document.getElementById('forgotForm');
+const forgotBtn = document.getElementById('forgotBtn');
+const resetForm = document.getElementById('resetForm');
+const resetBtn = document.getElementById('resetBtn');
+const formTitle = document.getElementById('formTitle');
+const formSubtitle = document.getElementById('formSubtitle');
+const alertMessage = document.getElementById('alertMessage');
+
+// Live strength meter (password-meter.js). The account isn't known until
+// the server checks the token, so username/email rules apply on submit.
+const passwordMeter = attachPasswordMeter({
+    input: document.getElementById('password'),
+    container: document.getElementById('passwordMeter'),
+    apiBase: API_BASE
+});
+
+// ============================================
+// API Calls
+// ============================================
+// POST JSON; returns { response, result } with response null when the
+// server couldn't be reached
+async function apiPost(path, body) {
+    let response = null;
+    let result = null;
+    
+    try {
+        response = await fetch(API_BASE + path, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(body)
+        });
+        result = await response.json().catch(() => null);
+    } catch (err) {
+        console.error(`Request to ${path} failed:`, err);
+    }
+    
+    return { response, result };
+}
+
+// ============================================
+// Alerts
+// ============================================
+function showAlert(type, message, details = []) {
+    alertMessage.className = `alert-message ${type}`;
+    alertMessage.textContent = message;
+    
+    // Validation errors from the server, one per line
+    if (details.length > 0) {
+        const list = document.createElement('ul');
+        details.forEach(detail => {
+            const item = document.createElement('li');
+            item.textContent = detail;
+            list.appendChild(item);
+        });
+        alertMessage.appendChild(list);
+    }
+    
+    alertMessage.style.display = 'flex';
+}
+
+function showFailure(response, result, fallback) {
+    if (!response) {
+        showAlert('error', 'Unable to reach the server. Please check your connection and try again.');
+        return;
+    }
+    
+    const errors = (result && result.data && result.data.errors) || [];
+    showAlert('error', (result && result.message) || fallback, errors);
+}
+
+// ============================================
+// Step 1: Request a Reset Link
+// ============================================
+forgotForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    const email = document.getElementById('email').value.trim();
+    alertMessage.style.display = 'none';
+    
+    forgotBtn.disabled = true;
+    const { response, result } = await apiPost('/auth/password/forgot', { email });
+    forgotBtn.disabled = false;
+    
+    if (response && response.ok) {
+        forgotForm.style.display = 'none';
+        formTitle.textContent = 'Check Your Email';
+        formSubtitle.textContent = 'The link expires in 30 minutes';
+        showAlert('success', result.message);
+        return;
+    }
+    
+    showFailure(response, result, 'Could not send the reset link. Please try again later.');
+});
+
+// ============================================
+// Step 2: Set the New Password
+// ============================================
+const resetToken = new URLSearchParams(window.location.search).get('token');
+
+if (resetToken) {
+    forgotForm.style.display = 'none';
+    resetForm.style.display = 'block';
+    formTitle.textContent = 'Choose a New Password';
+    formSubtitle.textContent = 'You will be signed out on all your devices';
+    
+    // Keep the token out of the address bar and browser history
+    window.history.replaceState(null, '', window.location.pathname);
+}
+
+resetForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    const password = document.getElementById('password').value;
+    const confirmPassword = document.getElementById('confirmPassword').value;
+    alertMessage.style.display = 'none';
+    
+    const check = passwordMeter.result();
+    if (check && !check.valid) {
+        showAlert('error', 'Please choose a stronger password', check.errors);
+        return;
+    }
+    
+    if (password !== confirmPassword) {
+        showAlert('error', 'The passwords do not match');
+        return;
+    }
+    
+    resetBtn.disabled = true;
+    const { response, result } = await apiPost('/auth/password/reset', { token: resetToken, password });
+    resetBtn.disabled = false;
+    
+    if (response && response.ok) {
+        resetForm.style.display = 'none';
+        formTitle.textContent = 'Password Updated';
+        formSubtitle.innerHTML = `<a href="${LOGIN_PAGE}" class="register-link">Log in</a> with your new password`;
+        showAlert('success', result.message);
+        return;
+    }
+    
+    showFailure(response, result, 'Password reset failed. Please try again.');
+});
@@ -0,0 +1,175 @@
+// Registration Page JavaScript for IntelliBank
+// Opens an account via /api/auth/register, and confirms the email address
+// when opened from the verification link (register.html?verify=<token>)
+
+// ============================================
+// Configuration
+// ============================================
+const API_BASE = 'http://localhost:5000/api';
+const LOGIN_PAGE = 'login.html';
+
+// ============================================
+// Page Elements
+// ============================================
+const registerForm = document.getElementById('registerForm');
+const registerBtn = document.getElementById('registerBtn');
+const formTitle = document.getElementById('formTitle');
+const formSubtitle = document.getElementById('formSubtitle');
+const alertMessage = document.getElementById('alertMessage');
+const resendOptions = document.getElementById('resendOptions');
+const resendLink = document.getElementById('resendLink');
+
+let registeredEmail = null;
+
+// Live strength meter (password-meter.js)
+const passwordMeter = attachPasswordMeter({
+    input: document.getElementById('password'),
+    container: document.getElementById('passwordMeter'),
+    apiBase: API_BASE,
+    getContext: () => ({
+        username: document.getElementById('username').value,
+        email: document.getElementById('email').value
+    }),
+    relatedInputs: [document.getElementById('username'), document.getElementById('email')]
+});
+
+// ============================================
+// API Calls
+// ============================================
+// POST JSON; returns { response, result } with response null when the
+// server couldn't be reached
+async function apiPost(path, body) {
+    let response = null;
+    let result = null;
+    
+    try {
+        response = await fetch(API_BASE + path, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(body)
+        });
+        result = await response.json().catch(() => null);
+    } catch (err) {
+        console.error(`Request to ${path} failed:`, err);
+    }
+    
+    return { response, result };
+}
+
+// ============================================
+// Alerts
+// ============================================
+function showAlert(type, message, details = []) {
+    alertMessage.className = `alert-message ${type}`;
+    alertMessage.textContent = message;
+    
+    // Validation errors from the server, one per line
+    if (details.length > 0) {
+        const list = document.createElement('ul');
+        details.forEach(detail => {
+            const item = document.createElement('li');
+            item.textContent = detail;
+            list.appendChild(item);
+        });
+        alertMessage.appendChild(list);
+    }
+    
+    alertMessage.style.display = 'flex';
+}
+
+function showFailure(response, result, fallback) {
+    if (!response) {
+        showAlert('error', 'Unable to reach the server. Please check your connection and try again.');
+        return;
+    }
+    
+    const errors = (result && result.data && result.data.errors) || [];
+    showAlert('error', (result && result.message) || fallback, errors);
+}
+
+// ============================================
+// Registration
+// ============================================
+registerForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    const fullName = document.getElementById('fullName').value.trim();
+    const username = document.getElementById('username').value.trim();
+    const email = document.getElementById('email').value.trim();
+    const password = document.getElementById('password').value;
+    const confirmPassword = document.getElementById('confirmPassword').value;
+    
+    alertMessage.style.display = 'none';
+    
+    const check = passwordMeter.result();
+    if (check && !check.valid) {
+        showAlert('error', 'Please choose a stronger password', check.errors);
+        return;
+    }
+    
+    if (password !== confirmPassword) {
+        showAlert('error', 'The passwords do not match');
+        return;
+    }
+    
+    registerBtn.disabled = true;
+    const { response, result } = await apiPost('/auth/register', { fullName, username, email, password });
+    registerBtn.disabled = false;
+    
+    if (response && response.ok) {
+        registeredEmail = email;
+        registerForm.style.display = 'none';
+        resendOptions.style.display = 'block';
+        formTitle.textContent = 'Check Your Email';
+        formSubtitle.textContent = `We sent a verification link to ${email}`;
+        showAlert('success', 'Account created. Follow the link in the email to verify your address, then log in.');
+        return;
+    }
+    
+    showFailure(response, result, 'Registration failed. Please try again.');
+});
+
+resendLink.addEventListener('click', async (e) => {
+    e.preventDefault();
+    if (!registeredEmail) return;
+    
+    const { response, result } = await apiPost('/auth/verify-email/resend', { email: registeredEmail });
+    
+    if (response && response.ok) {
+        showAlert('success', result.message);
+    } else {
+        showFailure(response, result, 'Could not resend the email. Please try again later.');
+    }
+});
+
+// ============================================
+// Email Verification (link from the email)
+// ============================================
+async function verifyEmail(token) {
+    registerForm.style.display = 'none';
+    formTitle.textContent = 'Verifying Email';
+    formSubtitle.textContent = 'One moment...';
+    
+    // Keep the token out of the address bar and browser history
+    window.history.replaceState(null, '', window.location.pathname);
+    
+    const { response, result } = await apiPost('/auth/verify-email', { token });
+    
+    if (response && response.ok) {
+        formTitle.textContent = 'Email Verified';
+        formSubtitle.innerHTML = `Your account is ready. <a href="${LOGIN_PAGE}" class="register-link">Log in</a>`;
+        showAlert('success', result.message);
+        return;
+    }
+    
+    formTitle.textContent = 'Verification Failed';
+    formSubtitle.textContent = 'Register again, or log in to request a new link';
+    showFailure(response, result, 'Verification failed. Please try again.');
+}
+
+const verifyToken = new URLSearchParams(window.location.search).get('verify');
+if (verifyToken) {
+    verifyEmail(verifyToken);
+}
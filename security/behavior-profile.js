@@ -0,0 +1,167 @@
+// ============================================
+// Behavioral Baselines
+// login.js sends aggregate typing and mouse features with each login
+// (never keys or coordinates). Per user we keep a running mean and
+// variance of each feature, learned from successful logins, and score
+// every new attempt by how close it is to that baseline:
+//
+//   similarity 100 - indistinguishable from the user's usual behaviour
+//   similarity 0   - every compared feature is a far outlier
+//   null           - no baseline yet (fewer than minSamples logins)
+// ============================================
+
+// Accepted range per feature; anything outside is treated as missing
+const FEATURES = {
+    'keystroke.dwellMean': [0, 2000],
+    'keystroke.dwellStd': [0, 2000],
+    'keystroke.flightMean': [-2000, 3000],
+    'keystroke.flightStd': [0, 3000],
+    'keystroke.keysPerSecond': [0, 50],
+    'keystroke.correctionRate': [0, 1],
+    'mouse.velocityMean': [0, 50000],
+    'mouse.velocityStd': [0, 50000],
+    'mouse.curvatureMean': [0, Math.PI],
+    'mouse.straightness': [0, 1],
+    'paste.username': [0, 1],
+    'paste.password': [0, 1]
+};
+
+// Features that are 0/1 flags: compared as a rate, not a distribution
+const FLAGS = new Set(['paste.username', 'paste.password']);
+
+const DEFAULT_CONFIG = {
+    // Logins needed before similarity is scored
+    minSamples: 3,
+    // After this many logins the baseline becomes an exponential moving
+    // average, so it follows gradual changes in how someone types
+    maxSamples: 20,
+    // Floor on the tolerance, relative to the mean, so a very consistent
+    // user isn't flagged for tiny deviations
+    relativeTolerance: 0.15,
+    // A feature this many tolerances away contributes 0 similarity
+    outlierDistance: 4,
+    // Successful logins scoring below this don't update the baseline, so
+    // someone else who knows the password can't retrain it
+    learnMinSimilarity: 50,
+    // Minimum activity for a feature group to be meaningful
+    minKeystrokes: 5,
+    minMouseSamples: 5
+};
+
+const round = (value, places = 3) => Number(value.toFixed(places));
+
+function createBehaviorProfiler({ storage, config = {} }) {
+    const settings = { ...DEFAULT_CONFIG, ...config };
+    
+    // Flatten the client payload to the known numeric features, dropping
+    // groups without enough activity. Returns null if nothing is usable.
+    function sanitize(behavior) {
+        if (!behavior || typeof behavior !== 'object') return null;
+        
+        const { keystroke = {}, mouse = {}, paste = {} } = behavior;
+        const groups = {
+            keystroke: Number(keystroke.keyCount) >= settings.minKeystrokes ? keystroke : null,
+            mouse: Number(mouse.sampleCount) >= settings.minMouseSamples ? mouse : null,
+            paste
+        };
+        
+        const features = {};
+        
+        for (const [name, [min, max]] of Object.entries(FEATURES)) {
+            const [group, field] = name.split('.');
+            let value = groups[group]?.[field];
+            
+            if (FLAGS.has(name)) value = value === true ? 1 : value === false ? 0 : value;
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) continue;
+            
+            features[name] = round(value);
+        }
+        
+        return Object.keys(features).length > 0 ? features : null;
+    }
+    
+    // Compare features to the user's baseline
+    async function score(userId, features) {
+        const baseline = await storage.behaviorBaselines.find({ user_id: userId });
+        const samples = baseline?.samples || 0;
+        
+        if (!features || samples < settings.minSamples) {
+            return { similarity: null, compared: 0, samples, outliers: [] };
+        }
+        
+        let total = 0;
+        let compared = 0;
+        const outliers = [];
+        
+        for (const [name, value] of Object.entries(features)) {
+            const stats = baseline.features[name];
+            if (!stats || stats.n < settings.minSamples) continue;
+            
+            let featureSimilarity;
+            
+            if (FLAGS.has(name)) {
+                // e.g. pasting a password someone always types
+                featureSimilarity = 1 - Math.abs(value - stats.mean);
+            } else {
+                const tolerance = Math.max(
+                    Math.sqrt(stats.variance),
+                    Math.abs(stats.mean) * settings.relativeTolerance,
+                    0.001
+                );
+                const distance = Math.abs(value - stats.mean) / tolerance;
+                featureSimilarity = Math.max(0, 1 - distance / settings.outlierDistance);
+            }
+            
+            if (featureSimilarity < 0.25) outliers.push(name);
+            total += featureSimilarity;
+            compared++;
+        }
+        
+        return {
+            similarity: compared > 0 ? Math.round(100 * total / compared) : null,
+            compared,
+            samples,
+            outliers
+        };
+    }
+    
+    // Fold a successful login's features into the baseline. `match` is the
+    // score() result for the same login.
+    async function learn(userId, features, match) {
+        if (!features) return false;
+        if (match && match.similarity !== null && match.similarity < settings.learnMinSimilarity) return false;
+        
+        const now = new Date().toISOString();
+        
+        const fold = baseline => {
+            baseline.samples++;
+            baseline.updated_at = now;
+            
+            for (const [name, value] of Object.entries(features)) {
+                const stats = baseline.features[name] || { n: 0, mean: 0, variance: 0 };
+                const n = Math.min(stats.n + 1, settings.maxSamples);
+                const weight = 1 / n;
+                const delta = value - stats.mean;
+                
+                // Welford's update; once n is capped this is an EWMA
+                stats.mean = round(stats.mean + weight * delta, 6);
+                stats.variance = round((1 - weight) * (stats.variance + weight * delta * delta), 6);
+                stats.n = stats.n + 1;
+                
+                baseline.features[name] = stats;
+            }
+        };
+        
+        await storage.behaviorBaselines.upsert({ user_id: userId }, fold, () => {
+            const baseline = { user_id: userId, samples: 0, created_at: now, updated_at: now, features: {} };
+            fold(baseline);
+            return baseline;
+        });
+        
+        return true;
+    }
+    
+    return { settings, sanitize, score, learn };
+}
+
+module.exports = { createBehaviorProfiler, FEATURES };
@@ -0,0 +1,152 @@
+// ============================================
+// Login Bot Detection
+// Scores how likely a login attempt is automated, before the password is
+// checked, from three sources:
+//
+//   client signals  - `automation` sent by login.js (navigator.webdriver,
+//                     headless user agent, time from page load to submit)
+//   behaviour       - the typing/mouse summary sent with the login
+//   event stream    - what the session's telemetry shows happened on the
+//                     page (field focus, fill times, pastes)
+//
+// Each signal adds points (0-100 total). The score maps to a decision:
+// allow, challenge or reject.
+// ============================================
+
+const BOT_DECISIONS = {
+    ALLOW: 'allow',
+    CHALLENGE: 'challenge',
+    REJECT: 'reject'
+};
+
+const DEFAULT_CONFIG = {
+    challengeThreshold: 50,
+    rejectThreshold: 80,
+    
+    // Telemetry older than this isn't part of the login the user is doing
+    eventWindowMs: 30 * 60 * 1000,
+    
+    // Humans don't submit a login form faster than this after page load
+    minFormTimeMs: 1500,
+    // ...or fill a field (focus to blur) faster than this
+    minFieldTimeMs: 150,
+    // ...or type faster than this many keys per second
+    maxKeysPerSecond: 20
+};
+
+function createBotDetector({ storage, config = {} }) {
+    const settings = { ...DEFAULT_CONFIG, ...config };
+    
+    function clientSignals(automation) {
+        if (!automation || typeof automation !== 'object') return [];
+        
+        const signals = [];
+        
+        if (automation.webdriver === true) {
+            signals.push({ signal: 'webdriver', points: 60, detail: 'navigator.webdriver is set (browser under automation)' });
+        }
+        if (automation.headless === true) {
+            signals.push({ signal: 'headless_browser', points: 40, detail: 'Headless browser user agent' });
+        }
+        if (automation.pluginCount === 0 && automation.languageCount === 0) {
+            signals.push({ signal: 'bare_browser', points: 10, detail: 'Browser exposes no plugins or languages' });
+        }
+        if (typeof automation.msSincePageLoad === 'number' && automation.msSincePageLoad < settings.minFormTimeMs) {
+            signals.push({
+                signal: 'instant_submit',
+                points: 25,
+                detail: `Form submitted ${automation.msSincePageLoad}ms after page load`
+            });
+        }
+        
+        return signals;
+    }
+    
+    function behaviorSignals(behavior, automation) {
+        if (!behavior || typeof behavior !== 'object') {
+            return [{ signal: 'no_interaction_data', points: 30, detail: 'No typing or mouse data (not sent from the login page)' }];
+        }
+        
+        const signals = [];
+        const { keystroke = {}, mouse = {}, paste = {} } = behavior;
+        
+        if (mouse.sampleCount === 0 && !(automation?.touchPoints > 0)) {
+            signals.push({ signal: 'no_mouse_movement', points: 15, detail: 'No mouse movement on a non-touch device' });
+        }
+        if (keystroke.keyCount === 0 && !(paste.username && paste.password)) {
+            signals.push({ signal: 'filled_without_typing', points: 20, detail: 'Fields filled without typing or pasting' });
+        }
+        if (keystroke.keyCount >= 5 && keystroke.dwellStd !== null && keystroke.dwellStd < 3 &&
+            keystroke.flightStd !== null && keystroke.flightStd < 5) {
+            signals.push({ signal: 'uniform_typing', points: 15, detail: 'Machine-regular keystroke timing' });
+        }
+        if (keystroke.keysPerSecond > settings.maxKeysPerSecond) {
+            signals.push({ signal: 'superhuman_typing', points: 15, detail: `${keystroke.keysPerSecond} keys per second` });
+        }
+        
+        return signals;
+    }
+    
+    async function eventStreamSignals(sessionId) {
+        if (!sessionId) {
+            return [{ signal: 'no_session', points: 15, detail: 'No client session ID' }];
+        }
+        
+        const since = new Date(Date.now() - settings.eventWindowMs).toISOString();
+        const events = await storage.eventLogs.list({ session_id: sessionId }, { since });
+        
+        if (events.length === 0) {
+            return [{ signal: 'no_telemetry', points: 15, detail: 'No page events recorded for this session' }];
+        }
+        
+        const signals = [];
+        const ofType = type => events.filter(event => event.event_type === type);
+        
+        if (ofType('INPUT_FOCUS').length === 0) {
+            signals.push({ signal: 'no_field_focus', points: 15, detail: 'Login fields were never focused' });
+        }
+        
+        const fastFields = ofType('INPUT_BLUR').filter(event =>
+            event.event_data?.hasValue && event.event_data.timeSpent < settings.minFieldTimeMs
+        );
+        if (fastFields.length > 0) {
+            signals.push({
+                signal: 'instant_field_fill',
+                points: 10,
+                detail: `${fastFields.length} field(s) filled in under ${settings.minFieldTimeMs}ms`
+            });
+        }
+        
+        const pasted = new Set(ofType('PASTE_DETECTED').map(event => event.event_data?.field));
+        if (pasted.has('username') && pasted.has('password')) {
+            signals.push({ signal: 'pasted_credentials', points: 10, detail: 'Both username and password were pasted' });
+        }
+        
+        return signals;
+    }
+    
+    function decide(score) {
+        if (score >= settings.rejectThreshold) return BOT_DECISIONS.REJECT;
+        if (score >= settings.challengeThreshold) return BOT_DECISIONS.CHALLENGE;
+        return BOT_DECISIONS.ALLOW;
+    }
+    
+    return {
+        settings,
+        
+        // Returns { score, decision, signals: [{ signal, points, detail }] }
+        async assess({ sessionId, behavior, automation }) {
+            const signals = [
+                ...clientSignals(automation),
+                ...behaviorSignals(behavior, automation),
+                ...await eventStreamSignals(sessionId)
+            ];
+            
+            const score = Math.min(signals.reduce((sum, s) => sum + s.points, 0), 100);
+            
+            return { score, decision: decide(score), signals };
+        }
+    };
+}
+
+module.exports = { createBotDetector, BOT_DECISIONS };
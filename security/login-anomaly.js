@@ -0,0 +1,241 @@
+// ============================================
+// Login Anomaly Detection
+// Runs after each login attempt is recorded and returns the alerts it
+// raises (the caller stores them). Detectors:
+//
+//   NEW_DEVICE           - successful login from a fingerprint the user
+//                          has never signed in from
+//   CREDENTIAL_STUFFING  - many different usernames failing from one IP
+//   PASSWORD_SPRAYING    - one username failing from many different IPs
+//   USER_NOT_FOUND_BURST - burst of logins for non-existent usernames
+//   IMPOSSIBLE_TRAVEL    - consecutive logins whose timezone offsets are
+//                          further apart than the elapsed time allows
+//
+// Every alert carries a group_key (e.g. the IP for stuffing) so repeats
+// of the same incident can be suppressed by the caller.
+// ============================================
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const DEFAULT_CONFIG = {
+    newDevice: {
+        historyWindowMs: 90 * 24 * HOUR
+    },
+    credentialStuffing: {
+        windowMs: 10 * MINUTE,
+        distinctUsernames: 5
+    },
+    passwordSpraying: {
+        windowMs: 30 * MINUTE,
+        distinctIPs: 5
+    },
+    userNotFoundBurst: {
+        windowMs: 5 * MINUTE,
+        attempts: 20
+    },
+    impossibleTravel: {
+        historyWindowMs: 7 * 24 * HOUR,
+        // A long-haul flight crosses roughly one timezone per hour
+        maxHoursShiftPerHour: 1,
+        minShiftHours: 3
+    }
+};
+
+const isFailure = attempt => attempt.attempt_status === 'FAILURE';
+const isSuccess = attempt => attempt.attempt_status === 'SUCCESS';
+
+function createLoginAnomalyDetector({ storage, config = {} }) {
+    const settings = {};
+    for (const [name, defaults] of Object.entries(DEFAULT_CONFIG)) {
+        settings[name] = { ...defaults, ...config[name] };
+    }
+    
+    const sinceFor = (attempt, windowMs) =>
+        new Date(new Date(attempt.timestamp).getTime() - windowMs).toISOString();
+    
+    async function newDevice(attempt) {
+        if (!isSuccess(attempt) || !attempt.device_fingerprint) return null;
+        
+        const history = (await storage.loginAttempts.list({ username: attempt.username }, {
+            since: sinceFor(attempt, settings.newDevice.historyWindowMs)
+        })).filter(a => isSuccess(a) && a.attempt_id !== attempt.attempt_id);
+        
+        // A user's very first login has nothing to compare against
+        if (history.length === 0) return null;
+        if (history.some(a => a.device_fingerprint === attempt.device_fingerprint)) return null;
+        
+        return {
+            rule_id: 'NEW_DEVICE',
+            severity: 'low',
+            title: `New device for ${attempt.username}`,
+            description: `Successful login from a device not seen in the last ${Math.round(settings.newDevice.historyWindowMs / (24 * HOUR))} days`,
+            group_key: `${attempt.username}|${attempt.device_fingerprint}`,
+            attempt_ids: [attempt.attempt_id],
+            evidence: {
+                device_fingerprint: attempt.device_fingerprint,
+                user_agent: attempt.user_agent,
+                known_devices: new Set(history.map(a => a.device_fingerprint).filter(Boolean)).size
+            }
+        };
+    }
+    
+    async function credentialStuffing(attempt) {
+        if (!isFailure(attempt)) return null;
+        
+        const { windowMs, distinctUsernames } = settings.credentialStuffing;
+        const failures = (await storage.loginAttempts.list({ ip_address: attempt.ip_address }, {
+            since: sinceFor(attempt, windowMs)
+        })).filter(isFailure);
+        
+        const usernames = new Set(failures.map(a => a.username));
+        if (usernames.size < distinctUsernames) return null;
+        
+        return {
+            rule_id: 'CREDENTIAL_STUFFING',
+            severity: 'high',
+            username: null,
+            user_id: null,
+            title: `Possible credential stuffing from ${attempt.ip_address}`,
+            description: `${usernames.size} different usernames failed to log in from one IP within ${windowMs / MINUTE} minutes`,
+            group_key: attempt.ip_address,
+            attempt_ids: failures.map(a => a.attempt_id),
+            evidence: {
+                distinct_usernames: usernames.size,
+                failures: failures.length,
+                usernames: [...usernames].slice(0, 20)
+            }
+        };
+    }
+    
+    async function passwordSpraying(attempt) {
+        if (!isFailure(attempt)) return null;
+        
+        const { windowMs, distinctIPs } = settings.passwordSpraying;
+        const failures = (await storage.loginAttempts.list({ username: attempt.username }, {
+            since: sinceFor(attempt, windowMs)
+        })).filter(isFailure);
+        
+        const ips = new Set(failures.map(a => a.ip_address));
+        if (ips.size < distinctIPs) return null;
+        
+        return {
+            rule_id: 'PASSWORD_SPRAYING',
+            severity: 'high',
+            title: `Distributed password attack on ${attempt.username}`,
+            description: `Failed logins for one username from ${ips.size} different IPs within ${windowMs / MINUTE} minutes`,
+            group_key: attempt.username,
+            attempt_ids: failures.map(a => a.attempt_id),
+            evidence: {
+                distinct_ips: ips.size,
+                failures: failures.length,
+                ip_addresses: [...ips].slice(0, 20)
+            }
+        };
+    }
+    
+    async function userNotFoundBurst(attempt) {
+        if (attempt.failure_reason !== 'user_not_found') return null;
+        
+        const { windowMs, attempts: threshold } = settings.userNotFoundBurst;
+        const misses = await storage.loginAttempts.list(
+            a => a.failure_reason === 'user_not_found',
+            { since: sinceFor(attempt, windowMs) }
+        );
+        
+        if (misses.length < threshold) return null;
+        
+        return {
+            rule_id: 'USER_NOT_FOUND_BURST',
+            severity: 'medium',
+            username: null,
+            user_id: null,
+            ip_address: null,
+            title: 'Burst of logins for unknown usernames',
+            description: `${misses.length} logins for non-existent usernames within ${windowMs / MINUTE} minutes (possible username enumeration)`,
+            // One incident across all IPs
+            group_key: 'global',
+            attempt_ids: misses.map(a => a.attempt_id),
+            evidence: {
+                attempts: misses.length,
+                distinct_ips: new Set(misses.map(a => a.ip_address)).size,
+                distinct_usernames: new Set(misses.map(a => a.username)).size
+            }
+        };
+    }
+    
+    async function impossibleTravel(attempt) {
+        if (!isSuccess(attempt) || typeof attempt.timezone_offset !== 'number') return null;
+        
+        const { historyWindowMs, maxHoursShiftPerHour, minShiftHours } = settings.impossibleTravel;
+        const previous = (await storage.loginAttempts.list({ username: attempt.username }, {
+            since: sinceFor(attempt, historyWindowMs)
+        })).filter(a =>
+            isSuccess(a) &&
+            a.attempt_id !== attempt.attempt_id &&
+            typeof a.timezone_offset === 'number'
+        ).pop();
+        
+        if (!previous) return null;
+        
+        // getTimezoneOffset() is in minutes
+        const shiftHours = Math.abs(attempt.timezone_offset - previous.timezone_offset) / 60;
+        const elapsedHours = (new Date(attempt.timestamp) - new Date(previous.timestamp)) / HOUR;
+        
+        if (shiftHours < minShiftHours || shiftHours <= elapsedHours * maxHoursShiftPerHour) return null;
+        
+        return {
+            rule_id: 'IMPOSSIBLE_TRAVEL',
+            severity: 'high',
+            title: `Impossible travel for ${attempt.username}`,
+            description: `Timezone moved ${shiftHours}h (${previous.timezone || 'unknown'} → ${attempt.timezone || 'unknown'}) in ${elapsedHours.toFixed(1)}h between logins`,
+            group_key: `${attempt.username}|${previous.timezone_offset}|${attempt.timezone_offset}`,
+            attempt_ids: [previous.attempt_id, attempt.attempt_id],
+            evidence: {
+                previous: {
+                    timestamp: previous.timestamp,
+                    ip_address: previous.ip_address,
+                    timezone: previous.timezone,
+                    timezone_offset: previous.timezone_offset
+                },
+                current: {
+                    timestamp: attempt.timestamp,
+                    ip_address: attempt.ip_address,
+                    timezone: attempt.timezone,
+                    timezone_offset: attempt.timezone_offset
+                },
+                shift_hours: shiftHours,
+                elapsed_hours: Number(elapsedHours.toFixed(2))
+            }
+        };
+    }
+    
+    const detectors = [newDevice, credentialStuffing, passwordSpraying, userNotFoundBurst, impossibleTravel];
+    
+    return {
+        settings,
+        
+        // Alerts raised by a stored attempt (with its attempt_id assigned)
+        async inspect(attempt) {
+            const alerts = [];
+            
+            for (const detect of detectors) {
+                const alert = await detect(attempt);
+                if (!alert) continue;
+                
+                alerts.push({
+                    source: 'login_anomaly',
+                    username: attempt.username,
+                    user_id: attempt.user_id,
+                    ip_address: attempt.ip_address,
+                    session_id: attempt.session_id,
+                    ...alert
+                });
+            }
+            
+            return alerts;
+        }
+    };
+}
+
+module.exports = { createLoginAnomalyDetector };
@@ -0,0 +1,146 @@
+// ============================================
+// Login Proof-of-Work Challenge
+// Hashcash-style: the server issues a signed token and a difficulty in
+// bits; the client must find a solution such that
+//
+//   SHA-256(`${token}:${solution}`) starts with `difficulty` zero bits
+//
+// Each extra bit doubles the expected work (16 bits is ~65k hashes). The
+// difficulty grows as the IP's reputation drops and failures pile up, so
+// a person logging in pays a second or two once while a script pays on
+// every attempt. Tokens are stateless (HMAC-signed), bound to the IP and
+// username, short-lived and single-use.
+// ============================================
+
+const crypto = require('crypto');
+
+const DEFAULT_CONFIG = {
+    // No challenge while the IP's reputation is at or above this...
+    reputationThreshold: 75,
+    // ...and fewer than this many recent failures (username or IP)
+    failureThreshold: 3,
+    
+    // Bits for the first level of suspicion, and the ceiling
+    baseBits: 14,
+    maxBits: 20,
+    // One more bit per this many reputation points below the threshold
+    reputationPointsPerBit: 15,
+    // Extra bits when the bot score asks for a challenge
+    botChallengeBits: 2,
+    
+    ttlMs: 2 * 60 * 1000
+};
+
+function toBase64Url(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+function leadingZeroBits(buffer) {
+    let bits = 0;
+    
+    for (const byte of buffer) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        return bits + Math.clz32(byte) - 24;
+    }
+    
+    return bits;
+}
+
+function createLoginChallenge({ secret = crypto.randomBytes(32), config = {} } = {}) {
+    const settings = { ...DEFAULT_CONFIG, ...config };
+    
+    // Solved tokens until they expire, so each can only be used once
+    const usedTokens = new Map();
+    
+    const sign = payload => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+    
+    function pruneUsedTokens(now) {
+        for (const [token, expiresAt] of usedTokens) {
+            if (expiresAt <= now) usedTokens.delete(token);
+        }
+    }
+    
+    return {
+        settings,
+        
+        // Bits of work required for this attempt (0 = no challenge) and why
+        difficultyFor({ reputationScore = 100, failures = 0, botChallenge = false }) {
+            const reasons = [];
+            let bits = 0;
+            
+            if (reputationScore < settings.reputationThreshold) {
+                bits = settings.baseBits +
+                    Math.floor((settings.reputationThreshold - 1 - reputationScore) / settings.reputationPointsPerBit);
+                reasons.push('ip_reputation');
+            }
+            
+            if (failures >= settings.failureThreshold) {
+                bits = Math.max(bits, settings.baseBits) + (failures - settings.failureThreshold);
+                reasons.push('recent_failures');
+            }
+            
+            if (botChallenge) {
+                bits = Math.max(bits, settings.baseBits) + settings.botChallengeBits;
+                reasons.push('bot_score');
+            }
+            
+            return { difficulty: Math.min(bits, settings.maxBits), reasons };
+        },
+        
+        issue({ ipAddress, username, difficulty }) {
+            const expiresAt = Date.now() + settings.ttlMs;
+            const payload = toBase64Url(JSON.stringify({
+                ip: ipAddress,
+                user: username,
+                bits: difficulty,
+                exp: expiresAt,
+                nonce: crypto.randomBytes(8).toString('hex')
+            }));
+            
+            return {
+                type: 'proof_of_work',
+                algorithm: 'sha256',
+                token: `${payload}.${sign(payload)}`,
+                difficulty,
+                expiresAt: new Date(expiresAt).toISOString()
+            };
+        },
+        
+        // Returns { valid: true } or { valid: false, reason }
+        verify({ token, solution, ipAddress, username, difficulty }) {
+            if (typeof token !== 'string' || typeof solution !== 'string' || solution.length > 64) {
+                return { valid: false, reason: 'missing' };
+            }
+            
+            const [payload, signature = ''] = token.split('.');
+            const expected = sign(payload);
+            
+            if (signature.length !== expected.length ||
+                !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+                return { valid: false, reason: 'bad_signature' };
+            }
+            
+            const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+            const now = Date.now();
+            
+            if (claims.exp <= now) return { valid: false, reason: 'expired' };
+            if (claims.ip !== ipAddress || claims.user !== username) return { valid: false, reason: 'wrong_binding' };
+            // Suspicion may have grown since the token was issued
+            if (claims.bits < difficulty) return { valid: false, reason: 'too_easy' };
+            
+            pruneUsedTokens(now);
+            if (usedTokens.has(token)) return { valid: false, reason: 'reused' };
+            
+            const hash = crypto.createHash('sha256').update(`${token}:${solution}`).digest();
+            if (leadingZeroBits(hash) < claims.bits) return { valid: false, reason: 'wrong_solution' };
+            
+            usedTokens.set(token, claims.exp);
+            return { valid: true };
+        }
+    };
+}
+
+module.exports = { createLoginChallenge, leadingZeroBits };
@@ -0,0 +1,140 @@
+// ============================================
+// Two-Factor Authentication
+// RFC 6238 TOTP (HMAC-SHA1, 6 digits, 30 second steps - what Google
+// Authenticator, Authy, 1Password etc. expect) and single-use recovery
+// codes. Recovery codes are random, so a plain SHA-256 is enough to store
+// them; only the hashes are kept.
+// ============================================
+
+const crypto = require('crypto');
+
+const TOTP = {
+    digits: 6,
+    stepSeconds: 30,
+    // Accept codes one step either side to allow for clock drift
+    window: 1,
+    secretBytes: 20
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    
+    for (const byte of buffer) {
+        value = ((value << 8) | byte) & 0xffff;
+        bits += 8;
+        
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    
+    return output;
+}
+
+function base32Decode(encoded) {
+    const clean = encoded.toUpperCase().replace(/[\s=-]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+    
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 secret');
+        
+        value = ((value << 5) | index) & 0xffff;
+        bits += 5;
+        
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    
+    return Buffer.from(bytes);
+}
+
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(TOTP.secretBytes));
+}
+
+// RFC 4226 HOTP value for one counter
+function hotp(secret, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    
+    return String(binary % 10 ** TOTP.digits).padStart(TOTP.digits, '0');
+}
+
+function timeStep(now = Date.now()) {
+    return Math.floor(now / 1000 / TOTP.stepSeconds);
+}
+
+// Returns the time step the code matched, or null. Steps at or before
+// lastUsedStep are refused so an observed code can't be replayed.
+function verifyTotp(secret, code, { lastUsedStep = -1, now = Date.now() } = {}) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== TOTP.digits) return null;
+    
+    const current = timeStep(now);
+    
+    for (let step = current - TOTP.window; step <= current + TOTP.window; step++) {
+        if (step <= lastUsedStep) continue;
+        
+        const expected = hotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    
+    return null;
+}
+
+// Key URI understood by authenticator apps (usually shown as a QR code)
+function otpauthUri({ secret, account, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP.digits),
+        period: String(TOTP.stepSeconds)
+    });
+    
+    return `otpauth://totp/${label}?${params}`;
+}
+
+// Codes look like "4f9c-2a7e-b1d0" (48 random bits each)
+function generateRecoveryCodes(count) {
+    return Array.from({ length: count }, () =>
+        crypto.randomBytes(6).toString('hex').match(/.{4}/g).join('-')
+    );
+}
+
+function hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+module.exports = {
+    TOTP,
+    generateSecret,
+    hotp,
+    timeStep,
+    verifyTotp,
+    otpauthUri,
+    generateRecoveryCodes,
+    hashRecoveryCode
+};
@@ -0,0 +1,101 @@
+// ============================================
+// Password Hashing
+// Stored format (versioned, PHC-style):
+//   $scrypt$v=1$n=16384,r=8,p=1$<salt base64>$<hash base64>
+// Bump `version` or the cost parameters to have existing hashes
+// transparently re-hashed on the next successful login.
+// ============================================
+
+const crypto = require('crypto');
+const util = require('util');
+
+const PASSWORD_HASH = {
+    algorithm: 'scrypt',
+    version: 1,
+    cost: 16384,
+    blockSize: 8,
+    parallelization: 1,
+    saltBytes: 16,
+    keyLength: 64
+};
+
+const scryptAsync = util.promisify(crypto.scrypt);
+
+async function hashPassword(password) {
+    if (typeof password !== 'string') throw new TypeError('password must be a string');
+    
+    const { version, cost, blockSize, parallelization, saltBytes, keyLength } = PASSWORD_HASH;
+    const salt = crypto.randomBytes(saltBytes);
+    const derivedKey = await scryptAsync(password, salt, keyLength, {
+        N: cost,
+        r: blockSize,
+        p: parallelization
+    });
+    
+    return `$scrypt$v=${version}$n=${cost},r=${blockSize},p=${parallelization}` +
+           `$${salt.toString('base64')}$${derivedKey.toString('base64')}`;
+}
+
+// Returns null for anything that isn't a hash produced by hashPassword()
+function parsePasswordHash(stored) {
+    if (typeof stored !== 'string') return null;
+    
+    const parts = stored.split('$');
+    // ['', 'scrypt', 'v=1', 'n=..,r=..,p=..', salt, hash]
+    if (parts.length !== 6 || parts[0] !== '' || parts[1] !== PASSWORD_HASH.algorithm) {
+        return null;
+    }
+    
+    const version = parseInt(parts[2].replace('v=', ''), 10);
+    const params = Object.fromEntries(
+        parts[3].split(',').map(pair => pair.split('=')).map(([k, v]) => [k, parseInt(v, 10)])
+    );
+    const salt = Buffer.from(parts[4], 'base64');
+    const hash = Buffer.from(parts[5], 'base64');
+    
+    if (!version || !params.n || !params.r || !params.p || salt.length === 0 || hash.length === 0) {
+        return null;
+    }
+    
+    return {
+        version,
+        cost: params.n,
+        blockSize: params.r,
+        parallelization: params.p,
+        salt,
+        hash
+    };
+}
+
+// False (never an error) for a non-string password or unreadable hash
+async function verifyPassword(password, stored) {
+    const parsed = parsePasswordHash(stored);
+    if (!parsed || typeof password !== 'string') return false;
+    
+    const derivedKey = await scryptAsync(password, parsed.salt, parsed.hash.length, {
+        N: parsed.cost,
+        r: parsed.blockSize,
+        p: parsed.parallelization
+    });
+    
+    return crypto.timingSafeEqual(derivedKey, parsed.hash);
+}
+
+function passwordNeedsRehash(stored) {
+    const parsed = parsePasswordHash(stored);
+    
+    return !parsed ||
+           parsed.version !== PASSWORD_HASH.version ||
+           parsed.cost !== PASSWORD_HASH.cost ||
+           parsed.blockSize !== PASSWORD_HASH.blockSize ||
+           parsed.parallelization !== PASSWORD_HASH.parallelization ||
+           parsed.hash.length !== PASSWORD_HASH.keyLength;
+}
+
+module.exports = {
+    PASSWORD_HASH,
+    hashPassword,
+    parsePasswordHash,
+    verifyPassword,
+    passwordNeedsRehash
+};
@@ -0,0 +1,171 @@
+// ============================================
+// Password Policy
+// The rules for new passwords, shared by the server (registration, reset,
+// change) and the strength meter on the registration and reset pages. The
+// server require()s this file; the pages load it as a plain script and
+// get window.PasswordPolicy, so it must not use Node-only APIs.
+//
+// evaluate() checks:
+//   length   - minLength..maxLength characters
+//   classes  - at least minCharacterClasses of lowercase, uppercase,
+//              digits and symbols
+//   personal - no part of the username or email address
+//   common   - not on the common/breached password list, also after
+//              stripping digits and symbols from the ends and undoing
+//              l33t substitutions ("P@ssw0rd123!" counts as "password")
+//
+// Reuse of recent passwords (historySize) needs the stored hashes, so the
+// server checks that itself.
+// ============================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PasswordPolicy = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DEFAULT_POLICY = {
+        minLength: 10,
+        maxLength: 128,
+        minCharacterClasses: 3,
+        // Username/email parts shorter than this aren't checked for
+        minPersonalLength: 3,
+        checkCommon: true,
+        // Previous passwords that can't be reused (checked by the server)
+        historySize: 5
+    };
+    
+    const CHARACTER_CLASSES = {
+        lowercase: /[a-z]/,
+        uppercase: /[A-Z]/,
+        digit: /[0-9]/,
+        symbol: /[^A-Za-z0-9]/
+    };
+    
+    // Characters in each class, for the strength estimate
+    const CLASS_SIZES = { lowercase: 26, uppercase: 26, digit: 10, symbol: 33 };
+    
+    const LEET = { '@': 'a', '4': 'a', '8': 'b', '3': 'e', '1': 'i', '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't', '+': 't' };
+    
+    const STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Strong', 'Very strong'];
+    
+    // The bundled list format: one password per line, # comments
+    function parseCommonPasswords(text) {
+        return new Set(
+            String(text)
+                .split(/\r?\n/)
+                .map(line => line.trim().toLowerCase())
+                .filter(line => line && !line.startsWith('#'))
+        );
+    }
+    
+    // The password as typed, and the word it's most likely built on
+    function commonForms(password) {
+        const lower = password.toLowerCase();
+        const stripped = lower.replace(/[^a-z]+$/, '').replace(/^[0-9]+/, '');
+        const unleet = value => value.replace(/[@4831!05$7+]/g, char => LEET[char]);
+        
+        return [lower, stripped, unleet(lower), unleet(stripped)].filter(form => form.length > 0);
+    }
+    
+    function personalParts({ username, email }) {
+        const parts = new Set();
+        const add = value => {
+            if (!value) return;
+            const lower = String(value).toLowerCase();
+            parts.add(lower);
+            lower.split(/[^a-z0-9]+/).forEach(part => parts.add(part));
+        };
+        
+        add(username);
+        add(email ? String(email).split('@')[0] : '');
+        return parts;
+    }
+    
+    // Rough guessing-resistance score 0-4: bits from length and character
+    // variety, discounted for repeats and runs like "aaa" or "1234"
+    function estimateStrength(password, characterClasses) {
+        if (!password) return 0;
+        
+        const pool = characterClasses.reduce((sum, name) => sum + CLASS_SIZES[name], 0);
+        let bits = password.length * Math.log2(Math.max(pool, 2));
+        
+        if (/(.)\1\1/.test(password)) bits *= 0.75;
+        if (/(?:0123|1234|2345|3456|4567|5678|6789|abcd|bcde|cdef|qwer|asdf|zxcv)/i.test(password)) bits *= 0.75;
+        
+        if (bits < 30) return 0;
+        if (bits < 45) return 1;
+        if (bits < 60) return 2;
+        if (bits < 80) return 3;
+        return 4;
+    }
+    
+    function createPasswordPolicy({ config = {}, commonPasswords = new Set() } = {}) {
+        const settings = { ...DEFAULT_POLICY, ...config };
+        
+        // Returns { valid, checks: [{ rule, passed, requirement, error }],
+        // errors, strength: { score, label } }
+        function evaluate(password, { username, email } = {}) {
+            const value = typeof password === 'string' ? password : '';
+            const lower = value.toLowerCase();
+            const checks = [];
+            
+            const tooLong = value.length > settings.maxLength;
+            checks.push({
+                rule: 'length',
+                passed: value.length >= settings.minLength && !tooLong,
+                requirement: `At least ${settings.minLength} characters`,
+                error: tooLong
+                    ? `Password must be at most ${settings.maxLength} characters`
+                    : `Password must be at least ${settings.minLength} characters`
+            });
+            
+            const characterClasses = Object.keys(CHARACTER_CLASSES).filter(name => CHARACTER_CLASSES[name].test(value));
+            if (settings.minCharacterClasses > 0) {
+                checks.push({
+                    rule: 'classes',
+                    passed: characterClasses.length >= settings.minCharacterClasses,
+                    requirement: `${settings.minCharacterClasses} of: lowercase, uppercase, numbers, symbols`,
+                    error: `Password must use at least ${settings.minCharacterClasses} of: lowercase letters, uppercase letters, numbers, symbols`
+                });
+            }
+            
+            const personal = [...personalParts({ username, email })]
+                .filter(part => part.length >= settings.minPersonalLength);
+            checks.push({
+                rule: 'personal',
+                passed: !personal.some(part => lower.includes(part)),
+                requirement: 'Not based on your username or email',
+                error: 'Password must not contain your username or email address'
+            });
+            
+            const isCommon = settings.checkCommon && commonForms(value).some(form => commonPasswords.has(form));
+            if (settings.checkCommon) {
+                checks.push({
+                    rule: 'common',
+                    passed: !isCommon,
+                    requirement: 'Not a common or breached password',
+                    error: 'Password is too common - it appears in lists of breached passwords'
+                });
+            }
+            
+            const failed = checks.filter(check => !check.passed);
+            
+            // A password that breaks a rule is never shown as better than weak
+            let score = isCommon ? 0 : estimateStrength(value, characterClasses);
+            if (failed.length > 0) score = Math.min(score, 1);
+            
+            return {
+                valid: failed.length === 0,
+                checks,
+                errors: failed.map(check => check.error),
+                strength: { score, label: STRENGTH_LABELS[score] }
+            };
+        }
+        
+        return { settings, evaluate };
+    }
+    
+    return { createPasswordPolicy, parseCommonPasswords, DEFAULT_POLICY, STRENGTH_LABELS };
+});
@@ -0,0 +1,144 @@
+// ============================================
+// Transfer Risk Engine
+// Scores a transfer from the signals already collected at login:
+//
+//   ip_reputation    - reputation_score of the requesting IP
+//   device_novelty   - has this user signed in from this fingerprint before?
+//   session_age      - time between sign-in and the transfer
+//   amount_anomaly   - amount against the user's transfer history/balance
+//
+// Each factor adds points (0-100 total). The score maps to a decision:
+// allow, hold (step-up verification required) or reject.
+// ============================================
+
+const DECISIONS = {
+    ALLOW: 'allow',
+    HOLD: 'hold',
+    REJECT: 'reject'
+};
+
+const DEFAULT_CONFIG = {
+    holdThreshold: 40,
+    rejectThreshold: 70,
+    
+    // How much history to look at for device and amount baselines
+    historyWindowMs: 90 * 24 * 60 * 60 * 1000,
+    
+    // Sessions this fresh or this old are treated as riskier
+    freshSessionMs: 30 * 1000,
+    staleSessionMs: 8 * 60 * 60 * 1000,
+    
+    // First transfers above this amount count as unusual
+    firstTransferAmount: 1000
+};
+
+function createRiskEngine({ storage, config = {} }) {
+    const settings = { ...DEFAULT_CONFIG, ...config };
+    
+    async function ipReputationFactor(ipAddress) {
+        const ip = await storage.ipReputation.find({ ip_address: ipAddress });
+        
+        if (!ip) {
+            return { factor: 'ip_reputation', points: 15, detail: 'IP has no reputation history' };
+        }
+        
+        const score = ip.reputation_score;
+        const points = score < 50 ? 35 : score < 70 ? 20 : score < 85 ? 5 : 0;
+        
+        return { factor: 'ip_reputation', points, detail: `reputation_score ${score}` };
+    }
+    
+    async function deviceNoveltyFactor(user, session, since) {
+        const fingerprint = session.device_fingerprint;
+        
+        if (!fingerprint) {
+            return { factor: 'device_novelty', points: 15, detail: 'No device fingerprint for this session' };
+        }
+        
+        const attempts = await storage.loginAttempts.list({ username: user.username }, { since });
+        const knownDevice = attempts.some(attempt =>
+            attempt.attempt_status === 'SUCCESS' &&
+            attempt.device_fingerprint === fingerprint &&
+            attempt.session_id !== session.session_id
+        );
+        
+        return knownDevice
+            ? { factor: 'device_novelty', points: 0, detail: 'Known device' }
+            : { factor: 'device_novelty', points: 25, detail: 'First sign-in from this device' };
+    }
+    
+    function sessionAgeFactor(session, now) {
+        const ageMs = now - new Date(session.created_at).getTime();
+        const ageSeconds = Math.round(ageMs / 1000);
+        
+        if (ageMs < settings.freshSessionMs) {
+            return { factor: 'session_age', points: 15, detail: `Transfer ${ageSeconds}s after sign-in` };
+        }
+        if (ageMs > settings.staleSessionMs) {
+            return { factor: 'session_age', points: 10, detail: `Session is ${Math.round(ageMs / 3600000)}h old` };
+        }
+        return { factor: 'session_age', points: 0, detail: `Transfer ${ageSeconds}s after sign-in` };
+    }
+    
+    async function amountFactor(user, amount, since) {
+        const history = (await storage.transactions.list({ from_user_id: user.user_id }))
+            .filter(t => t.status === 'posted' && t.created_at >= since)
+            .map(t => t.amount);
+        
+        const balance = user.account_balance || 0;
+        let points = 0;
+        let detail;
+        
+        if (history.length === 0) {
+            points = amount > settings.firstTransferAmount ? 20 : 5;
+            detail = 'First transfer';
+        } else {
+            const average = history.reduce((sum, value) => sum + value, 0) / history.length;
+            const largest = Math.max(...history);
+            const ratio = amount / average;
+            
+            if (amount > largest && ratio >= 5) points = 30;
+            else if (amount > largest && ratio >= 2) points = 15;
+            else if (ratio >= 2) points = 5;
+            
+            detail = `${ratio.toFixed(1)}x the average of ${history.length} previous transfer(s)`;
+        }
+        
+        // Draining the account is unusual whatever the history says
+        if (balance > 0 && amount / balance >= 0.9) {
+            points += 15;
+            detail += ', empties the account';
+        }
+        
+        return { factor: 'amount_anomaly', points, detail };
+    }
+    
+    function decide(score) {
+        if (score >= settings.rejectThreshold) return DECISIONS.REJECT;
+        if (score >= settings.holdThreshold) return DECISIONS.HOLD;
+        return DECISIONS.ALLOW;
+    }
+    
+    return {
+        settings,
+        
+        // Returns { score, decision, factors: [{ factor, points, detail }] }
+        async assessTransfer({ user, session, ipAddress, amount }) {
+            const now = Date.now();
+            const since = new Date(now - settings.historyWindowMs).toISOString();
+            
+            const factors = [
+                await ipReputationFactor(ipAddress),
+                await deviceNoveltyFactor(user, session, since),
+                sessionAgeFactor(session, now),
+                await amountFactor(user, amount, since)
+            ];
+            
+            const score = Math.min(factors.reduce((sum, f) => sum + f.points, 0), 100);
+            
+            return { score, decision: decide(score), factors };
+        }
+    };
+}
+
+module.exports = { createRiskEngine, DECISIONS };
@@ -0,0 +1,378 @@
+// ============================================
+// Detection Rule Engine
+// Evaluates declarative rules (data/detection_rules.json) against event
+// logs and login attempts as they are stored. A rule:
+//
+//   {
+//     "id": "RAPID_FORM_SUBMITS",          unique, becomes the alert rule_id
+//     "title": "Rapid form submissions",
+//     "description": "...",                optional
+//     "severity": "medium",                low | medium | high | critical
+//     "enabled": true,                     optional, default true
+//     "on": "event",                       event | login_attempt
+//     "where": {                           all conditions must hold
+//       "event_type": "FORM_SUBMIT",
+//       "event_data.duration": { "lt": 500 }
+//     },
+//     "groupBy": "ip_address",             optional, field to count per
+//     "threshold": {                       optional, default: every match
+//       "count": 5,
+//       "windowMinutes": 10,
+//       "distinct": "session_id"           optional, count distinct values
+//     }
+//   }
+//
+// Condition values are either a literal (equality) or an object of
+// operators: eq, ne, in, notIn, gt, gte, lt, lte, exists, contains, matches
+// (regular expression). Fields use dot paths into nested objects.
+//
+// The file is watched and reloaded on change. A file that fails to parse
+// keeps the previous rules; individual invalid rules are skipped and
+// reported by status().
+// ============================================
+
+const fs = require('fs');
+
+const MINUTE = 60 * 1000;
+
+const SOURCES = {
+    event: { collection: 'eventLogs', idField: 'log_id', linkField: 'event_ids' },
+    login_attempt: { collection: 'loginAttempts', idField: 'attempt_id', linkField: 'attempt_ids' }
+};
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+const OPERATORS = {
+    eq: (value, expected) => value === expected,
+    ne: (value, expected) => value !== expected,
+    in: (value, expected) => expected.includes(value),
+    notIn: (value, expected) => !expected.includes(value),
+    gt: (value, expected) => typeof value === 'number' && value > expected,
+    gte: (value, expected) => typeof value === 'number' && value >= expected,
+    lt: (value, expected) => typeof value === 'number' && value < expected,
+    lte: (value, expected) => typeof value === 'number' && value <= expected,
+    exists: (value, expected) => (value !== undefined && value !== null) === expected,
+    contains: (value, expected) =>
+        (typeof value === 'string' || Array.isArray(value)) && value.includes(expected),
+    matches: (value, expected) => typeof value === 'string' && new RegExp(expected).test(value)
+};
+
+// Links kept on an alert per firing (the full count is in the evidence)
+const MAX_LINKED_IDS = 100;
+
+function getPath(record, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), record);
+}
+
+function isOperatorObject(condition) {
+    return condition !== null && typeof condition === 'object' && !Array.isArray(condition);
+}
+
+function matchesWhere(record, where = {}) {
+    return Object.entries(where).every(([path, condition]) => {
+        const value = getPath(record, path);
+        
+        if (!isOperatorObject(condition)) {
+            return value === condition;
+        }
+        
+        return Object.entries(condition).every(([operator, expected]) =>
+            OPERATORS[operator](value, expected)
+        );
+    });
+}
+
+// Returns a list of problems; empty when the rule is usable
+function validateRule(rule) {
+    const errors = [];
+    
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        return ['Rule must be an object'];
+    }
+    
+    if (typeof rule.id !== 'string' || !/^[A-Z0-9_]+$/.test(rule.id)) {
+        errors.push('id must be UPPER_SNAKE_CASE');
+    }
+    if (typeof rule.title !== 'string' || !rule.title) {
+        errors.push('title is required');
+    }
+    if (!SEVERITIES.includes(rule.severity)) {
+        errors.push(`severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+    if (!SOURCES[rule.on]) {
+        errors.push(`on must be one of ${Object.keys(SOURCES).join(', ')}`);
+    }
+    if (rule.groupBy !== undefined && typeof rule.groupBy !== 'string') {
+        errors.push('groupBy must be a field path');
+    }
+    
+    if (rule.where !== undefined && !isOperatorObject(rule.where)) {
+        errors.push('where must be an object of field conditions');
+    } else {
+        for (const [path, condition] of Object.entries(rule.where || {})) {
+            if (!isOperatorObject(condition)) continue;
+            
+            for (const [operator, expected] of Object.entries(condition)) {
+                if (!OPERATORS[operator]) {
+                    errors.push(`where.${path}: unknown operator "${operator}"`);
+                } else if ((operator === 'in' || operator === 'notIn') && !Array.isArray(expected)) {
+                    errors.push(`where.${path}: ${operator} expects an array`);
+                } else if (['gt', 'gte', 'lt', 'lte'].includes(operator) && typeof expected !== 'number') {
+                    errors.push(`where.${path}: ${operator} expects a number`);
+                } else if (operator === 'exists' && typeof expected !== 'boolean') {
+                    errors.push(`where.${path}: exists expects true or false`);
+                } else if (operator === 'matches') {
+                    try {
+                        new RegExp(expected);
+                    } catch (error) {
+                        errors.push(`where.${path}: invalid regular expression`);
+                    }
+                }
+            }
+        }
+    }
+    
+    if (rule.threshold !== undefined) {
+        const { count, windowMinutes, distinct } = rule.threshold || {};
+        
+        if (!Number.isInteger(count) || count < 1) {
+            errors.push('threshold.count must be a positive integer');
+        }
+        if (typeof windowMinutes !== 'number' || windowMinutes <= 0) {
+            errors.push('threshold.windowMinutes must be a positive number');
+        }
+        if (distinct !== undefined && typeof distinct !== 'string') {
+            errors.push('threshold.distinct must be a field path');
+        }
+    }
+    
+    return errors;
+}
+
+// Count what a rule counts over a set of matching records
+function measure(rule, records) {
+    const distinct = rule.threshold?.distinct;
+    
+    return distinct
+        ? new Set(records.map(record => getPath(record, distinct)).filter(value => value != null)).size
+        : records.length;
+}
+
+function createRuleEngine({ storage, rulesPath, reloadIntervalMs = 2000 }) {
+    const state = {
+        rules: [],
+        errors: [],
+        loadedAt: null,
+        loadError: null
+    };
+    
+    function load() {
+        let parsed;
+        
+        try {
+            parsed = fs.existsSync(rulesPath) ? JSON.parse(fs.readFileSync(rulesPath, 'utf8')) : [];
+            if (!Array.isArray(parsed)) throw new Error('Rules file must contain an array of rules');
+        } catch (error) {
+            // Keep evaluating with the last good rules
+            state.loadError = error.message;
+            console.error(`⚠️  Detection rules not reloaded (${rulesPath}): ${error.message}`);
+            return false;
+        }
+        
+        const rules = [];
+        const errors = [];
+        const seen = new Set();
+        
+        parsed.forEach((rule, index) => {
+            const problems = validateRule(rule);
+            
+            if (problems.length === 0 && seen.has(rule.id)) {
+                problems.push(`duplicate id ${rule.id}`);
+            }
+            
+            if (problems.length > 0) {
+                errors.push({ index, id: rule?.id, errors: problems });
+                return;
+            }
+            
+            seen.add(rule.id);
+            rules.push(rule);
+        });
+        
+        state.rules = rules;
+        state.errors = errors;
+        state.loadedAt = new Date().toISOString();
+        state.loadError = null;
+        
+        for (const { index, id, errors: problems } of errors) {
+            console.warn(`⚠️  Skipping detection rule ${id || `#${index}`}: ${problems.join('; ')}`);
+        }
+        
+        return true;
+    }
+    
+    function candidateAlert(rule, latest, records, value) {
+        const source = SOURCES[rule.on];
+        const { threshold } = rule;
+        
+        return {
+            source: 'detection_rule',
+            rule_id: rule.id,
+            severity: rule.severity,
+            title: rule.groupBy ? `${rule.title} (${rule.groupBy}: ${getPath(latest, rule.groupBy)})` : rule.title,
+            description: rule.description || (threshold
+                ? `${value} ${threshold.distinct ? `distinct ${threshold.distinct} values` : 'matches'} within ${threshold.windowMinutes} minutes`
+                : `${value} matching record(s)`),
+            group_key: rule.groupBy ? String(getPath(latest, rule.groupBy)) : 'global',
+            username: latest.username || null,
+            user_id: latest.user_id || null,
+            ip_address: latest.ip_address || null,
+            session_id: latest.session_id || null,
+            [source.linkField]: records.slice(-MAX_LINKED_IDS).map(record => record[source.idField]),
+            evidence: {
+                matches: records.length,
+                value,
+                threshold: threshold || null,
+                group_by: rule.groupBy || null
+            }
+        };
+    }
+    
+    async function evaluateRule(rule, records) {
+        const source = SOURCES[rule.on];
+        const matched = records.filter(record => matchesWhere(record, rule.where));
+        
+        // One evaluation per group, at its latest record in this batch
+        const groups = new Map();
+        for (const record of matched) {
+            const key = rule.groupBy ? getPath(record, rule.groupBy) : 'global';
+            if (key == null) continue;
+            groups.set(key, [...(groups.get(key) || []), record]);
+        }
+        
+        const alerts = [];
+        
+        for (const [key, batch] of groups) {
+            const latest = batch[batch.length - 1];
+            
+            if (!rule.threshold) {
+                alerts.push(candidateAlert(rule, latest, batch, batch.length));
+                continue;
+            }
+            
+            const since = new Date(new Date(latest.timestamp).getTime() - rule.threshold.windowMinutes * MINUTE).toISOString();
+            const inWindow = await storage[source.collection].list(record =>
+                record.timestamp <= latest.timestamp &&
+                (!rule.groupBy || getPath(record, rule.groupBy) === key) &&
+                matchesWhere(record, rule.where),
+                { since }
+            );
+            
+            const value = measure(rule, inWindow);
+            if (value >= rule.threshold.count) {
+                alerts.push(candidateAlert(rule, latest, inWindow, value));
+            }
+        }
+        
+        return alerts;
+    }
+    
+    return {
+        load,
+        
+        rules: () => state.rules,
+        
+        status: () => ({
+            file: rulesPath,
+            loadedAt: state.loadedAt,
+            loadError: state.loadError,
+            rules: state.rules,
+            invalidRules: state.errors
+        }),
+        
+        // Reload whenever the file changes (polling works on every platform
+        // and survives editors that replace the file)
+        watch() {
+            fs.watchFile(rulesPath, { interval: reloadIntervalMs, persistent: false }, (current, previous) => {
+                if (current.mtimeMs === previous.mtimeMs) return;
+                if (load()) console.log(`🔁 Detection rules reloaded (${state.rules.length} active)`);
+            });
+        },
+        
+        unwatch() {
+            fs.unwatchFile(rulesPath);
+        },
+        
+        // Alerts raised by stored records (ids assigned) of one source
+        async evaluate(on, records) {
+            const alerts = [];
+            
+            for (const rule of state.rules) {
+                if (rule.on !== on || rule.enabled === false) continue;
+                alerts.push(...await evaluateRule(rule, records));
+            }
+            
+            return alerts;
+        },
+        
+        // Replay stored records (oldest first) against a candidate rule
+        // without raising anything. Firings for a group within dedupWindowMs
+        // of its previous firing are folded into one alert, as raiseAlert does.
+        async dryRun(rule, records, { dedupWindowMs = 0, maxAlerts = 100 } = {}) {
+            const source = SOURCES[rule.on];
+            const windowMs = rule.threshold ? rule.threshold.windowMinutes * MINUTE : 0;
+            const windows = new Map();
+            const open = new Map();
+            const alerts = [];
+            let scanned = 0;
+            let matched = 0;
+            let firings = 0;
+            let totalAlerts = 0;
+            
+            for await (const record of records) {
+                scanned++;
+                if (!matchesWhere(record, rule.where)) continue;
+                
+                const key = rule.groupBy ? getPath(record, rule.groupBy) : 'global';
+                if (key == null) continue;
+                matched++;
+                
+                // Sliding window of matches for this group
+                const now = new Date(record.timestamp).getTime();
+                const window = (windows.get(key) || []).filter(r => now - new Date(r.timestamp).getTime() <= windowMs);
+                window.push(record);
+                windows.set(key, window);
+                
+                const value = rule.threshold ? measure(rule, window) : 1;
+                if (rule.threshold && value < rule.threshold.count) continue;
+                firings++;
+                
+                const current = open.get(key);
+                if (current && now - new Date(current.last_seen).getTime() <= dedupWindowMs) {
+                    current.last_seen = record.timestamp;
+                    current.occurrences++;
+                    current.peak = Math.max(current.peak, value);
+                    current[source.linkField] = [...new Set([...current[source.linkField], record[source.idField]])]
+                        .slice(-MAX_LINKED_IDS);
+                    continue;
+                }
+                
+                const alert = {
+                    group_key: String(key),
+                    first_seen: record.timestamp,
+                    last_seen: record.timestamp,
+                    occurrences: 1,
+                    peak: value,
+                    [source.linkField]: window.slice(-MAX_LINKED_IDS).map(r => r[source.idField])
+                };
+                open.set(key, alert);
+                totalAlerts++;
+                if (alerts.length < maxAlerts) alerts.push(alert);
+            }
+            
+            return { scanned, matched, firings, totalAlerts, alerts };
+        }
+    };
+}
+
+module.exports = { createRuleEngine, validateRule, matchesWhere, SOURCES };
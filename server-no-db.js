@@ -1,44 +1,276 @@
 // ============================================
 // IntelliSOC Backend - No Database Version
-// Uses JSON files for storage (perfect for testing)
+// Uses JSON files for storage (perfect for testing),
+// or an embedded SQLite database via STORAGE_BACKEND=sqlite
 // ============================================
 
 const express = require('express');
 const cors = require('cors');
-const fs = require('fs').promises;
 const path = require('path');
+const fs = require('fs');
 const crypto = require('crypto');
+const { createStorage } = require('./storage');
+const { createRiskEngine, DECISIONS } = require('./security/risk-engine');
+const { createLoginAnomalyDetector } = require('./security/login-anomaly');
+const { createRuleEngine, validateRule, SOURCES: RULE_SOURCES } = require('./security/rule-engine');
+const { createBehaviorProfiler } = require('./security/behavior-profile');
+const { createBotDetector, BOT_DECISIONS } = require('./security/bot-detector');
+const { createLoginChallenge } = require('./security/login-challenge');
+const mfa = require('./security/mfa');
+const { hashPassword, verifyPassword, passwordNeedsRehash } = require('./security/password-hash');
+const { createPasswordPolicy, parseCommonPasswords } = require('./security/password-policy');
+const { createMailer } = require('./mail');
+const { createEventHub, createStreamFilter, STREAM_TOPICS } = require('./streaming/event-hub');
+const { createLogQueryEngine } = require('./analytics/log-query');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // ============================================
-// Data Storage Paths
+// Data Storage
 // ============================================
-const DATA_DIR = path.join(__dirname, 'data');
-const USERS_FILE = path.join(DATA_DIR, 'users.json');
-const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
-const EVENT_LOGS_FILE = path.join(DATA_DIR, 'event_logs.json');
-const LOGIN_ATTEMPTS_FILE = path.join(DATA_DIR, 'login_attempts.json');
-const IP_REPUTATION_FILE = path.join(DATA_DIR, 'ip_reputation.json');
+// STORAGE_BACKEND=json (default) keeps one JSON file per collection in
+// DATA_DIR (./data); STORAGE_BACKEND=sqlite uses an embedded database
+// instead (import existing JSON data with `npm run migrate:sqlite`).
+// Event logs and login attempts are append-only logs, kept for
+// LOG_RETENTION_DAYS (0 = forever).
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+const LOG_RETENTION_DAYS = process.env.LOG_RETENTION_DAYS !== undefined
+    ? parseInt(process.env.LOG_RETENTION_DAYS, 10)
+    : 90;
+
+const storage = createStorage({
+    backend: process.env.STORAGE_BACKEND || 'json',
+    dataDir: DATA_DIR,
+    sqliteFile: process.env.SQLITE_FILE || path.join(DATA_DIR, 'intellisoc.db'),
+    logs: {
+        retentionDays: LOG_RETENTION_DAYS,
+        maxSegmentBytes: (parseFloat(process.env.LOG_SEGMENT_MAX_MB) || 10) * 1024 * 1024
+    }
+});
+
+// ============================================
+// Outgoing Mail
+// ============================================
+// MAIL_TRANSPORT=outbox (default) writes each email to MAIL_OUTBOX_DIR as
+// an .eml file instead of sending it; MAIL_TRANSPORT=console prints them.
+const mailer = createMailer({
+    transport: process.env.MAIL_TRANSPORT || 'outbox',
+    outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(DATA_DIR, 'outbox'),
+    from: process.env.MAIL_FROM || 'IntelliBank <no-reply@intellibank.local>'
+});
+
+// ============================================
+// Security Configuration
+// ============================================
+const SESSION_CONFIG = {
+    ttlMs: 24 * 60 * 60 * 1000,
+    // Optional binding: reject a token used from a different IP / device
+    bindToIP: process.env.SESSION_BIND_IP === 'true',
+    bindToFingerprint: process.env.SESSION_BIND_FINGERPRINT === 'true'
+};
+
+// Failed-login throttling. Counters are derived from login_attempts.json:
+// once a username (or IP) reaches its failure limit it is locked for
+// baseLockMs, doubling with every further failure up to maxLockMs.
+const LOCKOUT_CONFIG = {
+    maxUserFailures: parseInt(process.env.LOCKOUT_MAX_USER_FAILURES, 10) || 5,
+    maxIPFailures: parseInt(process.env.LOCKOUT_MAX_IP_FAILURES, 10) || 20,
+    // Username failures reset on a successful login or after this long
+    userWindowMs: 24 * 60 * 60 * 1000,
+    // IP failures are a sliding window (successes don't reset them)
+    ipWindowMs: 15 * 60 * 1000,
+    baseLockMs: 60 * 1000,
+    maxLockMs: 60 * 60 * 1000
+};
+
+// IP reputation enforcement. Scores below blockThreshold block the IP
+// for autoBlockMs; idle IPs slowly regain score up to recoveryCeiling.
+const IP_REPUTATION_CONFIG = {
+    blockThreshold: parseInt(process.env.IP_BLOCK_THRESHOLD, 10) || 30,
+    autoBlockMs: 60 * 60 * 1000,
+    recoveryPerHour: 2,
+    recoveryCeiling: 90,
+    // Score restored when a block expires or is lifted, so a single
+    // further failure doesn't re-block the IP immediately
+    releaseScore: 50
+};
+
+// Transfers between users. Amounts are in account currency units with
+// at most two decimals.
+const TRANSFER_CONFIG = {
+    currency: 'USD',
+    minAmount: 0.01,
+    maxAmount: parseFloat(process.env.TRANSFER_MAX_AMOUNT) || 10000,
+    maxDescriptionLength: 140
+};
+
+// Transfer risk scoring (see security/risk-engine.js). Scores at or above
+// holdThreshold need step-up verification (the account password), at or
+// above rejectThreshold the transfer is declined.
+const RISK_CONFIG = {
+    holdThreshold: parseInt(process.env.RISK_HOLD_THRESHOLD, 10) || 40,
+    rejectThreshold: parseInt(process.env.RISK_REJECT_THRESHOLD, 10) || 70,
+    stepUpTtlMs: 15 * 60 * 1000,
+    stepUpMaxAttempts: 3
+};
+
+// Login bot scoring (see security/bot-detector.js). Attempts scoring at or
+// above challengeThreshold must solve a harder login challenge, at or
+// above rejectThreshold they are refused. Set a threshold above 100 to
+// only record scores.
+const BOT_CONFIG = {
+    challengeThreshold: parseInt(process.env.BOT_CHALLENGE_THRESHOLD, 10) || 50,
+    rejectThreshold: parseInt(process.env.BOT_REJECT_THRESHOLD, 10) || 80
+};
+
+// Proof-of-work login challenge (see security/login-challenge.js), required
+// once an IP's reputation drops or failures pile up. LOGIN_CHALLENGE=off
+// disables it; CHALLENGE_SECRET keeps issued tokens valid across restarts.
+const CHALLENGE_CONFIG = {
+    enabled: process.env.LOGIN_CHALLENGE !== 'off',
+    maxBits: parseInt(process.env.CHALLENGE_MAX_BITS, 10) || 20
+};
+
+// Two-factor authentication (see security/mfa.js). Users with MFA enabled
+// get a pending session after the password step; it only becomes a normal
+// session once /api/auth/mfa/verify accepts a code.
+const MFA_CONFIG = {
+    issuer: process.env.MFA_ISSUER || 'IntelliBank',
+    pendingTtlMs: 5 * 60 * 1000,
+    maxCodeAttempts: 5,
+    // Time to confirm a new secret with a first code
+    enrollmentTtlMs: 15 * 60 * 1000,
+    recoveryCodeCount: 10
+};
+
+// Self-service registration, email verification and password reset.
+// Tokens in emailed links are random, single-use and stored hashed.
+const ACCOUNT_CONFIG = {
+    // Where links in emails point (the static frontend)
+    publicUrl: (process.env.PUBLIC_URL || 'http://localhost:8000').replace(/\/$/, ''),
+    verificationTtlMs: 24 * 60 * 60 * 1000,
+    resetTtlMs: 30 * 60 * 1000,
+    // Emails of one kind per address within the window (resends, resets,
+    // registration attempts on an existing account)
+    maxEmailsPerWindow: 3,
+    emailWindowMs: 15 * 60 * 1000,
+    // Registrations per IP per hour, counting attempts on a taken
+    // username or email
+    maxRegistrationsPerIP: 5
+};
+
+// Rules for new passwords (registration, reset, change); see
+// security/password-policy.js. Existing passwords keep working until
+// they're changed. PASSWORD_MIN_CLASSES and PASSWORD_HISTORY may be 0 (no
+// class requirement / refuse only the current password); values that
+// aren't numbers fall back to the defaults.
+const PASSWORD_MIN_CLASSES = parseInt(process.env.PASSWORD_MIN_CLASSES, 10);
+const PASSWORD_HISTORY = parseInt(process.env.PASSWORD_HISTORY, 10);
+
+const PASSWORD_POLICY_CONFIG = {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 10,
+    minCharacterClasses: PASSWORD_MIN_CLASSES >= 0 ? PASSWORD_MIN_CLASSES : 3,
+    historySize: PASSWORD_HISTORY >= 0 ? PASSWORD_HISTORY : 5
+};
+
+const COMMON_PASSWORDS_FILE = process.env.COMMON_PASSWORDS_FILE ||
+    path.join(__dirname, 'security', 'common-passwords.txt');
+
+const passwordPolicy = createPasswordPolicy({
+    config: PASSWORD_POLICY_CONFIG,
+    commonPasswords: parseCommonPasswords(fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8'))
+});
+
+// Live feed of new records for analysts (GET /api/stream/events, as
+// Server-Sent Events); see streaming/event-hub.js
+const STREAM_CONFIG = {
+    // Recent messages kept for clients resuming after a reconnect
+    bufferSize: parseInt(process.env.STREAM_BUFFER_SIZE, 10) || 1000,
+    maxSubscribers: parseInt(process.env.STREAM_MAX_SUBSCRIBERS, 10) || 50,
+    // Keeps proxies from closing idle streams; the subscriber's session is
+    // re-checked at the same time
+    heartbeatMs: 25 * 1000,
+    // A subscriber with this much unsent output is disconnected (it can
+    // reconnect and resume from its last event ID)
+    maxQueuedBytes: 1024 * 1024,
+    // Reconnect delay suggested to EventSource clients
+    retryMs: 3000
+};
+
+const eventHub = createEventHub({
+    config: { bufferSize: STREAM_CONFIG.bufferSize, maxSubscribers: STREAM_CONFIG.maxSubscribers }
+});
+
+// Roles stored on user records, from least to most privileged
+const ROLES = {
+    CUSTOMER: 'customer',
+    ANALYST: 'analyst',
+    ADMIN: 'admin'
+};
+
+const riskEngine = createRiskEngine({
+    storage,
+    config: {
+        holdThreshold: RISK_CONFIG.holdThreshold,
+        rejectThreshold: RISK_CONFIG.rejectThreshold
+    }
+});
+
+// Security alerts. An alert for the same rule and group (IP, username...)
+// as an active (open or acknowledged) one seen within dedupWindowMs is
+// folded into it instead of creating a new alert.
+const ALERT_CONFIG = {
+    dedupWindowMs: 30 * 60 * 1000
+};
+
+// Alert triage workflow: status -> statuses it can move to
+const ALERT_STATUSES = {
+    open: ['acknowledged', 'resolved', 'false_positive'],
+    acknowledged: ['open', 'resolved', 'false_positive'],
+    resolved: ['open'],
+    false_positive: ['open']
+};
+
+const ALERT_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+const loginAnomalyDetector = createLoginAnomalyDetector({ storage });
+
+// Declarative detection rules (see security/rule-engine.js for the
+// format), reloaded whenever the file changes
+const DETECTION_RULES_FILE = process.env.DETECTION_RULES_FILE || path.join(DATA_DIR, 'detection_rules.json');
+const ruleEngine = createRuleEngine({ storage, rulesPath: DETECTION_RULES_FILE });
+
+// Per-user typing/mouse baselines scored on every login
+const behaviorProfiler = createBehaviorProfiler({ storage });
+
+const botDetector = createBotDetector({ storage, config: BOT_CONFIG });
+
+// Filtered/paged/aggregated reads of the logs for /api/logs/*
+const logQuery = createLogQueryEngine({ storage });
+
+const loginChallenge = createLoginChallenge({
+    secret: process.env.CHALLENGE_SECRET,
+    config: { maxBits: CHALLENGE_CONFIG.maxBits }
+});
 
 // ============================================
 // Initialize Data Storage
 // ============================================
 async function initializeStorage() {
     try {
-        // Create data directory if it doesn't exist
-        await fs.mkdir(DATA_DIR, { recursive: true });
+        // Create the data directory / tables if they don't exist
+        await storage.init();
         
-        // Initialize users file with sample data
-        try {
-            await fs.access(USERS_FILE);
-        } catch {
+        // Seed sample users into an empty store
+        if (await storage.users.count() === 0) {
             const initialUsers = [
                 {
                     user_id: 1,
                     username: 'admin',
-                    password: 'admin123', // In production, hash this!
+                    password_hash: await hashPassword('admin123'),
+                    role: ROLES.ADMIN,
                     email: 'admin@securebank.com',
                     full_name: 'Admin User',
                     account_balance: 50000.00,
@@ -47,7 +279,8 @@ async function initializeStorage() {
                 {
                     user_id: 2,
                     username: 'user1',
-                    password: 'password123',
+                    password_hash: await hashPassword('password123'),
+                    role: ROLES.CUSTOMER,
                     email: 'user1@example.com',
                     full_name: 'John Doe',
                     account_balance: 12450.00,
@@ -56,61 +289,117 @@ async function initializeStorage() {
                 {
                     user_id: 3,
                     username: 'testuser',
-                    password: 'test123',
+                    password_hash: await hashPassword('test123'),
+                    role: ROLES.CUSTOMER,
                     email: 'test@example.com',
                     full_name: 'Test User',
                     account_balance: 5000.00,
                     created_at: new Date().toISOString()
                 }
             ];
-            await fs.writeFile(USERS_FILE, JSON.stringify(initialUsers, null, 2));
+            await storage.users.insertMany(initialUsers);
         }
         
-        // Initialize other files if they don't exist
-        const files = [
-            SESSIONS_FILE,
-            EVENT_LOGS_FILE,
-            LOGIN_ATTEMPTS_FILE,
-            IP_REPUTATION_FILE
-        ];
+        // Upgrade records written by older versions of this server
+        await migrateUserRecords();
         
-        for (const file of files) {
-            try {
-                await fs.access(file);
-            } catch {
-                await fs.writeFile(file, JSON.stringify([], null, 2));
-            }
-        }
+        // Finish or roll back transfers interrupted by a crash
+        await reconcilePendingTransfers();
         
-        console.log('✅ Storage initialized successfully');
+        console.log(`✅ Storage initialized successfully (${storage.description})`);
     } catch (error) {
         console.error('❌ Error initializing storage:', error);
     }
 }
 
 // ============================================
-// Helper Functions
+// Password Hashing
 // ============================================
+// The scrypt format is in security/password-hash.js; these add the legacy
+// plaintext upgrade and the login-side checks
 
-// Read JSON file
-async function readJSON(filepath) {
-    try {
-        const data = await fs.readFile(filepath, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.error(`Error reading ${filepath}:`, error);
-        return [];
+// Constant-time comparison for legacy plaintext records (lengths may differ)
+function plaintextEquals(a, b) {
+    const digestA = crypto.createHash('sha256').update(String(a)).digest();
+    const digestB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(digestA, digestB);
+}
+
+// Hash used to spend the same effort when the username doesn't exist,
+// so response timing doesn't reveal which usernames are registered
+let dummyPasswordHash = null;
+
+async function burnPasswordCheck(password) {
+    if (!dummyPasswordHash) {
+        dummyPasswordHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
     }
+    await verifyPassword(password, dummyPasswordHash);
+    return false;
 }
 
-// Write JSON file
-async function writeJSON(filepath, data) {
-    try {
-        await fs.writeFile(filepath, JSON.stringify(data, null, 2));
-        return true;
-    } catch (error) {
-        console.error(`Error writing ${filepath}:`, error);
-        return false;
+// Verify a login password against a user record. Legacy plaintext records
+// and outdated hashes are upgraded in place on success; `upgraded` tells
+// the caller the record changed and needs to be persisted.
+async function verifyUserPassword(user, password) {
+    if (user.password_hash) {
+        const valid = await verifyPassword(password, user.password_hash);
+        
+        if (valid && passwordNeedsRehash(user.password_hash)) {
+            user.password_hash = await hashPassword(password);
+            user.password_updated_at = new Date().toISOString();
+            return { valid, upgraded: true };
+        }
+        
+        return { valid, upgraded: false };
+    }
+    
+    if (typeof user.password === 'string') {
+        const valid = plaintextEquals(password, user.password);
+        
+        if (valid) {
+            user.password_hash = await hashPassword(password);
+            user.password_updated_at = new Date().toISOString();
+            delete user.password;
+            return { valid, upgraded: true };
+        }
+        
+        return { valid, upgraded: false };
+    }
+    
+    return { valid: false, upgraded: false };
+}
+
+// Upgrade legacy user records in place: plaintext passwords, missing roles
+async function migrateUserRecords() {
+    const users = await storage.users.list();
+    let migrated = 0;
+    
+    for (const user of users) {
+        const changes = {};
+        
+        if (!user.role) {
+            changes.role = user.username === 'admin' ? ROLES.ADMIN : ROLES.CUSTOMER;
+        }
+        
+        if (typeof user.password === 'string' && !user.password_hash) {
+            changes.password_hash = await hashPassword(user.password);
+            changes.password_updated_at = new Date().toISOString();
+        }
+        
+        // Drop plaintext passwords (already hashed above, or a stale copy)
+        const dropPlaintext = 'password' in user;
+        
+        if (Object.keys(changes).length > 0 || dropPlaintext) {
+            await storage.users.update({ user_id: user.user_id }, record => {
+                Object.assign(record, changes);
+                delete record.password;
+            });
+            migrated++;
+        }
+    }
+    
+    if (migrated > 0) {
+        console.log(`🔐 Migrated ${migrated} legacy user record(s)`);
     }
 }
 
@@ -122,19 +411,223 @@ function getClientIP(req) {
            '127.0.0.1';
 }
 
+// Comma-separated query parameter; null when absent or repeated
+const splitList = value => (typeof value === 'string' && value ? value.split(',') : null);
+
 // Generate session token
 function generateSessionToken() {
     return crypto.randomBytes(32).toString('hex');
 }
 
+// Failures recorded without checking the password. ACCOUNT_LOCKED doesn't
+// count towards lockouts, otherwise retrying during a lockout would extend
+// it indefinitely; nor does CHALLENGE_REQUIRED, which every legitimate
+// login hits once when a challenge is due. EMAIL_NOT_VERIFIED is recorded
+// after a correct password.
+const UNCOUNTED_FAILURES = new Set(['ACCOUNT_LOCKED', 'CHALLENGE_REQUIRED', 'EMAIL_NOT_VERIFIED']);
+
+// Work out the lockout state for one counter (a username or an IP)
+function getLockoutState(attempts, { matches, maxFailures, windowMs, resetOnSuccess }) {
+    const now = Date.now();
+    let failures = 0;
+    let lastFailureAt = null;
+    
+    // Attempts are appended in time order - walk back from the newest
+    for (let i = attempts.length - 1; i >= 0; i--) {
+        const attempt = attempts[i];
+        if (!matches(attempt)) continue;
+        
+        const attemptTime = new Date(attempt.timestamp).getTime();
+        if (now - attemptTime > windowMs) break;
+        
+        if (attempt.attempt_status === 'SUCCESS') {
+            if (resetOnSuccess) break;
+            continue;
+        }
+        
+        // MFA_PENDING means the password was right; the code is checked next
+        if (attempt.attempt_status !== 'FAILURE') continue;
+        if (UNCOUNTED_FAILURES.has(attempt.failure_reason)) continue;
+        
+        failures++;
+        if (lastFailureAt === null) lastFailureAt = attemptTime;
+    }
+    
+    let lockedUntil = null;
+    if (failures >= maxFailures) {
+        const level = failures - maxFailures;
+        const lockMs = Math.min(
+            LOCKOUT_CONFIG.baseLockMs * Math.pow(2, level),
+            LOCKOUT_CONFIG.maxLockMs
+        );
+        if (lastFailureAt + lockMs > now) {
+            lockedUntil = lastFailureAt + lockMs;
+        }
+    }
+    
+    return {
+        failures,
+        // Once past the limit, the next failure locks again straight away
+        remainingAttempts: Math.max(maxFailures - failures, lockedUntil ? 0 : 1),
+        lockedUntil,
+        retryAfter: lockedUntil ? Math.ceil((lockedUntil - now) / 1000) : 0
+    };
+}
+
+// Combined username + IP lockout state for a login attempt
+async function getLoginThrottle(username, ipAddress) {
+    // Only attempts inside each window matter; `since` lets the log skip
+    // older segments instead of scanning the whole history
+    const sinceWindow = windowMs => ({ since: new Date(Date.now() - windowMs).toISOString() });
+    
+    const userAttempts = await storage.loginAttempts.list({ username }, sinceWindow(LOCKOUT_CONFIG.userWindowMs));
+    const ipAttempts = await storage.loginAttempts.list({ ip_address: ipAddress }, sinceWindow(LOCKOUT_CONFIG.ipWindowMs));
+    
+    const userState = getLockoutState(userAttempts, {
+        matches: a => a.username === username,
+        maxFailures: LOCKOUT_CONFIG.maxUserFailures,
+        windowMs: LOCKOUT_CONFIG.userWindowMs,
+        resetOnSuccess: true
+    });
+    const ipState = getLockoutState(ipAttempts, {
+        matches: a => a.ip_address === ipAddress,
+        maxFailures: LOCKOUT_CONFIG.maxIPFailures,
+        windowMs: LOCKOUT_CONFIG.ipWindowMs,
+        resetOnSuccess: false
+    });
+    
+    const lockedBy = userState.lockedUntil ? 'username' : (ipState.lockedUntil ? 'ip' : null);
+    const lockedUntil = Math.max(userState.lockedUntil || 0, ipState.lockedUntil || 0) || null;
+    
+    return {
+        locked: lockedBy !== null,
+        lockedBy,
+        lockedUntil: lockedUntil ? new Date(lockedUntil).toISOString() : null,
+        retryAfter: Math.max(userState.retryAfter, ipState.retryAfter),
+        remainingAttempts: Math.min(userState.remainingAttempts, ipState.remainingAttempts),
+        failures: Math.max(userState.failures, ipState.failures)
+    };
+}
+
+// Mark every active session matching `predicate` as ended. Returns the count.
+async function endSessions(predicate, reason) {
+    const endedAt = new Date().toISOString();
+    
+    const ended = await storage.sessions.update(
+        session => session.is_active && predicate(session),
+        session => {
+            session.is_active = false;
+            session.ended_at = endedAt;
+            session.end_reason = reason;
+        }
+    );
+    
+    return ended.length;
+}
+
+function isSessionLive(session) {
+    return session.is_active && new Date(session.expires_at) > new Date();
+}
+
+// Public view of a session record (never exposes the token)
+function toSessionSummary(session, currentToken) {
+    return {
+        sessionId: session.session_id,
+        ipAddress: session.ip_address,
+        userAgent: session.user_agent,
+        deviceFingerprint: session.device_fingerprint,
+        createdAt: session.created_at,
+        expiresAt: session.expires_at,
+        current: session.session_token === currentToken
+    };
+}
+
+// Lift expired blocks and credit score for time since the last change.
+// Mutates the record; returns true if anything changed.
+function applyReputationRecovery(ip, now = new Date()) {
+    let changed = false;
+    
+    if (ip.is_blocked && ip.blocked_until && new Date(ip.blocked_until) <= now) {
+        setIPBlocked(ip, false, { source: ip.block_source, reason: 'block_expired', by: 'system' }, now);
+        changed = true;
+    }
+    
+    if (!ip.is_blocked && ip.reputation_score < IP_REPUTATION_CONFIG.recoveryCeiling) {
+        const since = new Date(ip.score_updated_at || ip.last_seen);
+        const hours = (now - since) / (60 * 60 * 1000);
+        const gain = Math.floor(hours * IP_REPUTATION_CONFIG.recoveryPerHour);
+        
+        if (gain > 0) {
+            ip.reputation_score = Math.min(ip.reputation_score + gain, IP_REPUTATION_CONFIG.recoveryCeiling);
+            ip.score_updated_at = now.toISOString();
+            changed = true;
+        }
+    }
+    
+    return changed;
+}
+
+// Block or unblock an IP record in place, keeping an audit trail
+function setIPBlocked(ip, blocked, { source, reason, by, durationMs = null }, now = new Date()) {
+    if (blocked) {
+        ip.is_blocked = true;
+        ip.block_source = source;
+        ip.block_reason = reason;
+        ip.blocked_by = by;
+        ip.blocked_at = now.toISOString();
+        ip.blocked_until = durationMs ? new Date(now.getTime() + durationMs).toISOString() : null;
+    } else {
+        ip.is_blocked = false;
+        ip.blocked_until = null;
+        ip.unblocked_at = now.toISOString();
+        ip.reputation_score = Math.max(ip.reputation_score, IP_REPUTATION_CONFIG.releaseScore);
+        ip.score_updated_at = now.toISOString();
+    }
+    
+    ip.block_history = ip.block_history || [];
+    ip.block_history.push({
+        action: blocked ? 'block' : 'unblock',
+        source,
+        reason,
+        by,
+        at: now.toISOString(),
+        until: blocked ? ip.blocked_until : undefined
+    });
+}
+
+function newIPRecord(ipAddress) {
+    const now = new Date().toISOString();
+    
+    return {
+        ip_address: ipAddress,
+        reputation_score: 90,
+        total_logins: 0,
+        failed_logins: 0,
+        successful_logins: 0,
+        suspicious_activities: 0,
+        first_seen: now,
+        last_seen: now,
+        score_updated_at: now,
+        is_blocked: false
+    };
+}
+
+// Apply `mutate` to an IP's record, creating the record first if needed
+async function upsertIPRecord(ipAddress, mutate) {
+    const [ip] = await storage.ipReputation.upsert({ ip_address: ipAddress }, mutate, () => {
+        const record = newIPRecord(ipAddress);
+        mutate(record);
+        return record;
+    });
+    eventHub.publish(STREAM_TOPICS.IP_REPUTATION, ip);
+    return ip;
+}
+
 // Update IP reputation
 async function updateIPReputation(ipAddress, result) {
-    const ipReputations = await readJSON(IP_REPUTATION_FILE);
-    const ipIndex = ipReputations.findIndex(ip => ip.ip_address === ipAddress);
-    
-    if (ipIndex !== -1) {
+    const [updated] = await storage.ipReputation.upsert({ ip_address: ipAddress }, ip => {
         // Update existing IP
-        const ip = ipReputations[ipIndex];
+        applyReputationRecovery(ip);
         ip.total_logins++;
         
         if (result === 'success') {
@@ -147,11 +640,21 @@ async function updateIPReputation(ipAddress, result) {
         }
         
         ip.last_seen = new Date().toISOString();
-        ipReputations[ipIndex] = ip;
-    } else {
+        ip.score_updated_at = ip.last_seen;
+        
+        if (!ip.is_blocked && ip.reputation_score < IP_REPUTATION_CONFIG.blockThreshold) {
+            setIPBlocked(ip, true, {
+                source: 'auto',
+                reason: `reputation_score below ${IP_REPUTATION_CONFIG.blockThreshold}`,
+                by: 'system',
+                durationMs: IP_REPUTATION_CONFIG.autoBlockMs
+            });
+            console.warn(`🚫 Auto-blocked IP ${ipAddress} (score ${ip.reputation_score})`);
+        }
+    }, () => {
         // Create new IP record
         const initialScore = result === 'success' ? 95 : 90;
-        ipReputations.push({
+        return {
             ip_address: ipAddress,
             reputation_score: initialScore,
             total_logins: 1,
@@ -160,410 +663,3922 @@ async function updateIPReputation(ipAddress, result) {
             suspicious_activities: result === 'success' ? 0 : 1,
             first_seen: new Date().toISOString(),
             last_seen: new Date().toISOString(),
+            score_updated_at: new Date().toISOString(),
             is_blocked: false
+        };
+    });
+    
+    eventHub.publish(STREAM_TOPICS.IP_REPUTATION, updated);
+}
+
+// ============================================
+// Security Alerts
+// ============================================
+
+// Store an alert from a detector, or fold it into the matching open alert
+async function raiseAlert(candidate) {
+    const now = new Date().toISOString();
+    const since = new Date(Date.now() - ALERT_CONFIG.dedupWindowMs).toISOString();
+    
+    const { session_id, ...fields } = candidate;
+    const links = {
+        attempt_ids: candidate.attempt_ids || [],
+        event_ids: candidate.event_ids || [],
+        session_ids: session_id ? [session_id] : []
+    };
+    
+    const [merged] = await storage.alerts.update(
+        alert => alert.rule_id === candidate.rule_id &&
+                 alert.group_key === candidate.group_key &&
+                 (alert.status === 'open' || alert.status === 'acknowledged') &&
+                 alert.last_seen >= since,
+        alert => {
+            alert.last_seen = now;
+            alert.occurrences++;
+            alert.description = candidate.description;
+            alert.evidence = candidate.evidence;
+            for (const [field, ids] of Object.entries(links)) {
+                alert[field] = [...new Set([...(alert[field] || []), ...ids])];
+            }
+        }
+    );
+    
+    if (merged) {
+        eventHub.publish(STREAM_TOPICS.ALERT, merged);
+        return merged;
+    }
+    
+    const alert = await storage.alerts.insert({
+        alert_id: null, // assigned by storage
+        timestamp: now,
+        last_seen: now,
+        occurrences: 1,
+        status: 'open',
+        ...fields,
+        ...links,
+        assigned_to: null,
+        comments: [],
+        history: [{ action: 'created', by: 'system', at: now }]
+    });
+    
+    console.log(`🚨 Alert ${alert.alert_id} [${alert.severity}] ${alert.rule_id}: ${alert.title}`);
+    eventHub.publish(STREAM_TOPICS.ALERT, alert);
+    return alert;
+}
+
+// Store a login attempt and run anomaly detection on it. Detection
+// problems are logged, never allowed to fail the login itself.
+async function recordLoginAttempt(attempt) {
+    await storage.loginAttempts.insert(attempt);
+    eventHub.publish(STREAM_TOPICS.LOGIN_ATTEMPT, attempt);
+    
+    try {
+        for (const candidate of await loginAnomalyDetector.inspect(attempt)) {
+            await raiseAlert(candidate);
+        }
+    } catch (error) {
+        console.error('Login anomaly detection error:', error);
+    }
+    
+    await applyDetectionRules('login_attempt', [attempt]);
+}
+
+// Run the detection rules over freshly stored records ('event' or
+// 'login_attempt'). Like anomaly detection, failures are only logged.
+async function applyDetectionRules(on, records) {
+    try {
+        for (const candidate of await ruleEngine.evaluate(on, records)) {
+            await raiseAlert(candidate);
+        }
+    } catch (error) {
+        console.error('Detection rule error:', error);
+    }
+}
+
+// Apply a triage change to an alert, recording it in the alert's history.
+// `change(alert)` returns a history entry (without by/at), or an error
+// string to reject the change. Returns { alert } or { error, httpStatus }.
+async function updateAlert(alertId, actor, change) {
+    const id = parseInt(alertId, 10);
+    let rejection = null;
+    
+    const [alert] = await storage.alerts.update({ alert_id: id }, alert => {
+        const entry = change(alert);
+        
+        if (typeof entry === 'string') {
+            rejection = entry;
+            return;
+        }
+        
+        alert.history = alert.history || [];
+        alert.history.push({ ...entry, by: actor, at: new Date().toISOString() });
+        alert.updated_at = new Date().toISOString();
+    });
+    
+    if (!alert) return { error: 'Alert not found', httpStatus: 404 };
+    if (rejection) return { error: rejection, httpStatus: 409 };
+    
+    eventHub.publish(STREAM_TOPICS.ALERT, alert);
+    return { alert };
+}
+
+// Move an alert to a new status if the workflow allows it
+function setAlertStatus(alert, status, extra = {}) {
+    if (!(ALERT_STATUSES[alert.status] || []).includes(status)) {
+        return `Cannot change an alert from ${alert.status} to ${status}`;
+    }
+    
+    const from = alert.status;
+    alert.status = status;
+    Object.assign(alert, extra);
+    
+    return { action: 'status_changed', from, to: status };
+}
+
+// ============================================
+// Ledger
+// ============================================
+// Every transfer is one record in the transactions collection holding
+// both sides of the double entry (a debit to the sender, a credit to the
+// recipient). Posting works in three steps:
+//
+//   1. insert the transaction as `pending`
+//   2. move both balances in a single users.update() - atomic in both
+//      storage backends - stamping each user with `ledger_applied`
+//   3. mark the transaction `posted`
+//
+// Transfers run one at a time, so after a crash at most one transaction
+// is pending and `ledger_applied` tells whether step 2 happened.
+//
+// Before step 1 every transfer is risk-scored. Risky ones are stored as
+// `held` until the sender passes step-up verification (then posted as
+// above) or as `rejected`.
+
+let transferChain = Promise.resolve();
+
+function runTransferExclusive(task) {
+    const run = transferChain.then(task);
+    transferChain = run.catch(() => {});
+    return run;
+}
+
+function toCents(amount) {
+    return Math.round(amount * 100);
+}
+
+function fromCents(cents) {
+    return cents / 100;
+}
+
+function generateTransactionId() {
+    return `txn_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// Validate a requested amount; returns the amount in cents or null
+function parseTransferAmount(value) {
+    const amount = typeof value === 'string' ? Number(value) : value;
+    
+    if (typeof amount !== 'number' || !Number.isFinite(amount)) return null;
+    if (Math.abs(toCents(amount) - amount * 100) > 1e-6) return null;   // more than 2 decimals
+    if (amount < TRANSFER_CONFIG.minAmount || amount > TRANSFER_CONFIG.maxAmount) return null;
+    
+    return toCents(amount);
+}
+
+// Apply both sides of a pending transaction to the user balances.
+// Throws INSUFFICIENT_FUNDS (and writes nothing) if the sender can't cover it.
+async function applyTransaction(transaction) {
+    const [debit, credit] = transaction.entries;
+    const amountCents = toCents(transaction.amount);
+    const balancesAfter = {};
+    
+    await storage.users.update(
+        user => user.user_id === debit.user_id || user.user_id === credit.user_id,
+        user => {
+            const balanceCents = toCents(user.account_balance || 0);
+            
+            if (user.user_id === debit.user_id) {
+                if (balanceCents < amountCents) {
+                    const error = new Error('Insufficient funds');
+                    error.code = 'INSUFFICIENT_FUNDS';
+                    throw error;
+                }
+                user.account_balance = fromCents(balanceCents - amountCents);
+            } else {
+                user.account_balance = fromCents(balanceCents + amountCents);
+            }
+            
+            user.ledger_applied = transaction.transaction_id;
+            balancesAfter[user.user_id] = user.account_balance;
+        }
+    );
+    
+    return balancesAfter;
+}
+
+async function markTransaction(transactionId, changes) {
+    const [updated] = await storage.transactions.update(
+        { transaction_id: transactionId },
+        transaction => Object.assign(transaction, changes)
+    );
+    return updated;
+}
+
+// Post a transfer. Returns { transaction, replayed } or
+// { error, httpStatus } for requests that can't be fulfilled.
+function executeTransfer({ sender, recipientUsername, amountCents, description, idempotencyKey, session, ipAddress }) {
+    return runTransferExclusive(async () => {
+        // Same key from the same user: return the original result
+        if (idempotencyKey) {
+            const previous = await storage.transactions.find({
+                initiated_by: sender.user_id,
+                idempotency_key: idempotencyKey
+            });
+            
+            if (previous) {
+                const sameRequest = toCents(previous.amount) === amountCents &&
+                    previous.to_username === recipientUsername;
+                
+                return sameRequest
+                    ? { transaction: previous, replayed: true }
+                    : { error: 'Idempotency key was already used for a different transfer', httpStatus: 422 };
+            }
+        }
+        
+        const recipient = await storage.users.find({ username: recipientUsername });
+        
+        if (!recipient) {
+            return { error: 'Recipient not found', httpStatus: 404 };
+        }
+        
+        if (recipient.user_id === sender.user_id) {
+            return { error: 'Cannot transfer to your own account', httpStatus: 400 };
+        }
+        
+        // Re-read the sender: the balance may have changed since authentication
+        const current = await storage.users.find({ user_id: sender.user_id });
+        if (toCents(current.account_balance || 0) < amountCents) {
+            return { error: 'Insufficient funds', httpStatus: 422 };
+        }
+        
+        const amount = fromCents(amountCents);
+        const now = new Date().toISOString();
+        const transactionId = generateTransactionId();
+        
+        // Score before anything is written; the assessment is kept whatever
+        // the outcome so analysts can see why transfers were held or declined
+        const risk = await riskEngine.assessTransfer({ user: current, session, ipAddress, amount });
+        
+        const assessment = await storage.riskAssessments.insert({
+            assessment_id: null, // assigned by storage
+            timestamp: now,
+            transaction_id: transactionId,
+            user_id: sender.user_id,
+            username: sender.username,
+            session_id: session.session_id,
+            ip_address: ipAddress,
+            device_fingerprint: session.device_fingerprint,
+            amount,
+            score: risk.score,
+            decision: risk.decision,
+            factors: risk.factors,
+            step_up: null
+        });
+        
+        const status = {
+            [DECISIONS.ALLOW]: 'pending',
+            [DECISIONS.HOLD]: 'held',
+            [DECISIONS.REJECT]: 'rejected'
+        }[risk.decision];
+        
+        const transaction = {
+            transaction_id: transactionId,
+            type: 'transfer',
+            status,
+            amount,
+            currency: TRANSFER_CONFIG.currency,
+            description,
+            from_user_id: sender.user_id,
+            from_username: sender.username,
+            to_user_id: recipient.user_id,
+            to_username: recipient.username,
+            entries: [
+                { user_id: sender.user_id, direction: 'debit', amount, balance_after: null },
+                { user_id: recipient.user_id, direction: 'credit', amount, balance_after: null }
+            ],
+            initiated_by: sender.user_id,
+            idempotency_key: idempotencyKey || null,
+            session_id: session.session_id,
+            ip_address: ipAddress,
+            risk: {
+                assessment_id: assessment.assessment_id,
+                score: risk.score,
+                decision: risk.decision
+            },
+            created_at: now,
+            posted_at: null
+        };
+        
+        if (status === 'held') {
+            transaction.step_up = {
+                expires_at: new Date(Date.now() + RISK_CONFIG.stepUpTtlMs).toISOString(),
+                failed_attempts: 0
+            };
+        }
+        
+        if (status === 'rejected') {
+            transaction.failure_reason = 'risk_rejected';
+        }
+        
+        await storage.transactions.insert(transaction);
+        
+        // An alert failure must not undo a transfer decision that is already stored
+        if (status === 'rejected') {
+            try {
+                await raiseAlert({
+                    source: 'transfer_risk',
+                    rule_id: 'TRANSFER_RISK_REJECTED',
+                    severity: 'medium',
+                    title: `High-risk transfer declined for ${sender.username}`,
+                    description: `Transfer of ${amount} ${TRANSFER_CONFIG.currency} to ${recipient.username} scored ${risk.score}`,
+                    group_key: `${sender.username}|${transactionId}`,
+                    username: sender.username,
+                    user_id: sender.user_id,
+                    ip_address: ipAddress,
+                    session_id: session.session_id,
+                    transaction_id: transactionId,
+                    evidence: { score: risk.score, factors: risk.factors }
+                });
+            } catch (error) {
+                console.error('Transfer risk alert error:', error);
+            }
+        }
+        
+        if (status !== 'pending') {
+            return { transaction, replayed: false };
+        }
+        
+        return { transaction: await postTransaction(transaction), replayed: false };
+    });
+}
+
+// Steps 2 and 3 for a transaction already stored as `pending`. A sender
+// who can't cover the amount leaves the transaction `failed`.
+async function postTransaction(transaction) {
+    let balancesAfter;
+    try {
+        balancesAfter = await applyTransaction(transaction);
+    } catch (error) {
+        if (error.code !== 'INSUFFICIENT_FUNDS') throw error;
+        
+        return markTransaction(transaction.transaction_id, {
+            status: 'failed',
+            failure_reason: 'insufficient_funds'
+        });
+    }
+    
+    return markTransaction(transaction.transaction_id, {
+        status: 'posted',
+        posted_at: new Date().toISOString(),
+        entries: transaction.entries.map(entry => ({
+            ...entry,
+            balance_after: balancesAfter[entry.user_id]
+        }))
+    });
+}
+
+function isStepUpExpired(transaction) {
+    return transaction.status === 'held' && new Date(transaction.step_up.expires_at) <= new Date();
+}
+
+// Complete a held transfer once the sender re-enters their password.
+// Returns { transaction } or { error, httpStatus, transaction? }.
+function verifyHeldTransfer({ user, transactionId, password }) {
+    return runTransferExclusive(async () => {
+        const transaction = await storage.transactions.find({ transaction_id: transactionId });
+        
+        if (!transaction || transaction.initiated_by !== user.user_id) {
+            return { error: 'Transfer not found', httpStatus: 404 };
+        }
+        
+        if (transaction.status !== 'held') {
+            return { error: `Transfer is ${transaction.status}, not awaiting verification`, httpStatus: 409, transaction };
+        }
+        
+        const recordStepUp = result => storage.riskAssessments.update(
+            { assessment_id: transaction.risk.assessment_id },
+            assessment => {
+                assessment.step_up = { result, at: new Date().toISOString() };
+            }
+        );
+        
+        if (isStepUpExpired(transaction)) {
+            await recordStepUp('expired');
+            const expired = await markTransaction(transactionId, { status: 'expired', failure_reason: 'step_up_expired' });
+            return { error: 'Verification window has expired', httpStatus: 410, transaction: expired };
+        }
+        
+        const { valid } = await verifyUserPassword(user, String(password || ''));
+        
+        if (!valid) {
+            const failedAttempts = transaction.step_up.failed_attempts + 1;
+            const exhausted = failedAttempts >= RISK_CONFIG.stepUpMaxAttempts;
+            
+            if (exhausted) await recordStepUp('failed');
+            
+            const updated = await markTransaction(transactionId, exhausted
+                ? { status: 'rejected', failure_reason: 'step_up_failed', step_up: { ...transaction.step_up, failed_attempts: failedAttempts } }
+                : { step_up: { ...transaction.step_up, failed_attempts: failedAttempts } });
+            
+            return {
+                error: exhausted ? 'Verification failed - transfer declined' : 'Verification failed',
+                httpStatus: 401,
+                transaction: updated,
+                remainingAttempts: RISK_CONFIG.stepUpMaxAttempts - failedAttempts
+            };
+        }
+        
+        await recordStepUp('passed');
+        const pending = await markTransaction(transactionId, { status: 'pending' });
+        
+        return { transaction: await postTransaction(pending) };
+    });
+}
+
+// Startup recovery for a crash between the steps above
+async function reconcilePendingTransfers() {
+    const pending = await storage.transactions.list({ status: 'pending' });
+    
+    for (const transaction of pending) {
+        const sender = await storage.users.find({ user_id: transaction.from_user_id });
+        const applied = sender && sender.ledger_applied === transaction.transaction_id;
+        
+        await markTransaction(transaction.transaction_id, applied
+            ? { status: 'posted', posted_at: new Date().toISOString(), reconciled: true }
+            : { status: 'failed', failure_reason: 'interrupted', reconciled: true });
+    }
+    
+    if (pending.length > 0) {
+        console.log(`🧾 Reconciled ${pending.length} interrupted transfer(s)`);
+    }
+}
+
+// A transaction as seen by one of its parties
+function toTransactionView(transaction, userId) {
+    const outgoing = transaction.from_user_id === userId;
+    const entry = transaction.entries.find(e => e.user_id === userId) || {};
+    
+    return {
+        transactionId: transaction.transaction_id,
+        type: transaction.type,
+        direction: outgoing ? 'debit' : 'credit',
+        amount: transaction.amount,
+        currency: transaction.currency,
+        counterparty: outgoing ? transaction.to_username : transaction.from_username,
+        description: transaction.description,
+        // Held transfers nobody verified in time are reported as expired
+        status: isStepUpExpired(transaction) ? 'expired' : transaction.status,
+        verificationExpiresAt: outgoing && transaction.status === 'held' ? transaction.step_up.expires_at : undefined,
+        // Only the sender sees why a transfer failed
+        failureReason: outgoing ? transaction.failure_reason : undefined,
+        balanceAfter: entry.balance_after,
+        createdAt: transaction.created_at,
+        postedAt: transaction.posted_at
+    };
+}
+
+// ============================================
+// Middleware
+// ============================================
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+// navigator.sendBeacon() posts JSON as text/plain, which keeps it a simple
+// CORS request (no preflight); parse it like any other JSON body
+const parseBeaconBody = [
+    express.text({ type: 'text/plain' }),
+    (req, res, next) => {
+        if (typeof req.body !== 'string') return next();
+        
+        try {
+            req.body = JSON.parse(req.body);
+            next();
+        } catch (error) {
+            res.status(400).json({
+                status: 'error',
+                message: 'Invalid JSON body',
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+];
+
+// Request logging
+app.use((req, res, next) => {
+    console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+    next();
+});
+
+// Extract "Authorization: Bearer <token>"
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    
+    if (!scheme || scheme.toLowerCase() !== 'bearer' || !token) {
+        return null;
+    }
+    
+    return token.trim();
+}
+
+// Resolve a session token to { session, user }, or { error } explaining why not
+async function resolveSession(req, token) {
+    const session = await storage.sessions.find({ session_token: token });
+    
+    if (!session || !session.is_active) {
+        return { error: 'Invalid or revoked session' };
+    }
+    
+    if (new Date(session.expires_at) <= new Date()) {
+        return { error: 'Session expired' };
+    }
+    
+    if (SESSION_CONFIG.bindToIP && session.ip_address !== getClientIP(req)) {
+        return { error: 'Session not valid from this IP address' };
+    }
+    
+    if (SESSION_CONFIG.bindToFingerprint &&
+        session.device_fingerprint &&
+        session.device_fingerprint !== req.headers['x-device-fingerprint']) {
+        return { error: 'Session not valid from this device' };
+    }
+    
+    const user = await storage.users.find({ user_id: session.user_id });
+    
+    if (!user) {
+        return { error: 'Session user no longer exists' };
+    }
+    
+    return { session, user };
+}
+
+// Validate the bearer token and attach req.auth = { session, user }.
+// With required=false, anonymous requests pass through but a token that
+// is present must still be valid.
+function authenticate(required = true) {
+    return async (req, res, next) => {
+        try {
+            const token = getBearerToken(req);
+            
+            if (!token) {
+                if (!required) return next();
+                
+                return res.status(401).json({
+                    status: 'error',
+                    message: 'Authentication required',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            const result = await resolveSession(req, token);
+            
+            if (result.error) {
+                return res.status(401).json({
+                    status: 'error',
+                    message: result.error,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            req.auth = result;
+            next();
+        } catch (error) {
+            console.error('Authentication error:', error);
+            res.status(500).json({
+                status: 'error',
+                message: 'Internal server error',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+}
+
+const requireAuth = authenticate(true);
+const optionalAuth = authenticate(false);
+
+// Must run after requireAuth
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.auth || !roles.includes(req.auth.user.role)) {
+            return res.status(403).json({
+                status: 'error',
+                message: 'Insufficient permissions',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        next();
+    };
+}
+
+const requireAnalyst = [requireAuth, requireRole(ROLES.ANALYST, ROLES.ADMIN)];
+const requireAdmin = [requireAuth, requireRole(ROLES.ADMIN)];
+
+// Reject requests from blocked IPs (expired blocks are lifted on the way).
+// The up-to-date record is left on req.ipReputation.
+async function ipGuard(req, res, next) {
+    try {
+        const ipAddress = getClientIP(req);
+        let ip = await storage.ipReputation.find({ ip_address: ipAddress });
+        
+        if (!ip) return next();
+        
+        if (applyReputationRecovery({ ...ip })) {
+            [ip] = await storage.ipReputation.update({ ip_address: ipAddress }, record => {
+                applyReputationRecovery(record);
+            });
+            eventHub.publish(STREAM_TOPICS.IP_REPUTATION, ip);
+        }
+        
+        req.ipReputation = ip;
+        if (!ip.is_blocked) return next();
+        
+        const retryAfter = ip.blocked_until
+            ? Math.ceil((new Date(ip.blocked_until) - Date.now()) / 1000)
+            : null;
+        
+        if (retryAfter) {
+            res.set('Retry-After', String(retryAfter));
+        }
+        
+        res.status(403).json({
+            status: 'error',
+            message: 'Access from this IP address has been blocked',
+            data: {
+                blockedUntil: ip.blocked_until,
+                retryAfter
+            },
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('IP guard error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+// ============================================
+// Authentication Endpoints
+// ============================================
+
+app.post('/api/auth/login', ipGuard, async (req, res) => {
+    try {
+        const {
+            username, password, deviceInfo, sessionId, rememberMe,
+            behavior, automation, challengeToken, challengeSolution
+        } = req.body;
+        const ipAddress = getClientIP(req);
+        
+        // Validate input
+        if (!username || !password) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Username and password required',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        // Anything but strings would reach the password hasher
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Username and password must be strings',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        // Read user
+        const user = await storage.users.find({ username });
+        
+        // Log login attempt
+        const attemptRecord = {
+            attempt_id: null, // assigned by storage
+            timestamp: new Date().toISOString(),
+            username,
+            user_id: user?.user_id || null,
+            session_id: sessionId,
+            ip_address: ipAddress,
+            device_fingerprint: deviceInfo?.fingerprint,
+            user_agent: deviceInfo?.browser?.userAgent,
+            // From getTimezoneInfo() in login.js (used for travel anomalies)
+            timezone: deviceInfo?.timezone?.timezone,
+            timezone_offset: deviceInfo?.timezone?.timezoneOffset,
+            password_length: password.length,
+            remember_me: rememberMe,
+            // Typing/mouse features from login.js and how they compare
+            // to the user's baseline
+            behavior: behaviorProfiler.sanitize(behavior),
+            behavior_match: null,
+            // Likelihood the attempt is automated, from the client's
+            // signals and the session's telemetry
+            bot: await botDetector.assess({ sessionId, behavior, automation })
+        };
+        
+        if (user) {
+            attemptRecord.behavior_match = await behaviorProfiler.score(user.user_id, attemptRecord.behavior);
+        }
+        
+        // Refuse outright while the username or IP is locked out - the
+        // password isn't checked, so a lockout can't be used as an oracle
+        const throttle = await getLoginThrottle(username, ipAddress);
+        
+        if (throttle.locked) {
+            attemptRecord.attempt_status = 'FAILURE';
+            attemptRecord.failure_reason = 'ACCOUNT_LOCKED';
+            attemptRecord.lock_scope = throttle.lockedBy;
+            attemptRecord.locked_until = throttle.lockedUntil;
+            
+            // No password was checked, so the IP's reputation isn't charged
+            // again - the failures behind the lockout already were
+            await recordLoginAttempt(attemptRecord);
+            
+            res.set('Retry-After', String(throttle.retryAfter));
+            return res.status(429).json({
+                status: 'error',
+                message: 'Too many failed login attempts. Please try again later.',
+                data: {
+                    remainingAttempts: 0,
+                    retryAfter: throttle.retryAfter,
+                    lockedUntil: throttle.lockedUntil
+                },
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        // Likely automation is turned away before the password is checked
+        if (attemptRecord.bot.decision === BOT_DECISIONS.REJECT) {
+            attemptRecord.attempt_status = 'FAILURE';
+            attemptRecord.failure_reason = 'BOT_REJECTED';
+            
+            await recordLoginAttempt(attemptRecord);
+            await updateIPReputation(ipAddress, 'failure');
+            
+            return res.status(403).json({
+                status: 'error',
+                message: 'Login blocked: automated activity detected',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        // Suspicious IPs/usernames must solve a proof-of-work challenge
+        // first. Without a valid solution a fresh challenge is returned
+        // (428) and the password isn't checked.
+        if (CHALLENGE_CONFIG.enabled) {
+            const { difficulty, reasons } = loginChallenge.difficultyFor({
+                reputationScore: req.ipReputation?.reputation_score,
+                failures: throttle.failures,
+                botChallenge: attemptRecord.bot.decision === BOT_DECISIONS.CHALLENGE
+            });
+            
+            if (difficulty > 0) {
+                const check = loginChallenge.verify({
+                    token: challengeToken,
+                    solution: challengeSolution,
+                    ipAddress,
+                    username,
+                    difficulty
+                });
+                
+                attemptRecord.challenge = { difficulty, reasons, result: check.valid ? 'passed' : check.reason };
+                
+                if (!check.valid) {
+                    attemptRecord.attempt_status = 'FAILURE';
+                    // Presenting no solution is expected; a bad one isn't
+                    attemptRecord.failure_reason = check.reason === 'missing' ? 'CHALLENGE_REQUIRED' : 'CHALLENGE_FAILED';
+                    
+                    await recordLoginAttempt(attemptRecord);
+                    
+                    return res.status(428).json({
+                        status: 'error',
+                        message: 'Please wait while we verify your browser',
+                        data: {
+                            challengeRequired: true,
+                            challenge: loginChallenge.issue({ ipAddress, username, difficulty }),
+                            reasons
+                        },
+                        timestamp: new Date().toISOString()
+                    });
+                }
+            }
+        }
+        
+        // Verify password (unknown users still pay for a hash check)
+        const { valid, upgraded } = user
+            ? await verifyUserPassword(user, password)
+            : { valid: await burnPasswordCheck(password), upgraded: false };
+        
+        if (upgraded) {
+            await storage.users.update({ user_id: user.user_id }, record => {
+                record.password_hash = user.password_hash;
+                record.password_updated_at = user.password_updated_at;
+                delete record.password;
+            });
+        }
+        
+        if (!valid) {
+            // Failed login
+            attemptRecord.attempt_status = 'FAILURE';
+            attemptRecord.failure_reason = !user ? 'user_not_found' : 'invalid_password';
+            
+            await recordLoginAttempt(attemptRecord);
+            
+            // Update IP reputation
+            await updateIPReputation(ipAddress, 'failure');
+            
+            // This failure may itself have triggered a lockout
+            const afterFailure = await getLoginThrottle(username, ipAddress);
+            
+            if (afterFailure.locked) {
+                res.set('Retry-After', String(afterFailure.retryAfter));
+            }
+            
+            return res.status(401).json({
+                status: 'error',
+                message: afterFailure.locked
+                    ? 'Invalid credentials. Too many failed attempts - login is temporarily locked.'
+                    : 'Invalid credentials',
+                data: {
+                    remainingAttempts: afterFailure.locked ? 0 : afterFailure.remainingAttempts,
+                    retryAfter: afterFailure.retryAfter,
+                    lockedUntil: afterFailure.lockedUntil
+                },
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        // Self-registered accounts can't sign in until the email is confirmed
+        // (accounts created before registration existed have no flag)
+        if (user.email_verified === false) {
+            attemptRecord.attempt_status = 'FAILURE';
+            attemptRecord.failure_reason = 'EMAIL_NOT_VERIFIED';
+            await recordLoginAttempt(attemptRecord);
+            
+            return res.status(403).json({
+                status: 'error',
+                message: 'Please verify your email address first. Check your inbox for the link.',
+                data: { emailVerificationRequired: true },
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        // Successful login - the attempt is linked to the session it creates
+        const serverSessionId = sessionId || `srv_${crypto.randomBytes(8).toString('hex')}`;
+        const mfaRequired = Boolean(user.mfa?.enabled);
+        
+        attemptRecord.attempt_status = mfaRequired ? 'MFA_PENDING' : 'SUCCESS';
+        attemptRecord.session_id = serverSessionId;
+        await recordLoginAttempt(attemptRecord);
+        
+        // With MFA the baseline learns once the second factor is verified
+        if (!mfaRequired) {
+            await behaviorProfiler.learn(user.user_id, attemptRecord.behavior, attemptRecord.behavior_match);
+        }
+        
+        // Create session (inactive until the second factor is verified)
+        const sessionToken = generateSessionToken();
+        const expiresAt = new Date(Date.now() + (mfaRequired ? MFA_CONFIG.pendingTtlMs : SESSION_CONFIG.ttlMs)).toISOString();
+        
+        await storage.sessions.insert({
+            session_id: serverSessionId,
+            user_id: user.user_id,
+            session_token: sessionToken,
+            device_fingerprint: deviceInfo?.fingerprint,
+            ip_address: ipAddress,
+            user_agent: deviceInfo?.browser?.userAgent,
+            created_at: new Date().toISOString(),
+            expires_at: expiresAt,
+            is_active: !mfaRequired,
+            mfa_pending: mfaRequired
+        });
+        
+        // Update IP reputation
+        await updateIPReputation(ipAddress, 'success');
+        
+        if (mfaRequired) {
+            return res.json({
+                status: 'success',
+                message: 'Password accepted. Enter the code from your authenticator app.',
+                data: {
+                    mfaRequired: true,
+                    mfaToken: sessionToken,
+                    expiresAt,
+                    methods: ['totp', 'recovery_code']
+                },
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        res.json({
+            status: 'success',
+            message: 'Authentication successful',
+            data: {
+                userId: user.user_id.toString(),
+                username: user.username,
+                role: user.role,
+                sessionToken,
+                expiresAt,
+                sessionId: serverSessionId
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+    try {
+        const token = req.auth.session.session_token;
+        await endSessions(s => s.session_token === token, 'logout');
+        
+        res.json({
+            status: 'success',
+            message: 'Logged out successfully',
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ============================================
+// Two-Factor Authentication Endpoints
+// ============================================
+
+// Check a TOTP or recovery code against a user record and consume it
+// (TOTP steps can't be replayed, recovery codes work once). Runs inside
+// storage.users.update, so two requests can't both use the same code.
+// Returns 'totp', 'recovery_code' or null.
+function consumeMfaCode(record, { code, recoveryCode }) {
+    if (!record.mfa?.enabled) return null;
+    
+    if (code) {
+        const step = mfa.verifyTotp(record.mfa.secret, code, { lastUsedStep: record.mfa.last_used_step });
+        if (step === null) return null;
+        
+        record.mfa.last_used_step = step;
+        return 'totp';
+    }
+    
+    if (recoveryCode) {
+        const hash = mfa.hashRecoveryCode(recoveryCode);
+        const entry = record.mfa.recovery_codes.find(c => c.hash === hash && !c.used_at);
+        if (!entry) return null;
+        
+        entry.used_at = new Date().toISOString();
+        return 'recovery_code';
+    }
+    
+    return null;
+}
+
+function issueRecoveryCodes(record) {
+    const codes = mfa.generateRecoveryCodes(MFA_CONFIG.recoveryCodeCount);
+    record.mfa.recovery_codes = codes.map(code => ({ hash: mfa.hashRecoveryCode(code), used_at: null }));
+    record.mfa.recovery_codes_created_at = new Date().toISOString();
+    return codes;
+}
+
+const remainingRecoveryCodes = user => (user.mfa?.recovery_codes || []).filter(c => !c.used_at).length;
+
+// Second login step: { "mfaToken", "code" } or { "mfaToken", "recoveryCode" }.
+// On success the pending session becomes a normal one with a new token.
+app.post('/api/auth/mfa/verify', ipGuard, async (req, res) => {
+    try {
+        const { mfaToken, code, recoveryCode } = req.body || {};
+        const ipAddress = getClientIP(req);
+        
+        const pending = mfaToken && await storage.sessions.find({ session_token: mfaToken });
+        
+        if (!pending || !pending.mfa_pending || new Date(pending.expires_at) <= new Date() ||
+            pending.ip_address !== ipAddress) {
+            return res.status(401).json({
+                status: 'error',
+                message: 'Invalid or expired MFA token. Please log in again.',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        if (!code && !recoveryCode) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Authentication code or recovery code required',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const user = await storage.users.find({ user_id: pending.user_id });
+        
+        // Account deleted since the password step
+        if (!user) {
+            await storage.sessions.update({ session_token: mfaToken }, session => {
+                session.mfa_pending = false;
+                session.ended_at = new Date().toISOString();
+                session.end_reason = 'user_deleted';
+            });
+            
+            return res.status(401).json({
+                status: 'error',
+                message: 'Invalid or expired MFA token. Please log in again.',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        // The password step's attempt carries the device details
+        const passwordStep = await storage.loginAttempts.find(
+            { session_id: pending.session_id, attempt_status: 'MFA_PENDING' },
+            { since: new Date(new Date(pending.created_at).getTime() - 60 * 1000).toISOString() }
+        );
+        
+        const attemptRecord = {
+            attempt_id: null, // assigned by storage
+            timestamp: new Date().toISOString(),
+            username: user.username,
+            user_id: user.user_id,
+            session_id: pending.session_id,
+            ip_address: ipAddress,
+            device_fingerprint: pending.device_fingerprint,
+            user_agent: pending.user_agent,
+            timezone: passwordStep?.timezone,
+            timezone_offset: passwordStep?.timezone_offset,
+            stage: 'mfa',
+            mfa_method: code ? 'totp' : 'recovery_code'
+        };
+        
+        const throttle = await getLoginThrottle(user.username, ipAddress);
+        
+        if (throttle.locked) {
+            attemptRecord.attempt_status = 'FAILURE';
+            attemptRecord.failure_reason = 'ACCOUNT_LOCKED';
+            attemptRecord.lock_scope = throttle.lockedBy;
+            attemptRecord.locked_until = throttle.lockedUntil;
+            
+            await recordLoginAttempt(attemptRecord);
+            
+            res.set('Retry-After', String(throttle.retryAfter));
+            return res.status(429).json({
+                status: 'error',
+                message: 'Too many failed attempts. Please try again later.',
+                data: { retryAfter: throttle.retryAfter, lockedUntil: throttle.lockedUntil },
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        let method = null;
+        const [updated] = await storage.users.update({ user_id: user.user_id }, record => {
+            method = consumeMfaCode(record, { code, recoveryCode });
+        });
+        
+        if (!method) {
+            attemptRecord.attempt_status = 'FAILURE';
+            attemptRecord.failure_reason = 'invalid_mfa_code';
+            await recordLoginAttempt(attemptRecord);
+            await updateIPReputation(ipAddress, 'failure');
+            
+            // Too many wrong codes: the password has to be entered again
+            const [session] = await storage.sessions.update({ session_token: mfaToken }, session => {
+                session.mfa_failed_attempts = (session.mfa_failed_attempts || 0) + 1;
+                
+                if (session.mfa_failed_attempts >= MFA_CONFIG.maxCodeAttempts) {
+                    session.mfa_pending = false;
+                    session.ended_at = new Date().toISOString();
+                    session.end_reason = 'mfa_failed';
+                }
+            });
+            
+            const remainingAttempts = Math.max(MFA_CONFIG.maxCodeAttempts - session.mfa_failed_attempts, 0);
+            
+            return res.status(401).json({
+                status: 'error',
+                message: remainingAttempts > 0
+                    ? 'Invalid authentication code'
+                    : 'Too many invalid codes. Please log in again.',
+                data: { remainingAttempts },
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        // Fresh token: the one that only allowed this step is retired
+        const sessionToken = generateSessionToken();
+        const expiresAt = new Date(Date.now() + SESSION_CONFIG.ttlMs).toISOString();
+        
+        await storage.sessions.update({ session_token: mfaToken }, session => {
+            session.session_token = sessionToken;
+            session.expires_at = expiresAt;
+            session.is_active = true;
+            session.mfa_pending = false;
+            session.mfa_method = method;
+            session.mfa_verified_at = new Date().toISOString();
+        });
+        
+        attemptRecord.attempt_status = 'SUCCESS';
+        attemptRecord.mfa_method = method;
+        await recordLoginAttempt(attemptRecord);
+        
+        // Typing behavior was captured at the password step
+        if (passwordStep) {
+            await behaviorProfiler.learn(user.user_id, passwordStep.behavior, passwordStep.behavior_match);
+        }
+        
+        res.json({
+            status: 'success',
+            message: 'Authentication successful',
+            data: {
+                userId: user.user_id.toString(),
+                username: user.username,
+                role: user.role,
+                sessionToken,
+                expiresAt,
+                sessionId: pending.session_id,
+                recoveryCodesRemaining: method === 'recovery_code' ? remainingRecoveryCodes(updated) : undefined
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('MFA verify error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.get('/api/auth/mfa', requireAuth, (req, res) => {
+    try {
+        const { mfa: settings } = req.auth.user;
+        
+        res.json({
+            status: 'success',
+            data: {
+                enabled: Boolean(settings?.enabled),
+                enrolledAt: settings?.enrolled_at || null,
+                recoveryCodesRemaining: remainingRecoveryCodes(req.auth.user)
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('MFA status error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to get MFA status',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Start enrollment: a new secret to add to an authenticator app. MFA isn't
+// enabled until /api/auth/mfa/enroll/verify confirms a code from it.
+app.post('/api/auth/mfa/enroll', requireAuth, async (req, res) => {
+    try {
+        const { user } = req.auth;
+        
+        if (user.mfa?.enabled) {
+            return res.status(409).json({
+                status: 'error',
+                message: 'Two-factor authentication is already enabled',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const secret = mfa.generateSecret();
+        
+        await storage.users.update({ user_id: user.user_id }, record => {
+            record.mfa = {
+                enabled: false,
+                pending_secret: secret,
+                pending_created_at: new Date().toISOString()
+            };
+        });
+        
+        res.json({
+            status: 'success',
+            message: 'Scan the code with your authenticator app, then confirm with a code from it',
+            data: {
+                secret,
+                otpauthUri: mfa.otpauthUri({ secret, account: user.username, issuer: MFA_CONFIG.issuer }),
+                digits: mfa.TOTP.digits,
+                period: mfa.TOTP.stepSeconds,
+                expiresAt: new Date(Date.now() + MFA_CONFIG.enrollmentTtlMs).toISOString()
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('MFA enroll error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to start enrollment',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// { "code" } - confirms the secret and returns the recovery codes. This is
+// the only time the codes are shown.
+app.post('/api/auth/mfa/enroll/verify', requireAuth, async (req, res) => {
+    try {
+        const { code } = req.body || {};
+        let outcome = null;
+        let recoveryCodes = null;
+        
+        await storage.users.update({ user_id: req.auth.user.user_id }, record => {
+            const pending = record.mfa;
+            
+            if (!pending?.pending_secret ||
+                Date.now() - new Date(pending.pending_created_at).getTime() > MFA_CONFIG.enrollmentTtlMs) {
+                outcome = 'no_enrollment';
+                return;
+            }
+            
+            const step = mfa.verifyTotp(pending.pending_secret, code);
+            if (step === null) {
+                outcome = 'invalid_code';
+                return;
+            }
+            
+            record.mfa = {
+                enabled: true,
+                secret: pending.pending_secret,
+                enrolled_at: new Date().toISOString(),
+                last_used_step: step
+            };
+            recoveryCodes = issueRecoveryCodes(record);
+            outcome = 'enabled';
+        });
+        
+        if (outcome !== 'enabled') {
+            return res.status(outcome === 'no_enrollment' ? 409 : 400).json({
+                status: 'error',
+                message: outcome === 'no_enrollment'
+                    ? 'No enrollment in progress (or it expired). Start again with /api/auth/mfa/enroll.'
+                    : 'Invalid authentication code',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        console.log(`🔐 MFA enabled for ${req.auth.user.username}`);
+        
+        res.json({
+            status: 'success',
+            message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+            data: { recoveryCodes },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('MFA enroll verify error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to confirm enrollment',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// { "code" } - replaces all recovery codes (old ones stop working)
+app.post('/api/auth/mfa/recovery-codes', requireAuth, async (req, res) => {
+    try {
+        let recoveryCodes = null;
+        
+        await storage.users.update({ user_id: req.auth.user.user_id }, record => {
+            if (consumeMfaCode(record, { code: req.body?.code }) === 'totp') {
+                recoveryCodes = issueRecoveryCodes(record);
+            }
+        });
+        
+        if (!recoveryCodes) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'A valid authentication code is required',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        res.json({
+            status: 'success',
+            message: 'New recovery codes generated. The previous codes no longer work.',
+            data: { recoveryCodes },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Recovery codes error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to generate recovery codes',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// { "password", "code" } - both factors are needed to turn MFA off
+app.post('/api/auth/mfa/disable', requireAuth, async (req, res) => {
+    try {
+        const { password, code } = req.body || {};
+        const { user } = req.auth;
+        
+        const { valid } = await verifyUserPassword({ ...user }, String(password || ''));
+        let disabled = false;
+        
+        if (valid) {
+            await storage.users.update({ user_id: user.user_id }, record => {
+                if (consumeMfaCode(record, { code }) === 'totp') {
+                    record.mfa = { enabled: false, disabled_at: new Date().toISOString() };
+                    disabled = true;
+                }
+            });
+        }
+        
+        if (!disabled) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Password and a valid authentication code are required',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        console.log(`🔓 MFA disabled for ${user.username}`);
+        
+        res.json({
+            status: 'success',
+            message: 'Two-factor authentication disabled',
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('MFA disable error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to disable two-factor authentication',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ============================================
+// Registration, Email Verification & Password Reset
+// ============================================
+
+const TOKEN_PURPOSES = {
+    VERIFY_EMAIL: 'verify_email',
+    RESET_PASSWORD: 'reset_password',
+    // No link: records a registration that hit a taken username or email,
+    // so those count towards the per-IP and per-address limits
+    REGISTRATION_CONFLICT: 'registration_conflict'
+};
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const normalizeEmail = email => String(email || '').trim().toLowerCase();
+const hashAuthToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Reasons a new password is unacceptable (empty if it's fine). `user` is
+// the existing record when changing a password: its current and recent
+// passwords can't be reused.
+async function checkNewPassword(password, { username, email, user = null }) {
+    const { errors } = passwordPolicy.evaluate(password, { username, email });
+    if (errors.length > 0 || !user) return errors;
+    
+    const recent = [user.password_hash, ...(user.password_history || [])]
+        .filter(Boolean)
+        .slice(0, PASSWORD_POLICY_CONFIG.historySize + 1);
+    
+    for (const hash of recent) {
+        if (await verifyPassword(password, hash)) {
+            return [PASSWORD_POLICY_CONFIG.historySize > 0
+                ? `Password must differ from your last ${PASSWORD_POLICY_CONFIG.historySize} passwords`
+                : 'Password must differ from your current password'];
+        }
+    }
+    
+    return [];
+}
+
+// Store a new password hash on a user record (inside storage.users.update),
+// keeping the previous hashes for the reuse check
+function setUserPassword(record, passwordHash) {
+    if (record.password_hash && PASSWORD_POLICY_CONFIG.historySize > 0) {
+        record.password_history = [record.password_hash, ...(record.password_history || [])]
+            .slice(0, PASSWORD_POLICY_CONFIG.historySize);
+    }
+    
+    record.password_hash = passwordHash;
+    record.password_updated_at = new Date().toISOString();
+    delete record.password;
+}
+
+// Token writes run one at a time so the per-address limit below can't
+// be raced past
+let authTokenChain = Promise.resolve();
+
+function onAuthTokenChain(task) {
+    const run = authTokenChain.then(task);
+    authTokenChain = run.catch(() => {});
+    return run;
+}
+
+// Records of one purpose for an address within the email window
+function countRecentAuthTokens(email, purpose, now) {
+    const windowStart = new Date(now.getTime() - ACCOUNT_CONFIG.emailWindowMs).toISOString();
+    const address = normalizeEmail(email);
+    
+    return storage.authTokens.count(token =>
+        normalizeEmail(token.email) === address && token.purpose === purpose && token.created_at >= windowStart
+    );
+}
+
+// Create the token for an emailed link and return it (only its hash is
+// stored). Earlier unused tokens for the same purpose stop working.
+// Returns null if this address was sent too many recently.
+function issueAuthToken(user, purpose, ttlMs, ipAddress) {
+    return onAuthTokenChain(() => createAuthToken(user, purpose, ttlMs, ipAddress));
+}
+
+async function createAuthToken(user, purpose, ttlMs, ipAddress) {
+    const now = new Date();
+    
+    const recent = await countRecentAuthTokens(user.email, purpose, now);
+    if (recent >= ACCOUNT_CONFIG.maxEmailsPerWindow) return null;
+    
+    await storage.authTokens.update(
+        token => token.user_id === user.user_id && token.purpose === purpose && !token.used_at && !token.revoked_at,
+        token => {
+            token.revoked_at = now.toISOString();
+        }
+    );
+    
+    const token = crypto.randomBytes(32).toString('base64url');
+    
+    await storage.authTokens.insert({
+        token_hash: hashAuthToken(token),
+        purpose,
+        user_id: user.user_id,
+        email: user.email,
+        requested_ip: ipAddress,
+        created_at: now.toISOString(),
+        expires_at: new Date(now.getTime() + ttlMs).toISOString(),
+        used_at: null,
+        revoked_at: null
+    });
+    
+    return token;
+}
+
+// Record a registration attempt on a taken username or email. Returns
+// whether the address may be emailed about it, under the same limit as
+// emailed links.
+function recordRegistrationConflict(email, userId, ipAddress) {
+    return onAuthTokenChain(async () => {
+        const now = new Date();
+        const recent = await countRecentAuthTokens(email, TOKEN_PURPOSES.REGISTRATION_CONFLICT, now);
+        
+        await storage.authTokens.insert({
+            token_hash: null,
+            purpose: TOKEN_PURPOSES.REGISTRATION_CONFLICT,
+            user_id: userId,
+            email,
+            requested_ip: ipAddress,
+            created_at: now.toISOString(),
+            expires_at: now.toISOString(),
+            used_at: null,
+            revoked_at: null
+        });
+        
+        return recent < ACCOUNT_CONFIG.maxEmailsPerWindow;
+    });
+}
+
+function isAuthTokenUsable(record, purpose) {
+    return Boolean(record) && record.purpose === purpose && !record.used_at && !record.revoked_at &&
+        new Date(record.expires_at) > new Date();
+}
+
+// Look up a token without using it up
+async function findAuthToken(token, purpose) {
+    if (typeof token !== 'string' || !token) return null;
+    
+    const record = await storage.authTokens.find({ token_hash: hashAuthToken(token) });
+    return isAuthTokenUsable(record, purpose) ? record : null;
+}
+
+// Mark a token used. Atomic, so a link can't be used twice even by
+// concurrent requests. Returns the token record or null.
+async function consumeAuthToken(token, purpose) {
+    if (typeof token !== 'string' || !token) return null;
+    
+    const usedAt = new Date().toISOString();
+    const [record] = await storage.authTokens.update(
+        record => record.token_hash === hashAuthToken(token) && isAuthTokenUsable(record, purpose),
+        record => {
+            record.used_at = usedAt;
+        }
+    );
+    
+    return record || null;
+}
+
+const ttlText = ms => ms >= 60 * 60 * 1000 ? `${ms / (60 * 60 * 1000)} hours` : `${ms / (60 * 1000)} minutes`;
+
+const ACCOUNT_EMAILS = {
+    verifyEmail: ({ user, token }) => ({
+        subject: 'Confirm your IntelliBank email address',
+        text: [
+            `Hello ${user.full_name || user.username},`,
+            '',
+            'Please confirm your email address to finish opening your IntelliBank account:',
+            '',
+            `${ACCOUNT_CONFIG.publicUrl}/register.html?verify=${token}`,
+            '',
+            `The link expires in ${ttlText(ACCOUNT_CONFIG.verificationTtlMs)}. If you didn't register, you can ignore this email.`
+        ].join('\n')
+    }),
+    
+    alreadyRegistered: ({ user }) => ({
+        subject: 'Someone tried to register with your email address',
+        text: [
+            `Hello ${user.full_name || user.username},`,
+            '',
+            'Someone tried to open a new IntelliBank account with this email address, which',
+            `already belongs to your account (username: ${user.username}).`,
+            '',
+            'If that was you, log in or reset your password instead:',
+            '',
+            `${ACCOUNT_CONFIG.publicUrl}/password-reset.html`,
+            '',
+            "If it wasn't you, no action is needed."
+        ].join('\n')
+    }),
+    
+    // To the address given at registration, which has no account - so
+    // nothing the requester typed goes into it
+    usernameTaken: () => ({
+        subject: 'Your IntelliBank registration',
+        text: [
+            'Hello,',
+            '',
+            'Someone tried to open an IntelliBank account with this email address, but the',
+            'username they chose is already taken. If that was you, please register again',
+            'with a different username:',
+            '',
+            `${ACCOUNT_CONFIG.publicUrl}/register.html`,
+            '',
+            "If it wasn't you, no action is needed."
+        ].join('\n')
+    }),
+    
+    passwordReset: ({ user, token }) => ({
+        subject: 'Reset your IntelliBank password',
+        text: [
+            `Hello ${user.full_name || user.username},`,
+            '',
+            'We received a request to reset your password. Choose a new one here:',
+            '',
+            `${ACCOUNT_CONFIG.publicUrl}/password-reset.html?token=${token}`,
+            '',
+            `The link expires in ${ttlText(ACCOUNT_CONFIG.resetTtlMs)} and works once. If you didn't ask for this,`,
+            'you can ignore this email - your password has not been changed.'
+        ].join('\n')
+    }),
+    
+    passwordChanged: ({ user, how = 'reset' }) => ({
+        subject: 'Your IntelliBank password was changed',
+        text: [
+            `Hello ${user.full_name || user.username},`,
+            '',
+            how === 'reset'
+                ? 'The password for your IntelliBank account was just reset, and every device\nthat was signed in has been signed out.'
+                : 'The password for your IntelliBank account was just changed, and every other\ndevice that was signed in has been signed out.',
+            '',
+            "If you didn't do this, contact us immediately."
+        ].join('\n')
+    })
+};
+
+// Send one of ACCOUNT_EMAILS. Mail problems are logged, never thrown:
+// they mustn't change what the API tells the caller.
+async function sendAccountEmail(kind, user, details = {}) {
+    try {
+        const { subject, text } = ACCOUNT_EMAILS[kind]({ user, ...details });
+        await mailer.send({ to: user.email, subject, text });
+        return true;
+    } catch (error) {
+        console.error(`Account email (${kind}) error:`, error);
+        return false;
+    }
+}
+
+// { "username", "email", "password", "fullName" }. The account can't sign
+// in until the emailed link is followed.
+app.post('/api/auth/register', ipGuard, async (req, res) => {
+    try {
+        const { username, email, password, fullName } = req.body || {};
+        const ipAddress = getClientIP(req);
+        const normalizedEmail = normalizeEmail(email);
+        const name = typeof fullName === 'string' ? fullName.trim() : '';
+        const errors = [];
+        
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            errors.push('Username must be 3-32 characters: letters, numbers, ".", "-" or "_"');
+        }
+        if (!EMAIL_PATTERN.test(normalizedEmail) || normalizedEmail.length > 254) {
+            errors.push('A valid email address is required');
+        }
+        if (!name || name.length > 100) {
+            errors.push('Full name is required (at most 100 characters)');
+        }
+        errors.push(...await checkNewPassword(password, { username, email: normalizedEmail }));
+        
+        if (errors.length > 0) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Registration details are invalid',
+                data: { errors },
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+        const fromThisIP = await storage.users.count(u => u.registration_ip === ipAddress && u.created_at >= hourAgo) +
+            await storage.authTokens.count(token =>
+                token.purpose === TOKEN_PURPOSES.REGISTRATION_CONFLICT && token.requested_ip === ipAddress && token.created_at >= hourAgo
+            );
+        
+        if (fromThisIP >= ACCOUNT_CONFIG.maxRegistrationsPerIP) {
+            res.set('Retry-After', '3600');
+            return res.status(429).json({
+                status: 'error',
+                message: 'Too many accounts created from this network. Please try again later.',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        // Hashed up front: the upsert below must not wait on anything
+        const passwordHash = await hashPassword(password);
+        const lowerUsername = username.toLowerCase();
+        let conflict = false;
+        
+        // Usernames (case-insensitively) and emails are unique; checked and
+        // inserted in one atomic step
+        const [user, ...others] = await storage.users.upsert(
+            u => u.username.toLowerCase() === lowerUsername || normalizeEmail(u.email) === normalizedEmail,
+            () => {
+                conflict = true;
+            },
+            () => ({
+                username,
+                password_hash: passwordHash,
+                password_updated_at: new Date().toISOString(),
+                role: ROLES.CUSTOMER,
+                email: normalizedEmail,
+                full_name: name,
+                account_balance: 0,
+                created_at: new Date().toISOString(),
+                email_verified: false,
+                registration_ip: ipAddress
+            })
+        );
+        
+        if (conflict) {
+            // Same answer as a new registration, so the endpoint can't be used
+            // to find out who banks here or which usernames exist. Only the
+            // owner of the email address is told: about their account if it
+            // has one, else that the username is taken.
+            const emailOwner = [user, ...others].find(u => normalizeEmail(u.email) === normalizedEmail);
+            const mayEmail = await recordRegistrationConflict(normalizedEmail, emailOwner?.user_id ?? null, ipAddress);
+            
+            if (mayEmail && emailOwner) {
+                await sendAccountEmail('alreadyRegistered', emailOwner);
+            } else if (mayEmail) {
+                await sendAccountEmail('usernameTaken', { email: normalizedEmail });
+            }
+        } else {
+            const token = await issueAuthToken(user, TOKEN_PURPOSES.VERIFY_EMAIL, ACCOUNT_CONFIG.verificationTtlMs, ipAddress);
+            await sendAccountEmail('verifyEmail', user, { token });
+            console.log(`👤 New account registered: ${username}`);
+        }
+        
+        res.status(201).json({
+            status: 'success',
+            message: 'Account created. Check your email for a link to verify your address.',
+            data: {
+                username,
+                email: normalizedEmail,
+                emailVerificationRequired: true
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Registration error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Registration failed',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// { "token" } from the link in the verification email
+app.post('/api/auth/verify-email', ipGuard, async (req, res) => {
+    try {
+        const record = await consumeAuthToken(req.body?.token, TOKEN_PURPOSES.VERIFY_EMAIL);
+        
+        if (!record) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'This verification link is invalid or has expired',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const [user] = await storage.users.update({ user_id: record.user_id }, user => {
+            user.email_verified = true;
+            user.email_verified_at = new Date().toISOString();
+        });
+        
+        res.json({
+            status: 'success',
+            message: 'Email address verified. You can now log in.',
+            data: { username: user.username },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Email verification error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Email verification failed',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// { "email" }. These two endpoints answer the same whether or not the
+// address is known, and send the email after responding, so neither the
+// body nor the timing reveals which accounts exist.
+app.post('/api/auth/verify-email/resend', ipGuard, (req, res) => {
+    try {
+        const email = normalizeEmail(req.body?.email);
+        const ipAddress = getClientIP(req);
+        
+        res.json({
+            status: 'success',
+            message: 'If an unverified account uses this address, a new verification link is on its way.',
+            timestamp: new Date().toISOString()
+        });
+        
+        (async () => {
+            const user = EMAIL_PATTERN.test(email) && await storage.users.find(u => normalizeEmail(u.email) === email);
+            if (!user || user.email_verified !== false) return;
+            
+            const token = await issueAuthToken(user, TOKEN_PURPOSES.VERIFY_EMAIL, ACCOUNT_CONFIG.verificationTtlMs, ipAddress);
+            if (token) await sendAccountEmail('verifyEmail', user, { token });
+        })().catch(error => console.error('Verification resend error:', error));
+        
+    } catch (error) {
+        console.error('Verification resend error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.post('/api/auth/password/forgot', ipGuard, (req, res) => {
+    try {
+        const email = normalizeEmail(req.body?.email);
+        const ipAddress = getClientIP(req);
+        
+        res.json({
+            status: 'success',
+            message: 'If an account uses this address, a password reset link is on its way.',
+            timestamp: new Date().toISOString()
+        });
+        
+        (async () => {
+            const user = EMAIL_PATTERN.test(email) && await storage.users.find(u => normalizeEmail(u.email) === email);
+            if (!user) return;
+            
+            const token = await issueAuthToken(user, TOKEN_PURPOSES.RESET_PASSWORD, ACCOUNT_CONFIG.resetTtlMs, ipAddress);
+            if (token) await sendAccountEmail('passwordReset', user, { token });
+        })().catch(error => console.error('Password reset request error:', error));
+        
+    } catch (error) {
+        console.error('Password reset request error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// { "token", "password" }. Signs the account out everywhere.
+app.post('/api/auth/password/reset', ipGuard, async (req, res) => {
+    try {
+        const { token, password } = req.body || {};
+        const invalidLink = () => res.status(400).json({
+            status: 'error',
+            message: 'This reset link is invalid or has expired. Please request a new one.',
+            timestamp: new Date().toISOString()
+        });
+        
+        const pending = await findAuthToken(token, TOKEN_PURPOSES.RESET_PASSWORD);
+        const user = pending && await storage.users.find({ user_id: pending.user_id });
+        if (!user) return invalidLink();
+        
+        const errors = await checkNewPassword(password, { username: user.username, email: user.email, user });
+        
+        if (errors.length > 0) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Password does not meet the requirements',
+                data: { errors },
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        // The token is only used up once the new password is acceptable
+        if (!await consumeAuthToken(token, TOKEN_PURPOSES.RESET_PASSWORD)) return invalidLink();
+        
+        const passwordHash = await hashPassword(password);
+        const now = new Date().toISOString();
+        
+        await storage.users.update({ user_id: user.user_id }, record => {
+            setUserPassword(record, passwordHash);
+            
+            // Following the emailed link proves the address works
+            if (record.email_verified === false) {
+                record.email_verified = true;
+                record.email_verified_at = now;
+            }
+        });
+        
+        const sessionsEnded = await endSessions(s => s.user_id === user.user_id, 'password_reset');
+        await sendAccountEmail('passwordChanged', user);
+        
+        console.log(`🔑 Password reset for ${user.username} (${sessionsEnded} session(s) ended)`);
+        
+        res.json({
+            status: 'success',
+            message: 'Password updated. Please log in with your new password.',
+            data: { sessionsEnded },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Password reset error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Password reset failed',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// { "currentPassword", "newPassword" }. Other sessions are signed out;
+// this one stays.
+app.post('/api/auth/password/change', requireAuth, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body || {};
+        const { user, session } = req.auth;
+        
+        const { valid } = await verifyUserPassword({ ...user }, String(currentPassword || ''));
+        
+        if (!valid) {
+            return res.status(401).json({
+                status: 'error',
+                message: 'Current password is incorrect',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const errors = await checkNewPassword(newPassword, { username: user.username, email: user.email, user });
+        
+        if (errors.length > 0) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Password does not meet the requirements',
+                data: { errors },
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const passwordHash = await hashPassword(newPassword);
+        await storage.users.update({ user_id: user.user_id }, record => setUserPassword(record, passwordHash));
+        
+        const sessionsEnded = await endSessions(
+            s => s.user_id === user.user_id && s.session_token !== session.session_token,
+            'password_changed'
+        );
+        await sendAccountEmail('passwordChanged', user, { how: 'change' });
+        
+        res.json({
+            status: 'success',
+            message: 'Password changed',
+            data: { sessionsEnded },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Password change error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to change password',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Settings for the strength meter, which runs security/password-policy.js
+// in the browser with the bundled list
+app.get('/api/auth/password-policy', (req, res) => {
+    try {
+        res.json({
+            status: 'success',
+            data: { policy: passwordPolicy.settings },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Password policy error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ============================================
+// Session Management Endpoints
+// ============================================
+
+app.get('/api/sessions', requireAuth, async (req, res) => {
+    try {
+        const { user, session: current } = req.auth;
+        const sessions = await storage.sessions.list({ user_id: user.user_id });
+        
+        const activeSessions = sessions
+            .filter(isSessionLive)
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+            .map(s => toSessionSummary(s, current.session_token));
+        
+        res.json({
+            status: 'success',
+            data: { sessions: activeSessions },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Session list error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to list sessions',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Sign out everywhere (?keepCurrent=true signs out all *other* devices)
+app.delete('/api/sessions', requireAuth, async (req, res) => {
+    try {
+        const { user, session: current } = req.auth;
+        const keepCurrent = req.query.keepCurrent === 'true';
+        
+        const revoked = await endSessions(
+            s => s.user_id === user.user_id &&
+                 !(keepCurrent && s.session_token === current.session_token),
+            'revoked_all'
+        );
+        
+        res.json({
+            status: 'success',
+            message: keepCurrent ? 'Signed out of all other sessions' : 'Signed out everywhere',
+            data: { revokedSessions: revoked },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Session revoke-all error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to revoke sessions',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.delete('/api/sessions/:id', requireAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { user } = req.auth;
+        
+        const revoked = await endSessions(
+            s => s.user_id === user.user_id && s.session_id === id,
+            'revoked'
+        );
+        
+        if (revoked === 0) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Session not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        res.json({
+            status: 'success',
+            message: 'Session revoked',
+            data: { sessionId: id },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Session revoke error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to revoke session',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ============================================
+// Account Endpoints
+// ============================================
+
+// Public view of a user record (never exposes the password hash)
+function toUserProfile(user) {
+    return {
+        userId: user.user_id.toString(),
+        username: user.username,
+        fullName: user.full_name,
+        email: user.email,
+        role: user.role,
+        emailVerified: user.email_verified !== false,
+        mfaEnabled: Boolean(user.mfa?.enabled),
+        createdAt: user.created_at
+    };
+}
+
+app.get('/api/me', requireAuth, async (req, res) => {
+    try {
+        const { user, session } = req.auth;
+        
+        res.json({
+            status: 'success',
+            data: {
+                user: toUserProfile(user),
+                session: toSessionSummary(session, session.session_token)
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Profile error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to load profile',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// How far back the dashboard looks for the previous sign-in and for
+// recent transactions
+const LOGIN_HISTORY_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Balance plus the security summary shown on the dashboard
+app.get('/api/accounts', requireAuth, async (req, res) => {
+    try {
+        const { user, session: current } = req.auth;
+        
+        const sessions = await storage.sessions.list({ user_id: user.user_id });
+        
+        // Sign-ins before the current one: the latest success and any
+        // failures since then
+        const attempts = await storage.loginAttempts.list({ username: user.username }, {
+            since: new Date(Date.now() - LOGIN_HISTORY_WINDOW_MS).toISOString()
+        });
+        
+        let previousLogin = null;
+        let failedSinceLastLogin = 0;
+        
+        for (let i = attempts.length - 1; i >= 0; i--) {
+            const attempt = attempts[i];
+            if (attempt.timestamp > current.created_at) continue;
+            
+            if (attempt.attempt_status === 'SUCCESS') {
+                if (attempt.session_id === current.session_id) continue;
+                previousLogin = attempt;
+                break;
+            }
+            if (attempt.attempt_status === 'FAILURE') failedSinceLastLogin++;
+        }
+        
+        // Posted transfers in or out over the same window
+        const windowStart = new Date(Date.now() - LOGIN_HISTORY_WINDOW_MS).toISOString();
+        const isRecentPosted = t => t.status === 'posted' && t.created_at >= windowStart;
+        const recentTransactions =
+            (await storage.transactions.list({ from_user_id: user.user_id })).filter(isRecentPosted).length +
+            (await storage.transactions.list({ to_user_id: user.user_id })).filter(isRecentPosted).length;
+        
+        res.json({
+            status: 'success',
+            data: {
+                fullName: user.full_name,
+                accounts: [
+                    {
+                        type: 'checking',
+                        name: 'Primary Account',
+                        balance: user.account_balance || 0,
+                        currency: 'USD'
+                    }
+                ],
+                totalBalance: user.account_balance || 0,
+                summary: {
+                    activeSessions: sessions.filter(isSessionLive).length,
+                    recentTransactions,
+                    failedLoginsSinceLastLogin: failedSinceLastLogin,
+                    lastLogin: previousLogin && {
+                        timestamp: previousLogin.timestamp,
+                        ipAddress: previousLogin.ip_address
+                    }
+                }
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Account summary error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to load accounts',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ============================================
+// Transfer & Transaction Endpoints
+// ============================================
+
+app.post('/api/transfers', requireAuth, async (req, res) => {
+    try {
+        const { user, session } = req.auth;
+        const { toUsername, amount, description = '' } = req.body || {};
+        // Retrying with the same key never moves money twice
+        const idempotencyKey = req.get('Idempotency-Key') || req.body?.idempotencyKey || null;
+        
+        const amountCents = parseTransferAmount(amount);
+        
+        if (!toUsername || amountCents === null) {
+            return res.status(400).json({
+                status: 'error',
+                message: `A recipient and an amount between ${TRANSFER_CONFIG.minAmount} and ${TRANSFER_CONFIG.maxAmount} (max two decimals) are required`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        if (typeof description !== 'string' || description.length > TRANSFER_CONFIG.maxDescriptionLength ||
+            (idempotencyKey && (typeof idempotencyKey !== 'string' || idempotencyKey.length > 128))) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Description must be at most ${TRANSFER_CONFIG.maxDescriptionLength} characters and the idempotency key at most 128`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const result = await executeTransfer({
+            sender: user,
+            recipientUsername: toUsername,
+            amountCents,
+            description: description.trim(),
+            idempotencyKey,
+            session,
+            ipAddress: getClientIP(req)
+        });
+        
+        if (result.error) {
+            return res.status(result.httpStatus).json({
+                status: 'error',
+                message: result.error,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const { transaction, replayed } = result;
+        const view = { ...toTransactionView(transaction, user.user_id), idempotentReplay: replayed };
+        
+        if (view.status === 'failed' || view.status === 'expired') {
+            return res.status(422).json({
+                status: 'error',
+                message: 'Transfer failed',
+                data: view,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        if (view.status === 'rejected') {
+            return res.status(403).json({
+                status: 'error',
+                message: 'Transfer declined by security checks',
+                data: view,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        if (view.status === 'held') {
+            return res.status(202).json({
+                status: 'success',
+                message: 'Additional verification required to complete this transfer',
+                data: {
+                    ...view,
+                    verificationRequired: true,
+                    verifyUrl: `/api/transfers/${transaction.transaction_id}/verify`
+                },
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        res.status(replayed ? 200 : 201).json({
+            status: 'success',
+            message: replayed ? 'Transfer already processed' : 'Transfer completed',
+            data: view,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Transfer error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to process transfer',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Step-up verification for a held transfer: { "password": "..." }
+app.post('/api/transfers/:id/verify', requireAuth, async (req, res) => {
+    try {
+        const { user } = req.auth;
+        
+        const result = await verifyHeldTransfer({
+            user,
+            transactionId: req.params.id,
+            password: req.body?.password
+        });
+        
+        if (result.error) {
+            return res.status(result.httpStatus).json({
+                status: 'error',
+                message: result.error,
+                data: result.transaction ? {
+                    ...toTransactionView(result.transaction, user.user_id),
+                    remainingAttempts: result.remainingAttempts
+                } : undefined,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const view = toTransactionView(result.transaction, user.user_id);
+        
+        if (view.status !== 'posted') {
+            return res.status(422).json({
+                status: 'error',
+                message: 'Transfer failed',
+                data: view,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        res.json({
+            status: 'success',
+            message: 'Transfer verified and completed',
+            data: view,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Transfer verification error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to verify transfer',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// The current user's transactions, newest first.
+// ?page, ?limit (max 100), ?direction=debit|credit, ?status,
+// ?counterparty=<username>, ?from / ?to (ISO dates), ?minAmount, ?maxAmount
+app.get('/api/transactions', requireAuth, async (req, res) => {
+    try {
+        const { user } = req.auth;
+        const { direction, status, counterparty, from, to, minAmount, maxAmount } = req.query;
+        
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+        
+        // Two indexed lookups instead of scanning every transaction
+        const sent = direction === 'credit' ? [] : await storage.transactions.list({ from_user_id: user.user_id });
+        const received = direction === 'debit' ? [] : await storage.transactions.list({ to_user_id: user.user_id });
+        
+        const fromTime = from ? new Date(from).getTime() : null;
+        const toTime = to ? new Date(to).getTime() : null;
+        const min = minAmount !== undefined ? parseFloat(minAmount) : null;
+        const max = maxAmount !== undefined ? parseFloat(maxAmount) : null;
+        
+        const transactions = sent.concat(received)
+            // Recipients only see transfers that actually moved money
+            .filter(t => t.from_user_id === user.user_id || t.status === 'posted')
+            .map(t => toTransactionView(t, user.user_id))
+            .filter(t => !status || t.status === status)
+            .filter(t => !counterparty || t.counterparty === counterparty)
+            .filter(t => fromTime === null || new Date(t.createdAt).getTime() >= fromTime)
+            .filter(t => toTime === null || new Date(t.createdAt).getTime() <= toTime)
+            .filter(t => min === null || t.amount >= min)
+            .filter(t => max === null || t.amount <= max)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        
+        res.json({
+            status: 'success',
+            data: {
+                transactions: transactions.slice((page - 1) * limit, page * limit),
+                pagination: {
+                    page,
+                    limit,
+                    total: transactions.length,
+                    totalPages: Math.ceil(transactions.length / limit)
+                }
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Transaction list error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to list transactions',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ============================================
+// Logging Endpoints
+// ============================================
+
+// Event times from the client: ISO 8601 with a time zone, so they parse
+// the same everywhere and sort as strings once normalized
+const ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+function isValidEventTimestamp(timestamp) {
+    return timestamp === undefined || timestamp === null ||
+        (typeof timestamp === 'string' && ISO_TIMESTAMP_PATTERN.test(timestamp) && !Number.isNaN(Date.parse(timestamp)));
+}
+
+// Keeps the client's time (events replayed from the offline queue can be
+// hours or days old), in UTC so range queries compare it as a string
+function eventTimestamp(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString() : new Date().toISOString();
+}
+
+app.post('/api/log/event', ipGuard, optionalAuth, async (req, res) => {
+    try {
+        const { timestamp, sessionId, eventType, eventData, deviceInfo } = req.body;
+        const ipAddress = getClientIP(req);
+        
+        if (!isValidEventTimestamp(timestamp)) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'timestamp must be an ISO 8601 date-time',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        // Get user_id from the authenticated session, else the client session ID
+        const session = await storage.sessions.find({ session_id: sessionId });
+        const userId = req.auth?.user.user_id || session?.user_id || null;
+        
+        // Create log entry
+        const logEntry = {
+            log_id: null, // assigned by storage
+            timestamp: eventTimestamp(timestamp),
+            session_id: sessionId,
+            user_id: userId,
+            event_type: eventType,
+            event_data: eventData || {},
+            ip_address: ipAddress,
+            device_fingerprint: deviceInfo?.fingerprint,
+            browser_info: deviceInfo?.browser || {},
+            screen_info: deviceInfo?.screen || {},
+            timezone_info: deviceInfo?.timezone || {},
+            referrer: deviceInfo?.referrer,
+            current_url: deviceInfo?.currentUrl
+        };
+        
+        // Add to logs
+        await storage.eventLogs.insert(logEntry);
+        eventHub.publish(STREAM_TOPICS.EVENT_LOG, logEntry);
+        await applyDetectionRules('event', [logEntry]);
+        
+        res.status(201).json({
+            status: 'success',
+            message: 'Event logged successfully',
+            data: {
+                logId: logEntry.log_id.toString(),
+                eventType,
+                timestamp: logEntry.timestamp
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Logging error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to log event',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.post('/api/log/batch', parseBeaconBody, ipGuard, optionalAuth, async (req, res) => {
+    try {
+        // droppedEvents: events the client discarded since its last
+        // successful batch (offline queue overflow, rejected batches)
+        const { events, droppedEvents } = req.body || {};
+        const ipAddress = getClientIP(req);
+        
+        if (!Array.isArray(events) || events.length === 0) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'No events provided',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const errors = events
+            .map((event, i) => isValidEventTimestamp(event?.timestamp) ? null : `events[${i}].timestamp must be an ISO 8601 date-time`)
+            .filter(Boolean);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Some events are invalid',
+                data: { errors },
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const logEntries = [];
+        const sessionUsers = new Map();
+        
+        let loggedCount = 0;
+        let failedCount = 0;
+        
+        for (const event of events) {
+            try {
+                const { timestamp, sessionId, eventType, eventData, deviceInfo } = event;
+                
+                // Get user_id (one lookup per distinct session in the batch)
+                if (!sessionUsers.has(sessionId)) {
+                    const session = await storage.sessions.find({ session_id: sessionId });
+                    sessionUsers.set(sessionId, session?.user_id || null);
+                }
+                const userId = req.auth?.user.user_id || sessionUsers.get(sessionId);
+                
+                // Create log entry
+                const logEntry = {
+                    log_id: null, // assigned by storage
+                    timestamp: eventTimestamp(timestamp),
+                    session_id: sessionId,
+                    user_id: userId,
+                    event_type: eventType,
+                    event_data: eventData || {},
+                    ip_address: ipAddress,
+                    device_fingerprint: deviceInfo?.fingerprint,
+                    browser_info: deviceInfo?.browser || {},
+                    screen_info: deviceInfo?.screen || {},
+                    timezone_info: deviceInfo?.timezone || {},
+                    referrer: deviceInfo?.referrer,
+                    current_url: deviceInfo?.currentUrl
+                };
+                
+                logEntries.push(logEntry);
+                loggedCount++;
+                
+            } catch (error) {
+                console.error('Error logging event:', error);
+                failedCount++;
+            }
+        }
+        
+        // Record client-side loss so gaps in a session's telemetry are explainable
+        const dropped = parseInt(droppedEvents, 10) || 0;
+        if (dropped > 0) {
+            const [first] = logEntries;
+            logEntries.push({
+                log_id: null,
+                timestamp: new Date().toISOString(),
+                session_id: first?.session_id,
+                user_id: first?.user_id || null,
+                event_type: 'TELEMETRY_DROPPED',
+                event_data: { droppedEvents: dropped },
+                ip_address: ipAddress,
+                device_fingerprint: first?.device_fingerprint
+            });
+        }
+        
+        await storage.eventLogs.insertMany(logEntries);
+        logEntries.forEach(entry => eventHub.publish(STREAM_TOPICS.EVENT_LOG, entry));
+        await applyDetectionRules('event', logEntries);
+        
+        res.status(201).json({
+            status: 'success',
+            message: 'Batch logged successfully',
+            data: {
+                eventsLogged: loggedCount,
+                failedEvents: failedCount,
+                droppedEventsReported: dropped
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Batch logging error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to log batch',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ============================================
+// IP Information Endpoint
+// ============================================
+
+app.get('/api/ip/info', async (req, res) => {
+    try {
+        const ipAddress = getClientIP(req);
+        
+        res.json({
+            status: 'success',
+            message: 'IP information retrieved',
+            data: {
+                ipAddress,
+                ipType: 'IPv4',
+                isProxy: false,
+                isVPN: false,
+                country: 'Sri Lanka',
+                city: 'Negombo',
+                region: 'Western Province',
+                timezone: 'Asia/Colombo'
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('IP info error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to get IP info',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ============================================
+// Analytics Endpoints
+// ============================================
+
+// ?timeRange for analytics endpoints, in hours (default 24h)
+const TIME_RANGE_HOURS = { '1h': 1, '24h': 24, '7d': 168, '30d': 720 };
+
+function getTimeRangeStart(timeRange) {
+    const hoursAgo = TIME_RANGE_HOURS[timeRange] || TIME_RANGE_HOURS['24h'];
+    return new Date(Date.now() - hoursAgo * 60 * 60 * 1000);
+}
+
+// Width of the login-stats timeline buckets for each time range
+const TIMELINE_BUCKET_MINUTES = { '1h': 5, '24h': 60, '7d': 6 * 60, '30d': 24 * 60 };
+const TOP_FAILING_IPS = 10;
+
+app.get('/api/analytics/login-stats', requireAnalyst, async (req, res) => {
+    try {
+        const threshold = getTimeRangeStart(req.query.timeRange);
+        
+        // Stream recent attempts and tally as we go rather than loading
+        // the whole login history
+        const tallies = {
+            SUCCESS: { count: 0, ips: new Set(), users: new Set() },
+            FAILURE: { count: 0, ips: new Set(), users: new Set() },
+            // Password accepted, second factor not (yet) verified
+            MFA_PENDING: { count: 0, ips: new Set(), users: new Set() }
+        };
+        
+        // Attempts per status over time, for the SOC console's timeline
+        const bucketMs = TIMELINE_BUCKET_MINUTES[req.query.timeRange in TIME_RANGE_HOURS ? req.query.timeRange : '24h'] * 60 * 1000;
+        const timeline = Array.from({ length: Math.ceil((Date.now() - threshold) / bucketMs) }, (_, i) => ({
+            start: new Date(threshold.getTime() + i * bucketMs).toISOString(),
+            SUCCESS: 0,
+            FAILURE: 0,
+            MFA_PENDING: 0
+        }));
+        
+        const failuresByIP = new Map();
+        
+        for await (const attempt of storage.loginAttempts.iterate(null, { since: threshold.toISOString() })) {
+            const tally = tallies[attempt.attempt_status];
+            if (!tally) continue;
+            
+            tally.count++;
+            tally.ips.add(attempt.ip_address);
+            tally.users.add(attempt.username);
+            
+            const bucket = timeline[Math.floor((new Date(attempt.timestamp) - threshold) / bucketMs)];
+            if (bucket) bucket[attempt.attempt_status]++;
+            
+            if (attempt.attempt_status === 'FAILURE') {
+                const ip = failuresByIP.get(attempt.ip_address) || { failures: 0, usernames: new Set(), last_failure: null };
+                ip.failures++;
+                ip.usernames.add(attempt.username);
+                ip.last_failure = attempt.timestamp;
+                failuresByIP.set(attempt.ip_address, ip);
+            }
+        }
+        
+        // Calculate stats
+        const stats = {};
+        for (const [status, tally] of Object.entries(tallies)) {
+            stats[status] = {
+                count: tally.count,
+                unique_ips: tally.ips.size,
+                unique_users: tally.users.size
+            };
+        }
+        
+        // Login anomaly alerts raised in the same period, per rule
+        const anomalies = {};
+        for (const alert of await storage.alerts.list({ source: 'login_anomaly' }, { since: threshold.toISOString() })) {
+            anomalies[alert.rule_id] = (anomalies[alert.rule_id] || 0) + 1;
+        }
+        stats.ANOMALIES = anomalies;
+        
+        stats.TIMELINE = { bucket_minutes: bucketMs / 60000, buckets: timeline };
+        
+        // The IPs with the most failures, with their current reputation
+        const topFailing = [...failuresByIP]
+            .sort(([, a], [, b]) => b.failures - a.failures)
+            .slice(0, TOP_FAILING_IPS);
+        stats.TOP_FAILING_IPS = await Promise.all(topFailing.map(async ([ipAddress, ip]) => {
+            const record = await storage.ipReputation.find({ ip_address: ipAddress });
+            // Current (recovered) state, without persisting it
+            const reputation = record && { ...record };
+            if (reputation) applyReputationRecovery(reputation);
+            
+            return {
+                ip_address: ipAddress,
+                failures: ip.failures,
+                usernames: [...ip.usernames],
+                last_failure: ip.last_failure,
+                reputation_score: reputation ? reputation.reputation_score : null,
+                is_blocked: Boolean(reputation?.is_blocked)
+            };
+        }));
+        
+        res.json({
+            status: 'success',
+            data: stats,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Analytics error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to get analytics',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.get('/api/analytics/ip-reputation/:ip', requireAnalyst, async (req, res) => {
+    try {
+        const { ip } = req.params;
+        const ipData = await storage.ipReputation.find({ ip_address: ip });
+        
+        if (!ipData) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'IP not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        res.json({
+            status: 'success',
+            data: ipData,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('IP reputation error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to get IP reputation',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// A user's behavioural baseline and how their recent logins scored
+// against it. ?timeRange=1h|24h|7d|30d (default 24h)
+app.get('/api/analytics/behavior/:username', requireAnalyst, async (req, res) => {
+    try {
+        const user = await storage.users.find({ username: req.params.username });
+        
+        if (!user) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'User not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const since = getTimeRangeStart(req.query.timeRange).toISOString();
+        const [baseline, attempts] = await Promise.all([
+            storage.behaviorBaselines.find({ user_id: user.user_id }),
+            storage.loginAttempts.list({ username: user.username }, { since })
+        ]);
+        
+        res.json({
+            status: 'success',
+            data: {
+                username: user.username,
+                baseline,
+                minSamples: behaviorProfiler.settings.minSamples,
+                attempts: attempts.reverse().slice(0, 50).map(attempt => ({
+                    attempt_id: attempt.attempt_id,
+                    timestamp: attempt.timestamp,
+                    attempt_status: attempt.attempt_status,
+                    ip_address: attempt.ip_address,
+                    similarity: attempt.behavior_match?.similarity ?? null,
+                    outliers: attempt.behavior_match?.outliers || [],
+                    features: attempt.behavior
+                }))
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Behavior analytics error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to get behavior profile',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Transfer risk decisions with their contributing factors.
+// ?timeRange=1h|24h|7d|30d, ?decision=allow|hold|reject, ?userId, ?limit
+app.get('/api/analytics/risk-decisions', requireAnalyst, async (req, res) => {
+    try {
+        const { decision, userId } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+        const since = getTimeRangeStart(req.query.timeRange).toISOString();
+        
+        const filter = {};
+        if (decision) filter.decision = decision;
+        if (userId) filter.user_id = parseInt(userId, 10);
+        
+        const assessments = await storage.riskAssessments.list(filter, { since });
+        
+        const byDecision = { allow: 0, hold: 0, reject: 0 };
+        const stepUp = { passed: 0, failed: 0, expired: 0, pending: 0 };
+        const factorTotals = {};
+        let scoreSum = 0;
+        
+        for (const assessment of assessments) {
+            byDecision[assessment.decision] = (byDecision[assessment.decision] || 0) + 1;
+            scoreSum += assessment.score;
+            
+            if (assessment.decision === 'hold') {
+                stepUp[assessment.step_up ? assessment.step_up.result : 'pending']++;
+            }
+            
+            for (const { factor, points } of assessment.factors) {
+                const totals = factorTotals[factor] || (factorTotals[factor] = { triggered: 0, totalPoints: 0 });
+                if (points > 0) totals.triggered++;
+                totals.totalPoints += points;
+            }
+        }
+        
+        res.json({
+            status: 'success',
+            data: {
+                total: assessments.length,
+                byDecision,
+                averageScore: assessments.length ? Math.round(scoreSum / assessments.length) : 0,
+                stepUp,
+                factors: Object.entries(factorTotals)
+                    .map(([factor, totals]) => ({ factor, ...totals }))
+                    .sort((a, b) => b.totalPoints - a.totalPoints),
+                recent: assessments.slice(-limit).reverse()
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Risk analytics error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to get risk decisions',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Bot scores of login attempts and the signals behind them.
+// ?timeRange=1h|24h|7d|30d, ?decision=allow|challenge|reject, ?minScore, ?limit
+app.get('/api/analytics/bot-detection', requireAnalyst, async (req, res) => {
+    try {
+        const { decision } = req.query;
+        const minScore = parseInt(req.query.minScore, 10) || 0;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+        const since = getTimeRangeStart(req.query.timeRange).toISOString();
+        
+        // Attempts recorded before bot scoring have no `bot` field
+        const attempts = await storage.loginAttempts.list(attempt =>
+            attempt.bot &&
+            attempt.bot.score >= minScore &&
+            (!decision || attempt.bot.decision === decision),
+            { since }
+        );
+        
+        const byDecision = { allow: 0, challenge: 0, reject: 0 };
+        // Score distribution in buckets of 10 (0-9, 10-19, ... 90-100)
+        const distribution = new Array(10).fill(0);
+        const signalTotals = {};
+        let scoreSum = 0;
+        
+        for (const { bot } of attempts) {
+            byDecision[bot.decision]++;
+            distribution[Math.min(Math.floor(bot.score / 10), 9)]++;
+            scoreSum += bot.score;
+            
+            for (const { signal, points } of bot.signals) {
+                const totals = signalTotals[signal] || (signalTotals[signal] = { triggered: 0, totalPoints: 0 });
+                totals.triggered++;
+                totals.totalPoints += points;
+            }
+        }
+        
+        res.json({
+            status: 'success',
+            data: {
+                total: attempts.length,
+                byDecision,
+                averageScore: attempts.length ? Math.round(scoreSum / attempts.length) : 0,
+                distribution,
+                thresholds: BOT_CONFIG,
+                signals: Object.entries(signalTotals)
+                    .map(([signal, totals]) => ({ signal, ...totals }))
+                    .sort((a, b) => b.totalPoints - a.totalPoints),
+                recent: attempts.slice(-limit).reverse().map(attempt => ({
+                    attempt_id: attempt.attempt_id,
+                    timestamp: attempt.timestamp,
+                    username: attempt.username,
+                    ip_address: attempt.ip_address,
+                    session_id: attempt.session_id,
+                    attempt_status: attempt.attempt_status,
+                    failure_reason: attempt.failure_reason,
+                    ...attempt.bot
+                }))
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Bot analytics error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to get bot detection stats',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Sessions, newest first, with the owner's username and whether they're
+// still usable. ?active=true|false, ?username, ?ip, ?limit
+app.get('/api/analytics/sessions', requireAnalyst, async (req, res) => {
+    try {
+        const { active, username, ip } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+        
+        const user = username ? await storage.users.find({ username }) : null;
+        if (username && !user) {
+            return res.json({
+                status: 'success',
+                data: { sessions: [], total: 0 },
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const sessions = (await storage.sessions.list(session =>
+            (active === undefined || isSessionLive(session) === (active === 'true')) &&
+            (!user || session.user_id === user.user_id) &&
+            (!ip || session.ip_address === ip)
+        )).sort((a, b) => b.created_at.localeCompare(a.created_at));
+        
+        const usernames = new Map((await storage.users.list()).map(u => [u.user_id, u.username]));
+        
+        res.json({
+            status: 'success',
+            data: {
+                sessions: sessions.slice(0, limit).map(({ session_token, ...session }) => ({
+                    ...session,
+                    username: usernames.get(session.user_id) || null,
+                    live: isSessionLive(session)
+                })),
+                total: sessions.length
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Session analytics error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to list sessions',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Everything recorded for one session: its login attempts, page events
+// and the alerts that reference it. `id` is the client or server session
+// ID, so telemetry from before the login (no session record) is included.
+app.get('/api/analytics/sessions/:id', requireAnalyst, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const [session, attempts, events, alerts] = await Promise.all([
+            storage.sessions.find({ session_id: id }),
+            storage.loginAttempts.list({ session_id: id }),
+            storage.eventLogs.list({ session_id: id }),
+            storage.alerts.list(alert => (alert.session_ids || []).includes(id))
+        ]);
+        
+        if (!session && attempts.length === 0 && events.length === 0) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Session not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const userId = session?.user_id ?? attempts.find(a => a.user_id)?.user_id ?? events.find(e => e.user_id)?.user_id;
+        const user = userId ? await storage.users.find({ user_id: userId }) : null;
+        
+        let sessionView = null;
+        if (session) {
+            const { session_token, ...rest } = session;
+            sessionView = { ...rest, live: isSessionLive(session) };
+        }
+        
+        res.json({
+            status: 'success',
+            data: {
+                session_id: id,
+                session: sessionView,
+                user: user ? toUserProfile(user) : null,
+                login_attempts: attempts.reverse(),
+                event_logs: events.reverse(),
+                alerts: alerts.sort((a, b) => b.last_seen.localeCompare(a.last_seen))
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Session detail error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to get session history',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Page events, newest first. ?eventType (comma-separated), ?sessionId,
+// ?username, ?ip, ?timeRange=1h|24h|7d|30d, ?limit
+app.get('/api/analytics/events', requireAnalyst, async (req, res) => {
+    try {
+        const { sessionId, username, ip } = req.query;
+        const eventTypes = splitList(req.query.eventType);
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+        const since = getTimeRangeStart(req.query.timeRange).toISOString();
+        
+        const user = username ? await storage.users.find({ username }) : null;
+        if (username && !user) {
+            return res.json({
+                status: 'success',
+                data: { events: [], total: 0, eventTypes: {} },
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const events = await storage.eventLogs.list(event =>
+            (!eventTypes || eventTypes.includes(event.event_type)) &&
+            (!sessionId || event.session_id === sessionId) &&
+            (!user || event.user_id === user.user_id) &&
+            (!ip || event.ip_address === ip),
+            { since }
+        );
+        
+        // Counts per type for the filter menu
+        const byType = {};
+        for (const event of events) {
+            byType[event.event_type] = (byType[event.event_type] || 0) + 1;
+        }
+        
+        res.json({
+            status: 'success',
+            data: {
+                events: events.slice(-limit).reverse(),
+                total: events.length,
+                eventTypes: byType
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Event analytics error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to list events',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Everything recorded for one IP: reputation (with recovery applied),
+// login attempts, sessions, page events and alerts.
+// ?timeRange limits the logs (default: all of them), ?limit caps each list
+app.get('/api/analytics/ips/:ip', requireAnalyst, async (req, res) => {
+    try {
+        const { ip } = req.params;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 200, 1000);
+        const options = req.query.timeRange ? { since: getTimeRangeStart(req.query.timeRange).toISOString() } : undefined;
+        
+        const [record, attempts, sessions, events, alerts] = await Promise.all([
+            storage.ipReputation.find({ ip_address: ip }),
+            storage.loginAttempts.list({ ip_address: ip }, options),
+            storage.sessions.list({ ip_address: ip }),
+            storage.eventLogs.list({ ip_address: ip }, options),
+            storage.alerts.list({ ip_address: ip }, options)
+        ]);
+        
+        if (!record && attempts.length === 0 && events.length === 0) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'IP not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        // Show current (recovered) state without persisting it
+        const reputation = record && { ...record };
+        if (reputation) applyReputationRecovery(reputation);
+        
+        const usernames = new Map((await storage.users.list()).map(u => [u.user_id, u.username]));
+        
+        res.json({
+            status: 'success',
+            data: {
+                ip_address: ip,
+                reputation,
+                totals: {
+                    login_attempts: attempts.length,
+                    failures: attempts.filter(a => a.attempt_status === 'FAILURE').length,
+                    usernames: [...new Set(attempts.map(a => a.username))].length,
+                    sessions: sessions.length,
+                    event_logs: events.length,
+                    alerts: alerts.length
+                },
+                login_attempts: attempts.slice(-limit).reverse(),
+                sessions: sessions
+                    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+                    .slice(0, limit)
+                    .map(({ session_token, ...session }) => ({
+                        ...session,
+                        username: usernames.get(session.user_id) || null,
+                        live: isSessionLive(session)
+                    })),
+                event_logs: events.slice(-limit).reverse(),
+                alerts: alerts.sort((a, b) => b.last_seen.localeCompare(a.last_seen)).slice(0, limit)
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('IP history error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to get IP history',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ============================================
+// Live Event Stream
+// ============================================
+
+// EventSource can't set headers, so browser clients pass the session
+// token as ?accessToken instead (the request log only records the path)
+function acceptQueryToken(req, res, next) {
+    if (!req.headers.authorization && typeof req.query.accessToken === 'string') {
+        req.headers.authorization = `Bearer ${req.query.accessToken}`;
+    }
+    next();
+}
+
+// Server-Sent Events: one `event: <topic>` message per new record, with an
+// `id:` to resume from. ?topics=event_log,login_attempt,ip_reputation,alert
+// (default all), ?eventType and ?severity (comma-separated), ?sessionId,
+// ?username, ?ip. Resumes after the Last-Event-ID header (sent by
+// EventSource when it reconnects) or ?lastEventId.
+app.get('/api/stream/events', acceptQueryToken, requireAnalyst, async (req, res) => {
+    try {
+        const topics = splitList(req.query.topics);
+        const unknownTopics = (topics || []).filter(topic => !Object.values(STREAM_TOPICS).includes(topic));
+        
+        if (unknownTopics.length > 0) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Invalid stream filter',
+                data: { errors: unknownTopics.map(topic => `Unknown topic "${topic}" (expected one of: ${Object.values(STREAM_TOPICS).join(', ')})`) },
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        if (eventHub.stats().subscribers >= eventHub.settings.maxSubscribers) {
+            res.set('Retry-After', String(Math.ceil(STREAM_CONFIG.retryMs / 1000)));
+            return res.status(503).json({
+                status: 'error',
+                message: 'Too many stream subscribers, try again later',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const { sessionId, username, ip } = req.query;
+        const user = username ? await storage.users.find({ username }) : null;
+        const filter = createStreamFilter({
+            topics,
+            eventTypes: splitList(req.query.eventType),
+            severities: splitList(req.query.severity),
+            sessionId,
+            username,
+            userId: user?.user_id,
+            ip
+        });
+        const lastEventId = req.headers['last-event-id'] || req.query.lastEventId || null;
+        const token = getBearerToken(req);
+        
+        let subscription = null;
+        let heartbeat = null;
+        let closed = false;
+        
+        function close(reason) {
+            if (closed) return;
+            closed = true;
+            
+            clearInterval(heartbeat);
+            if (subscription) subscription.unsubscribe();
+            
+            if (reason && !res.writableEnded) {
+                res.end(`event: end\ndata: ${JSON.stringify({ reason })}\n\n`);
+            }
+        }
+        
+        function write(chunk) {
+            if (closed) return;
+            res.write(chunk);
+            
+            // The client isn't reading fast enough - drop it rather than
+            // buffer without limit; it can resume from its last event ID
+            if (res.writableLength > STREAM_CONFIG.maxQueuedBytes) close('slow_consumer');
+        }
+        
+        const send = message => write(`id: ${message.id}\nevent: ${message.topic}\ndata: ${JSON.stringify(message.data)}\n\n`);
+        
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        write(`retry: ${STREAM_CONFIG.retryMs}\n\n`);
+        
+        req.on('close', () => close(null));
+        
+        subscription = eventHub.subscribe({ filter, lastEventId, send });
+        
+        // Subscribers filled up while the filter was being resolved
+        if (!subscription) {
+            close('too_many_subscribers');
+            return;
+        }
+        
+        // The replay alone overran the client (close() ran before
+        // `subscription` was set)
+        if (closed) {
+            subscription.unsubscribe();
+            return;
+        }
+        
+        // Messages since lastEventId were lost (restart or buffer overrun) -
+        // the client should reload from the analytics endpoints
+        if (subscription.gap) {
+            write(`event: resync\ndata: ${JSON.stringify({ reason: 'events_missed', lastEventId })}\n\n`);
+        }
+        write(`event: ready\ndata: ${JSON.stringify({ replayed: subscription.replayed, lastEventId: eventHub.stats().lastEventId })}\n\n`);
+        
+        // Stop streaming once the session is logged out, expires or loses
+        // the analyst role
+        heartbeat = setInterval(async () => {
+            try {
+                const auth = await resolveSession(req, token);
+                
+                if (auth.error || ![ROLES.ANALYST, ROLES.ADMIN].includes(auth.user.role)) {
+                    close('session_ended');
+                    return;
+                }
+                
+                write(': heartbeat\n\n');
+            } catch (error) {
+                console.error('Stream heartbeat error:', error);
+            }
+        }, STREAM_CONFIG.heartbeatMs);
+        
+    } catch (error) {
+        console.error('Stream error:', error);
+        
+        if (res.headersSent) {
+            res.destroy(error);
+            return;
+        }
+        
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to open event stream',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ============================================
+// Alert Endpoints (analyst triage)
+// ============================================
+
+// Shared response for updateAlert() results
+function sendAlertResult(res, result, message) {
+    if (result.error) {
+        return res.status(result.httpStatus).json({
+            status: 'error',
+            message: result.error,
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    res.json({
+        status: 'success',
+        message,
+        data: result.alert,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// ?status=open,acknowledged  ?severity=high,critical  ?ruleId  ?source
+// ?assignedTo=<username>|me|unassigned  ?ip  ?username  ?timeRange
+// ?page  ?limit (max 200). Newest first.
+app.get('/api/alerts', requireAnalyst, async (req, res) => {
+    try {
+        const { ruleId, source, assignedTo, ip, username, timeRange } = req.query;
+        const statuses = splitList(req.query.status);
+        const severities = splitList(req.query.severity);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+        
+        const assignee = assignedTo === 'me' ? req.auth.user.username : assignedTo;
+        const options = timeRange ? { since: getTimeRangeStart(timeRange).toISOString() } : undefined;
+        
+        const alerts = (await storage.alerts.list(alert =>
+            (!statuses || statuses.includes(alert.status)) &&
+            (!severities || severities.includes(alert.severity)) &&
+            (!ruleId || alert.rule_id === ruleId) &&
+            (!source || alert.source === source) &&
+            (!assignee || (assignee === 'unassigned' ? !alert.assigned_to : alert.assigned_to === assignee)) &&
+            (!ip || alert.ip_address === ip) &&
+            (!username || alert.username === username),
+            options
+        )).sort((a, b) => b.last_seen.localeCompare(a.last_seen));
+        
+        const byStatus = Object.fromEntries(Object.keys(ALERT_STATUSES).map(status => [status, 0]));
+        const bySeverity = Object.fromEntries(ALERT_SEVERITIES.map(severity => [severity, 0]));
+        for (const alert of alerts) {
+            byStatus[alert.status]++;
+            bySeverity[alert.severity]++;
+        }
+        
+        res.json({
+            status: 'success',
+            data: {
+                alerts: alerts.slice((page - 1) * limit, page * limit),
+                summary: { byStatus, bySeverity },
+                pagination: {
+                    page,
+                    limit,
+                    total: alerts.length,
+                    totalPages: Math.ceil(alerts.length / limit)
+                }
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Alert list error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to list alerts',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// One alert with its linked login attempts, events and sessions
+app.get('/api/alerts/:id', requireAnalyst, async (req, res) => {
+    try {
+        const alert = await storage.alerts.find({ alert_id: parseInt(req.params.id, 10) });
+        
+        if (!alert) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Alert not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const attemptIds = new Set(alert.attempt_ids || []);
+        const eventIds = new Set(alert.event_ids || []);
+        const sessionIds = new Set(alert.session_ids || []);
+        
+        // The log scans are bounded to the alert's lifetime (plus an hour of lead-up)
+        const since = new Date(new Date(alert.timestamp).getTime() - 60 * 60 * 1000).toISOString();
+        
+        const [attempts, events, sessions] = await Promise.all([
+            attemptIds.size ? storage.loginAttempts.list(a => attemptIds.has(a.attempt_id), { since }) : [],
+            eventIds.size ? storage.eventLogs.list(e => eventIds.has(e.log_id), { since }) : [],
+            sessionIds.size ? storage.sessions.list(s => sessionIds.has(s.session_id)) : []
+        ]);
+        
+        res.json({
+            status: 'success',
+            data: {
+                alert,
+                related: {
+                    login_attempts: attempts,
+                    event_logs: events,
+                    sessions: sessions.map(({ session_token, ...session }) => session)
+                }
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Alert detail error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to get alert',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// { "assignee": "<analyst username>" } - null/empty unassigns
+app.post('/api/alerts/:id/assign', requireAnalyst, async (req, res) => {
+    try {
+        const assignee = req.body?.assignee || null;
+        
+        if (assignee) {
+            const user = await storage.users.find({ username: assignee });
+            
+            if (!user || (user.role !== ROLES.ANALYST && user.role !== ROLES.ADMIN)) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'Alerts can only be assigned to analysts or admins',
+                    timestamp: new Date().toISOString()
+                });
+            }
+        }
+        
+        const result = await updateAlert(req.params.id, req.auth.user.username, alert => {
+            const from = alert.assigned_to;
+            alert.assigned_to = assignee;
+            return { action: 'assigned', from, to: assignee };
+        });
+        
+        sendAlertResult(res, result, assignee ? `Alert assigned to ${assignee}` : 'Alert unassigned');
+        
+    } catch (error) {
+        console.error('Alert assign error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to assign alert',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Acknowledge: someone is looking at it (assigns it to them if unassigned)
+app.post('/api/alerts/:id/acknowledge', requireAnalyst, async (req, res) => {
+    try {
+        const { username } = req.auth.user;
+        
+        const result = await updateAlert(req.params.id, username, alert =>
+            setAlertStatus(alert, 'acknowledged', {
+                assigned_to: alert.assigned_to || username,
+                acknowledged_at: new Date().toISOString()
+            })
+        );
+        
+        sendAlertResult(res, result, 'Alert acknowledged');
+        
+    } catch (error) {
+        console.error('Alert acknowledge error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to acknowledge alert',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// { "comment": "..." }
+app.post('/api/alerts/:id/comments', requireAnalyst, async (req, res) => {
+    try {
+        const { comment } = req.body || {};
+        
+        if (!comment || typeof comment !== 'string' || !comment.trim()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Comment text required',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const { username } = req.auth.user;
+        
+        const result = await updateAlert(req.params.id, username, alert => {
+            alert.comments = alert.comments || [];
+            alert.comments.push({
+                comment: comment.trim(),
+                author: username,
+                created_at: new Date().toISOString()
+            });
+            return { action: 'commented' };
+        });
+        
+        if (!result.error) res.status(201);
+        sendAlertResult(res, result, 'Comment added');
+        
+    } catch (error) {
+        console.error('Alert comment error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to add comment',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// { "resolution": "resolved" | "false_positive", "comment": "..." }
+app.post('/api/alerts/:id/close', requireAnalyst, async (req, res) => {
+    try {
+        const { resolution = 'resolved', comment } = req.body || {};
+        
+        if (resolution !== 'resolved' && resolution !== 'false_positive') {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Resolution must be "resolved" or "false_positive"',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const { username } = req.auth.user;
+        const now = new Date().toISOString();
+        
+        const result = await updateAlert(req.params.id, username, alert => {
+            const entry = setAlertStatus(alert, resolution, { closed_at: now, closed_by: username });
+            
+            if (typeof entry !== 'string' && typeof comment === 'string' && comment.trim()) {
+                alert.comments = alert.comments || [];
+                alert.comments.push({ comment: comment.trim(), author: username, created_at: now });
+            }
+            return entry;
+        });
+        
+        sendAlertResult(res, result, resolution === 'false_positive' ? 'Alert closed as false positive' : 'Alert resolved');
+        
+    } catch (error) {
+        console.error('Alert close error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to close alert',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.post('/api/alerts/:id/reopen', requireAnalyst, async (req, res) => {
+    try {
+        const result = await updateAlert(req.params.id, req.auth.user.username, alert =>
+            setAlertStatus(alert, 'open', { closed_at: null, closed_by: null })
+        );
+        
+        sendAlertResult(res, result, 'Alert reopened');
+        
+    } catch (error) {
+        console.error('Alert reopen error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to reopen alert',
+            timestamp: new Date().toISOString()
         });
     }
-    
-    await writeJSON(IP_REPUTATION_FILE, ipReputations);
-}
+});
 
 // ============================================
-// Middleware
+// Detection Rule Endpoints
 // ============================================
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
 
-// Request logging
-app.use((req, res, next) => {
-    console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-    next();
+// Loaded rules, plus any the last reload rejected
+app.get('/api/rules', requireAnalyst, (req, res) => {
+    try {
+        res.json({
+            status: 'success',
+            data: ruleEngine.status(),
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Rule list error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to list rules',
+            timestamp: new Date().toISOString()
+        });
+    }
 });
 
-// ============================================
-// Authentication Endpoints
-// ============================================
-
-app.post('/api/auth/login', async (req, res) => {
+// Replay stored logs against a candidate rule without raising alerts:
+// { "rule": { ... }, "timeRange": "24h" }
+app.post('/api/rules/dry-run', requireAnalyst, async (req, res) => {
     try {
-        const { username, password, deviceInfo, sessionId, rememberMe } = req.body;
-        const ipAddress = getClientIP(req);
+        const { rule, timeRange = '24h' } = req.body || {};
+        const errors = validateRule(rule);
         
-        // Validate input
-        if (!username || !password) {
+        if (errors.length > 0) {
             return res.status(400).json({
                 status: 'error',
-                message: 'Username and password required',
+                message: 'Invalid rule',
+                data: { errors },
                 timestamp: new Date().toISOString()
             });
         }
         
-        // Read users
-        const users = await readJSON(USERS_FILE);
-        const user = users.find(u => u.username === username);
-        
-        // Log login attempt
-        const loginAttempts = await readJSON(LOGIN_ATTEMPTS_FILE);
-        const attemptRecord = {
-            attempt_id: loginAttempts.length + 1,
-            timestamp: new Date().toISOString(),
-            username,
-            user_id: user?.user_id || null,
-            session_id: sessionId,
-            ip_address: ipAddress,
-            device_fingerprint: deviceInfo?.fingerprint,
-            user_agent: deviceInfo?.browser?.userAgent,
-            password_length: password.length,
-            remember_me: rememberMe
-        };
-        
-        // Verify password (simple comparison - in production use hashing!)
-        if (!user || user.password !== password) {
-            // Failed login
-            attemptRecord.attempt_status = 'FAILURE';
-            attemptRecord.failure_reason = !user ? 'user_not_found' : 'invalid_password';
-            
-            loginAttempts.push(attemptRecord);
-            await writeJSON(LOGIN_ATTEMPTS_FILE, loginAttempts);
-            
-            // Update IP reputation
-            await updateIPReputation(ipAddress, 'failure');
-            
-            return res.status(401).json({
+        if (!TIME_RANGE_HOURS[timeRange]) {
+            return res.status(400).json({
                 status: 'error',
-                message: 'Invalid credentials',
-                data: { remainingAttempts: 2 },
+                message: `timeRange must be one of ${Object.keys(TIME_RANGE_HOURS).join(', ')}`,
                 timestamp: new Date().toISOString()
             });
         }
         
-        // Successful login
-        attemptRecord.attempt_status = 'SUCCESS';
-        loginAttempts.push(attemptRecord);
-        await writeJSON(LOGIN_ATTEMPTS_FILE, loginAttempts);
-        
-        // Create session
-        const sessionToken = generateSessionToken();
-        const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
-        
-        const sessions = await readJSON(SESSIONS_FILE);
-        sessions.push({
-            session_id: sessionId,
-            user_id: user.user_id,
-            session_token: sessionToken,
-            device_fingerprint: deviceInfo?.fingerprint,
-            ip_address: ipAddress,
-            user_agent: deviceInfo?.browser?.userAgent,
-            created_at: new Date().toISOString(),
-            expires_at: expiresAt,
-            is_active: true
-        });
-        await writeJSON(SESSIONS_FILE, sessions);
-        
-        // Update IP reputation
-        await updateIPReputation(ipAddress, 'success');
+        const since = getTimeRangeStart(timeRange).toISOString();
+        const records = storage[RULE_SOURCES[rule.on].collection].iterate(null, { since });
+        const result = await ruleEngine.dryRun(rule, records, { dedupWindowMs: ALERT_CONFIG.dedupWindowMs });
         
         res.json({
             status: 'success',
-            message: 'Authentication successful',
-            data: {
-                userId: user.user_id.toString(),
-                username: user.username,
-                sessionToken,
-                expiresAt,
-                sessionId
-            },
+            data: { timeRange, since, ...result },
             timestamp: new Date().toISOString()
         });
         
     } catch (error) {
-        console.error('Login error:', error);
+        console.error('Rule dry-run error:', error);
         res.status(500).json({
             status: 'error',
-            message: 'Internal server error',
+            message: 'Failed to run rule',
             timestamp: new Date().toISOString()
         });
     }
 });
 
 // ============================================
-// Logging Endpoints
+// IP Administration Endpoints
 // ============================================
 
-app.post('/api/log/event', async (req, res) => {
+app.get('/api/admin/ips', requireAdmin, async (req, res) => {
     try {
-        const { timestamp, sessionId, eventType, eventData, deviceInfo } = req.body;
-        const ipAddress = getClientIP(req);
-        
-        // Get user_id from session
-        const sessions = await readJSON(SESSIONS_FILE);
-        const session = sessions.find(s => s.session_id === sessionId);
-        const userId = session?.user_id || null;
+        const { blocked, maxScore } = req.query;
+        const ipReputations = await storage.ipReputation.list();
         
-        // Read existing logs
-        const eventLogs = await readJSON(EVENT_LOGS_FILE);
+        // Show current (recovered) state without persisting it
+        let ips = ipReputations.map(ip => {
+            const copy = { ...ip };
+            applyReputationRecovery(copy);
+            return copy;
+        });
         
-        // Create log entry
-        const logEntry = {
-            log_id: eventLogs.length + 1,
-            timestamp: timestamp || new Date().toISOString(),
-            session_id: sessionId,
-            user_id: userId,
-            event_type: eventType,
-            event_data: eventData || {},
-            ip_address: ipAddress,
-            device_fingerprint: deviceInfo?.fingerprint,
-            browser_info: deviceInfo?.browser || {},
-            screen_info: deviceInfo?.screen || {},
-            timezone_info: deviceInfo?.timezone || {},
-            referrer: deviceInfo?.referrer,
-            current_url: deviceInfo?.currentUrl
-        };
+        if (blocked !== undefined) {
+            ips = ips.filter(ip => ip.is_blocked === (blocked === 'true'));
+        }
+        if (maxScore !== undefined) {
+            ips = ips.filter(ip => ip.reputation_score <= Number(maxScore));
+        }
         
-        // Add to logs
-        eventLogs.push(logEntry);
-        await writeJSON(EVENT_LOGS_FILE, eventLogs);
+        ips.sort((a, b) => a.reputation_score - b.reputation_score);
         
-        res.status(201).json({
+        res.json({
             status: 'success',
-            message: 'Event logged successfully',
-            data: {
-                logId: logEntry.log_id.toString(),
-                eventType,
-                timestamp: logEntry.timestamp
-            },
+            data: { ips, total: ips.length },
             timestamp: new Date().toISOString()
         });
         
     } catch (error) {
-        console.error('Logging error:', error);
+        console.error('IP list error:', error);
         res.status(500).json({
             status: 'error',
-            message: 'Failed to log event',
+            message: 'Failed to list IPs',
             timestamp: new Date().toISOString()
         });
     }
 });
 
-app.post('/api/log/batch', async (req, res) => {
+app.post('/api/admin/ips/:ip/block', requireAdmin, async (req, res) => {
     try {
-        const { events } = req.body;
-        const ipAddress = getClientIP(req);
+        const { ip: ipAddress } = req.params;
+        const { reason, durationMinutes } = req.body || {};
         
-        if (!events || events.length === 0) {
+        if (durationMinutes !== undefined && !(Number(durationMinutes) > 0)) {
             return res.status(400).json({
                 status: 'error',
-                message: 'No events provided',
+                message: 'durationMinutes must be a positive number',
                 timestamp: new Date().toISOString()
             });
         }
         
-        const eventLogs = await readJSON(EVENT_LOGS_FILE);
-        const sessions = await readJSON(SESSIONS_FILE);
-        
-        let loggedCount = 0;
-        let failedCount = 0;
-        
-        for (const event of events) {
-            try {
-                const { timestamp, sessionId, eventType, eventData, deviceInfo } = event;
-                
-                // Get user_id
-                const session = sessions.find(s => s.session_id === sessionId);
-                const userId = session?.user_id || null;
-                
-                // Create log entry
-                const logEntry = {
-                    log_id: eventLogs.length + loggedCount + 1,
-                    timestamp: timestamp || new Date().toISOString(),
-                    session_id: sessionId,
-                    user_id: userId,
-                    event_type: eventType,
-                    event_data: eventData || {},
-                    ip_address: ipAddress,
-                    device_fingerprint: deviceInfo?.fingerprint,
-                    browser_info: deviceInfo?.browser || {},
-                    screen_info: deviceInfo?.screen || {},
-                    timezone_info: deviceInfo?.timezone || {},
-                    referrer: deviceInfo?.referrer,
-                    current_url: deviceInfo?.currentUrl
-                };
-                
-                eventLogs.push(logEntry);
-                loggedCount++;
-                
-            } catch (error) {
-                console.error('Error logging event:', error);
-                failedCount++;
-            }
-        }
-        
-        await writeJSON(EVENT_LOGS_FILE, eventLogs);
+        // Omitting durationMinutes blocks until manually unblocked
+        const ip = await upsertIPRecord(ipAddress, record => {
+            setIPBlocked(record, true, {
+                source: 'manual',
+                reason: reason || 'blocked by administrator',
+                by: req.auth.user.username,
+                durationMs: durationMinutes ? Number(durationMinutes) * 60 * 1000 : null
+            });
+        });
         
-        res.status(201).json({
+        res.json({
             status: 'success',
-            message: 'Batch logged successfully',
-            data: {
-                eventsLogged: loggedCount,
-                failedEvents: failedCount
-            },
+            message: 'IP blocked',
+            data: ip,
             timestamp: new Date().toISOString()
         });
         
     } catch (error) {
-        console.error('Batch logging error:', error);
+        console.error('IP block error:', error);
         res.status(500).json({
             status: 'error',
-            message: 'Failed to log batch',
+            message: 'Failed to block IP',
             timestamp: new Date().toISOString()
         });
     }
 });
 
-// ============================================
-// IP Information Endpoint
-// ============================================
-
-app.get('/api/ip/info', async (req, res) => {
+app.post('/api/admin/ips/:ip/unblock', requireAdmin, async (req, res) => {
     try {
-        const ipAddress = getClientIP(req);
+        const { ip: ipAddress } = req.params;
+        const [ip] = await storage.ipReputation.update({ ip_address: ipAddress }, record => {
+            if (record.is_blocked) {
+                setIPBlocked(record, false, {
+                    source: 'manual',
+                    reason: (req.body && req.body.reason) || 'unblocked by administrator',
+                    by: req.auth.user.username
+                });
+            }
+        });
+        
+        if (!ip) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'IP not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        eventHub.publish(STREAM_TOPICS.IP_REPUTATION, ip);
         
         res.json({
             status: 'success',
-            message: 'IP information retrieved',
-            data: {
-                ipAddress,
-                ipType: 'IPv4',
-                isProxy: false,
-                isVPN: false,
-                country: 'Sri Lanka',
-                city: 'Negombo',
-                region: 'Western Province',
-                timezone: 'Asia/Colombo'
-            },
+            message: 'IP unblocked',
+            data: ip,
             timestamp: new Date().toISOString()
         });
         
     } catch (error) {
-        console.error('IP info error:', error);
+        console.error('IP unblock error:', error);
         res.status(500).json({
             status: 'error',
-            message: 'Failed to get IP info',
+            message: 'Failed to unblock IP',
             timestamp: new Date().toISOString()
         });
     }
 });
 
-// ============================================
-// Analytics Endpoints
-// ============================================
-
-app.get('/api/analytics/login-stats', async (req, res) => {
+app.post('/api/admin/ips/:ip/notes', requireAdmin, async (req, res) => {
     try {
-        const loginAttempts = await readJSON(LOGIN_ATTEMPTS_FILE);
-        const { timeRange = '24h' } = req.query;
+        const { ip: ipAddress } = req.params;
+        const { note } = req.body || {};
         
-        // Calculate time threshold
-        let hoursAgo;
-        switch (timeRange) {
-            case '1h': hoursAgo = 1; break;
-            case '24h': hoursAgo = 24; break;
-            case '7d': hoursAgo = 168; break;
-            default: hoursAgo = 24;
+        if (!note || typeof note !== 'string') {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Note text required',
+                timestamp: new Date().toISOString()
+            });
         }
         
-        const threshold = new Date(Date.now() - hoursAgo * 60 * 60 * 1000);
-        
-        // Filter recent attempts
-        const recentAttempts = loginAttempts.filter(
-            attempt => new Date(attempt.timestamp) > threshold
-        );
-        
-        // Calculate stats
-        const stats = {
-            SUCCESS: {
-                count: recentAttempts.filter(a => a.attempt_status === 'SUCCESS').length,
-                unique_ips: new Set(recentAttempts.filter(a => a.attempt_status === 'SUCCESS').map(a => a.ip_address)).size,
-                unique_users: new Set(recentAttempts.filter(a => a.attempt_status === 'SUCCESS').map(a => a.username)).size
-            },
-            FAILURE: {
-                count: recentAttempts.filter(a => a.attempt_status === 'FAILURE').length,
-                unique_ips: new Set(recentAttempts.filter(a => a.attempt_status === 'FAILURE').map(a => a.ip_address)).size,
-                unique_users: new Set(recentAttempts.filter(a => a.attempt_status === 'FAILURE').map(a => a.username)).size
-            }
-        };
+        const ip = await upsertIPRecord(ipAddress, record => {
+            record.notes = record.notes || [];
+            record.notes.push({
+                note: note.trim(),
+                author: req.auth.user.username,
+                created_at: new Date().toISOString()
+            });
+        });
         
-        res.json({
+        res.status(201).json({
             status: 'success',
-            data: stats,
+            message: 'Note added',
+            data: ip,
             timestamp: new Date().toISOString()
         });
         
     } catch (error) {
-        console.error('Analytics error:', error);
+        console.error('IP note error:', error);
         res.status(500).json({
             status: 'error',
-            message: 'Failed to get analytics',
+            message: 'Failed to add note',
             timestamp: new Date().toISOString()
         });
     }
 });
 
-app.get('/api/analytics/ip-reputation/:ip', async (req, res) => {
+// ============================================
+// Log Query Endpoints
+// ============================================
+// Filtered, sorted and paged reads of the event log and login attempts,
+// with optional group-by / histogram counts (see analytics/log-query.js).
+async function sendLogQuery(type, req, res) {
     try {
-        const { ip } = req.params;
-        const ipReputations = await readJSON(IP_REPUTATION_FILE);
+        const parsed = await logQuery.parse(type, req.query);
         
-        const ipData = ipReputations.find(item => item.ip_address === ip);
-        
-        if (!ipData) {
-            return res.status(404).json({
+        if (parsed.errors) {
+            return res.status(400).json({
                 status: 'error',
-                message: 'IP not found',
+                message: 'Invalid query',
+                data: { errors: parsed.errors },
                 timestamp: new Date().toISOString()
             });
         }
         
+        const result = await logQuery.run(parsed);
+        
         res.json({
             status: 'success',
-            data: ipData,
+            data: {
+                records: result.records,
+                pagination: {
+                    limit: parsed.limit,
+                    total: result.total,
+                    nextCursor: result.nextCursor
+                },
+                range: { from: parsed.from.toISOString(), to: parsed.to.toISOString() },
+                sort: parsed.sort,
+                ...(result.aggregations && { aggregations: result.aggregations })
+            },
             timestamp: new Date().toISOString()
         });
         
     } catch (error) {
-        console.error('IP reputation error:', error);
+        console.error('Log query error:', error);
         res.status(500).json({
             status: 'error',
-            message: 'Failed to get IP reputation',
+            message: 'Failed to query logs',
             timestamp: new Date().toISOString()
         });
     }
-});
+}
+
+// ?from/?to or ?timeRange, ?eventType, ?sessionId, ?userId, ?username, ?ip,
+// ?fingerprint, ?sort, ?limit, ?cursor, ?groupBy, ?size, ?interval
+app.get('/api/logs/events', requireAnalyst, (req, res) => sendLogQuery('events', req, res));
+
+// ?from/?to or ?timeRange, ?status, ?failureReason, ?username, ?userId,
+// ?sessionId, ?ip, ?fingerprint, ?sort, ?limit, ?cursor, ?groupBy, ?size, ?interval
+app.get('/api/logs/login-attempts', requireAnalyst, (req, res) => sendLogQuery('loginAttempts', req, res));
 
 // ============================================
 // Data Export Endpoints (for research)
 // ============================================
 
-app.get('/api/export/all-logs', async (req, res) => {
+app.get('/api/export/all-logs', requireAnalyst, async (req, res) => {
+    // Writes `"name":[...]`, one record at a time, straight from storage
+    async function writeCollection(name, records, transform = record => record) {
+        res.write(`${JSON.stringify(name)}:[`);
+        let first = true;
+        for await (const record of records) {
+            res.write((first ? '' : ',') + JSON.stringify(transform(record)));
+            first = false;
+        }
+        res.write(']');
+    }
+    
     try {
-        const eventLogs = await readJSON(EVENT_LOGS_FILE);
-        const loginAttempts = await readJSON(LOGIN_ATTEMPTS_FILE);
-        const ipReputations = await readJSON(IP_REPUTATION_FILE);
-        const sessions = await readJSON(SESSIONS_FILE);
+        // Event logs and login attempts can be far larger than memory
+        // allows, so the response is streamed rather than built with res.json
+        res.type('application/json');
+        res.write('{"status":"success","data":{');
         
-        res.json({
-            status: 'success',
-            data: {
-                event_logs: eventLogs,
-                login_attempts: loginAttempts,
-                ip_reputation: ipReputations,
-                sessions: sessions
-            },
-            timestamp: new Date().toISOString()
-        });
+        await writeCollection('event_logs', storage.eventLogs.iterate());
+        res.write(',');
+        await writeCollection('login_attempts', storage.loginAttempts.iterate());
+        res.write(',');
+        await writeCollection('ip_reputation', storage.ipReputation.iterate());
+        res.write(',');
+        // Tokens are live credentials - never include them in exports
+        await writeCollection('sessions', storage.sessions.iterate(),
+            ({ session_token, ...session }) => session);
+        
+        res.end(`},"timestamp":${JSON.stringify(new Date().toISOString())}}`);
         
     } catch (error) {
         console.error('Export error:', error);
+        
+        // Once streaming has started the status can't change - cut the
+        // connection so the client sees a truncated (invalid) document
+        if (res.headersSent) {
+            res.destroy(error);
+            return;
+        }
+        
         res.status(500).json({
             status: 'error',
             message: 'Failed to export data',
@@ -579,7 +4594,7 @@ app.get('/api/export/all-logs', async (req, res) => {
 app.get('/health', (req, res) => {
     res.json({
         status: 'healthy',
-        storage: 'JSON files',
+        storage: storage.description,
         timestamp: new Date().toISOString(),
         uptime: process.uptime()
     });
@@ -589,7 +4604,27 @@ app.get('/health', (req, res) => {
 // Start Server
 // ============================================
 
-initializeStorage().then(() => {
+const RETENTION_INTERVAL_MS = 60 * 60 * 1000;
+
+async function runLogRetention() {
+    try {
+        const removed = await storage.enforceRetention();
+        if (removed > 0) {
+            console.log(`🧹 Log retention: removed ${removed} expired log segment(s)/row(s)`);
+        }
+    } catch (error) {
+        console.error('Log retention error:', error);
+    }
+}
+
+initializeStorage().then(async () => {
+    await runLogRetention();
+    // Doesn't keep the process alive on its own
+    setInterval(runLogRetention, RETENTION_INTERVAL_MS).unref();
+    
+    ruleEngine.load();
+    ruleEngine.watch();
+    
     app.listen(PORT, () => {
         console.log(`
 ╔═══════════════════════════════════════════════╗
@@ -598,8 +4633,9 @@ initializeStorage().then(() => {
 ╚═══════════════════════════════════════════════╝
 
 ✅ Server running on port ${PORT}
-✅ Storage: JSON files in ./data directory
-✅ No database required!
+✅ Storage: ${storage.description}
+✅ Mail: ${mailer.description}
+✅ No database server required!
 
 Test Credentials:
   Username: admin     Password: admin123
@@ -608,16 +4644,66 @@ Test Credentials:
 
 API Endpoints:
   POST   /api/auth/login
+  POST   /api/auth/logout
+  POST   /api/auth/mfa/verify
+  GET    /api/auth/mfa
+  POST   /api/auth/mfa/enroll
+  POST   /api/auth/mfa/enroll/verify
+  POST   /api/auth/mfa/recovery-codes
+  POST   /api/auth/mfa/disable
+  POST   /api/auth/register
+  POST   /api/auth/verify-email
+  POST   /api/auth/verify-email/resend
+  POST   /api/auth/password/forgot
+  POST   /api/auth/password/reset
+  POST   /api/auth/password/change
+  GET    /api/auth/password-policy
+  GET    /api/sessions
+  DELETE /api/sessions
+  DELETE /api/sessions/:id
+  GET    /api/me
+  GET    /api/accounts
+  POST   /api/transfers
+  POST   /api/transfers/:id/verify
+  GET    /api/transactions
   POST   /api/log/event
   POST   /api/log/batch
   GET    /api/ip/info
   GET    /api/analytics/login-stats
   GET    /api/analytics/ip-reputation/:ip
+  GET    /api/analytics/risk-decisions
+  GET    /api/analytics/behavior/:username
+  GET    /api/analytics/bot-detection
+  GET    /api/analytics/sessions
+  GET    /api/analytics/sessions/:id
+  GET    /api/analytics/events
+  GET    /api/analytics/ips/:ip
+  GET    /api/stream/events
+  GET    /api/alerts
+  GET    /api/alerts/:id
+  POST   /api/alerts/:id/assign
+  POST   /api/alerts/:id/acknowledge
+  POST   /api/alerts/:id/comments
+  POST   /api/alerts/:id/close
+  POST   /api/alerts/:id/reopen
+  GET    /api/rules
+  POST   /api/rules/dry-run
+  GET    /api/admin/ips
+  POST   /api/admin/ips/:ip/block
+  POST   /api/admin/ips/:ip/unblock
+  POST   /api/admin/ips/:ip/notes
+  GET    /api/logs/events
+  GET    /api/logs/login-attempts
   GET    /api/export/all-logs
   GET    /health
 
+Protected routes (sessions, accounts, transfers, alerts, rules, analytics, stream, logs, admin, export) expect:
+  Authorization: Bearer <sessionToken from /api/auth/login>
+
 Data Storage Location:
-  ${DATA_DIR}
+  ${storage.location}
+  Log retention: ${LOG_RETENTION_DAYS ? `${LOG_RETENTION_DAYS} days` : 'forever'}
+  Detection rules: ${ruleEngine.rules().length} active (${path.relative(__dirname, DETECTION_RULES_FILE)}, reloaded on change)
 
 Frontend Configuration:
   Update login.js endpoint to: http://localhost:${PORT}/api/log
@@ -626,7 +4712,8 @@ Frontend Configuration:
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
     console.log('SIGTERM signal received: closing server');
+    await storage.close();
     process.exit(0);
 });
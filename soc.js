@@ -0,0 +1,487 @@
+// Security Operations Console JavaScript for IntelliSOC
+// Analyst view of the data the backend collects: login timeline, top
+// failing IPs, recent sessions and the page event stream, with drill-down
+// into the full history of any IP or session. Needs an analyst or admin
+// session (signed in through login.html).
+
+// ============================================
+// Configuration
+// ============================================
+const API_BASE = 'http://localhost:5000/api';
+const SESSION_KEY = 'intellisoc_session';   // Written by login.js
+const LOGIN_PAGE = 'login.html';
+const CONSOLE_ROLES = ['analyst', 'admin'];
+const REFRESH_INTERVAL_MS = 15000;
+const SESSION_LIMIT = 15;
+const EVENT_LIMIT = 100;
+
+// ============================================
+// Session Storage
+// ============================================
+// "Remember me" sessions live in localStorage, others in sessionStorage
+function getStoredSession() {
+    const raw = sessionStorage.getItem(SESSION_KEY) || localStorage.getItem(SESSION_KEY);
+    try {
+        return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function clearStoredSession() {
+    sessionStorage.removeItem(SESSION_KEY);
+    localStorage.removeItem(SESSION_KEY);
+}
+
+function redirectToLogin() {
+    clearStoredSession();
+    window.location.replace(LOGIN_PAGE);
+}
+
+// ============================================
+// API Calls
+// ============================================
+// GET an authenticated endpoint; a rejected session sends the user back
+// to the login page
+async function apiGet(path, session) {
+    const response = await fetch(API_BASE + path, {
+        headers: { 'Authorization': 'Bearer ' + session.sessionToken }
+    });
+    
+    if (response.status === 401) {
+        redirectToLogin();
+        throw new Error('Session expired');
+    }
+    
+    const result = await response.json();
+    if (!response.ok) {
+        throw new Error(result.message || `Request failed (${response.status})`);
+    }
+    
+    return result.data;
+}
+
+// ============================================
+// Rendering Helpers
+// ============================================
+// Everything shown here comes from client telemetry, so it's always set
+// as text, never as HTML
+function el(tag, { className, text, title } = {}, children = []) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined && text !== null) node.textContent = String(text);
+    if (title) node.title = title;
+    node.append(...children);
+    return node;
+}
+
+function setText(id, text) {
+    document.getElementById(id).textContent = text;
+}
+
+function formatTime(iso) {
+    return iso ? new Date(iso).toLocaleString() : '—';
+}
+
+// Button that opens the drill-down panel for an IP or session
+function drillLink(kind, value) {
+    if (!value) return el('span', { className: 'empty', text: '—' });
+    
+    const button = el('button', { className: 'drill-link', text: value, title: `Show ${kind} history` });
+    button.type = 'button';
+    button.addEventListener('click', () => openDetail(kind, value));
+    return button;
+}
+
+function reputationBadge(score, blocked) {
+    if (blocked) return el('span', { className: 'badge bad', text: `Blocked · ${score ?? '—'}` });
+    if (score === null || score === undefined) return el('span', { className: 'badge', text: 'Unknown' });
+    
+    const level = score >= 75 ? 'good' : score >= 40 ? 'warn' : 'bad';
+    return el('span', { className: `badge ${level}`, text: String(score) });
+}
+
+function statusBadge(status) {
+    const level = { SUCCESS: 'good', FAILURE: 'bad', MFA_PENDING: 'warn' }[status] || '';
+    return el('span', { className: `badge ${level}`, text: status });
+}
+
+function sessionBadge(session) {
+    if (session.live) return el('span', { className: 'badge good', text: 'Active' });
+    if (session.mfa_pending && !session.ended_at) return el('span', { className: 'badge warn', text: 'MFA pending' });
+    return el('span', { className: 'badge', text: session.end_reason ? `Ended (${session.end_reason})` : 'Ended' });
+}
+
+// Short one-line summary of an event's data for the table
+function summarizeEventData(data) {
+    if (!data || typeof data !== 'object') return '';
+    
+    return Object.entries(data)
+        .filter(([, value]) => value !== null && typeof value !== 'object')
+        .slice(0, 4)
+        .map(([key, value]) => `${key}: ${value}`)
+        .join(', ');
+}
+
+// Fills a table body; `columns` turns a row into an array of cells
+// (strings or nodes)
+function fillTable(tbody, rows, columns, emptyText) {
+    tbody.innerHTML = '';
+    
+    if (rows.length === 0) {
+        const cell = el('td', { className: 'empty', text: emptyText });
+        cell.colSpan = tbody.closest('table').querySelectorAll('th').length;
+        tbody.appendChild(el('tr', {}, [cell]));
+        return;
+    }
+    
+    rows.forEach(row => {
+        const cells = columns(row).map(value =>
+            el('td', {}, [value instanceof Node ? value : document.createTextNode(value ?? '—')])
+        );
+        tbody.appendChild(el('tr', {}, cells));
+    });
+}
+
+// ============================================
+// Overview Panels
+// ============================================
+function renderLoginStats(stats) {
+    setText('statSuccess', String(stats.SUCCESS.count));
+    setText('statFailure', String(stats.FAILURE.count));
+    setText('statMfaPending', String(stats.MFA_PENDING.count));
+    setText('statAnomalies', String(Object.values(stats.ANOMALIES).reduce((sum, count) => sum + count, 0)));
+    
+    renderTimeline(stats.TIMELINE);
+    
+    fillTable(document.getElementById('failingIPs'), stats.TOP_FAILING_IPS, ip => [
+        drillLink('ip', ip.ip_address),
+        String(ip.failures),
+        ip.usernames.join(', '),
+        reputationBadge(ip.reputation_score, ip.is_blocked)
+    ], 'No failed logins in this period.');
+}
+
+function renderTimeline({ bucket_minutes: bucketMinutes, buckets }) {
+    const timeline = document.getElementById('timeline');
+    timeline.innerHTML = '';
+    
+    const peak = Math.max(1, ...buckets.map(b => b.SUCCESS + b.FAILURE + b.MFA_PENDING));
+    
+    buckets.forEach(bucket => {
+        const column = el('div', {
+            className: 'timeline-bucket',
+            title: `${formatTime(bucket.start)}\n` +
+                `Success: ${bucket.SUCCESS}  Failure: ${bucket.FAILURE}  MFA pending: ${bucket.MFA_PENDING}`
+        });
+        
+        // column-reverse stacks the first bar at the bottom
+        [['success', bucket.SUCCESS], ['mfa', bucket.MFA_PENDING], ['failure', bucket.FAILURE]].forEach(([kind, count]) => {
+            if (count === 0) return;
+            const bar = el('div', { className: `timeline-bar ${kind}` });
+            bar.style.height = `${(count / peak) * 100}%`;
+            column.appendChild(bar);
+        });
+        
+        timeline.appendChild(column);
+    });
+    
+    setText('timelineStart', buckets.length ? formatTime(buckets[0].start) : '');
+    setText('timelineBucket', bucketMinutes >= 60
+        ? `${bucketMinutes / 60} hour(s) per bar · peak ${peak}`
+        : `${bucketMinutes} minutes per bar · peak ${peak}`);
+}
+
+function renderSessions({ sessions }) {
+    fillTable(document.getElementById('recentSessions'), sessions, session => [
+        drillLink('session', session.session_id),
+        session.username || '—',
+        drillLink('ip', session.ip_address),
+        formatTime(session.created_at),
+        sessionBadge(session)
+    ], 'No sessions.');
+}
+
+function renderEvents({ events, total, eventTypes }) {
+    setText('eventCount', total > events.length ? `latest ${events.length} of ${total}` : `${total} event(s)`);
+    
+    // Keep the selected type even if it's no longer in the period
+    const select = document.getElementById('eventTypeFilter');
+    const selected = select.value;
+    const types = new Set([...Object.keys(eventTypes), ...(selected ? [selected] : [])]);
+    
+    select.length = 1;
+    [...types].sort().forEach(type => {
+        const option = el('option', { text: eventTypes[type] ? `${type} (${eventTypes[type]})` : type });
+        option.value = type;
+        select.appendChild(option);
+    });
+    select.value = selected;
+    
+    fillTable(document.getElementById('eventStream'), events, eventRow, 'No events match these filters.');
+}
+
+function eventRow(event) {
+    return [
+        formatTime(event.timestamp),
+        el('code', { text: event.event_type }),
+        drillLink('session', event.session_id),
+        event.user_id !== null && event.user_id !== undefined ? String(event.user_id) : '—',
+        drillLink('ip', event.ip_address),
+        summarizeEventData(event.event_data)
+    ];
+}
+
+// ============================================
+// Drill-down (IP / session history)
+// ============================================
+const detailOverlay = document.getElementById('detailOverlay');
+const detailBody = document.getElementById('detailBody');
+
+function detailSection(title, rows, headings, columns, emptyText) {
+    const tbody = el('tbody');
+    const table = el('table', { className: 'soc-table' }, [
+        el('thead', {}, [el('tr', {}, headings.map(heading => el('th', { text: heading })))]),
+        tbody
+    ]);
+    fillTable(tbody, rows, columns, emptyText);
+    
+    return el('div', { className: 'soc-card' }, [
+        el('div', { className: 'soc-card-header' }, [
+            el('h2', { text: title }),
+            el('span', { className: 'stat-label', text: `${rows.length}` })
+        ]),
+        el('div', { className: 'soc-table-wrapper' }, [table])
+    ]);
+}
+
+function detailFacts(facts) {
+    return el('dl', { className: 'detail-facts' }, facts.map(([label, value]) =>
+        el('div', {}, [
+            el('dt', { text: label }),
+            el('dd', {}, [value instanceof Node ? value : document.createTextNode(value ?? '—')])
+        ])
+    ));
+}
+
+const attemptColumns = attempt => [
+    formatTime(attempt.timestamp),
+    attempt.username,
+    statusBadge(attempt.attempt_status),
+    attempt.failure_reason || '',
+    drillLink('session', attempt.session_id),
+    drillLink('ip', attempt.ip_address)
+];
+const attemptHeadings = ['Time', 'Username', 'Result', 'Reason', 'Session', 'IP Address'];
+
+const eventHeadings = ['Time', 'Event', 'Session', 'User', 'IP Address', 'Details'];
+
+const alertColumns = alert => [
+    formatTime(alert.last_seen),
+    el('span', { className: `badge ${alert.severity === 'critical' || alert.severity === 'high' ? 'bad' : 'warn'}`, text: alert.severity }),
+    alert.title,
+    alert.status
+];
+const alertHeadings = ['Last Seen', 'Severity', 'Alert', 'Status'];
+
+function renderIPDetail(data) {
+    const { reputation, totals } = data;
+    
+    detailBody.replaceChildren(
+        detailFacts([
+            ['Reputation', reputation ? reputationBadge(reputation.reputation_score, reputation.is_blocked) : 'No record'],
+            ['First seen', formatTime(reputation?.first_seen)],
+            ['Last seen', formatTime(reputation?.last_seen)],
+            ['Login attempts', `${totals.login_attempts} (${totals.failures} failed)`],
+            ['Usernames tried', String(totals.usernames)],
+            ['Sessions', String(totals.sessions)],
+            ['Page events', String(totals.event_logs)],
+            ['Alerts', String(totals.alerts)]
+        ]),
+        detailSection('Login Attempts', data.login_attempts, attemptHeadings, attemptColumns, 'No login attempts.'),
+        detailSection('Sessions', data.sessions, ['Session', 'User', 'Started', 'Status'], session => [
+            drillLink('session', session.session_id),
+            session.username || '—',
+            formatTime(session.created_at),
+            sessionBadge(session)
+        ], 'No sessions.'),
+        detailSection('Alerts', data.alerts, alertHeadings, alertColumns, 'No alerts.'),
+        detailSection('Page Events', data.event_logs, eventHeadings, eventRow, 'No page events.')
+    );
+}
+
+function renderSessionDetail(data) {
+    const { session, user } = data;
+    
+    detailBody.replaceChildren(
+        detailFacts([
+            ['User', user ? `${user.username} (${user.role})` : 'Not signed in'],
+            ['Status', session ? sessionBadge(session) : 'No server session'],
+            ['IP address', session ? drillLink('ip', session.ip_address) : '—'],
+            ['Started', formatTime(session?.created_at)],
+            ['Expires', formatTime(session?.expires_at)],
+            ['Device', session?.device_fingerprint || '—'],
+            ['User agent', session?.user_agent || '—']
+        ]),
+        detailSection('Login Attempts', data.login_attempts, attemptHeadings, attemptColumns, 'No login attempts.'),
+        detailSection('Alerts', data.alerts, alertHeadings, alertColumns, 'No alerts.'),
+        detailSection('Page Events', data.event_logs, eventHeadings, eventRow, 'No page events.')
+    );
+}
+
+async function openDetail(kind, value) {
+    const session = getStoredSession();
+    
+    setText('detailKind', kind === 'ip' ? 'IP address history' : 'Session history');
+    setText('detailTitle', value);
+    detailBody.replaceChildren(el('p', { className: 'stat-label', text: 'Loading…' }));
+    detailOverlay.hidden = false;
+    
+    try {
+        if (kind === 'ip') {
+            renderIPDetail(await apiGet(`/analytics/ips/${encodeURIComponent(value)}`, session));
+        } else {
+            renderSessionDetail(await apiGet(`/analytics/sessions/${encodeURIComponent(value)}`, session));
+        }
+    } catch (e) {
+        detailBody.replaceChildren(el('p', { className: 'soc-error', text: e.message }));
+    }
+}
+
+function closeDetail() {
+    detailOverlay.hidden = true;
+    detailBody.replaceChildren();
+}
+
+document.getElementById('detailClose').addEventListener('click', closeDetail);
+detailOverlay.addEventListener('click', (e) => {
+    if (e.target === detailOverlay) closeDetail();
+});
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !detailOverlay.hidden) closeDetail();
+});
+
+// ============================================
+// Loading & Refresh
+// ============================================
+const eventFilters = document.getElementById('eventFilters');
+let refreshTimer = null;
+
+function showConsoleError(message) {
+    const box = document.getElementById('consoleError');
+    box.textContent = message || '';
+    box.hidden = !message;
+}
+
+function eventQuery(timeRange) {
+    const params = new URLSearchParams({ timeRange, limit: String(EVENT_LIMIT) });
+    
+    for (const [name, value] of new FormData(eventFilters)) {
+        if (value.trim()) params.set(name, value.trim());
+    }
+    
+    return `/analytics/events?${params}`;
+}
+
+async function refresh() {
+    const session = getStoredSession();
+    const timeRange = document.getElementById('timeRange').value;
+    const sessionQuery = new URLSearchParams({ limit: String(SESSION_LIMIT) });
+    if (document.getElementById('liveSessionsOnly').checked) sessionQuery.set('active', 'true');
+    
+    try {
+        const [stats, sessions, events] = await Promise.all([
+            apiGet(`/analytics/login-stats?timeRange=${timeRange}`, session),
+            apiGet(`/analytics/sessions?${sessionQuery}`, session),
+            apiGet(eventQuery(timeRange), session)
+        ]);
+        
+        renderLoginStats(stats);
+        renderSessions(sessions);
+        renderEvents(events);
+        
+        showConsoleError(null);
+        setText('lastUpdated', `Updated ${new Date().toLocaleTimeString()}`);
+    } catch (e) {
+        console.error('Failed to refresh console:', e);
+        showConsoleError(`Couldn't refresh the console: ${e.message}`);
+    }
+}
+
+function scheduleRefresh() {
+    clearInterval(refreshTimer);
+    refreshTimer = document.getElementById('autoRefresh').checked
+        ? setInterval(refresh, REFRESH_INTERVAL_MS)
+        : null;
+}
+
+async function loadConsole() {
+    const session = getStoredSession();
+    
+    if (!session || !session.sessionToken || new Date(session.expiresAt) <= new Date()) {
+        redirectToLogin();
+        return;
+    }
+    
+    try {
+        const profile = await apiGet('/me', session);
+        
+        if (!CONSOLE_ROLES.includes(profile.user.role)) {
+            setText('consoleSubtitle', 'The Security Operations Console is only available to analysts and administrators.');
+            showConsoleError('Your account doesn\'t have access to this page.');
+            return;
+        }
+        
+        setText('consoleSubtitle', `Signed in as ${profile.user.username} (${profile.user.role}).`);
+    } catch (e) {
+        console.error('Failed to load profile:', e);
+        showConsoleError('Couldn\'t load your profile. Please refresh the page to try again.');
+        return;
+    }
+    
+    ['timeRange', 'liveSessionsOnly'].forEach(id =>
+        document.getElementById(id).addEventListener('change', refresh)
+    );
+    document.getElementById('autoRefresh').addEventListener('change', scheduleRefresh);
+    
+    eventFilters.addEventListener('submit', (e) => {
+        e.preventDefault();
+        refresh();
+    });
+    // The form clears its fields after the reset event
+    eventFilters.addEventListener('reset', () => setTimeout(refresh));
+    
+    await refresh();
+    scheduleRefresh();
+}
+
+// ============================================
+// Logout (ends the session on the server too)
+// ============================================
+async function logout() {
+    const session = getStoredSession();
+    
+    if (session && session.sessionToken) {
+        try {
+            await fetch(API_BASE + '/auth/logout', {
+                method: 'POST',
+                headers: { 'Authorization': 'Bearer ' + session.sessionToken }
+            });
+        } catch (e) {
+            // Still clear the local session - the server copy expires on its own
+            console.error('Logout request failed:', e);
+        }
+    }
+    
+    clearStoredSession();
+    window.location.href = 'index.html';
+}
+
+document.querySelectorAll('[data-logout]').forEach(link => {
+    link.addEventListener('click', (e) => {
+        e.preventDefault();
+        logout();
+    });
+});
+
+loadConsole();
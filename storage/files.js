@@ -0,0 +1,94 @@
+// ============================================
+// File Helpers (shared by the JSON and NDJSON storage)
+//
+// Every read-modify-write of a file runs through a per-file queue, so
+// concurrent requests can't overwrite each other's changes, and files are
+// replaced atomically (temp file + rename) so a crash mid-write leaves the
+// previous version intact. A file that fails to parse is never written
+// back: operations on it fail with code STORAGE_CORRUPT until it is
+// repaired by hand.
+// ============================================
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const TEMP_SUFFIX = '.tmp';
+
+function corruptionError(filepath, cause) {
+    const error = new Error(`${path.basename(filepath)} could not be parsed (${cause.message}); refusing to overwrite it`);
+    error.code = 'STORAGE_CORRUPT';
+    error.filepath = filepath;
+    return error;
+}
+
+// Read JSON file. A missing file is an empty collection; anything else
+// that goes wrong is thrown rather than treated as "no records".
+async function readJSON(filepath) {
+    let data;
+    try {
+        data = await fs.readFile(filepath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    
+    let records;
+    try {
+        records = JSON.parse(data);
+    } catch (error) {
+        throw corruptionError(filepath, error);
+    }
+    
+    if (!Array.isArray(records)) {
+        throw corruptionError(filepath, new Error('expected a JSON array'));
+    }
+    
+    return records;
+}
+
+// Write JSON file atomically: write + fsync a temp file, then rename it
+// over the original (rename is atomic on the same filesystem)
+async function writeJSON(filepath, data) {
+    const tempPath = `${filepath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}${TEMP_SUFFIX}`;
+    
+    try {
+        const handle = await fs.open(tempPath, 'w');
+        try {
+            await handle.writeFile(JSON.stringify(data, null, 2));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        
+        await fs.rename(tempPath, filepath);
+    } catch (error) {
+        await fs.rm(tempPath, { force: true });
+        throw error;
+    }
+}
+
+// Per-file queues of pending read-modify-write operations
+const fileQueues = new Map();
+
+// Run `task` once every earlier task queued for the same file has settled
+function withFileLock(filepath, task) {
+    const previous = fileQueues.get(filepath) || Promise.resolve();
+    const run = previous.then(task);
+    const tail = run.catch(() => {});
+    
+    fileQueues.set(filepath, tail);
+    tail.then(() => {
+        if (fileQueues.get(filepath) === tail) fileQueues.delete(filepath);
+    });
+    
+    return run;
+}
+
+module.exports = {
+    TEMP_SUFFIX,
+    corruptionError,
+    readJSON,
+    writeJSON,
+    withFileLock
+};
@@ -0,0 +1,30 @@
+// ============================================
+// Record Filtering (shared by storage backends)
+// ============================================
+// A filter is either a plain object of field/value pairs that must all be
+// equal (e.g. { user_id: 1, is_active: true }) or a predicate function.
+// Object filters can be pushed down into SQL; predicates always run in JS.
+//
+// Read methods also take options; `since` (ISO timestamp) keeps only
+// records whose `timestamp` is at or after it, and `until` those before
+// it, which lets log backends skip whole segments / use an index.
+
+function matchesFilter(record, filter) {
+    if (!filter) return true;
+    
+    if (typeof filter === 'function') {
+        return Boolean(filter(record));
+    }
+    
+    return Object.entries(filter).every(([field, value]) => record[field] === value);
+}
+
+function matchesTimeRange(record, options) {
+    if (!options || (!options.since && !options.until)) return true;
+    if (typeof record.timestamp !== 'string') return false;
+    
+    return (!options.since || record.timestamp >= options.since) &&
+        (!options.until || record.timestamp < options.until);
+}
+
+module.exports = { matchesFilter, matchesTimeRange };
@@ -0,0 +1,112 @@
+// ============================================
+// Storage Layer
+// Every backend exposes the same collections, each with:
+//   list(filter, options)    -> records matching the filter
+//   find(filter, options)    -> first match or null
+//   count(filter, options)   -> number of matches
+//   iterate(filter, options) -> async iterator over matches, oldest first
+//   insert(record)     -> stored record (auto id assigned if configured)
+//   insertMany(records)
+//   update(filter, mutate) -> applies mutate(record) to each match,
+//                             returns the updated records
+//   upsert(filter, mutate, create)
+//                          -> update(), or insert create() if nothing
+//                             matched, atomically
+// Writes are atomic per call: concurrent requests never lose each
+// other's changes.
+// See ./filter.js for the filter format and read options.
+//
+// Log collections (`log: <name>`) are append-only: update/upsert throw,
+// and records older than the retention period are dropped by
+// enforceRetention().
+// ============================================
+
+const { createJsonStore } = require('./json-store');
+
+const COLLECTIONS = {
+    users: {
+        file: 'users.json',
+        table: 'users',
+        autoId: 'user_id',
+        indexes: ['user_id', 'username']
+    },
+    sessions: {
+        file: 'sessions.json',
+        table: 'sessions',
+        indexes: ['session_token', 'session_id', 'user_id']
+    },
+    eventLogs: {
+        file: 'event_logs.json',
+        log: 'event_logs',
+        table: 'event_logs',
+        autoId: 'log_id',
+        indexes: ['session_id', 'user_id', 'timestamp']
+    },
+    loginAttempts: {
+        file: 'login_attempts.json',
+        log: 'login_attempts',
+        table: 'login_attempts',
+        autoId: 'attempt_id',
+        indexes: ['username', 'ip_address', 'timestamp']
+    },
+    ipReputation: {
+        file: 'ip_reputation.json',
+        table: 'ip_reputation',
+        indexes: ['ip_address']
+    },
+    transactions: {
+        file: 'transactions.json',
+        table: 'transactions',
+        indexes: ['transaction_id', 'from_user_id', 'to_user_id', 'idempotency_key', 'status']
+    },
+    riskAssessments: {
+        file: 'risk_assessments.json',
+        table: 'risk_assessments',
+        autoId: 'assessment_id',
+        indexes: ['assessment_id', 'transaction_id', 'user_id', 'timestamp']
+    },
+    alerts: {
+        file: 'alerts.json',
+        table: 'alerts',
+        autoId: 'alert_id',
+        indexes: ['alert_id', 'rule_id', 'status']
+    },
+    behaviorBaselines: {
+        file: 'behavior_baselines.json',
+        table: 'behavior_baselines',
+        indexes: ['user_id']
+    },
+    authTokens: {
+        file: 'auth_tokens.json',
+        table: 'auth_tokens',
+        indexes: ['token_hash', 'user_id']
+    }
+};
+
+const BACKENDS = ['json', 'sqlite'];
+
+// Log collection defaults, overridable per createStorage() call
+const LOG_DEFAULTS = {
+    retentionDays: 90,                  // 0 keeps logs forever
+    maxSegmentBytes: 10 * 1024 * 1024   // JSON backend: rotate segments at 10 MB
+};
+
+function createStorage({ backend = 'json', dataDir, sqliteFile, logs = {} }) {
+    const logOptions = { ...LOG_DEFAULTS, ...logs };
+    
+    switch (backend) {
+        case 'json':
+            return createJsonStore({ dataDir, collections: COLLECTIONS, logOptions });
+        case 'sqlite':
+            // Loaded lazily so the JSON backend works without the native driver
+            return require('./sqlite-store').createSqliteStore({
+                filename: sqliteFile,
+                collections: COLLECTIONS,
+                logOptions
+            });
+        default:
+            throw new Error(`Unknown storage backend "${backend}" (expected one of: ${BACKENDS.join(', ')})`);
+    }
+}
+
+module.exports = { createStorage, COLLECTIONS, BACKENDS, LOG_DEFAULTS };
@@ -0,0 +1,182 @@
+// ============================================
+// JSON File Storage Backend
+// Each record collection is one JSON array file in the data directory
+// (see ./files.js for the write safety guarantees). Log collections -
+// event logs and login attempts - are append-only NDJSON segments
+// instead (see ./ndjson-log.js).
+// ============================================
+
+const fs = require('fs').promises;
+const path = require('path');
+const { matchesFilter, matchesTimeRange } = require('./filter');
+const { TEMP_SUFFIX, readJSON, writeJSON, withFileLock } = require('./files');
+const { createNdjsonCollection } = require('./ndjson-log');
+
+// Next value for an auto-incremented id field
+function nextId(records, idField) {
+    return records.reduce((max, record) => Math.max(max, Number(record[idField]) || 0), 0) + 1;
+}
+
+function createJsonCollection(filepath, config) {
+    return {
+        async list(filter, options) {
+            const records = await readJSON(filepath);
+            return records.filter(record =>
+                matchesTimeRange(record, options) && matchesFilter(record, filter));
+        },
+        
+        async find(filter, options) {
+            const records = await readJSON(filepath);
+            return records.find(record =>
+                matchesTimeRange(record, options) && matchesFilter(record, filter)) || null;
+        },
+        
+        async count(filter, options) {
+            return (await this.list(filter, options)).length;
+        },
+        
+        async *iterate(filter, options) {
+            for (const record of await this.list(filter, options)) {
+                yield record;
+            }
+        },
+        
+        async insert(record) {
+            const [inserted] = await this.insertMany([record]);
+            return inserted;
+        },
+        
+        async insertMany(newRecords) {
+            return withFileLock(filepath, async () => {
+                const records = await readJSON(filepath);
+                
+                for (const record of newRecords) {
+                    if (config.autoId && record[config.autoId] == null) {
+                        record[config.autoId] = nextId(records, config.autoId);
+                    }
+                    records.push(record);
+                }
+                
+                await writeJSON(filepath, records);
+                return newRecords;
+            });
+        },
+        
+        // Apply `mutate(record)` in place to every matching record and
+        // persist. Returns the updated records.
+        async update(filter, mutate) {
+            return withFileLock(filepath, async () => {
+                const records = await readJSON(filepath);
+                const updated = [];
+                
+                for (const record of records) {
+                    if (matchesFilter(record, filter)) {
+                        mutate(record);
+                        updated.push(record);
+                    }
+                }
+                
+                if (updated.length > 0) {
+                    await writeJSON(filepath, records);
+                }
+                
+                return updated;
+            });
+        },
+        
+        // update() the matching records, or insert `create()` if none match,
+        // as one atomic step. Returns the updated or inserted records.
+        async upsert(filter, mutate, create) {
+            return withFileLock(filepath, async () => {
+                const records = await readJSON(filepath);
+                const updated = records.filter(record => matchesFilter(record, filter));
+                
+                if (updated.length > 0) {
+                    updated.forEach(mutate);
+                } else {
+                    const record = create();
+                    if (config.autoId && record[config.autoId] == null) {
+                        record[config.autoId] = nextId(records, config.autoId);
+                    }
+                    records.push(record);
+                    updated.push(record);
+                }
+                
+                await writeJSON(filepath, records);
+                return updated;
+            });
+        }
+    };
+}
+
+function createJsonStore({ dataDir, collections, logOptions }) {
+    const store = {
+        backend: 'json',
+        description: 'JSON files',
+        location: dataDir,
+        
+        async init() {
+            // Create data directory if it doesn't exist
+            await fs.mkdir(dataDir, { recursive: true });
+            
+            // Temp files left behind by a crash mid-write - the originals
+            // they were meant to replace are still intact
+            for (const name of await fs.readdir(dataDir)) {
+                if (name.endsWith(TEMP_SUFFIX)) {
+                    await fs.rm(path.join(dataDir, name), { force: true });
+                }
+            }
+            
+            for (const [name, config] of Object.entries(collections)) {
+                if (config.log) {
+                    await store[name].init();
+                    continue;
+                }
+                
+                const filepath = path.join(dataDir, config.file);
+                try {
+                    await fs.access(filepath);
+                } catch {
+                    await writeJSON(filepath, []);
+                    continue;
+                }
+                
+                // Surface corruption at startup instead of on the first request
+                try {
+                    await readJSON(filepath);
+                } catch (error) {
+                    console.error(`❌ ${error.message}. Repair or restore it from a backup.`);
+                }
+            }
+        },
+        
+        // Drop log segments past their retention period. Returns the
+        // number of segment files removed.
+        async enforceRetention() {
+            let removed = 0;
+            for (const [name, config] of Object.entries(collections)) {
+                if (config.log) removed += await store[name].enforceRetention();
+            }
+            return removed;
+        },
+        
+        async close() {}
+    };
+    
+    for (const [name, config] of Object.entries(collections)) {
+        store[name] = config.log
+            ? createNdjsonCollection({
+                dirpath: path.join(dataDir, config.log),
+                prefix: config.log,
+                legacyFile: path.join(dataDir, config.file),
+                idField: config.autoId,
+                maxSegmentBytes: logOptions.maxSegmentBytes,
+                retentionDays: logOptions.retentionDays
+            })
+            : createJsonCollection(path.join(dataDir, config.file), config);
+    }
+    
+    return store;
+}
+
+module.exports = { createJsonStore };
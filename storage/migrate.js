@@ -0,0 +1,57 @@
+// ============================================
+// Import the JSON backend's data (data/*.json plus the NDJSON log
+// segments) into the SQLite backend
+//
+//   node storage/migrate.js [--replace]
+//
+// Collections that already hold rows in the SQLite database are skipped
+// (so the import can't silently duplicate data) unless --replace is
+// given, which starts from a fresh database file.
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+const { createStorage, COLLECTIONS } = require('./index');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(DATA_DIR, 'intellisoc.db');
+
+async function migrate({ replace }) {
+    if (replace) {
+        for (const suffix of ['', '-wal', '-shm']) {
+            fs.rmSync(SQLITE_FILE + suffix, { force: true });
+        }
+    }
+    
+    // Retention is left to the server; import everything that's on disk
+    const logs = { retentionDays: 0 };
+    const source = createStorage({ backend: 'json', dataDir: DATA_DIR, logs });
+    const target = createStorage({ backend: 'sqlite', sqliteFile: SQLITE_FILE, logs });
+    await source.init();
+    await target.init();
+    
+    console.log(`📦 Importing ${DATA_DIR} -> ${SQLITE_FILE}`);
+    
+    try {
+        for (const name of Object.keys(COLLECTIONS)) {
+            const existing = await target[name].count();
+            if (existing > 0) {
+                console.log(`  ⚠️  ${name}: ${existing} row(s) already in SQLite, skipped (use --replace)`);
+                continue;
+            }
+            
+            const records = await source[name].list();
+            await target[name].insertMany(records);
+            console.log(`  ✅ ${name}: ${records.length} record(s)`);
+        }
+    } finally {
+        await target.close();
+    }
+    
+    console.log('\nStart the server with STORAGE_BACKEND=sqlite to use the imported data.');
+}
+
+migrate({ replace: process.argv.includes('--replace') }).catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,327 @@
+// ============================================
+// Append-only NDJSON Log Collections
+// Used by the JSON backend for event logs and login attempts. Records are
+// appended as one JSON object per line to segment files:
+//
+//   data/event_logs/event_logs-2026-02-14-001.ndjson
+//
+// A new segment starts each (UTC) day and whenever the current one would
+// grow past maxSegmentBytes. Segments older than retentionDays are
+// deleted. Readers stream segment by segment and never load the whole
+// history into memory.
+// ============================================
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const readline = require('readline');
+const { matchesFilter, matchesTimeRange } = require('./filter');
+const { readJSON, withFileLock } = require('./files');
+
+const SEGMENT_PATTERN = /^(.+)-(\d{4}-\d{2}-\d{2})-(\d{3,})\.ndjson$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function utcDay(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+function segmentName(prefix, day, seq) {
+    return `${prefix}-${day}-${String(seq).padStart(3, '0')}.ndjson`;
+}
+
+// Fold a record's timestamp into a segment's { min, max } (null until one
+// has a string timestamp; records without one never match a time range)
+function widenBounds(bounds, record) {
+    const { timestamp } = record;
+    if (typeof timestamp !== 'string') return;
+    
+    if (bounds.min === null || timestamp < bounds.min) bounds.min = timestamp;
+    if (bounds.max === null || timestamp > bounds.max) bounds.max = timestamp;
+}
+
+function boundsOverlap(bounds, options) {
+    if (!options.since && !options.until) return true;
+    if (bounds.min === null) return false;
+    
+    return (!options.since || bounds.max >= options.since) &&
+        (!options.until || bounds.min < options.until);
+}
+
+// Parse one line; a torn write (crash mid-append) leaves an invalid line
+// that is skipped rather than failing the whole read
+function parseLine(line, segment) {
+    if (!line.trim()) return null;
+    try {
+        return JSON.parse(line);
+    } catch (error) {
+        console.warn(`⚠️  Skipping unreadable line in ${segment}`);
+        return null;
+    }
+}
+
+function createNdjsonCollection({ dirpath, prefix, legacyFile, idField, maxSegmentBytes, retentionDays }) {
+    // Populated by load(): last assigned id and the segment being appended to
+    let state = null;
+    let loading = null;
+    
+    // Timestamp bounds of segments read through since startup, by name.
+    // `writes` lets a read that overlapped an append tell its bounds may be
+    // missing the new records.
+    const segmentBounds = new Map();
+    let writes = 0;
+    
+    async function listSegments() {
+        let names;
+        try {
+            names = await fsp.readdir(dirpath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        
+        return names
+            .map(name => {
+                const match = name.match(SEGMENT_PATTERN);
+                return match && match[1] === prefix
+                    ? { name, day: match[2], seq: parseInt(match[3], 10) }
+                    : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.day.localeCompare(b.day) || a.seq - b.seq);
+    }
+    
+    async function* readSegment(segment) {
+        const stream = fs.createReadStream(path.join(dirpath, segment.name), { encoding: 'utf8' });
+        const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+        
+        try {
+            for await (const line of lines) {
+                const record = parseLine(line, segment.name);
+                if (record) yield record;
+            }
+        } finally {
+            lines.close();
+            stream.destroy();
+        }
+    }
+    
+    async function load() {
+        await fsp.mkdir(dirpath, { recursive: true });
+        
+        const segments = await listSegments();
+        let lastId = 0;
+        
+        // Ids only grow, so the newest segment holding any record has the max
+        for (let i = segments.length - 1; i >= 0 && lastId === 0; i--) {
+            for await (const record of readSegment(segments[i])) {
+                lastId = Math.max(lastId, Number(record[idField]) || 0);
+            }
+        }
+        
+        let current = null;
+        const newest = segments[segments.length - 1];
+        
+        if (newest) {
+            const filepath = path.join(dirpath, newest.name);
+            const { size } = await fsp.stat(filepath);
+            
+            // Terminate a line torn by a crash so the next append starts clean
+            if (size > 0) {
+                const handle = await fsp.open(filepath, 'r');
+                const lastByte = Buffer.alloc(1);
+                await handle.read(lastByte, 0, 1, size - 1);
+                await handle.close();
+                
+                if (lastByte.toString() !== '\n') {
+                    await fsp.appendFile(filepath, '\n');
+                }
+            }
+            
+            current = { ...newest, size: (await fsp.stat(filepath)).size };
+        }
+        
+        state = { lastId, current };
+    }
+    
+    function ready() {
+        if (!loading) loading = load();
+        return loading;
+    }
+    
+    // Segment to append `bytes` to, rotating on a new day or when full
+    function segmentFor(bytes) {
+        const today = utcDay();
+        const { current } = state;
+        
+        if (current && current.day === today &&
+            (current.size === 0 || current.size + bytes <= maxSegmentBytes)) {
+            return { segment: current, rotated: false };
+        }
+        
+        const seq = current && current.day === today ? current.seq + 1 : 1;
+        state.current = { name: segmentName(prefix, today, seq), day: today, seq, size: 0 };
+        return { segment: state.current, rotated: true };
+    }
+    
+    // Appends to the current segment, or to `target` if given
+    async function append(records, target = null) {
+        await ready();
+        
+        for (const record of records) {
+            if (record[idField] == null) {
+                record[idField] = ++state.lastId;
+            } else {
+                state.lastId = Math.max(state.lastId, Number(record[idField]) || 0);
+            }
+        }
+        
+        const data = records.map(record => JSON.stringify(record)).join('\n') + '\n';
+        const bytes = Buffer.byteLength(data);
+        const { segment, rotated } = target ? { segment: target, rotated: false } : segmentFor(bytes);
+        
+        await fsp.appendFile(path.join(dirpath, segment.name), data);
+        segment.size += bytes;
+        
+        writes++;
+        const bounds = segmentBounds.get(segment.name);
+        if (bounds) {
+            for (const record of records) widenBounds(bounds, record);
+        }
+        
+        if (rotated) {
+            await enforceRetention();
+        }
+    }
+    
+    // Delete segments from days older than the retention window
+    async function enforceRetention() {
+        if (!retentionDays) return 0;
+        
+        const cutoff = utcDay(new Date(Date.now() - retentionDays * DAY_MS));
+        let removed = 0;
+        
+        for (const segment of await listSegments()) {
+            if (segment.day < cutoff) {
+                await fsp.rm(path.join(dirpath, segment.name), { force: true });
+                segmentBounds.delete(segment.name);
+                removed++;
+            }
+        }
+        
+        return removed;
+    }
+    
+    // One-time import of the pre-NDJSON array file (e.g. event_logs.json).
+    // Records go into segments of the day they were stamped (sequence 000,
+    // ahead of that day's own segments) so they sit with that day's
+    // records. The old file is renamed to *.migrated, never deleted.
+    async function importLegacyFile() {
+        try {
+            await fsp.access(legacyFile);
+        } catch {
+            return 0;
+        }
+        
+        const records = await readJSON(legacyFile);
+        
+        const byDay = new Map();
+        for (const record of records) {
+            const time = new Date(record.timestamp);
+            const day = Number.isNaN(time.getTime()) ? utcDay() : utcDay(time);
+            if (!byDay.has(day)) byDay.set(day, []);
+            byDay.get(day).push(record);
+        }
+        
+        await withFileLock(dirpath, async () => {
+            await ready();
+            for (const [day, dayRecords] of byDay) {
+                await append(dayRecords, { name: segmentName(prefix, day, 0), day, seq: 0, size: 0 });
+            }
+        });
+        await fsp.rename(legacyFile, `${legacyFile}.migrated`);
+        
+        return records.length;
+    }
+    
+    return {
+        async init() {
+            await ready();
+            
+            const imported = await importLegacyFile();
+            if (imported > 0) {
+                console.log(`📦 Moved ${imported} record(s) from ${path.basename(legacyFile)} into ${path.basename(dirpath)}/`);
+            }
+            
+            await enforceRetention();
+        },
+        
+        enforceRetention,
+        
+        async *iterate(filter, options = {}) {
+            // A segment is named by the day it was written, but client event
+            // times can be days earlier (replayed from an offline queue) or
+            // later (a clock that is ahead). So segments are skipped by the
+            // timestamps they hold, learned the first time each is read.
+            for (const segment of await listSegments()) {
+                const known = segmentBounds.get(segment.name);
+                if (known && !boundsOverlap(known, options)) continue;
+                
+                const bounds = { min: null, max: null };
+                const writesBefore = writes;
+                
+                for await (const record of readSegment(segment)) {
+                    widenBounds(bounds, record);
+                    if (matchesTimeRange(record, options) && matchesFilter(record, filter)) {
+                        yield record;
+                    }
+                }
+                
+                if (!known && writes === writesBefore) {
+                    segmentBounds.set(segment.name, bounds);
+                }
+            }
+        },
+        
+        async list(filter, options) {
+            const records = [];
+            for await (const record of this.iterate(filter, options)) {
+                records.push(record);
+            }
+            return records;
+        },
+        
+        async find(filter, options) {
+            for await (const record of this.iterate(filter, options)) {
+                return record;
+            }
+            return null;
+        },
+        
+        async count(filter, options) {
+            let count = 0;
+            for await (const record of this.iterate(filter, options)) count++;
+            return count;
+        },
+        
+        async insert(record) {
+            const [inserted] = await this.insertMany([record]);
+            return inserted;
+        },
+        
+        async insertMany(records) {
+            if (records.length === 0) return records;
+            await withFileLock(dirpath, () => append(records));
+            return records;
+        },
+        
+        async update() {
+            throw new Error(`${prefix} is append-only`);
+        },
+        
+        async upsert() {
+            throw new Error(`${prefix} is append-only`);
+        }
+    };
+}
+
+module.exports = { createNdjsonCollection };
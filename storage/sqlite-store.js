@@ -0,0 +1,233 @@
+// ============================================
+// SQLite Storage Backend
+// One table per collection: an integer id plus the record as a JSON
+// document. Equality filters become json_extract() lookups, backed by
+// expression indexes on the fields each collection is queried by.
+// ============================================
+
+const path = require('path');
+const fs = require('fs');
+const { matchesFilter } = require('./filter');
+
+function loadDriver() {
+    try {
+        return require('better-sqlite3');
+    } catch (error) {
+        throw new Error(
+            'The SQLite storage backend needs the "better-sqlite3" package. ' +
+            'Install it with: npm install better-sqlite3'
+        );
+    }
+}
+
+// Field names end up inside SQL text, so only allow plain identifiers
+function jsonPath(field) {
+    if (!/^[A-Za-z0-9_]+$/.test(field)) {
+        throw new Error(`Invalid filter field: ${field}`);
+    }
+    return `'$.${field}'`;
+}
+
+// better-sqlite3 can't bind booleans or undefined
+function toSqlValue(value) {
+    if (value === undefined) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value;
+}
+
+// Object filters (and the `since`/`until` options) become a WHERE clause;
+// predicate functions are applied in JS after the query
+function buildWhere(filter, options = {}) {
+    const clauses = [];
+    const params = [];
+    
+    if (filter && typeof filter === 'object') {
+        for (const field of Object.keys(filter)) {
+            clauses.push(`json_extract(data, ${jsonPath(field)}) IS ?`);
+            params.push(toSqlValue(filter[field]));
+        }
+    }
+    
+    if (options.since) {
+        clauses.push(`json_extract(data, '$.timestamp') >= ?`);
+        params.push(options.since);
+    }
+    
+    if (options.until) {
+        clauses.push(`json_extract(data, '$.timestamp') < ?`);
+        params.push(options.until);
+    }
+    
+    return {
+        where: clauses.length > 0 ? 'WHERE ' + clauses.join(' AND ') : '',
+        params
+    };
+}
+
+function createSqliteCollection(db, config, logOptions) {
+    const table = config.table;
+    
+    function select(filter, options) {
+        const { where, params } = buildWhere(filter, options);
+        return db.prepare(`SELECT id, data FROM ${table} ${where} ORDER BY id`).iterate(...params);
+    }
+    
+    const insertStmt = () => db.prepare(`INSERT INTO ${table} (id, data) VALUES (?, ?)`);
+    const nextIdStmt = () => db.prepare(`SELECT COALESCE(MAX(id), 0) + 1 AS next FROM ${table}`);
+    
+    // better-sqlite3 is synchronous, so a transaction is atomic with
+    // respect to every other request handled by this process
+    const insertMany = db.transaction(records => {
+        const insert = insertStmt();
+        
+        for (const record of records) {
+            let id = null;
+            
+            if (config.autoId) {
+                if (record[config.autoId] == null) {
+                    record[config.autoId] = nextIdStmt().get().next;
+                }
+                id = record[config.autoId];
+            }
+            
+            insert.run(id, JSON.stringify(record));
+        }
+        
+        return records;
+    });
+    
+    const update = db.transaction((filter, mutate) => {
+        const write = db.prepare(`UPDATE ${table} SET data = ? WHERE id = ?`);
+        const updated = [];
+        
+        for (const row of [...select(filter)]) {
+            const record = JSON.parse(row.data);
+            if (!matchesFilter(record, filter)) continue;
+            
+            mutate(record);
+            write.run(JSON.stringify(record), row.id);
+            updated.push(record);
+        }
+        
+        return updated;
+    });
+    
+    const upsert = db.transaction((filter, mutate, create) => {
+        const updated = update(filter, mutate);
+        return updated.length > 0 ? updated : insertMany([create()]);
+    });
+    
+    function appendOnly() {
+        throw new Error(`${table} is append-only`);
+    }
+    
+    return {
+        async list(filter, options) {
+            const records = [];
+            for (const row of select(filter, options)) {
+                const record = JSON.parse(row.data);
+                if (matchesFilter(record, filter)) records.push(record);
+            }
+            return records;
+        },
+        
+        async find(filter, options) {
+            for (const row of select(filter, options)) {
+                const record = JSON.parse(row.data);
+                if (matchesFilter(record, filter)) return record;
+            }
+            return null;
+        },
+        
+        async count(filter, options) {
+            if (typeof filter === 'function') {
+                return (await this.list(filter, options)).length;
+            }
+            const { where, params } = buildWhere(filter, options);
+            return db.prepare(`SELECT COUNT(*) AS count FROM ${table} ${where}`).get(...params).count;
+        },
+        
+        async *iterate(filter, options) {
+            for (const row of select(filter, options)) {
+                const record = JSON.parse(row.data);
+                if (matchesFilter(record, filter)) yield record;
+            }
+        },
+        
+        async insert(record) {
+            return insertMany([record])[0];
+        },
+        
+        async insertMany(records) {
+            return insertMany(records);
+        },
+        
+        async update(filter, mutate) {
+            if (config.log) appendOnly();
+            return update(filter, mutate);
+        },
+        
+        async upsert(filter, mutate, create) {
+            if (config.log) appendOnly();
+            return upsert(filter, mutate, create);
+        },
+        
+        // Delete log rows older than the retention period
+        async enforceRetention() {
+            if (!config.log || !logOptions.retentionDays) return 0;
+            
+            const cutoff = new Date(Date.now() - logOptions.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+            return db.prepare(`DELETE FROM ${table} WHERE json_extract(data, '$.timestamp') < ?`)
+                .run(cutoff).changes;
+        }
+    };
+}
+
+function createSqliteStore({ filename, collections, logOptions }) {
+    const Database = loadDriver();
+    
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+    const db = new Database(filename);
+    db.pragma('journal_mode = WAL');
+    
+    const store = {
+        backend: 'sqlite',
+        description: 'SQLite',
+        location: filename,
+        
+        async init() {
+            for (const config of Object.values(collections)) {
+                db.exec(`CREATE TABLE IF NOT EXISTS ${config.table} (
+                    id INTEGER PRIMARY KEY,
+                    data TEXT NOT NULL
+                )`);
+                
+                for (const field of config.indexes || []) {
+                    db.exec(`CREATE INDEX IF NOT EXISTS idx_${config.table}_${field}
+                        ON ${config.table} (json_extract(data, ${jsonPath(field)}))`);
+                }
+            }
+        },
+        
+        // Returns the number of log rows removed
+        async enforceRetention() {
+            let removed = 0;
+            for (const name of Object.keys(collections)) {
+                removed += await store[name].enforceRetention();
+            }
+            return removed;
+        },
+        
+        async close() {
+            db.close();
+        }
+    };
+    
+    for (const [name, config] of Object.entries(collections)) {
+        store[name] = createSqliteCollection(db, config, logOptions);
+    }
+    
+    return store;
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,146 @@
+// ============================================
+// Live Event Hub
+// Fan-out of newly written records (page events, login attempts, IP
+// reputation changes, alerts) to streaming subscribers. Each published
+// message gets an ID "<epoch>-<sequence>"; the last bufferSize messages are
+// kept in memory so a client that reconnects with the last ID it saw gets
+// what it missed. The epoch changes on every start, so IDs from before a
+// restart (or older than the buffer) can't be resumed - the subscriber is
+// told about the gap instead and should reload from the analytics API.
+// ============================================
+
+const crypto = require('crypto');
+
+const STREAM_TOPICS = {
+    EVENT_LOG: 'event_log',
+    LOGIN_ATTEMPT: 'login_attempt',
+    IP_REPUTATION: 'ip_reputation',
+    ALERT: 'alert'
+};
+
+const DEFAULT_CONFIG = {
+    bufferSize: 1000,
+    maxSubscribers: 50
+};
+
+// Subscriber filter. Every given criterion must match, and a record
+// without the field a criterion looks at doesn't match it (e.g. ?ip=...
+// with ?eventType=... only passes page events from that IP).
+function createStreamFilter({ topics, eventTypes, sessionId, username, userId, ip, severities } = {}) {
+    return ({ topic, data }) => {
+        if (topics && !topics.includes(topic)) return false;
+        if (eventTypes && !(topic === STREAM_TOPICS.EVENT_LOG && eventTypes.includes(data.event_type))) return false;
+        if (severities && !(topic === STREAM_TOPICS.ALERT && severities.includes(data.severity))) return false;
+        if (ip && data.ip_address !== ip) return false;
+        
+        if (sessionId && data.session_id !== sessionId && !(data.session_ids || []).includes(sessionId)) {
+            return false;
+        }
+        
+        // Page events only carry the user ID; attempts and alerts the username
+        if (username && data.username !== username &&
+            !(userId !== undefined && userId !== null && data.user_id === userId)) {
+            return false;
+        }
+        
+        return true;
+    };
+}
+
+function createEventHub({ config = {} } = {}) {
+    const settings = { ...DEFAULT_CONFIG, ...config };
+    const epoch = crypto.randomBytes(4).toString('hex');
+    
+    let sequence = 0;
+    const buffer = [];
+    const subscribers = new Set();
+    
+    function parseEventId(id) {
+        const match = /^([0-9a-f]+)-(\d+)$/.exec(String(id || ''));
+        if (!match || match[1] !== epoch) return null;
+        return parseInt(match[2], 10);
+    }
+    
+    return {
+        settings,
+        
+        // Records are snapshotted, so later changes to the same object
+        // aren't seen by subscribers
+        publish(topic, record) {
+            const message = {
+                id: `${epoch}-${++sequence}`,
+                sequence,
+                topic,
+                data: structuredClone(record),
+                timestamp: new Date().toISOString()
+            };
+            
+            buffer.push(message);
+            if (buffer.length > settings.bufferSize) buffer.shift();
+            
+            for (const subscriber of subscribers) {
+                if (!subscriber.filter(message)) continue;
+                
+                try {
+                    subscriber.send(message);
+                } catch (error) {
+                    console.error('Stream subscriber error:', error);
+                    subscribers.delete(subscriber);
+                }
+            }
+            
+            return message;
+        },
+        
+        // Registers `send(message)` for messages passing `filter`. Messages
+        // after lastEventId still in the buffer are sent first. Returns
+        // { unsubscribe, replayed, gap }, or null when at maxSubscribers.
+        // The subscriber is registered before the replay, so `send` may end
+        // the stream (the caller then unsubscribes once this returns); a
+        // `send` that throws unsubscribes it.
+        subscribe({ filter = () => true, lastEventId = null, send }) {
+            if (subscribers.size >= settings.maxSubscribers) return null;
+            
+            const subscriber = { filter, send };
+            subscribers.add(subscriber);
+            
+            const subscription = {
+                replayed: 0,
+                gap: false,
+                unsubscribe: () => subscribers.delete(subscriber)
+            };
+            
+            if (lastEventId) {
+                const last = parseEventId(lastEventId);
+                const oldest = buffer.length ? buffer[0].sequence : sequence + 1;
+                
+                if (last === null || last > sequence || last < oldest - 1) {
+                    subscription.gap = true;
+                } else {
+                    try {
+                        for (const message of buffer) {
+                            if (message.sequence <= last || !filter(message)) continue;
+                            send(message);
+                            subscription.replayed++;
+                        }
+                    } catch (error) {
+                        subscribers.delete(subscriber);
+                        throw error;
+                    }
+                }
+            }
+            
+            return subscription;
+        },
+        
+        stats() {
+            return {
+                subscribers: subscribers.size,
+                buffered: buffer.length,
+                lastEventId: sequence > 0 ? `${epoch}-${sequence}` : null
+            };
+        }
+    };
+}
+
+module.exports = { createEventHub, createStreamFilter, STREAM_TOPICS };
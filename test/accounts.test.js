@@ -0,0 +1,58 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+describe('account API', () => {
+    let server;
+    
+    before(async () => {
+        server = await startServer();
+    });
+    
+    after(() => server.stop());
+    
+    test('both endpoints need a session', async () => {
+        for (const pathname of ['/api/me', '/api/accounts']) {
+            assert.equal((await server.get(pathname)).status, 401, pathname);
+        }
+    });
+    
+    test('/api/me returns the signed-in user\'s profile and session', async () => {
+        const token = await server.login('user1', 'password123', { ip: '203.0.113.60' });
+        
+        const { user, session } = (await server.get('/api/me', { token })).body.data;
+        assert.equal(user.username, 'user1');
+        assert.equal(user.fullName, 'John Doe');
+        assert.equal(user.role, 'customer');
+        assert.ok(!('password_hash' in user) && !('passwordHash' in user));
+        assert.equal(session.ipAddress, '203.0.113.60');
+        assert.equal(session.current, true);
+    });
+    
+    test('/api/accounts returns the balance from storage', async () => {
+        const token = await server.login('user1', 'password123');
+        
+        const { data } = (await server.get('/api/accounts', { token })).body;
+        assert.equal(data.fullName, 'John Doe');
+        assert.equal(data.totalBalance, 12450);
+        assert.deepEqual(data.accounts.map(a => [a.type, a.balance, a.currency]), [['checking', 12450, 'USD']]);
+        
+        server.updateData('users.json', user => {
+            if (user.username === 'user1') user.account_balance = 99.5;
+        });
+        assert.equal((await server.get('/api/accounts', { token })).body.data.totalBalance, 99.5);
+    });
+    
+    test('summarises sessions and sign-ins since the previous login', async () => {
+        await server.login('testuser', 'test123', { ip: '198.51.100.61' });
+        await server.post('/api/auth/login', { username: 'testuser', password: 'wrong' });
+        await server.post('/api/auth/login', { username: 'testuser', password: 'wrong' });
+        const token = await server.login('testuser', 'test123');
+        
+        const { summary } = (await server.get('/api/accounts', { token })).body.data;
+        assert.equal(summary.activeSessions, 2);
+        assert.equal(summary.failedLoginsSinceLastLogin, 2);
+        assert.equal(summary.lastLogin.ipAddress, '198.51.100.61');
+        assert.equal(summary.recentTransactions, 0);
+    });
+});
@@ -0,0 +1,121 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+describe('alerts API', () => {
+    let server;
+    let adminToken;
+    
+    before(async () => {
+        server = await startServer();
+        adminToken = await server.login('admin', 'admin123');
+    });
+    
+    after(() => server.stop());
+    
+    const get = pathname => server.get(pathname, { token: adminToken });
+    const post = (pathname, body = {}) => server.post(pathname, body, { token: adminToken });
+    
+    function seedAlert(fields) {
+        const alerts = server.readData('alerts.json');
+        const alert = {
+            alert_id: Math.max(0, ...alerts.map(a => a.alert_id)) + 1,
+            timestamp: new Date().toISOString(),
+            last_seen: new Date().toISOString(),
+            occurrences: 1,
+            status: 'open',
+            severity: 'low',
+            source: 'test',
+            rule_id: 'TEST_RULE',
+            title: 'Seeded alert',
+            group_key: String(alerts.length),
+            attempt_ids: [],
+            event_ids: [],
+            session_ids: [],
+            assigned_to: null,
+            comments: [],
+            history: [],
+            ...fields
+        };
+        server.writeData('alerts.json', [...alerts, alert]);
+        return alert;
+    }
+    
+    test('credential stuffing raises one alert linked to its attempts', async () => {
+        const ip = '198.51.100.70';
+        for (const username of ['s1', 's2', 's3', 's4', 's5', 's6']) {
+            await server.post('/api/auth/login', { username, password: 'guess' }, { ip });
+        }
+        
+        const { alerts } = (await get('/api/alerts?ruleId=CREDENTIAL_STUFFING')).body.data;
+        assert.equal(alerts.length, 1);
+        assert.equal(alerts[0].ip_address, ip);
+        assert.equal(alerts[0].severity, 'high');
+        assert.equal(alerts[0].occurrences, 2);
+        
+        const detail = (await get(`/api/alerts/${alerts[0].alert_id}`)).body.data;
+        assert.deepEqual(
+            detail.related.login_attempts.map(a => a.username).sort(),
+            ['s1', 's2', 's3', 's4', 's5', 's6']
+        );
+    });
+    
+    test('only analysts and admins can see alerts', async () => {
+        const customer = await server.login('user1', 'password123');
+        assert.equal((await server.get('/api/alerts', { token: customer })).status, 403);
+        assert.equal((await get('/api/alerts/9999')).status, 404);
+    });
+    
+    test('filters by comma-separated values and summarises the matches', async () => {
+        seedAlert({ rule_id: 'FILTER', severity: 'critical', username: 'carol' });
+        seedAlert({ rule_id: 'FILTER', severity: 'medium', status: 'resolved' });
+        seedAlert({ rule_id: 'FILTER', severity: 'low', status: 'acknowledged', assigned_to: 'admin' });
+        
+        const count = async query => (await get(`/api/alerts?ruleId=FILTER&${query}`)).body.data.pagination.total;
+        
+        assert.equal(await count('status=open,acknowledged'), 2);
+        assert.equal(await count('severity=critical,medium'), 2);
+        // A repeated parameter is ignored rather than failing the request
+        assert.equal(await count('status=open&status=resolved'), 3);
+        assert.equal(await count('assignedTo=me'), 1);
+        assert.equal(await count('assignedTo=unassigned'), 2);
+        assert.equal(await count('username=carol'), 1);
+        
+        const { summary } = (await get('/api/alerts?ruleId=FILTER')).body.data;
+        assert.equal(summary.byStatus.resolved, 1);
+        assert.equal(summary.bySeverity.critical, 1);
+    });
+    
+    test('works an alert through assignment, comments and closing', async () => {
+        const { alert_id: id } = seedAlert({ rule_id: 'TRIAGE' });
+        
+        assert.equal((await post(`/api/alerts/${id}/assign`, { assignee: 'user1' })).status, 400);
+        assert.equal((await post(`/api/alerts/${id}/assign`, { assignee: 'admin' })).body.data.assigned_to, 'admin');
+        
+        const acknowledged = (await post(`/api/alerts/${id}/acknowledge`)).body.data;
+        assert.equal(acknowledged.status, 'acknowledged');
+        assert.ok(acknowledged.acknowledged_at);
+        
+        assert.equal((await post(`/api/alerts/${id}/comments`, { comment: '  ' })).status, 400);
+        const commented = await post(`/api/alerts/${id}/comments`, { comment: 'checked the IP' });
+        assert.equal(commented.status, 201);
+        assert.deepEqual(commented.body.data.comments.map(c => [c.comment, c.author]), [['checked the IP', 'admin']]);
+        
+        assert.equal((await post(`/api/alerts/${id}/close`, { resolution: 'ignored' })).status, 400);
+        const closed = (await post(`/api/alerts/${id}/close`, { resolution: 'false_positive', comment: 'pen test' })).body.data;
+        assert.equal(closed.status, 'false_positive');
+        assert.equal(closed.closed_by, 'admin');
+        assert.equal(closed.comments.length, 2);
+        
+        const again = await post(`/api/alerts/${id}/acknowledge`);
+        assert.equal(again.status, 409);
+        assert.equal(again.body.message, 'Cannot change an alert from false_positive to acknowledged');
+        
+        const reopened = (await post(`/api/alerts/${id}/reopen`)).body.data;
+        assert.equal(reopened.status, 'open');
+        assert.equal(reopened.closed_at, null);
+        assert.deepEqual(reopened.history.map(h => h.action), [
+            'assigned', 'status_changed', 'commented', 'status_changed', 'status_changed'
+        ]);
+    });
+});
@@ -0,0 +1,97 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+describe('bearer-token authentication', () => {
+    let server;
+    
+    before(async () => {
+        server = await startServer();
+    });
+    
+    after(() => server.stop());
+    
+    test('protected routes refuse anonymous requests', async () => {
+        for (const pathname of ['/api/me', '/api/analytics/login-stats', '/api/export/all-logs', '/api/admin/ips']) {
+            const response = await server.get(pathname);
+            assert.equal(response.status, 401, pathname);
+            assert.equal(response.body.message, 'Authentication required');
+        }
+    });
+    
+    test('accepts the token from a login and refuses unknown ones', async () => {
+        const token = await server.login('user1', 'password123');
+        
+        const me = await server.get('/api/me', { token });
+        assert.equal(me.status, 200);
+        assert.equal(me.body.data.user.username, 'user1');
+        
+        const forged = await server.get('/api/me', { token: 'f'.repeat(64) });
+        assert.equal(forged.status, 401);
+        assert.equal(forged.body.message, 'Invalid or revoked session');
+        
+        const wrongScheme = await server.get('/api/me', { headers: { authorization: `Basic ${token}` } });
+        assert.equal(wrongScheme.status, 401);
+    });
+    
+    test('refuses expired and inactive sessions', async () => {
+        const expired = await server.login('user1', 'password123');
+        const inactive = await server.login('user1', 'password123');
+        
+        server.updateData('sessions.json', session => {
+            if (session.session_token === expired) session.expires_at = new Date(Date.now() - 1000).toISOString();
+            if (session.session_token === inactive) session.is_active = false;
+        });
+        
+        assert.equal((await server.get('/api/me', { token: expired })).body.message, 'Session expired');
+        assert.equal((await server.get('/api/me', { token: inactive })).body.message, 'Invalid or revoked session');
+    });
+    
+    test('analytics and export need the analyst or admin role', async () => {
+        const customer = await server.login('user1', 'password123');
+        const admin = await server.login('admin', 'admin123');
+        
+        for (const pathname of ['/api/analytics/login-stats', '/api/export/all-logs']) {
+            const refused = await server.get(pathname, { token: customer });
+            assert.equal(refused.status, 403, pathname);
+            assert.equal(refused.body.message, 'Insufficient permissions');
+            
+            assert.equal((await server.get(pathname, { token: admin })).status, 200, pathname);
+        }
+        
+        server.updateData('users.json', user => {
+            if (user.username === 'testuser') user.role = 'analyst';
+        });
+        const analyst = await server.login('testuser', 'test123');
+        
+        assert.equal((await server.get('/api/analytics/login-stats', { token: analyst })).status, 200);
+        assert.equal((await server.get('/api/admin/ips', { token: analyst })).status, 403);
+    });
+    
+    test('logging stays open to anonymous clients but checks a token that is sent', async () => {
+        const event = { sessionId: 'anon', eventType: 'PAGE_VIEW' };
+        
+        assert.equal((await server.post('/api/log/event', event)).status, 201);
+        assert.equal((await server.post('/api/log/event', event, { token: 'not-a-session' })).status, 401);
+    });
+});
+
+describe('session binding', () => {
+    let server;
+    
+    before(async () => {
+        server = await startServer({ env: { SESSION_BIND_IP: 'true' } });
+    });
+    
+    after(() => server.stop());
+    
+    test('refuses a token used from a different IP when bound', async () => {
+        const token = await server.login('user1', 'password123', { ip: '203.0.113.5' });
+        
+        assert.equal((await server.get('/api/me', { token, ip: '203.0.113.5' })).status, 200);
+        
+        const elsewhere = await server.get('/api/me', { token, ip: '198.51.100.20' });
+        assert.equal(elsewhere.status, 401);
+        assert.equal(elsewhere.body.message, 'Session not valid from this IP address');
+    });
+});
@@ -0,0 +1,99 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+const { createBehaviorProfiler } = require('../security/behavior-profile');
+
+let dataDir;
+let profiler;
+
+beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'behavior-profile-'));
+    const storage = createStorage({ backend: 'json', dataDir });
+    await storage.init();
+    profiler = createBehaviorProfiler({ storage });
+});
+
+afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const typing = (dwellMean, fields = {}) => ({
+    keystroke: { keyCount: 12, dwellMean, flightMean: 150, keysPerSecond: 5, ...fields },
+    paste: { password: false }
+});
+
+async function train(userId, behaviors) {
+    for (const behavior of behaviors) {
+        const features = profiler.sanitize(behavior);
+        await profiler.learn(userId, features, await profiler.score(userId, features));
+    }
+}
+
+describe('sanitize', () => {
+    test('keeps known numeric features in range and flattens them', () => {
+        const features = profiler.sanitize({
+            keystroke: { keyCount: 8, dwellMean: 95.12345, correctionRate: 1.5, keys: ['p', 'a'] },
+            mouse: { sampleCount: 20, straightness: 0.8 },
+            paste: { username: true, password: false },
+            extra: { anything: 1 }
+        });
+        
+        assert.deepEqual(features, {
+            'keystroke.dwellMean': 95.123,
+            'mouse.straightness': 0.8,
+            'paste.username': 1,
+            'paste.password': 0
+        });
+    });
+    
+    test('drops groups with too little activity, and returns null when nothing is left', () => {
+        assert.deepEqual(profiler.sanitize({ keystroke: { keyCount: 2, dwellMean: 90 }, mouse: { sampleCount: 9, velocityMean: 400 } }), {
+            'mouse.velocityMean': 400
+        });
+        assert.equal(profiler.sanitize({ keystroke: { keyCount: 2, dwellMean: 90 } }), null);
+        assert.equal(profiler.sanitize('typing'), null);
+    });
+});
+
+describe('score and learn', () => {
+    test('has no similarity until the baseline has enough samples', async () => {
+        await train(1, [typing(100), typing(104)]);
+        
+        const match = await profiler.score(1, profiler.sanitize(typing(102)));
+        assert.equal(match.similarity, null);
+        assert.equal(match.samples, 2);
+    });
+    
+    test('scores behaviour like the baseline high and unlike it low', async () => {
+        await train(1, [typing(100), typing(104), typing(98), typing(102)]);
+        
+        const same = await profiler.score(1, profiler.sanitize(typing(101)));
+        assert.ok(same.similarity >= 90, `similarity ${same.similarity}`);
+        assert.deepEqual(same.outliers, []);
+        
+        const other = await profiler.score(1, profiler.sanitize(typing(400, { keysPerSecond: 15 })));
+        assert.ok(other.similarity < 60, `similarity ${other.similarity}`);
+        assert.deepEqual(other.outliers.sort(), ['keystroke.dwellMean', 'keystroke.keysPerSecond']);
+    });
+    
+    test('pasting a password the user always types counts against the login', async () => {
+        await train(1, [typing(100), typing(100), typing(100)]);
+        
+        const pasted = await profiler.score(1, profiler.sanitize({ ...typing(100), paste: { password: true } }));
+        assert.ok(pasted.outliers.includes('paste.password'));
+    });
+    
+    test('a login far from the baseline does not retrain it', async () => {
+        await train(1, [typing(100), typing(100), typing(100)]);
+        
+        const features = profiler.sanitize(typing(900, { keysPerSecond: 30, flightMean: 900 }));
+        const match = await profiler.score(1, features);
+        assert.ok(match.similarity < profiler.settings.learnMinSimilarity);
+        
+        assert.equal(await profiler.learn(1, features, match), false);
+        assert.equal((await profiler.score(1, features)).samples, 3);
+    });
+});
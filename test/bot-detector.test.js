@@ -0,0 +1,113 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBotDetector, BOT_DECISIONS } = require('../security/bot-detector');
+const { matchesFilter, matchesTimeRange } = require('../storage/filter');
+
+const ago = ms => new Date(Date.now() - ms).toISOString();
+
+function createDetector(events = [], config) {
+    const eventLogs = {
+        async list(filter, options) {
+            return events.filter(record => matchesTimeRange(record, options) && matchesFilter(record, filter));
+        }
+    };
+    return createBotDetector({ storage: { eventLogs }, config });
+}
+
+const event = (eventType, eventData = {}, msAgo = 60 * 1000) => ({
+    session_id: 'page',
+    event_type: eventType,
+    event_data: eventData,
+    timestamp: ago(msAgo)
+});
+
+// What a person typing into the login page produces
+const humanEvents = [
+    event('INPUT_FOCUS', { field: 'username' }),
+    event('INPUT_BLUR', { field: 'username', hasValue: true, timeSpent: 2400 }),
+    event('INPUT_FOCUS', { field: 'password' }),
+    event('INPUT_BLUR', { field: 'password', hasValue: true, timeSpent: 3100 })
+];
+const humanBehavior = {
+    keystroke: { keyCount: 18, dwellStd: 21, flightStd: 64, keysPerSecond: 5 },
+    mouse: { sampleCount: 40 },
+    paste: {}
+};
+const humanAutomation = { webdriver: false, headless: false, pluginCount: 3, languageCount: 2, msSincePageLoad: 9000 };
+
+const signalNames = result => result.signals.map(s => s.signal);
+
+describe('bot detection', () => {
+    test('allows a person filling in the form', async () => {
+        const result = await createDetector(humanEvents).assess({
+            sessionId: 'page',
+            behavior: humanBehavior,
+            automation: humanAutomation
+        });
+        
+        assert.deepEqual(result, { score: 0, decision: BOT_DECISIONS.ALLOW, signals: [] });
+    });
+    
+    test('rejects a webdriver session that never touched the page', async () => {
+        const result = await createDetector().assess({
+            sessionId: 'page',
+            behavior: { keystroke: { keyCount: 0 }, mouse: { sampleCount: 0 }, paste: {} },
+            automation: { ...humanAutomation, webdriver: true, msSincePageLoad: 300 }
+        });
+        
+        assert.deepEqual(signalNames(result), [
+            'webdriver', 'instant_submit', 'no_mouse_movement', 'filled_without_typing', 'no_telemetry'
+        ]);
+        assert.equal(result.score, 100);
+        assert.equal(result.decision, BOT_DECISIONS.REJECT);
+    });
+    
+    test('scores a bare API client against the configured thresholds', async () => {
+        const result = await createDetector().assess({});
+        
+        assert.deepEqual(signalNames(result), ['no_interaction_data', 'no_session']);
+        assert.equal(result.score, 45);
+        assert.equal(result.decision, BOT_DECISIONS.ALLOW);
+        
+        const strict = await createDetector([], { challengeThreshold: 40 }).assess({});
+        assert.equal(strict.decision, BOT_DECISIONS.CHALLENGE);
+    });
+    
+    test('reads instant fills, pastes and missing focus from the event stream', async () => {
+        const result = await createDetector([
+            event('INPUT_BLUR', { field: 'username', hasValue: true, timeSpent: 20 }),
+            event('PASTE_DETECTED', { field: 'username' }),
+            event('PASTE_DETECTED', { field: 'password' })
+        ]).assess({ sessionId: 'page', behavior: humanBehavior, automation: humanAutomation });
+        
+        assert.deepEqual(signalNames(result), ['no_field_focus', 'instant_field_fill', 'pasted_credentials']);
+        assert.equal(result.score, 35);
+    });
+    
+    test('ignores telemetry from before the login window', async () => {
+        const old = humanEvents.map(e => ({ ...e, timestamp: ago(2 * 60 * 60 * 1000) }));
+        const result = await createDetector(old).assess({ sessionId: 'page', behavior: humanBehavior, automation: humanAutomation });
+        
+        assert.deepEqual(signalNames(result), ['no_telemetry']);
+    });
+    
+    test('touch devices are not penalised for having no mouse', async () => {
+        const result = await createDetector(humanEvents).assess({
+            sessionId: 'page',
+            behavior: { ...humanBehavior, mouse: { sampleCount: 0 } },
+            automation: { ...humanAutomation, touchPoints: 5 }
+        });
+        
+        assert.equal(result.score, 0);
+    });
+    
+    test('flags machine-regular and superhuman typing', async () => {
+        const result = await createDetector(humanEvents).assess({
+            sessionId: 'page',
+            behavior: { ...humanBehavior, keystroke: { keyCount: 18, dwellStd: 1, flightStd: 2, keysPerSecond: 40 } },
+            automation: humanAutomation
+        });
+        
+        assert.deepEqual(signalNames(result), ['uniform_typing', 'superhuman_typing']);
+    });
+});
@@ -0,0 +1,220 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEventHub, createStreamFilter, STREAM_TOPICS } = require('../streaming/event-hub');
+const { startServer } = require('./helpers/server');
+
+const pageEvent = (eventType, fields = {}) => ({ event_type: eventType, session_id: 's1', ip_address: '203.0.113.1', user_id: 2, ...fields });
+
+function collect(hub, options = {}) {
+    const received = [];
+    const subscription = hub.subscribe({ ...options, send: message => received.push(message) });
+    return { received, subscription };
+}
+
+describe('event hub', () => {
+    test('sends new messages to subscribers whose filter matches', () => {
+        const hub = createEventHub();
+        const all = collect(hub);
+        const clicks = collect(hub, { filter: createStreamFilter({ eventTypes: ['CLICK'] }) });
+        
+        hub.publish(STREAM_TOPICS.EVENT_LOG, pageEvent('PAGE_VIEW'));
+        hub.publish(STREAM_TOPICS.EVENT_LOG, pageEvent('CLICK'));
+        hub.publish(STREAM_TOPICS.ALERT, { rule_id: 'X', severity: 'high' });
+        
+        assert.equal(all.received.length, 3);
+        assert.deepEqual(clicks.received.map(m => m.data.event_type), ['CLICK']);
+    });
+    
+    test('snapshots records and gives each message an increasing id', () => {
+        const hub = createEventHub();
+        const { received } = collect(hub);
+        const record = pageEvent('CLICK');
+        
+        const first = hub.publish(STREAM_TOPICS.EVENT_LOG, record);
+        record.event_type = 'CHANGED';
+        const second = hub.publish(STREAM_TOPICS.EVENT_LOG, record);
+        
+        assert.equal(received[0].data.event_type, 'CLICK');
+        assert.equal(first.id.split('-')[0], second.id.split('-')[0]);
+        assert.equal(second.sequence, first.sequence + 1);
+        assert.equal(hub.stats().lastEventId, second.id);
+    });
+    
+    test('replays what a reconnecting subscriber missed, through its filter', () => {
+        const hub = createEventHub();
+        const seen = hub.publish(STREAM_TOPICS.EVENT_LOG, pageEvent('PAGE_VIEW'));
+        hub.publish(STREAM_TOPICS.EVENT_LOG, pageEvent('CLICK'));
+        hub.publish(STREAM_TOPICS.LOGIN_ATTEMPT, { username: 'user1', session_id: 's1' });
+        hub.publish(STREAM_TOPICS.EVENT_LOG, pageEvent('CLICK', { session_id: 's2' }));
+        
+        const { received, subscription } = collect(hub, {
+            lastEventId: seen.id,
+            filter: createStreamFilter({ sessionId: 's1' })
+        });
+        
+        assert.deepEqual(received.map(m => m.topic), [STREAM_TOPICS.EVENT_LOG, STREAM_TOPICS.LOGIN_ATTEMPT]);
+        assert.equal(subscription.replayed, 2);
+        assert.equal(subscription.gap, false);
+    });
+    
+    test('reports a gap for ids from another run or older than the buffer', () => {
+        const hub = createEventHub({ config: { bufferSize: 2 } });
+        const oldest = hub.publish(STREAM_TOPICS.EVENT_LOG, pageEvent('A'));
+        hub.publish(STREAM_TOPICS.EVENT_LOG, pageEvent('B'));
+        hub.publish(STREAM_TOPICS.EVENT_LOG, pageEvent('C'));
+        hub.publish(STREAM_TOPICS.EVENT_LOG, pageEvent('D'));
+        
+        const evicted = collect(hub, { lastEventId: oldest.id });
+        assert.equal(evicted.subscription.gap, true);
+        assert.deepEqual(evicted.received, []);
+        
+        const otherRun = collect(hub, { lastEventId: 'deadbeef-1' });
+        assert.equal(otherRun.subscription.gap, true);
+    });
+    
+    test('limits subscribers and drops one whose send throws', () => {
+        const hub = createEventHub({ config: { maxSubscribers: 2 } });
+        hub.subscribe({
+            send: () => {
+                throw new Error('socket closed');
+            }
+        });
+        const { received, subscription } = collect(hub);
+        
+        assert.equal(hub.subscribe({ send: () => {} }), null);
+        
+        const originalError = console.error;
+        console.error = () => {};
+        try {
+            hub.publish(STREAM_TOPICS.ALERT, { rule_id: 'X' });
+        } finally {
+            console.error = originalError;
+        }
+        
+        assert.equal(received.length, 1);
+        assert.equal(hub.stats().subscribers, 1);
+        
+        subscription.unsubscribe();
+        assert.equal(hub.stats().subscribers, 0);
+    });
+});
+
+describe('stream filter', () => {
+    const message = (topic, data) => ({ topic, data });
+    
+    test('criteria only match records that carry the field', () => {
+        const filter = createStreamFilter({ ip: '203.0.113.1', eventTypes: ['CLICK'] });
+        
+        assert.equal(filter(message(STREAM_TOPICS.EVENT_LOG, pageEvent('CLICK'))), true);
+        assert.equal(filter(message(STREAM_TOPICS.EVENT_LOG, pageEvent('CLICK', { ip_address: '198.51.100.1' }))), false);
+        assert.equal(filter(message(STREAM_TOPICS.LOGIN_ATTEMPT, { ip_address: '203.0.113.1' })), false);
+    });
+    
+    test('matches a user by username or, for page events, by user id', () => {
+        const filter = createStreamFilter({ username: 'user1', userId: 2 });
+        
+        assert.equal(filter(message(STREAM_TOPICS.LOGIN_ATTEMPT, { username: 'user1' })), true);
+        assert.equal(filter(message(STREAM_TOPICS.EVENT_LOG, pageEvent('CLICK'))), true);
+        assert.equal(filter(message(STREAM_TOPICS.EVENT_LOG, pageEvent('CLICK', { user_id: 3 }))), false);
+    });
+    
+    test('matches alerts linked to a session and by severity', () => {
+        const filter = createStreamFilter({ sessionId: 's1', severities: ['high'] });
+        
+        assert.equal(filter(message(STREAM_TOPICS.ALERT, { severity: 'high', session_ids: ['s0', 's1'] })), true);
+        assert.equal(filter(message(STREAM_TOPICS.ALERT, { severity: 'low', session_ids: ['s1'] })), false);
+    });
+});
+
+describe('GET /api/stream/events', () => {
+    let server;
+    let adminToken;
+    
+    before(async () => {
+        server = await startServer();
+        adminToken = await server.login('admin', 'admin123');
+    });
+    
+    after(() => server.stop());
+    
+    // Reads SSE messages until `until(messages)` is true
+    async function openStream(query) {
+        const controller = new AbortController();
+        const response = await fetch(`${server.url}/api/stream/events${query}`, { signal: controller.signal });
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        const messages = [];
+        let pending = '';
+        
+        async function read(until) {
+            while (!until(messages)) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                
+                pending += decoder.decode(value, { stream: true });
+                const blocks = pending.split('\n\n');
+                pending = blocks.pop();
+                
+                for (const block of blocks) {
+                    const fields = Object.fromEntries(block.split('\n')
+                        .filter(line => line && !line.startsWith(':'))
+                        .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+                    if (fields.event) messages.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+                }
+            }
+            return messages;
+        }
+        
+        return { response, messages, read, close: () => controller.abort() };
+    }
+    
+    const hasEvent = (name, count = 1) => messages => messages.filter(m => m.event === name).length >= count;
+    
+    test('needs an analyst token, accepted in the query string', async () => {
+        assert.equal((await server.get('/api/stream/events')).status, 401);
+        
+        const customer = await server.login('user1', 'password123');
+        assert.equal((await server.get(`/api/stream/events?accessToken=${customer}`)).status, 403);
+    });
+    
+    test('pushes filtered records as they are written and resumes from the last id', async () => {
+        const stream = await openStream(`?accessToken=${adminToken}&topics=event_log&sessionId=live-1`);
+        assert.match(stream.response.headers.get('content-type'), /^text\/event-stream/);
+        
+        try {
+            await stream.read(hasEvent('ready'));
+            
+            await server.post('/api/log/event', { sessionId: 'other', eventType: 'PAGE_VIEW' });
+            await server.post('/api/log/event', { sessionId: 'live-1', eventType: 'PAGE_VIEW' });
+            await server.post('/api/log/batch', { events: [{ sessionId: 'live-1', eventType: 'CLICK' }] });
+            
+            const events = (await stream.read(hasEvent('event_log', 2))).filter(m => m.event === 'event_log');
+            assert.deepEqual(events.map(m => [m.data.session_id, m.data.event_type]), [['live-1', 'PAGE_VIEW'], ['live-1', 'CLICK']]);
+            
+            stream.close();
+            await server.post('/api/log/event', { sessionId: 'live-1', eventType: 'FORM_SUBMIT' });
+            
+            const resumed = await openStream(`?accessToken=${adminToken}&topics=event_log&sessionId=live-1&lastEventId=${events[1].id}`);
+            try {
+                const replay = await resumed.read(hasEvent('ready'));
+                assert.deepEqual(replay.filter(m => m.event === 'event_log').map(m => m.data.event_type), ['FORM_SUBMIT']);
+                assert.equal(replay.find(m => m.event === 'ready').data.replayed, 1);
+            } finally {
+                resumed.close();
+            }
+        } finally {
+            stream.close();
+        }
+    });
+    
+    test('tells a client resuming from an unknown id to resync', async () => {
+        const stream = await openStream(`?accessToken=${adminToken}&lastEventId=deadbeef-5`);
+        try {
+            const messages = await stream.read(hasEvent('ready'));
+            assert.equal(messages[0].event, 'resync');
+            assert.equal(messages[0].data.reason, 'events_missed');
+        } finally {
+            stream.close();
+        }
+    });
+});
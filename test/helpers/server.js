@@ -0,0 +1,166 @@
+// ============================================
+// Test Server
+// Runs server-no-db.js in a child process on a free port with its own
+// temporary DATA_DIR, for tests that go through the HTTP API. The sample
+// users (admin/admin123, user1/password123, testuser/test123) are seeded
+// on start as usual.
+// ============================================
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+const START_TIMEOUT_MS = 15000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// `env` is added to the server's environment. The login challenge is off
+// unless a test turns it on, since test clients send no telemetry.
+async function startServer({ env = {} } = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'intellisoc-test-'));
+    const port = await freePort();
+    const url = `http://127.0.0.1:${port}`;
+    
+    const child = spawn(process.execPath, [path.join(ROOT, 'server-no-db.js')], {
+        cwd: ROOT,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            DATA_DIR: dataDir,
+            DETECTION_RULES_FILE: path.join(ROOT, 'data', 'detection_rules.json'),
+            LOGIN_CHALLENGE: 'off',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    
+    let output = '';
+    let exited = false;
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+    const exit = new Promise(resolve => child.on('exit', () => {
+        exited = true;
+        resolve();
+    }));
+    
+    async function request(method, pathname, { body, token, ip, headers = {} } = {}) {
+        const response = await fetch(url + pathname, {
+            method,
+            headers: {
+                ...(body !== undefined && { 'content-type': 'application/json' }),
+                ...(token && { authorization: `Bearer ${token}` }),
+                ...(ip && { 'x-forwarded-for': ip }),
+                ...headers
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        
+        const text = await response.text();
+        let json = null;
+        try {
+            json = JSON.parse(text);
+        } catch {
+            // Not every route answers with JSON (exports, static files)
+        }
+        
+        return { status: response.status, headers: response.headers, body: json ?? text };
+    }
+    
+    const server = {
+        url,
+        dataDir,
+        request,
+        
+        get: (pathname, options) => request('GET', pathname, options),
+        post: (pathname, body, options = {}) => request('POST', pathname, { ...options, body }),
+        delete: (pathname, options) => request('DELETE', pathname, options),
+        
+        // Session token for a successful password login
+        async login(username, password, options = {}) {
+            const response = await request('POST', '/api/auth/login', {
+                ...options,
+                body: { username, password, ...options.body }
+            });
+            if (response.status !== 200) {
+                throw new Error(`Login as ${username} failed with ${response.status}: ${JSON.stringify(response.body)}`);
+            }
+            return response.body.data.sessionToken;
+        },
+        
+        readData(file) {
+            return JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+        },
+        
+        writeData(file, records) {
+            fs.writeFileSync(path.join(dataDir, file), JSON.stringify(records, null, 2));
+        },
+        
+        // Change records of a JSON collection in place
+        updateData(file, mutate) {
+            const records = server.readData(file);
+            records.forEach(mutate);
+            server.writeData(file, records);
+        },
+        
+        // Records of an NDJSON log collection (event_logs, login_attempts)
+        readLog(name) {
+            const dir = path.join(dataDir, name);
+            if (!fs.existsSync(dir)) return [];
+            
+            return fs.readdirSync(dir)
+                .flatMap(file => fs.readFileSync(path.join(dir, file), 'utf8').split('\n'))
+                .filter(Boolean)
+                .map(line => JSON.parse(line));
+        },
+        
+        // Emails written by the outbox transport, oldest first
+        outbox() {
+            const dir = path.join(dataDir, 'outbox');
+            if (!fs.existsSync(dir)) return [];
+            
+            return fs.readdirSync(dir).sort().map(name => {
+                const raw = fs.readFileSync(path.join(dir, name), 'utf8');
+                const [head, ...body] = raw.split(/\r?\n\r?\n/);
+                const header = field => head.match(new RegExp(`^${field}: (.*)$`, 'mi'))?.[1];
+                return { to: header('To'), subject: header('Subject'), text: body.join('\n\n') };
+            });
+        },
+        
+        async stop() {
+            if (!exited) {
+                child.kill('SIGTERM');
+                await exit;
+            }
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+    
+    const deadline = Date.now() + START_TIMEOUT_MS;
+    while (Date.now() < deadline && !exited) {
+        try {
+            if ((await fetch(`${url}/health`)).ok) return server;
+        } catch {
+            // Not listening yet
+        }
+        await sleep(50);
+    }
+    
+    await server.stop();
+    throw new Error(`Server didn't start:\n${output}`);
+}
+
+module.exports = { startServer };
@@ -0,0 +1,129 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+const HOUR = 60 * 60 * 1000;
+const hoursAgo = hours => new Date(Date.now() - hours * HOUR).toISOString();
+
+describe('IP reputation enforcement', () => {
+    let server;
+    let adminToken;
+    
+    before(async () => {
+        server = await startServer();
+        adminToken = await server.login('admin', 'admin123', { ip: '192.0.2.1' });
+    });
+    
+    after(() => server.stop());
+    
+    const ipRecord = ip => server.readData('ip_reputation.json').find(r => r.ip_address === ip);
+    
+    function seedIP(ip, fields) {
+        const records = server.readData('ip_reputation.json').filter(r => r.ip_address !== ip);
+        records.push({
+            ip_address: ip,
+            reputation_score: 90,
+            total_logins: 0,
+            failed_logins: 0,
+            successful_logins: 0,
+            suspicious_activities: 0,
+            first_seen: hoursAgo(1),
+            last_seen: hoursAgo(1),
+            score_updated_at: new Date().toISOString(),
+            is_blocked: false,
+            ...fields
+        });
+        server.writeData('ip_reputation.json', records);
+    }
+    
+    test('failures lower the score and block the IP below the threshold', async () => {
+        const ip = '203.0.113.40';
+        seedIP(ip, { reputation_score: 38 });
+        
+        await server.post('/api/auth/login', { username: 'user1', password: 'wrong' }, { ip });
+        assert.equal(ipRecord(ip).reputation_score, 33);
+        assert.equal(ipRecord(ip).is_blocked, false);
+        
+        await server.post('/api/auth/login', { username: 'user1', password: 'wrong' }, { ip });
+        const blocked = ipRecord(ip);
+        assert.equal(blocked.reputation_score, 28);
+        assert.equal(blocked.is_blocked, true);
+        assert.equal(blocked.block_source, 'auto');
+        assert.ok(new Date(blocked.blocked_until) > new Date(Date.now() + 59 * 60 * 1000));
+    });
+    
+    test('a blocked IP can neither log in nor send telemetry', async () => {
+        const ip = '203.0.113.40';
+        
+        const login = await server.post('/api/auth/login', { username: 'user1', password: 'password123' }, { ip });
+        assert.equal(login.status, 403);
+        assert.equal(login.body.message, 'Access from this IP address has been blocked');
+        assert.ok(Number(login.headers.get('retry-after')) > 3500);
+        
+        assert.equal((await server.post('/api/log/event', { sessionId: 's', eventType: 'PAGE_VIEW' }, { ip })).status, 403);
+        assert.equal((await server.post('/api/log/event', { sessionId: 's', eventType: 'PAGE_VIEW' }, { ip: '203.0.113.41' })).status, 201);
+    });
+    
+    test('an expired block is lifted on the next request, restoring some score', async () => {
+        const ip = '203.0.113.42';
+        seedIP(ip, { reputation_score: 10, is_blocked: true, block_source: 'auto', blocked_until: hoursAgo(0.1) });
+        
+        assert.equal((await server.post('/api/auth/login', { username: 'user1', password: 'password123' }, { ip })).status, 200);
+        
+        const record = ipRecord(ip);
+        assert.equal(record.is_blocked, false);
+        assert.equal(record.block_history.at(-1).reason, 'block_expired');
+        assert.equal(record.reputation_score, 51);
+    });
+    
+    test('idle IPs recover score over time, up to a ceiling', async () => {
+        seedIP('203.0.113.43', { reputation_score: 60, score_updated_at: hoursAgo(10) });
+        seedIP('203.0.113.44', { reputation_score: 60, score_updated_at: hoursAgo(100) });
+        
+        const { ips } = (await server.get('/api/admin/ips', { token: adminToken })).body.data;
+        const score = ip => ips.find(r => r.ip_address === ip).reputation_score;
+        
+        assert.equal(score('203.0.113.43'), 80);
+        assert.equal(score('203.0.113.44'), 90);
+    });
+    
+    test('admins block, list, annotate and unblock IPs', async () => {
+        const ip = '198.51.100.50';
+        
+        const invalid = await server.post(`/api/admin/ips/${ip}/block`, { durationMinutes: -5 }, { token: adminToken });
+        assert.equal(invalid.status, 400);
+        
+        const block = await server.post(`/api/admin/ips/${ip}/block`, { reason: 'scanner', durationMinutes: 30 }, { token: adminToken });
+        assert.equal(block.status, 200);
+        assert.equal(block.body.data.block_source, 'manual');
+        assert.equal(block.body.data.blocked_by, 'admin');
+        assert.equal(block.body.data.block_reason, 'scanner');
+        
+        const listed = (await server.get('/api/admin/ips?blocked=true', { token: adminToken })).body.data.ips;
+        assert.ok(listed.some(r => r.ip_address === ip));
+        assert.ok(listed.every(r => r.is_blocked));
+        
+        assert.equal((await server.post(`/api/admin/ips/${ip}/notes`, { note: '' }, { token: adminToken })).status, 400);
+        const note = await server.post(`/api/admin/ips/${ip}/notes`, { note: ' seen in abuse feed ' }, { token: adminToken });
+        assert.equal(note.status, 201);
+        assert.equal(note.body.data.notes[0].note, 'seen in abuse feed');
+        assert.equal(note.body.data.notes[0].author, 'admin');
+        
+        const unblock = await server.post(`/api/admin/ips/${ip}/unblock`, {}, { token: adminToken });
+        assert.equal(unblock.body.data.is_blocked, false);
+        assert.deepEqual(unblock.body.data.block_history.map(h => h.action), ['block', 'unblock']);
+        assert.equal((await server.post('/api/log/event', { sessionId: 's', eventType: 'PAGE_VIEW' }, { ip })).status, 201);
+        
+        assert.equal((await server.post('/api/admin/ips/198.51.100.99/unblock', {}, { token: adminToken })).status, 404);
+    });
+    
+    test('a manual block without a duration lasts until lifted', async () => {
+        const ip = '198.51.100.51';
+        const block = await server.post(`/api/admin/ips/${ip}/block`, {}, { token: adminToken });
+        
+        assert.equal(block.body.data.blocked_until, null);
+        const refused = await server.post('/api/log/event', { sessionId: 's', eventType: 'PAGE_VIEW' }, { ip });
+        assert.equal(refused.status, 403);
+        assert.equal(refused.headers.get('retry-after'), null);
+    });
+});
@@ -0,0 +1,113 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+const { withFileLock } = require('../storage/files');
+
+let dataDir;
+let storage;
+
+beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-store-'));
+    storage = createStorage({ backend: 'json', dataDir });
+    await storage.init();
+});
+
+afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const readFile = name => JSON.parse(fs.readFileSync(path.join(dataDir, name), 'utf8'));
+
+describe('concurrent writes', () => {
+    test('no update is lost when requests overlap', async () => {
+        await storage.users.insert({ username: 'alice', account_balance: 0 });
+        
+        await Promise.all(Array.from({ length: 50 }, () =>
+            storage.users.update({ username: 'alice' }, user => {
+                user.account_balance += 1;
+            })
+        ));
+        
+        assert.equal(readFile('users.json')[0].account_balance, 50);
+    });
+    
+    test('overlapping inserts get distinct ids', async () => {
+        await Promise.all(Array.from({ length: 20 }, (_, i) => storage.users.insert({ username: `user${i}` })));
+        
+        const ids = readFile('users.json').map(user => user.user_id).sort((a, b) => a - b);
+        assert.deepEqual(ids, Array.from({ length: 20 }, (_, i) => i + 1));
+    });
+    
+    test('upsert checks and inserts in one step', async () => {
+        const results = await Promise.all(Array.from({ length: 10 }, (_, i) =>
+            storage.users.upsert(
+                { username: 'bob' },
+                user => {
+                    user.attempts.push(i);
+                },
+                () => ({ username: 'bob', attempts: [i] })
+            )
+        ));
+        
+        const users = readFile('users.json');
+        assert.equal(users.length, 1);
+        assert.equal(users[0].attempts.length, 10);
+        assert.ok(results.every(([user]) => user.username === 'bob'));
+    });
+});
+
+describe('atomic files', () => {
+    test('leaves no temp files behind', async () => {
+        await storage.sessions.insertMany([{ session_id: 'a' }, { session_id: 'b' }]);
+        await storage.sessions.update({ session_id: 'a' }, session => {
+            session.is_active = false;
+        });
+        
+        assert.deepEqual(fs.readdirSync(dataDir).filter(name => name.endsWith('.tmp')), []);
+    });
+    
+    test('startup removes temp files from an interrupted write and keeps the original', async () => {
+        await storage.sessions.insert({ session_id: 'kept' });
+        fs.writeFileSync(path.join(dataDir, 'sessions.json.1234.abcd.tmp'), '[{"session_id": "half-writ');
+        
+        const restarted = createStorage({ backend: 'json', dataDir });
+        await restarted.init();
+        
+        assert.ok(!fs.existsSync(path.join(dataDir, 'sessions.json.1234.abcd.tmp')));
+        assert.deepEqual((await restarted.sessions.list()).map(s => s.session_id), ['kept']);
+    });
+    
+    test('never overwrites a file it cannot parse', async () => {
+        const corrupt = '[{"username": "alice"';
+        fs.writeFileSync(path.join(dataDir, 'users.json'), corrupt);
+        
+        await assert.rejects(storage.users.list(), { code: 'STORAGE_CORRUPT' });
+        await assert.rejects(storage.users.insert({ username: 'bob' }), { code: 'STORAGE_CORRUPT' });
+        assert.equal(fs.readFileSync(path.join(dataDir, 'users.json'), 'utf8'), corrupt);
+        
+        fs.writeFileSync(path.join(dataDir, 'users.json'), '{"not": "an array"}');
+        await assert.rejects(storage.users.count(), { code: 'STORAGE_CORRUPT' });
+    });
+});
+
+describe('withFileLock', () => {
+    test('runs tasks for one file in order, and a failure does not stall the queue', async () => {
+        const order = [];
+        const slow = withFileLock('/virtual/a', async () => {
+            await new Promise(resolve => setTimeout(resolve, 20));
+            order.push('slow');
+        });
+        const failing = withFileLock('/virtual/a', async () => {
+            order.push('failing');
+            throw new Error('boom');
+        });
+        const after = withFileLock('/virtual/a', async () => order.push('after'));
+        const other = withFileLock('/virtual/b', async () => order.push('other file'));
+        
+        await Promise.all([slow, assert.rejects(failing, /boom/), after, other]);
+        assert.deepEqual(order, ['other file', 'slow', 'failing', 'after']);
+    });
+});
@@ -0,0 +1,100 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+describe('login lockout', () => {
+    let server;
+    
+    before(async () => {
+        server = await startServer({ env: { LOCKOUT_MAX_USER_FAILURES: '3', LOCKOUT_MAX_IP_FAILURES: '5' } });
+    });
+    
+    after(() => server.stop());
+    
+    const attempt = (username, password, ip) => server.post('/api/auth/login', { username, password }, { ip });
+    
+    // Move every logged attempt back in time, as if `ms` had passed
+    function age(ms) {
+        const dir = path.join(server.dataDir, 'login_attempts');
+        for (const name of fs.readdirSync(dir)) {
+            const lines = fs.readFileSync(path.join(dir, name), 'utf8').split('\n').filter(Boolean).map(line => {
+                const record = JSON.parse(line);
+                record.timestamp = new Date(new Date(record.timestamp).getTime() - ms).toISOString();
+                return JSON.stringify(record);
+            });
+            fs.writeFileSync(path.join(dir, name), lines.join('\n') + '\n');
+        }
+    }
+    
+    const failedLogins = ip => server.readData('ip_reputation.json').find(r => r.ip_address === ip).failed_logins;
+    
+    test('counts down, then locks the username even for the right password', async () => {
+        const ip = '203.0.113.10';
+        const remaining = [];
+        for (let i = 0; i < 3; i++) {
+            remaining.push((await attempt('user1', 'wrong', ip)).body.data.remainingAttempts);
+        }
+        assert.deepEqual(remaining, [2, 1, 0]);
+        
+        const locked = await attempt('user1', 'password123', ip);
+        assert.equal(locked.status, 429);
+        assert.ok(Number(locked.headers.get('retry-after')) > 0);
+        assert.ok(Number(locked.headers.get('retry-after')) <= 60);
+        
+        // A different IP doesn't help: the username itself is locked
+        assert.equal((await attempt('user1', 'password123', '203.0.113.11')).status, 429);
+    });
+    
+    test('retries during a lockout are logged but neither extend it nor cost reputation', async () => {
+        const ip = '203.0.113.10';
+        const before = failedLogins(ip);
+        
+        for (let i = 0; i < 3; i++) {
+            assert.equal((await attempt('user1', 'wrong', ip)).status, 429);
+        }
+        
+        assert.equal(failedLogins(ip), before);
+        assert.ok(Number((await attempt('user1', 'wrong', ip)).headers.get('retry-after')) <= 60);
+    });
+    
+    test('the lock lifts after it expires, and the next failure locks for longer', async () => {
+        age(61 * 1000);
+        assert.equal((await attempt('user1', 'password123', '203.0.113.12')).status, 200);
+        
+        for (let i = 0; i < 3; i++) await attempt('user1', 'wrong', '203.0.113.12');
+        age(61 * 1000);
+        
+        const relocked = await attempt('user1', 'wrong', '203.0.113.12');
+        assert.equal(relocked.status, 401);
+        assert.equal(relocked.body.data.remainingAttempts, 0);
+        assert.ok(Number(relocked.headers.get('retry-after')) > 60);
+    });
+    
+    test('a successful login resets the username counter', async () => {
+        const ip = '203.0.113.13';
+        await attempt('testuser', 'wrong', ip);
+        await attempt('testuser', 'wrong', ip);
+        assert.equal((await attempt('testuser', 'test123', ip)).status, 200);
+        
+        assert.equal((await attempt('testuser', 'wrong', ip)).body.data.remainingAttempts, 2);
+    });
+    
+    test('locks an IP that fails across many usernames', async () => {
+        const ip = '198.51.100.30';
+        for (const username of ['a1', 'a2', 'a3', 'a4', 'a5']) {
+            assert.equal((await attempt(username, 'guess', ip)).status, 401);
+        }
+        
+        assert.equal((await attempt('admin', 'admin123', ip)).status, 429);
+        assert.equal((await attempt('admin', 'admin123', '198.51.100.31')).status, 200);
+        
+        const logged = fs.readdirSync(path.join(server.dataDir, 'login_attempts'))
+            .flatMap(name => fs.readFileSync(path.join(server.dataDir, 'login_attempts', name), 'utf8').split('\n'))
+            .filter(Boolean)
+            .map(line => JSON.parse(line))
+            .filter(a => a.ip_address === ip && a.failure_reason === 'ACCOUNT_LOCKED');
+        assert.deepEqual(logged.map(a => [a.username, a.lock_scope]), [['admin', 'ip']]);
+    });
+});
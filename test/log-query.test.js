@@ -0,0 +1,174 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLogQueryEngine, parseDuration } = require('../analytics/log-query');
+const { createNdjsonCollection } = require('../storage/ndjson-log');
+
+let tmpdir;
+let engine;
+let storage;
+
+// 30 events a second apart over the last minutes, with pairs sharing a
+// timestamp so the id breaks ties
+const base = Date.now() - 10 * 60 * 1000;
+const events = Array.from({ length: 30 }, (_, i) => ({
+    timestamp: new Date(base + Math.floor(i / 2) * 1000).toISOString(),
+    event_type: ['PAGE_VIEW', 'CLICK', 'FORM_SUBMIT'][i % 3],
+    session_id: `session_${i % 4}`,
+    user_id: i % 5 === 0 ? 2 : null,
+    ip_address: '203.0.113.7'
+}));
+
+async function query(params) {
+    const parsed = await engine.parse('events', params);
+    assert.equal(parsed.errors, undefined, JSON.stringify(parsed.errors));
+    return engine.run(parsed);
+}
+
+// Every page of a query, following nextCursor
+async function allPages(params) {
+    const pages = [];
+    let { cursor } = params;
+    
+    do {
+        const result = await query({ ...params, cursor });
+        pages.push(result.records.map(record => record.log_id));
+        cursor = result.nextCursor;
+    } while (cursor);
+    
+    return pages;
+}
+
+before(async () => {
+    tmpdir = fs.mkdtempSync(path.join(os.tmpdir(), 'log-query-'));
+    const eventLogs = createNdjsonCollection({
+        dirpath: path.join(tmpdir, 'event_logs'),
+        prefix: 'event_logs',
+        legacyFile: path.join(tmpdir, 'event_logs.json'),
+        idField: 'log_id',
+        maxSegmentBytes: 1024,
+        retentionDays: 0
+    });
+    await eventLogs.init();
+    await eventLogs.insertMany(events);
+    
+    storage = {
+        eventLogs,
+        users: { find: async ({ username }) => (username === 'user1' ? { user_id: 2, username } : null) }
+    };
+    engine = createLogQueryEngine({ storage });
+});
+
+after(() => {
+    fs.rmSync(tmpdir, { recursive: true, force: true });
+});
+
+describe('parseDuration', () => {
+    test('reads minutes, hours and days', () => {
+        assert.equal(parseDuration('15m'), 15 * 60 * 1000);
+        assert.equal(parseDuration('6h'), 6 * 60 * 60 * 1000);
+        assert.equal(parseDuration('30d'), 30 * 24 * 60 * 60 * 1000);
+    });
+    
+    test('is null for anything else', () => {
+        for (const value of ['0h', '1w', '1.5h', 'h', '', undefined, '-1d']) {
+            assert.equal(parseDuration(value), null, String(value));
+        }
+    });
+});
+
+describe('parse', () => {
+    const errorsFor = async params => (await engine.parse('events', params)).errors || [];
+    
+    test('defaults to the last 24 hours, newest first', async () => {
+        const parsed = await engine.parse('events', {});
+        
+        assert.equal(parsed.to - parsed.from, 24 * 60 * 60 * 1000);
+        assert.equal(parsed.sort, '-timestamp');
+        assert.equal(parsed.descending, true);
+        assert.equal(parsed.limit, 100);
+    });
+    
+    test('validates the time range', async () => {
+        assert.deepEqual(await errorsFor({ from: 'yesterday' }), ['from must be an ISO 8601 date']);
+        assert.deepEqual(await errorsFor({ from: '2026-02-02T00:00:00Z', to: '2026-02-01T00:00:00Z' }), ['from must be before to']);
+        assert.deepEqual(await errorsFor({ from: '2026-02-01T00:00:00Z', timeRange: '1h' }), ['Use either from or timeRange, not both']);
+        assert.deepEqual(await errorsFor({ timeRange: '1w' }), ['timeRange must look like 30m, 24h or 7d']);
+    });
+    
+    test('validates filters, sort, limit and aggregations', async () => {
+        assert.deepEqual(await errorsFor({ userId: 'abc' }), ['userId must be a number']);
+        assert.match((await errorsFor({ sort: 'password' }))[0], /^sort must be one of/);
+        assert.deepEqual(await errorsFor({ limit: '5000' }), ['limit must be between 0 and 1000']);
+        assert.match((await errorsFor({ groupBy: 'timestamp' }))[0], /^groupBy must be one of/);
+        assert.deepEqual(await errorsFor({ timeRange: '30d', interval: '1m' }), ['interval is too small for this time range (at most 1000 buckets)']);
+    });
+    
+    test('refuses cursors that are malformed or from another sort', async () => {
+        const { nextCursor } = await query({ timeRange: '1h', limit: 5 });
+        
+        for (const cursor of ['not-a-cursor', Buffer.from('{"id":1}').toString('base64url'), Buffer.from('[1]').toString('base64url')]) {
+            assert.deepEqual(await errorsFor({ timeRange: '1h', cursor }), ['cursor is invalid'], cursor);
+        }
+        assert.deepEqual(await errorsFor({ timeRange: '1h', sort: 'timestamp', cursor: nextCursor }), ['cursor belongs to a different sort order']);
+        assert.deepEqual(await errorsFor({ timeRange: '1h', cursor: nextCursor }), []);
+    });
+    
+    test('looks up usernames for page events', async () => {
+        assert.deepEqual((await engine.parse('events', { username: 'user1' })).exact, { user_id: 2 });
+        assert.deepEqual((await engine.parse('events', { username: 'nobody' })).exact, { user_id: -1 });
+    });
+});
+
+describe('run', () => {
+    test('pages through every record exactly once, in order', async () => {
+        const ascending = await allPages({ timeRange: '1h', sort: 'timestamp', limit: 7 });
+        const descending = await allPages({ timeRange: '1h', limit: 7 });
+        const expected = Array.from({ length: 30 }, (_, i) => i + 1);
+        
+        assert.deepEqual(ascending.map(page => page.length), [7, 7, 7, 7, 2]);
+        assert.deepEqual(ascending.flat(), expected);
+        assert.deepEqual(descending.flat(), expected.slice().reverse());
+    });
+    
+    test('pages by other fields with the id breaking ties', async () => {
+        const pages = await allPages({ timeRange: '1h', sort: 'event_type', limit: 4 });
+        const records = (await query({ timeRange: '1h', sort: 'event_type', limit: 30 })).records;
+        
+        assert.deepEqual(pages.flat(), records.map(record => record.log_id));
+        assert.deepEqual(records.slice(0, 10).map(record => record.event_type), Array(10).fill('CLICK'));
+        assert.deepEqual(records.slice(0, 3).map(record => record.log_id), [2, 5, 8]);
+    });
+    
+    test('a cursor neither repeats nor skips records written between pages', async () => {
+        const first = await query({ timeRange: '1h', sort: 'timestamp', limit: 10 });
+        await storage.eventLogs.insert({ ...events[0], log_id: null, timestamp: new Date(base + 60 * 1000).toISOString() });
+        const rest = await allPages({ timeRange: '1h', sort: 'timestamp', limit: 10, cursor: first.nextCursor });
+        
+        assert.deepEqual(first.records.map(record => record.log_id).concat(rest.flat()), Array.from({ length: 31 }, (_, i) => i + 1));
+    });
+    
+    test('filters by field and time range', async () => {
+        const from = new Date(base + 5 * 1000).toISOString();
+        const to = new Date(base + 10 * 1000).toISOString();
+        const result = await query({ from, to, eventType: 'CLICK,FORM_SUBMIT', sort: 'timestamp' });
+        
+        assert.ok(result.records.every(record => record.timestamp >= from && record.timestamp < to));
+        assert.ok(result.records.every(record => record.event_type !== 'PAGE_VIEW'));
+        assert.deepEqual(result.records.map(record => record.log_id), [11, 12, 14, 15, 17, 18, 20]);
+        assert.equal(result.total, 7);
+    });
+    
+    test('counts groups and histogram buckets over the whole range', async () => {
+        const from = new Date(base).toISOString();
+        const to = new Date(base + 15 * 1000).toISOString();
+        const result = await query({ from, to, limit: 0, groupBy: 'event_type', interval: '5m' });
+        
+        assert.deepEqual(result.records, []);
+        assert.equal(result.total, 30);
+        assert.deepEqual(result.aggregations.groupBy.groups.map(group => group.count), [10, 10, 10]);
+        assert.equal(result.aggregations.histogram.buckets.reduce((sum, bucket) => sum + bucket.count, 0), 30);
+    });
+});
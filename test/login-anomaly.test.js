@@ -0,0 +1,135 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLoginAnomalyDetector } = require('../security/login-anomaly');
+const { matchesFilter, matchesTimeRange } = require('../storage/filter');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const now = Date.now();
+const at = msAgo => new Date(now - msAgo).toISOString();
+
+// The attempt being inspected is already stored, as in the server
+function createDetector(attempts, config) {
+    const loginAttempts = {
+        async list(filter, options) {
+            return attempts.filter(record => matchesTimeRange(record, options) && matchesFilter(record, filter));
+        }
+    };
+    return createLoginAnomalyDetector({ storage: { loginAttempts }, config });
+}
+
+let nextId = 1;
+const attempt = fields => ({
+    attempt_id: nextId++,
+    timestamp: at(0),
+    username: 'alice',
+    user_id: 1,
+    ip_address: '203.0.113.1',
+    attempt_status: 'SUCCESS',
+    ...fields
+});
+
+async function inspect(history, current, config) {
+    return createDetector([...history, current], config).inspect(current);
+}
+
+const ruleIds = alerts => alerts.map(alert => alert.rule_id);
+
+describe('NEW_DEVICE', () => {
+    test('flags a successful login from an unseen fingerprint', async () => {
+        const alerts = await inspect(
+            [attempt({ device_fingerprint: 'laptop', timestamp: at(2 * HOUR) })],
+            attempt({ device_fingerprint: 'phone', user_agent: 'Phone/1.0' })
+        );
+        
+        assert.deepEqual(ruleIds(alerts), ['NEW_DEVICE']);
+        assert.equal(alerts[0].source, 'login_anomaly');
+        assert.equal(alerts[0].group_key, 'alice|phone');
+        assert.equal(alerts[0].evidence.known_devices, 1);
+    });
+    
+    test('stays quiet for known devices, first logins and failures', async () => {
+        const laptop = attempt({ device_fingerprint: 'laptop', timestamp: at(2 * HOUR) });
+        
+        assert.deepEqual(await inspect([laptop], attempt({ device_fingerprint: 'laptop' })), []);
+        assert.deepEqual(await inspect([], attempt({ device_fingerprint: 'phone' })), []);
+        assert.deepEqual(await inspect([laptop], attempt({ device_fingerprint: 'phone', attempt_status: 'FAILURE' })), []);
+    });
+});
+
+describe('CREDENTIAL_STUFFING', () => {
+    const failure = (username, minutesAgo) => attempt({
+        username,
+        ip_address: '198.51.100.9',
+        attempt_status: 'FAILURE',
+        timestamp: at(minutesAgo * MINUTE)
+    });
+    
+    test('flags many usernames failing from one IP', async () => {
+        const alerts = await inspect(['a', 'b', 'c', 'd'].map(name => failure(name, 2)), failure('e', 0));
+        
+        assert.deepEqual(ruleIds(alerts), ['CREDENTIAL_STUFFING']);
+        assert.equal(alerts[0].group_key, '198.51.100.9');
+        assert.equal(alerts[0].username, null);
+        assert.equal(alerts[0].evidence.distinct_usernames, 5);
+    });
+    
+    test('ignores failures outside the window and repeats of one username', async () => {
+        assert.deepEqual(await inspect(['a', 'b', 'c', 'd'].map(name => failure(name, 11)), failure('e', 0)), []);
+        assert.deepEqual(await inspect(['a', 'a', 'a', 'a'].map(name => failure(name, 1)), failure('e', 0)), []);
+    });
+});
+
+describe('PASSWORD_SPRAYING', () => {
+    test('flags one username failing from many IPs', async () => {
+        const failures = [1, 2, 3, 4].map(n => attempt({ ip_address: `192.0.2.${n}`, attempt_status: 'FAILURE', timestamp: at(10 * MINUTE) }));
+        const alerts = await inspect(failures, attempt({ ip_address: '192.0.2.5', attempt_status: 'FAILURE' }));
+        
+        assert.deepEqual(ruleIds(alerts), ['PASSWORD_SPRAYING']);
+        assert.equal(alerts[0].group_key, 'alice');
+        assert.equal(alerts[0].attempt_ids.length, 5);
+    });
+});
+
+describe('USER_NOT_FOUND_BURST', () => {
+    test('flags a burst of logins for unknown usernames, using the configured threshold', async () => {
+        const miss = n => attempt({
+            username: `ghost${n}`,
+            user_id: null,
+            ip_address: `192.0.2.${n}`,
+            attempt_status: 'FAILURE',
+            failure_reason: 'user_not_found'
+        });
+        const config = { userNotFoundBurst: { attempts: 3 } };
+        
+        assert.deepEqual(await inspect([miss(1)], miss(2), config), []);
+        
+        const alerts = await inspect([miss(1), miss(2)], miss(3), config);
+        assert.deepEqual(ruleIds(alerts), ['USER_NOT_FOUND_BURST']);
+        assert.equal(alerts[0].group_key, 'global');
+        assert.equal(alerts[0].ip_address, null);
+    });
+});
+
+describe('IMPOSSIBLE_TRAVEL', () => {
+    const login = (offset, hoursAgo) => attempt({
+        device_fingerprint: 'laptop',
+        timezone: offset === -60 ? 'Europe/Berlin' : 'America/New_York',
+        timezone_offset: offset,
+        timestamp: at(hoursAgo * HOUR)
+    });
+    
+    test('flags a timezone jump faster than travel allows', async () => {
+        const alerts = await inspect([login(-60, 2)], login(300, 0));
+        
+        assert.deepEqual(ruleIds(alerts), ['IMPOSSIBLE_TRAVEL']);
+        assert.equal(alerts[0].evidence.shift_hours, 6);
+        assert.equal(alerts[0].evidence.elapsed_hours, 2);
+        assert.match(alerts[0].description, /Europe\/Berlin → America\/New_York/);
+    });
+    
+    test('allows the same jump after enough time, and small shifts at any speed', async () => {
+        assert.deepEqual(await inspect([login(-60, 7)], login(300, 0)), []);
+        assert.deepEqual(await inspect([login(-60, 0.5)], login(60, 0)), []);
+    });
+});
@@ -0,0 +1,94 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createLoginChallenge, leadingZeroBits } = require('../security/login-challenge');
+
+// Brute-force a solution the way login.js does
+function solve(token, difficulty) {
+    for (let nonce = 0; ; nonce++) {
+        const solution = nonce.toString(36);
+        const hash = crypto.createHash('sha256').update(`${token}:${solution}`).digest();
+        if (leadingZeroBits(hash) >= difficulty) return solution;
+    }
+}
+
+const binding = { ipAddress: '203.0.113.7', username: 'alice' };
+
+describe('leadingZeroBits', () => {
+    test('counts zero bits across bytes', () => {
+        assert.equal(leadingZeroBits(Buffer.from([0xff])), 0);
+        assert.equal(leadingZeroBits(Buffer.from([0x01])), 7);
+        assert.equal(leadingZeroBits(Buffer.from([0x00, 0x00, 0x20])), 18);
+        assert.equal(leadingZeroBits(Buffer.from([0x00, 0x00])), 16);
+    });
+});
+
+describe('difficultyFor', () => {
+    const challenge = createLoginChallenge();
+    
+    test('asks nothing of a clean IP without failures', () => {
+        assert.deepEqual(challenge.difficultyFor({ reputationScore: 90, failures: 0 }), { difficulty: 0, reasons: [] });
+    });
+    
+    test('grows with lower reputation and more failures, up to the ceiling', () => {
+        const low = challenge.difficultyFor({ reputationScore: 70 });
+        const lower = challenge.difficultyFor({ reputationScore: 20 });
+        const failing = challenge.difficultyFor({ reputationScore: 20, failures: 5 });
+        
+        assert.deepEqual(low, { difficulty: 14, reasons: ['ip_reputation'] });
+        assert.ok(lower.difficulty > low.difficulty);
+        assert.ok(failing.difficulty > lower.difficulty);
+        assert.deepEqual(failing.reasons, ['ip_reputation', 'recent_failures']);
+        assert.equal(challenge.difficultyFor({ reputationScore: 0, failures: 50, botChallenge: true }).difficulty, 20);
+    });
+    
+    test('adds bits when the bot score asks for a challenge', () => {
+        assert.deepEqual(challenge.difficultyFor({ botChallenge: true }), { difficulty: 16, reasons: ['bot_score'] });
+    });
+});
+
+describe('issue and verify', () => {
+    test('accepts a solved token once', () => {
+        const challenge = createLoginChallenge();
+        const { token } = challenge.issue({ ...binding, difficulty: 8 });
+        const solution = solve(token, 8);
+        
+        assert.deepEqual(challenge.verify({ token, solution, ...binding, difficulty: 8 }), { valid: true });
+        assert.deepEqual(challenge.verify({ token, solution, ...binding, difficulty: 8 }), { valid: false, reason: 'reused' });
+    });
+    
+    test('refuses missing, tampered and foreign tokens', () => {
+        const challenge = createLoginChallenge();
+        const other = createLoginChallenge();
+        const { token } = challenge.issue({ ...binding, difficulty: 4 });
+        const solution = solve(token, 4);
+        
+        assert.equal(challenge.verify({ token: undefined, solution, ...binding, difficulty: 4 }).reason, 'missing');
+        assert.equal(challenge.verify({ token, solution: 123, ...binding, difficulty: 4 }).reason, 'missing');
+        assert.equal(challenge.verify({ token: `${token}x`, solution, ...binding, difficulty: 4 }).reason, 'bad_signature');
+        assert.equal(other.verify({ token, solution, ...binding, difficulty: 4 }).reason, 'bad_signature');
+    });
+    
+    test('binds the token to the IP, username and difficulty', () => {
+        const challenge = createLoginChallenge();
+        const { token } = challenge.issue({ ...binding, difficulty: 4 });
+        const solution = solve(token, 4);
+        
+        assert.equal(challenge.verify({ token, solution, ipAddress: '198.51.100.1', username: 'alice', difficulty: 4 }).reason, 'wrong_binding');
+        assert.equal(challenge.verify({ token, solution, ipAddress: binding.ipAddress, username: 'bob', difficulty: 4 }).reason, 'wrong_binding');
+        assert.equal(challenge.verify({ token, solution, ...binding, difficulty: 6 }).reason, 'too_easy');
+    });
+    
+    test('refuses wrong solutions and expired tokens', () => {
+        const challenge = createLoginChallenge();
+        const { token } = challenge.issue({ ...binding, difficulty: 16 });
+        const hash = solution => crypto.createHash('sha256').update(`${token}:${solution}`).digest();
+        const wrong = ['a', 'b', 'c', 'd'].find(solution => leadingZeroBits(hash(solution)) < 16);
+        
+        assert.equal(challenge.verify({ token, solution: wrong, ...binding, difficulty: 16 }).reason, 'wrong_solution');
+        
+        const expiring = createLoginChallenge({ config: { ttlMs: -1 } });
+        const expired = expiring.issue({ ...binding, difficulty: 1 }).token;
+        assert.equal(expiring.verify({ token: expired, solution: solve(expired, 1), ...binding, difficulty: 1 }).reason, 'expired');
+    });
+});
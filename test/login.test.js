@@ -0,0 +1,82 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+describe('login API', () => {
+    let server;
+    
+    before(async () => {
+        server = await startServer();
+    });
+    
+    after(() => server.stop());
+    
+    const deviceInfo = {
+        fingerprint: 'fp-login',
+        browser: { userAgent: 'LoginTest/1.0' },
+        timezone: { timezone: 'Europe/Berlin', timezoneOffset: -60 }
+    };
+    
+    test('creates a session for the client\'s sessionId and returns its token', async () => {
+        const response = await server.post('/api/auth/login', {
+            username: 'user1',
+            password: 'password123',
+            deviceInfo,
+            sessionId: 'client-session-1',
+            rememberMe: true
+        });
+        
+        assert.equal(response.status, 200);
+        const { data } = response.body;
+        assert.equal(data.username, 'user1');
+        assert.equal(data.role, 'customer');
+        assert.equal(data.sessionId, 'client-session-1');
+        assert.match(data.sessionToken, /^[0-9a-f]{64}$/);
+        assert.ok(new Date(data.expiresAt) > new Date());
+        
+        const session = server.readData('sessions.json').find(s => s.session_token === data.sessionToken);
+        assert.equal(session.session_id, 'client-session-1');
+        assert.equal(session.device_fingerprint, 'fp-login');
+        assert.equal(session.is_active, true);
+    });
+    
+    test('logs the attempt with the client\'s device details', async () => {
+        const attempt = server.readLog('login_attempts').find(a => a.session_id === 'client-session-1');
+        
+        assert.equal(attempt.attempt_status, 'SUCCESS');
+        assert.equal(attempt.username, 'user1');
+        assert.equal(attempt.user_agent, 'LoginTest/1.0');
+        assert.equal(attempt.timezone, 'Europe/Berlin');
+        assert.equal(attempt.remember_me, true);
+        assert.equal(attempt.password_length, 'password123'.length);
+        assert.ok(!('password' in attempt));
+    });
+    
+    test('gives the server a session id when the client sends none', async () => {
+        const response = await server.post('/api/auth/login', { username: 'testuser', password: 'test123' });
+        assert.match(response.body.data.sessionId, /^srv_[0-9a-f]{16}$/);
+    });
+    
+    test('explains why a login was refused', async () => {
+        const missing = await server.post('/api/auth/login', { username: 'user1' });
+        assert.equal(missing.status, 400);
+        assert.equal(missing.body.message, 'Username and password required');
+        
+        const wrongType = await server.post('/api/auth/login', { username: 'user1', password: ['password123'] });
+        assert.equal(wrongType.status, 400);
+        assert.equal(wrongType.body.message, 'Username and password must be strings');
+        
+        const wrong = await server.post('/api/auth/login', { username: 'user1', password: 'nope', sessionId: 'client-session-2' });
+        assert.equal(wrong.status, 401);
+        assert.equal(wrong.body.message, 'Invalid credentials');
+        assert.equal(typeof wrong.body.data.remainingAttempts, 'number');
+        
+        // Unknown users get the same answer as a wrong password
+        const unknown = await server.post('/api/auth/login', { username: 'nobody', password: 'nope' });
+        assert.equal(unknown.status, 401);
+        assert.equal(unknown.body.message, 'Invalid credentials');
+        
+        const failure = server.readLog('login_attempts').find(a => a.session_id === 'client-session-2');
+        assert.equal(failure.attempt_status, 'FAILURE');
+    });
+});
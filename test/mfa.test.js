@@ -0,0 +1,87 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const mfa = require('../security/mfa');
+
+// The RFC 4226 / RFC 6238 SHA-1 secret "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('hotp', () => {
+    test('matches the RFC 4226 appendix D values', () => {
+        const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+        assert.deepEqual(expected.map((code, counter) => mfa.hotp(RFC_SECRET, counter)), expected);
+    });
+});
+
+describe('verifyTotp', () => {
+    // RFC 6238 appendix B (SHA-1), last 6 of the 8 digits
+    const vectors = [
+        [59, '287082'],
+        [1111111109, '081804'],
+        [1111111111, '050471'],
+        [1234567890, '005924'],
+        [2000000000, '279037'],
+        [20000000000, '353130']
+    ];
+    
+    test('matches the RFC 6238 test vectors', () => {
+        for (const [seconds, code] of vectors) {
+            const now = seconds * 1000;
+            assert.equal(mfa.hotp(RFC_SECRET, mfa.timeStep(now)), code, `T=${seconds}`);
+            assert.equal(mfa.verifyTotp(RFC_SECRET, code, { now }), mfa.timeStep(now), `T=${seconds}`);
+        }
+    });
+    
+    test('allows one step of clock drift either way', () => {
+        const now = 1111111111 * 1000;
+        const step = mfa.timeStep(now);
+        
+        assert.equal(mfa.verifyTotp(RFC_SECRET, mfa.hotp(RFC_SECRET, step - 1), { now }), step - 1);
+        assert.equal(mfa.verifyTotp(RFC_SECRET, mfa.hotp(RFC_SECRET, step + 1), { now }), step + 1);
+        assert.equal(mfa.verifyTotp(RFC_SECRET, mfa.hotp(RFC_SECRET, step + 2), { now }), null);
+    });
+    
+    test('refuses replayed steps', () => {
+        const now = 1234567890 * 1000;
+        const step = mfa.timeStep(now);
+        
+        assert.equal(mfa.verifyTotp(RFC_SECRET, '005924', { now, lastUsedStep: step }), null);
+        assert.equal(mfa.verifyTotp(RFC_SECRET, '005924', { now, lastUsedStep: step - 1 }), step);
+    });
+    
+    test('ignores spaces and refuses malformed codes', () => {
+        const now = 59 * 1000;
+        
+        assert.equal(mfa.verifyTotp(RFC_SECRET, '287 082', { now }), mfa.timeStep(now));
+        for (const code of ['', '28708', '2870822', 'abcdef', null, undefined]) {
+            assert.equal(mfa.verifyTotp(RFC_SECRET, code, { now }), null);
+        }
+    });
+});
+
+describe('secrets and recovery codes', () => {
+    test('generates base32 secrets that round-trip through hotp', () => {
+        const secret = mfa.generateSecret();
+        
+        assert.match(secret, /^[A-Z2-7]{32}$/);
+        assert.match(mfa.hotp(secret, 0), /^\d{6}$/);
+    });
+    
+    test('builds an otpauth URI for authenticator apps', () => {
+        const uri = new URL(mfa.otpauthUri({ secret: RFC_SECRET, account: 'alice', issuer: 'IntelliBank' }));
+        
+        assert.equal(uri.protocol, 'otpauth:');
+        assert.equal(uri.host, 'totp');
+        assert.equal(decodeURIComponent(uri.pathname), '/IntelliBank:alice');
+        assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+        assert.equal(uri.searchParams.get('digits'), '6');
+        assert.equal(uri.searchParams.get('period'), '30');
+    });
+    
+    test('hashes recovery codes regardless of case and separators', () => {
+        const [code] = mfa.generateRecoveryCodes(1);
+        
+        assert.match(code, /^[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}$/);
+        assert.equal(mfa.hashRecoveryCode(code), mfa.hashRecoveryCode(code.toUpperCase().replace(/-/g, ' ')));
+        assert.notEqual(mfa.hashRecoveryCode(code), mfa.hashRecoveryCode(mfa.generateRecoveryCodes(1)[0]));
+    });
+});
@@ -0,0 +1,180 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createNdjsonCollection } = require('../storage/ndjson-log');
+
+let tmpdir;
+let dirpath;
+
+function createCollection(options = {}) {
+    return createNdjsonCollection({
+        dirpath,
+        prefix: 'event_logs',
+        legacyFile: path.join(tmpdir, 'event_logs.json'),
+        idField: 'log_id',
+        maxSegmentBytes: 1024 * 1024,
+        retentionDays: 0,
+        ...options
+    });
+}
+
+// A segment as an earlier day's writes would have left it
+function writeSegment(name, records) {
+    fs.mkdirSync(dirpath, { recursive: true });
+    fs.writeFileSync(path.join(dirpath, name), records.map(record => JSON.stringify(record)).join('\n') + '\n');
+}
+
+const ids = records => records.map(record => record.log_id);
+const today = () => new Date().toISOString().slice(0, 10);
+
+beforeEach(() => {
+    tmpdir = fs.mkdtempSync(path.join(os.tmpdir(), 'ndjson-log-'));
+    dirpath = path.join(tmpdir, 'event_logs');
+});
+
+afterEach(() => {
+    fs.rmSync(tmpdir, { recursive: true, force: true });
+});
+
+describe('appending', () => {
+    test('assigns increasing ids and reads records back oldest first', async () => {
+        const logs = createCollection();
+        await logs.init();
+        
+        await logs.insert({ event_type: 'A', timestamp: new Date().toISOString() });
+        await logs.insertMany([{ event_type: 'B' }, { event_type: 'C' }]);
+        
+        assert.deepEqual((await logs.list()).map(r => [r.log_id, r.event_type]), [[1, 'A'], [2, 'B'], [3, 'C']]);
+        assert.deepEqual(fs.readdirSync(dirpath), [`event_logs-${today()}-001.ndjson`]);
+        assert.equal(await logs.count({ event_type: 'B' }), 1);
+        assert.equal((await logs.find(r => r.log_id > 1)).event_type, 'B');
+    });
+    
+    test('continues ids after a restart and rotates full segments', async () => {
+        const first = createCollection({ maxSegmentBytes: 100 });
+        await first.init();
+        await first.insertMany([{ event_type: 'A' }, { event_type: 'B' }]);
+        await first.insert({ event_type: 'C', padding: 'x'.repeat(100) });
+        
+        const second = createCollection({ maxSegmentBytes: 100 });
+        await second.init();
+        await second.insert({ event_type: 'D' });
+        
+        assert.deepEqual(ids(await second.list()), [1, 2, 3, 4]);
+        assert.equal(fs.readdirSync(dirpath).length, 3);
+    });
+    
+    test('skips a line torn by a crash', async () => {
+        writeSegment(`event_logs-${today()}-001.ndjson`, [{ log_id: 1 }]);
+        fs.appendFileSync(path.join(dirpath, `event_logs-${today()}-001.ndjson`), '{"log_id":2,"event');
+        
+        const logs = createCollection();
+        await logs.init();
+        await logs.insert({ event_type: 'after' });
+        
+        assert.deepEqual(ids(await logs.list()), [1, 2]);
+    });
+    
+    test('is append-only', async () => {
+        const logs = createCollection();
+        await assert.rejects(logs.update({}, () => {}), /append-only/);
+        await assert.rejects(logs.upsert({}, () => {}, () => ({})), /append-only/);
+    });
+});
+
+describe('time-range reads', () => {
+    beforeEach(() => {
+        writeSegment('event_logs-2026-02-10-001.ndjson', [
+            { log_id: 1, timestamp: '2026-02-10T08:00:00.000Z' },
+            { log_id: 2, timestamp: '2026-02-10T23:59:59.000Z' }
+        ]);
+        writeSegment('event_logs-2026-02-11-001.ndjson', [
+            // Stamped just before midnight, written just after
+            { log_id: 3, timestamp: '2026-02-10T23:59:59.900Z' },
+            { log_id: 4, timestamp: '2026-02-11T12:00:00.000Z' }
+        ]);
+        writeSegment('event_logs-2026-02-12-001.ndjson', [
+            { log_id: 5, timestamp: '2026-02-12T00:30:00.000Z' },
+            { log_id: 6 },
+            // Replayed from an offline queue days later, and from a clock
+            // that is ahead
+            { log_id: 7, timestamp: '2026-02-08T09:00:00.000Z' },
+            { log_id: 8, timestamp: '2026-02-15T09:00:00.000Z' }
+        ]);
+    });
+    
+    test('since is inclusive and until exclusive', async () => {
+        const logs = createCollection();
+        
+        const range = await logs.list(null, { since: '2026-02-10T23:59:59.000Z', until: '2026-02-11T12:00:00.000Z' });
+        assert.deepEqual(ids(range), [2, 3]);
+    });
+    
+    test('finds records in segments from other days', async () => {
+        const logs = createCollection();
+        
+        assert.deepEqual(ids(await logs.list(null, { until: '2026-02-11T00:00:00.000Z' })), [1, 2, 3, 7]);
+        assert.deepEqual(ids(await logs.list(null, { since: '2026-02-10T12:00:00.000Z', until: '2026-02-10T23:59:59.950Z' })), [2, 3]);
+        assert.deepEqual(ids(await logs.list(null, { since: '2026-02-14T00:00:00.000Z' })), [8]);
+        
+        // Again, now that the segments' bounds are known
+        assert.deepEqual(ids(await logs.list(null, { until: '2026-02-09T00:00:00.000Z' })), [7]);
+        assert.deepEqual(ids(await logs.list(null, { since: '2026-02-14T00:00:00.000Z' })), [8]);
+    });
+    
+    test('combines ranges with filters', async () => {
+        const logs = createCollection();
+        
+        assert.deepEqual(ids(await logs.list(r => r.log_id % 2 === 0, { since: '2026-02-11T00:00:00.000Z' })), [4, 8]);
+        assert.equal(await logs.count({}, { since: '2026-02-12T00:00:00.000Z' }), 2);
+    });
+    
+    test('skips segments whose records are all outside the range', async () => {
+        const logs = createCollection();
+        await logs.list();
+        
+        // Once read, a segment the range must not open: reading it would throw
+        const first = path.join(dirpath, 'event_logs-2026-02-10-001.ndjson');
+        fs.rmSync(first);
+        fs.mkdirSync(first);
+        
+        assert.deepEqual(ids(await logs.list(null, { since: '2026-02-11T00:00:00.000Z' })), [4, 5, 8]);
+        await assert.rejects(logs.list(null, { since: '2026-02-10T00:00:00.000Z' }));
+    });
+    
+    test('keeps known bounds up to date as records are appended', async () => {
+        const logs = createCollection();
+        await logs.init();
+        await logs.insert({ timestamp: '2026-02-11T10:00:00.000Z' });
+        assert.deepEqual(ids(await logs.list(null, { until: '2026-02-01T00:00:00.000Z' })), []);
+        
+        await logs.insert({ timestamp: '2026-01-20T10:00:00.000Z' });
+        assert.deepEqual(ids(await logs.list(null, { until: '2026-02-01T00:00:00.000Z' })), [10]);
+    });
+});
+
+describe('legacy import', () => {
+    test('files records under the day they were logged', async () => {
+        fs.writeFileSync(path.join(tmpdir, 'event_logs.json'), JSON.stringify([
+            { log_id: 1, timestamp: '2026-01-05T10:00:00.000Z' },
+            { log_id: 2, timestamp: '2026-01-07T10:00:00.000Z' },
+            { log_id: 3 }
+        ]));
+        
+        const logs = createCollection();
+        await logs.init();
+        await logs.insert({ timestamp: new Date().toISOString() });
+        
+        assert.deepEqual(fs.readdirSync(dirpath).sort(), [
+            'event_logs-2026-01-05-000.ndjson',
+            'event_logs-2026-01-07-000.ndjson',
+            `event_logs-${today()}-000.ndjson`,
+            `event_logs-${today()}-001.ndjson`
+        ]);
+        assert.ok(fs.existsSync(path.join(tmpdir, 'event_logs.json.migrated')));
+        assert.deepEqual(ids(await logs.list(null, { until: '2026-01-06T00:00:00.000Z' })), [1]);
+        assert.deepEqual(ids(await logs.list()), [1, 2, 3, 4]);
+    });
+});
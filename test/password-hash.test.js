@@ -0,0 +1,78 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const {
+    PASSWORD_HASH,
+    hashPassword,
+    parsePasswordHash,
+    verifyPassword,
+    passwordNeedsRehash
+} = require('../security/password-hash');
+
+describe('hashPassword', () => {
+    test('produces the versioned scrypt format with a fresh salt', async () => {
+        const first = await hashPassword('correct horse battery staple');
+        const second = await hashPassword('correct horse battery staple');
+        
+        assert.match(first, /^\$scrypt\$v=1\$n=16384,r=8,p=1\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+        assert.notEqual(first, second);
+        assert.equal(parsePasswordHash(first).hash.length, PASSWORD_HASH.keyLength);
+    });
+    
+    test('rejects non-string passwords', async () => {
+        for (const password of [12345, null, undefined, ['secret'], { secret: true }]) {
+            await assert.rejects(hashPassword(password), TypeError);
+        }
+    });
+});
+
+describe('verifyPassword', () => {
+    test('accepts the right password and refuses others', async () => {
+        const stored = await hashPassword('Tr1cky-Horse-77!');
+        
+        assert.equal(await verifyPassword('Tr1cky-Horse-77!', stored), true);
+        assert.equal(await verifyPassword('tr1cky-horse-77!', stored), false);
+        assert.equal(await verifyPassword('', stored), false);
+    });
+    
+    test('is false, not an error, for non-string passwords', async () => {
+        const stored = await hashPassword('12345');
+        
+        for (const password of [12345, null, undefined, ['12345'], { toString: () => '12345' }]) {
+            assert.equal(await verifyPassword(password, stored), false);
+        }
+    });
+    
+    test('is false for hashes it cannot read', async () => {
+        for (const stored of [undefined, null, '', 'plaintext', '$bcrypt$v=1$n=1,r=1,p=1$c2FsdA==$aGFzaA==',
+            '$scrypt$v=1$n=16384,r=8,p=1$c2FsdA==$', '$scrypt$v=1$n=16384,r=8$c2FsdA==$aGFzaA==']) {
+            assert.equal(await verifyPassword('password', stored), false);
+        }
+    });
+});
+
+describe('passwordNeedsRehash', () => {
+    test('is false for current hashes', async () => {
+        assert.equal(passwordNeedsRehash(await hashPassword('password')), false);
+    });
+    
+    test('is true for older parameters and unreadable values', async () => {
+        const current = await hashPassword('password');
+        
+        assert.equal(passwordNeedsRehash(current.replace('v=1', 'v=0')), true);
+        assert.equal(passwordNeedsRehash(current.replace('n=16384', 'n=1024')), true);
+        assert.equal(passwordNeedsRehash('plaintext'), true);
+        assert.equal(passwordNeedsRehash(undefined), true);
+    });
+    
+    test('old hashes still verify until they are replaced', async () => {
+        const current = await hashPassword('password');
+        const older = current.replace('n=16384', 'n=1024');
+        const { salt } = parsePasswordHash(older);
+        const hash = crypto.scryptSync('password', salt, 64, { N: 1024, r: 8, p: 1 }).toString('base64');
+        const stored = older.replace(/\$[^$]+$/, `$${hash}`);
+        
+        assert.equal(await verifyPassword('password', stored), true);
+        assert.equal(passwordNeedsRehash(stored), true);
+    });
+});
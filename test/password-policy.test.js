@@ -0,0 +1,71 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPasswordPolicy, parseCommonPasswords } = require('../security/password-policy');
+
+const commonPasswords = parseCommonPasswords('# test list\npassword\nsunshine\n\nLetMeIn\n');
+const policy = createPasswordPolicy({ commonPasswords });
+
+const failedRules = result => result.checks.filter(check => !check.passed).map(check => check.rule);
+
+describe('parseCommonPasswords', () => {
+    test('lowercases entries and skips comments and blank lines', () => {
+        assert.deepEqual([...commonPasswords], ['password', 'sunshine', 'letmein']);
+    });
+});
+
+describe('password policy', () => {
+    test('accepts a long, varied password', () => {
+        const result = policy.evaluate('Tr1cky-Horse-77!', { username: 'alice', email: 'alice@example.com' });
+        
+        assert.equal(result.valid, true);
+        assert.deepEqual(result.errors, []);
+        assert.ok(result.strength.score >= 3);
+    });
+    
+    test('enforces the length limits', () => {
+        assert.deepEqual(failedRules(policy.evaluate('Ab1!')), ['length']);
+        assert.deepEqual(policy.evaluate(`Ab1!${'x'.repeat(125)}`).errors, ['Password must be at most 128 characters']);
+    });
+    
+    test('requires three character classes', () => {
+        assert.deepEqual(failedRules(policy.evaluate('onlylowercaseletters')), ['classes']);
+        assert.equal(policy.evaluate('lowercase and 123').valid, true);
+    });
+    
+    test('refuses passwords built on the username or email', () => {
+        const result = policy.evaluate('Jsmith-2026!', { username: 'jsmith', email: 'john.smith@example.com' });
+        assert.deepEqual(failedRules(result), ['personal']);
+        
+        const byEmail = policy.evaluate('Smithy-Horse-77', { username: 'jsmith', email: 'john.smith@example.com' });
+        assert.deepEqual(failedRules(byEmail), ['personal']);
+    });
+    
+    test('sees through simple disguises of common passwords', () => {
+        for (const password of ['Password1234!', 'P@ssw0rd', '2024Sunshine!!', 'L3tMe1n#2024']) {
+            const result = policy.evaluate(password);
+            assert.ok(failedRules(result).includes('common'), password);
+            assert.equal(result.strength.score, 0, password);
+        }
+    });
+    
+    test('never rates a password that breaks a rule above weak', () => {
+        const result = policy.evaluate('averyveryverylongpasswordwithoutanyvariety');
+        
+        assert.equal(result.valid, false);
+        assert.ok(result.strength.score <= 1);
+    });
+    
+    test('treats non-strings as empty', () => {
+        const result = policy.evaluate(12345678901);
+        
+        assert.equal(result.valid, false);
+        assert.ok(failedRules(result).includes('length'));
+    });
+    
+    test('rules can be relaxed by config', () => {
+        const relaxed = createPasswordPolicy({ config: { minLength: 4, minCharacterClasses: 0, checkCommon: false } });
+        
+        assert.equal(relaxed.evaluate('password').valid, true);
+        assert.deepEqual(relaxed.evaluate('abc').errors, ['Password must be at least 4 characters']);
+    });
+});
@@ -0,0 +1,140 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+const PASSWORD = 'Blue-Harbor-42';
+
+describe('registration and password reset', () => {
+    let server;
+    
+    before(async () => {
+        server = await startServer();
+    });
+    
+    after(() => server.stop());
+    
+    const mailTo = address => server.outbox().filter(mail => mail.to === address);
+    
+    // Resend and forgot-password mail is sent after the response
+    async function nextMail(address, count) {
+        for (let i = 0; i < 100 && mailTo(address).length < count; i++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        return mailTo(address)[count - 1];
+    }
+    
+    const linkToken = (mail, param) => mail.text.match(new RegExp(`[?&]${param}=([\\w-]+)`))[1];
+    
+    const register = (fields, ip) => server.post('/api/auth/register', {
+        username: 'dana',
+        email: 'dana@example.com',
+        password: PASSWORD,
+        fullName: 'Dana Scully',
+        ...fields
+    }, { ip });
+    
+    test('validates the details and the password policy', async () => {
+        const response = await register({ username: 'x', email: 'not-an-email', fullName: ' ', password: 'short' }, '192.0.2.100');
+        
+        assert.equal(response.status, 400);
+        const { errors } = response.body.data;
+        assert.ok(errors.some(e => e.startsWith('Username must be')));
+        assert.ok(errors.includes('A valid email address is required'));
+        assert.ok(errors.some(e => e.startsWith('Full name is required')));
+        assert.ok(errors.some(e => /at least 10 characters/.test(e)), errors.join('; '));
+    });
+    
+    test('a new account must verify its email before signing in', async () => {
+        const response = await register({ email: ' Dana@Example.com ' }, '192.0.2.101');
+        assert.equal(response.status, 201);
+        assert.equal(response.body.data.email, 'dana@example.com');
+        
+        const refused = await server.post('/api/auth/login', { username: 'dana', password: PASSWORD });
+        assert.equal(refused.status, 403);
+        assert.equal(refused.body.data.emailVerificationRequired, true);
+        
+        const token = linkToken(mailTo('dana@example.com')[0], 'verify');
+        assert.equal((await server.post('/api/auth/verify-email', { token })).status, 200);
+        assert.equal((await server.post('/api/auth/verify-email', { token })).status, 400);
+        
+        await server.login('dana', PASSWORD);
+    });
+    
+    test('a resent link replaces the earlier one', async () => {
+        await register({ username: 'eve', email: 'eve@example.com' }, '192.0.2.102');
+        const first = linkToken(mailTo('eve@example.com')[0], 'verify');
+        
+        const resend = await server.post('/api/auth/verify-email/resend', { email: 'eve@example.com' });
+        assert.equal(resend.status, 200);
+        const second = linkToken(await nextMail('eve@example.com', 2), 'verify');
+        
+        assert.equal((await server.post('/api/auth/verify-email', { token: first })).status, 400);
+        assert.equal((await server.post('/api/auth/verify-email', { token: second })).status, 200);
+    });
+    
+    test('answers a taken username or email like a new account, and only tells the email\'s owner', async () => {
+        const before = server.readData('users.json').length;
+        
+        const takenEmail = await register({ username: 'someone', email: 'user1@example.com' }, '192.0.2.103');
+        assert.equal(takenEmail.status, 201);
+        assert.equal(mailTo('user1@example.com')[0].subject, 'Someone tried to register with your email address');
+        
+        const takenUsername = await register({ username: 'USER1', email: 'frank@example.com', fullName: '<a href="x">Win</a>' }, '192.0.2.103');
+        assert.equal(takenUsername.status, 201);
+        const [mail] = mailTo('frank@example.com');
+        assert.equal(mail.subject, 'Your IntelliBank registration');
+        assert.ok(!mail.text.includes('Win') && !mail.text.includes('USER1'));
+        
+        assert.equal(server.readData('users.json').length, before);
+    });
+    
+    test('limits registrations per IP, counting conflicts, and emails per address', async () => {
+        const ip = '192.0.2.104';
+        for (let i = 0; i < 5; i++) {
+            assert.equal((await register({ username: 'user1', email: 'grace@example.com' }, ip)).status, 201);
+        }
+        
+        const limited = await register({ username: 'grace', email: 'grace@example.com' }, ip);
+        assert.equal(limited.status, 429);
+        assert.equal(limited.headers.get('retry-after'), '3600');
+        
+        assert.equal(mailTo('grace@example.com').length, 3);
+    });
+    
+    test('resets a password with a single-use link and signs out everywhere', async () => {
+        const session = await server.login('testuser', 'test123');
+        
+        const unknown = await server.post('/api/auth/password/forgot', { email: 'nobody@example.com' });
+        const known = await server.post('/api/auth/password/forgot', { email: 'test@example.com' });
+        assert.equal(unknown.body.message, known.body.message);
+        
+        const token = linkToken(await nextMail('test@example.com', 1), 'token');
+        
+        const weak = await server.post('/api/auth/password/reset', { token, password: 'password' });
+        assert.equal(weak.status, 400);
+        assert.ok(weak.body.data.errors.length > 0);
+        
+        const reset = await server.post('/api/auth/password/reset', { token, password: PASSWORD });
+        assert.equal(reset.status, 200);
+        assert.ok(reset.body.data.sessionsEnded >= 1);
+        assert.equal((await server.get('/api/me', { token: session })).status, 401);
+        
+        assert.equal((await server.post('/api/auth/password/reset', { token, password: 'Another-Pass-77' })).status, 400);
+        assert.equal((await server.post('/api/auth/login', { username: 'testuser', password: 'test123' })).status, 401);
+        await server.login('testuser', PASSWORD);
+        assert.equal(mailTo('test@example.com').at(-1).subject, 'Your IntelliBank password was changed');
+    });
+    
+    test('refuses expired reset links', async () => {
+        await server.post('/api/auth/password/forgot', { email: 'admin@securebank.com' });
+        const token = linkToken(await nextMail('admin@securebank.com', 1), 'token');
+        
+        server.updateData('auth_tokens.json', record => {
+            if (record.purpose === 'reset_password') record.expires_at = new Date(Date.now() - 1000).toISOString();
+        });
+        
+        const expired = await server.post('/api/auth/password/reset', { token, password: PASSWORD });
+        assert.equal(expired.status, 400);
+        assert.match(expired.body.message, /invalid or has expired/);
+    });
+});
@@ -0,0 +1,101 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRiskEngine, DECISIONS } = require('../security/risk-engine');
+const { matchesFilter, matchesTimeRange } = require('../storage/filter');
+
+// Just the read methods the engine uses
+function memoryCollection(records = []) {
+    return {
+        async find(filter) {
+            return records.find(record => matchesFilter(record, filter)) || null;
+        },
+        async list(filter, options) {
+            return records.filter(record => matchesTimeRange(record, options) && matchesFilter(record, filter));
+        }
+    };
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+const ago = ms => new Date(Date.now() - ms).toISOString();
+
+const user = { user_id: 7, username: 'alice', account_balance: 5000 };
+const session = { session_id: 'current', device_fingerprint: 'laptop', created_at: ago(10 * 60 * 1000) };
+
+function createEngine({ ipRecords = [], attempts = [], transactions = [] } = {}) {
+    return createRiskEngine({
+        storage: {
+            ipReputation: memoryCollection(ipRecords),
+            loginAttempts: memoryCollection(attempts),
+            transactions: memoryCollection(transactions)
+        }
+    });
+}
+
+const knownDevice = [{ username: 'alice', attempt_status: 'SUCCESS', device_fingerprint: 'laptop', session_id: 'earlier', timestamp: ago(2 * DAY) }];
+const goodIp = [{ ip_address: '203.0.113.7', reputation_score: 95 }];
+const history = [100, 120, 80].map(amount => ({ from_user_id: 7, amount, status: 'posted', created_at: ago(5 * DAY) }));
+
+const points = result => Object.fromEntries(result.factors.map(({ factor, points }) => [factor, points]));
+
+describe('assessTransfer', () => {
+    test('allows a usual transfer from a known device and clean IP', async () => {
+        const engine = createEngine({ ipRecords: goodIp, attempts: knownDevice, transactions: history });
+        const result = await engine.assessTransfer({ user, session, ipAddress: '203.0.113.7', amount: 100 });
+        
+        assert.equal(result.score, 0);
+        assert.equal(result.decision, DECISIONS.ALLOW);
+        assert.deepEqual(points(result), { ip_reputation: 0, device_novelty: 0, session_age: 0, amount_anomaly: 0 });
+    });
+    
+    test('holds a transfer from a new device on a middling IP', async () => {
+        const engine = createEngine({
+            ipRecords: [{ ip_address: '203.0.113.7', reputation_score: 60 }],
+            transactions: history
+        });
+        const result = await engine.assessTransfer({ user, session, ipAddress: '203.0.113.7', amount: 110 });
+        
+        assert.deepEqual(points(result), { ip_reputation: 20, device_novelty: 25, session_age: 0, amount_anomaly: 0 });
+        assert.equal(result.decision, DECISIONS.HOLD);
+    });
+    
+    test('rejects a large first transfer that empties a fresh session\'s account', async () => {
+        const engine = createEngine();
+        const fresh = { ...session, created_at: ago(5 * 1000) };
+        const result = await engine.assessTransfer({ user, session: fresh, ipAddress: '198.51.100.1', amount: 4900 });
+        
+        assert.deepEqual(points(result), { ip_reputation: 15, device_novelty: 25, session_age: 15, amount_anomaly: 35 });
+        assert.equal(result.score, 90);
+        assert.equal(result.decision, DECISIONS.REJECT);
+    });
+    
+    test('the current session does not make its own device known', async () => {
+        const engine = createEngine({
+            ipRecords: goodIp,
+            attempts: [{ ...knownDevice[0], session_id: 'current' }],
+            transactions: history
+        });
+        const result = await engine.assessTransfer({ user, session, ipAddress: '203.0.113.7', amount: 100 });
+        
+        assert.equal(points(result).device_novelty, 25);
+    });
+    
+    test('scores amounts against history inside the window only', async () => {
+        const old = history.map(t => ({ ...t, amount: 10000, created_at: ago(200 * DAY) }));
+        const engine = createEngine({ ipRecords: goodIp, attempts: knownDevice, transactions: history.concat(old) });
+        const result = await engine.assessTransfer({ user: { ...user, account_balance: 100000 }, session, ipAddress: '203.0.113.7', amount: 1000 });
+        
+        assert.equal(points(result).amount_anomaly, 30);
+        assert.match(result.factors.find(f => f.factor === 'amount_anomaly').detail, /of 3 previous/);
+    });
+    
+    test('thresholds come from config', async () => {
+        const engine = createRiskEngine({
+            storage: { ipReputation: memoryCollection(), loginAttempts: memoryCollection(), transactions: memoryCollection(history) },
+            config: { holdThreshold: 10, rejectThreshold: 100 }
+        });
+        const result = await engine.assessTransfer({ user, session, ipAddress: '198.51.100.1', amount: 100 });
+        
+        assert.equal(result.score, 40);
+        assert.equal(result.decision, DECISIONS.HOLD);
+    });
+});
@@ -0,0 +1,120 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateRule, matchesWhere } = require('../security/rule-engine');
+
+const validRule = {
+    id: 'RAPID_FORM_SUBMITS',
+    title: 'Rapid form submissions',
+    severity: 'medium',
+    on: 'event',
+    where: {
+        event_type: 'FORM_SUBMIT',
+        'event_data.duration': { lt: 500 }
+    },
+    groupBy: 'ip_address',
+    threshold: { count: 5, windowMinutes: 10, distinct: 'session_id' }
+};
+
+describe('validateRule', () => {
+    test('accepts a complete rule', () => {
+        assert.deepEqual(validateRule(validRule), []);
+        assert.deepEqual(validateRule({ id: 'ANY_FAILURE', title: 'Any failure', severity: 'low', on: 'login_attempt' }), []);
+    });
+    
+    test('refuses anything but an object', () => {
+        for (const rule of [null, 'rule', [validRule]]) {
+            assert.deepEqual(validateRule(rule), ['Rule must be an object']);
+        }
+    });
+    
+    test('reports each problem with the required fields', () => {
+        assert.deepEqual(validateRule({ id: 'lower-case', title: '', severity: 'urgent', on: 'transfer', groupBy: 5 }), [
+            'id must be UPPER_SNAKE_CASE',
+            'title is required',
+            'severity must be one of low, medium, high, critical',
+            'on must be one of event, login_attempt',
+            'groupBy must be a field path'
+        ]);
+    });
+    
+    test('checks operators and their arguments', () => {
+        const errors = validateRule({
+            ...validRule,
+            where: {
+                a: { near: 1 },
+                b: { in: 'x' },
+                c: { gte: '5' },
+                d: { exists: 'yes' },
+                e: { matches: '(' },
+                f: { notIn: ['x'], contains: 'y', ne: null }
+            }
+        });
+        
+        assert.deepEqual(errors, [
+            'where.a: unknown operator "near"',
+            'where.b: in expects an array',
+            'where.c: gte expects a number',
+            'where.d: exists expects true or false',
+            'where.e: invalid regular expression'
+        ]);
+        assert.deepEqual(validateRule({ ...validRule, where: ['event_type'] }), ['where must be an object of field conditions']);
+    });
+    
+    test('checks the threshold', () => {
+        assert.deepEqual(validateRule({ ...validRule, threshold: { count: 0, windowMinutes: -1, distinct: 3 } }), [
+            'threshold.count must be a positive integer',
+            'threshold.windowMinutes must be a positive number',
+            'threshold.distinct must be a field path'
+        ]);
+        assert.deepEqual(validateRule({ ...validRule, threshold: null }), [
+            'threshold.count must be a positive integer',
+            'threshold.windowMinutes must be a positive number'
+        ]);
+    });
+});
+
+describe('matchesWhere', () => {
+    const record = {
+        event_type: 'FORM_SUBMIT',
+        ip_address: '203.0.113.7',
+        event_data: { duration: 320, fields: ['username', 'password'], path: '/login.html' },
+        user_id: null
+    };
+    
+    test('compares literals by strict equality, following dot paths', () => {
+        assert.equal(matchesWhere(record, { event_type: 'FORM_SUBMIT', 'event_data.duration': 320 }), true);
+        assert.equal(matchesWhere(record, { 'event_data.duration': '320' }), false);
+        assert.equal(matchesWhere(record, { 'event_data.missing.deeper': undefined }), true);
+        assert.equal(matchesWhere(record, {}), true);
+    });
+    
+    test('applies every operator', () => {
+        const cases = [
+            [{ eq: 'FORM_SUBMIT' }, 'event_type', true],
+            [{ ne: 'FORM_SUBMIT' }, 'event_type', false],
+            [{ in: ['CLICK', 'FORM_SUBMIT'] }, 'event_type', true],
+            [{ notIn: ['CLICK', 'FORM_SUBMIT'] }, 'event_type', false],
+            [{ gt: 300, lt: 500 }, 'event_data.duration', true],
+            [{ gte: 320, lte: 320 }, 'event_data.duration', true],
+            [{ gt: 320 }, 'event_data.duration', false],
+            [{ lt: 500 }, 'event_type', false],
+            [{ exists: true }, 'event_data.path', true],
+            [{ exists: false }, 'user_id', true],
+            [{ exists: false }, 'event_data.absent', true],
+            [{ contains: 'password' }, 'event_data.fields', true],
+            [{ contains: 'login' }, 'event_data.path', true],
+            [{ contains: 'x' }, 'event_data.duration', false],
+            [{ matches: '^203\\.0\\.113\\.' }, 'ip_address', true],
+            [{ matches: '^10\\.' }, 'ip_address', false]
+        ];
+        
+        for (const [condition, path, expected] of cases) {
+            assert.equal(matchesWhere(record, { [path]: condition }), expected, `${path} ${JSON.stringify(condition)}`);
+        }
+    });
+    
+    test('requires every condition to hold', () => {
+        assert.equal(matchesWhere(record, validRule.where), true);
+        assert.equal(matchesWhere({ ...record, event_data: { duration: 900 } }, validRule.where), false);
+    });
+});
@@ -0,0 +1,85 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+describe('sessions', () => {
+    let server;
+    
+    before(async () => {
+        server = await startServer();
+    });
+    
+    after(() => server.stop());
+    
+    const signIn = (userAgent, ip) => server.login('user1', 'password123', {
+        ip,
+        body: { deviceInfo: { fingerprint: `fp-${userAgent}`, browser: { userAgent } } }
+    });
+    
+    const listSessions = async token => (await server.get('/api/sessions', { token })).body.data.sessions;
+    
+    test('logout ends the current session only', async () => {
+        const laptop = await signIn('laptop');
+        const phone = await signIn('phone');
+        
+        const response = await server.post('/api/auth/logout', undefined, { token: laptop });
+        assert.equal(response.status, 200);
+        
+        assert.equal((await server.get('/api/me', { token: laptop })).status, 401);
+        assert.equal((await server.get('/api/me', { token: phone })).status, 200);
+        
+        const ended = server.readData('sessions.json').find(s => s.session_token === laptop);
+        assert.equal(ended.is_active, false);
+        assert.equal(ended.end_reason, 'logout');
+    });
+    
+    test('lists the user\'s live sessions, newest first, with device details', async () => {
+        await server.delete('/api/sessions', { token: await signIn('reset') });
+        
+        const older = await signIn('desktop', '203.0.113.1');
+        const newer = await signIn('tablet', '203.0.113.2');
+        await server.login('admin', 'admin123');
+        
+        const sessions = await listSessions(newer);
+        
+        assert.deepEqual(sessions.map(s => [s.userAgent, s.ipAddress, s.current]), [
+            ['tablet', '203.0.113.2', true],
+            ['desktop', '203.0.113.1', false]
+        ]);
+        assert.equal(sessions[1].deviceFingerprint, 'fp-desktop');
+        assert.ok(!('sessionToken' in sessions[0]) && !('session_token' in sessions[0]));
+        assert.equal((await listSessions(older)).find(s => s.current).userAgent, 'desktop');
+    });
+    
+    test('revokes one of the user\'s own sessions by id', async () => {
+        const keep = await signIn('keep');
+        const lost = await signIn('lost');
+        const lostId = (await listSessions(keep)).find(s => s.userAgent === 'lost').sessionId;
+        
+        const adminToken = await server.login('admin', 'admin123');
+        assert.equal((await server.delete(`/api/sessions/${lostId}`, { token: adminToken })).status, 404);
+        assert.equal((await server.get('/api/me', { token: lost })).status, 200);
+        
+        const response = await server.delete(`/api/sessions/${lostId}`, { token: keep });
+        assert.equal(response.status, 200);
+        assert.equal((await server.get('/api/me', { token: lost })).status, 401);
+        assert.equal((await server.get('/api/me', { token: keep })).status, 200);
+    });
+    
+    test('signs out everywhere, or everywhere else', async () => {
+        const first = await signIn('first');
+        const second = await signIn('second');
+        const third = await signIn('third');
+        const adminToken = await server.login('admin', 'admin123');
+        
+        const others = await server.delete('/api/sessions?keepCurrent=true', { token: first });
+        assert.ok(others.body.data.revokedSessions >= 2);
+        assert.equal((await server.get('/api/me', { token: first })).status, 200);
+        assert.equal((await server.get('/api/me', { token: second })).status, 401);
+        assert.equal((await server.get('/api/me', { token: third })).status, 401);
+        
+        await server.delete('/api/sessions', { token: first });
+        assert.equal((await server.get('/api/me', { token: first })).status, 401);
+        assert.equal((await server.get('/api/me', { token: adminToken })).status, 200);
+    });
+});
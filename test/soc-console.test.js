@@ -0,0 +1,118 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+describe('SOC console endpoints', () => {
+    let server;
+    let adminToken;
+    let userToken;
+    
+    const attackerIP = '198.51.100.80';
+    const userIP = '203.0.113.80';
+    
+    before(async () => {
+        server = await startServer();
+        
+        for (let i = 0; i < 3; i++) {
+            await server.post('/api/auth/login', { username: 'user1', password: 'wrong' }, { ip: attackerIP });
+        }
+        userToken = await server.login('user1', 'password123', {
+            ip: userIP,
+            body: { sessionId: 'soc-session', deviceInfo: { fingerprint: 'fp-soc' } }
+        });
+        for (const eventType of ['PAGE_VIEW', 'CLICK', 'CLICK']) {
+            await server.post('/api/log/event', { sessionId: 'soc-session', eventType }, { token: userToken, ip: userIP });
+        }
+        
+        adminToken = await server.login('admin', 'admin123');
+    });
+    
+    after(() => server.stop());
+    
+    const get = async pathname => {
+        const response = await server.get(pathname, { token: adminToken });
+        assert.equal(response.status, 200, `${pathname}: ${JSON.stringify(response.body)}`);
+        return response.body.data;
+    };
+    
+    test('login stats include a timeline and the top failing IPs', async () => {
+        const stats = await get('/api/analytics/login-stats?timeRange=1h');
+        
+        assert.equal(stats.FAILURE.count, 3);
+        assert.equal(stats.SUCCESS.count, 2);
+        
+        const { buckets } = stats.TIMELINE;
+        assert.equal(buckets.reduce((sum, b) => sum + b.FAILURE, 0), 3);
+        assert.equal(buckets.reduce((sum, b) => sum + b.SUCCESS, 0), 2);
+        
+        assert.deepEqual(stats.TOP_FAILING_IPS.map(ip => [ip.ip_address, ip.failures, ip.usernames]), [[attackerIP, 3, ['user1']]]);
+        const record = server.readData('ip_reputation.json').find(r => r.ip_address === attackerIP);
+        assert.equal(stats.TOP_FAILING_IPS[0].reputation_score, record.reputation_score);
+    });
+    
+    test('lists sessions with their owner, without tokens', async () => {
+        const { sessions, total } = await get('/api/analytics/sessions?username=user1');
+        
+        assert.equal(total, 1);
+        assert.equal(sessions[0].session_id, 'soc-session');
+        assert.equal(sessions[0].username, 'user1');
+        assert.equal(sessions[0].live, true);
+        assert.ok(!('session_token' in sessions[0]));
+        
+        assert.equal((await get(`/api/analytics/sessions?ip=${attackerIP}`)).total, 0);
+        assert.equal((await get('/api/analytics/sessions?username=nobody')).total, 0);
+    });
+    
+    test('filters the event list by type, session and user', async () => {
+        const clicks = await get('/api/analytics/events?eventType=CLICK&sessionId=soc-session');
+        assert.equal(clicks.total, 2);
+        assert.deepEqual(clicks.eventTypes, { CLICK: 2 });
+        
+        const both = await get('/api/analytics/events?eventType=CLICK,PAGE_VIEW&username=user1');
+        assert.deepEqual(both.eventTypes, { PAGE_VIEW: 1, CLICK: 2 });
+        
+        // A repeated parameter is ignored rather than failing the request
+        const repeated = await get('/api/analytics/events?eventType=CLICK&eventType=PAGE_VIEW&sessionId=soc-session');
+        assert.equal(repeated.total, 3);
+        
+        assert.equal((await get('/api/analytics/events?username=admin')).total, 0);
+    });
+    
+    test('drills down into a session', async () => {
+        const history = await get('/api/analytics/sessions/soc-session');
+        
+        assert.equal(history.user.username, 'user1');
+        assert.equal(history.session.device_fingerprint, 'fp-soc');
+        assert.deepEqual(history.login_attempts.map(a => a.attempt_status), ['SUCCESS']);
+        assert.deepEqual(history.event_logs.map(e => e.event_type), ['CLICK', 'CLICK', 'PAGE_VIEW']);
+        
+        assert.equal((await server.get('/api/analytics/sessions/unknown', { token: adminToken })).status, 404);
+    });
+    
+    test('drills down into an IP', async () => {
+        const history = await get(`/api/analytics/ips/${attackerIP}`);
+        
+        assert.deepEqual(history.totals, {
+            login_attempts: 3,
+            failures: 3,
+            usernames: 1,
+            sessions: 0,
+            event_logs: 0,
+            alerts: 0
+        });
+        assert.equal(history.reputation.failed_logins, 3);
+        
+        const user = await get(`/api/analytics/ips/${userIP}`);
+        assert.equal(user.totals.sessions, 1);
+        assert.equal(user.sessions[0].username, 'user1');
+        assert.equal(user.totals.event_logs, 3);
+        
+        assert.equal((await server.get('/api/analytics/ips/192.0.2.250', { token: adminToken })).status, 404);
+    });
+    
+    test('customers cannot use the console endpoints', async () => {
+        for (const pathname of ['/api/analytics/sessions', '/api/analytics/events', `/api/analytics/ips/${userIP}`]) {
+            assert.equal((await server.get(pathname, { token: userToken })).status, 403, pathname);
+        }
+    });
+});
@@ -0,0 +1,55 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { matchesFilter, matchesTimeRange } = require('../storage/filter');
+
+describe('matchesFilter', () => {
+    const record = { user_id: 1, is_active: true, username: 'alice' };
+    
+    test('matches everything without a filter', () => {
+        assert.equal(matchesFilter(record, undefined), true);
+        assert.equal(matchesFilter(record, null), true);
+        assert.equal(matchesFilter(record, {}), true);
+    });
+    
+    test('requires every field of an object filter to be strictly equal', () => {
+        assert.equal(matchesFilter(record, { user_id: 1, is_active: true }), true);
+        assert.equal(matchesFilter(record, { user_id: '1' }), false);
+        assert.equal(matchesFilter(record, { user_id: 1, username: 'bob' }), false);
+        assert.equal(matchesFilter(record, { missing: undefined }), true);
+    });
+    
+    test('runs predicate filters and coerces their result', () => {
+        assert.equal(matchesFilter(record, r => r.username.startsWith('al')), true);
+        assert.equal(matchesFilter(record, () => 0), false);
+        assert.equal(matchesFilter(record, () => 'yes'), true);
+    });
+});
+
+describe('matchesTimeRange', () => {
+    const at = timestamp => ({ timestamp });
+    
+    test('matches everything without since or until', () => {
+        assert.equal(matchesTimeRange(at('2026-02-14T10:00:00.000Z'), undefined), true);
+        assert.equal(matchesTimeRange(at(undefined), {}), true);
+    });
+    
+    test('since is inclusive and until exclusive', () => {
+        const range = { since: '2026-02-14T10:00:00.000Z', until: '2026-02-14T11:00:00.000Z' };
+        
+        assert.equal(matchesTimeRange(at('2026-02-14T09:59:59.999Z'), range), false);
+        assert.equal(matchesTimeRange(at('2026-02-14T10:00:00.000Z'), range), true);
+        assert.equal(matchesTimeRange(at('2026-02-14T10:59:59.999Z'), range), true);
+        assert.equal(matchesTimeRange(at('2026-02-14T11:00:00.000Z'), range), false);
+    });
+    
+    test('takes either bound on its own', () => {
+        assert.equal(matchesTimeRange(at('2020-01-01T00:00:00.000Z'), { until: '2026-01-01T00:00:00.000Z' }), true);
+        assert.equal(matchesTimeRange(at('2030-01-01T00:00:00.000Z'), { since: '2026-01-01T00:00:00.000Z' }), true);
+    });
+    
+    test('records without a string timestamp never match a range', () => {
+        for (const timestamp of [undefined, null, 1771063200000]) {
+            assert.equal(matchesTimeRange(at(timestamp), { since: '2000-01-01T00:00:00.000Z' }), false);
+        }
+    });
+});
@@ -0,0 +1,101 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+describe('batched telemetry', () => {
+    let server;
+    
+    before(async () => {
+        server = await startServer();
+    });
+    
+    after(() => server.stop());
+    
+    function eventLogs(sessionId) {
+        const dir = path.join(server.dataDir, 'event_logs');
+        return fs.readdirSync(dir)
+            .flatMap(name => fs.readFileSync(path.join(dir, name), 'utf8').split('\n'))
+            .filter(Boolean)
+            .map(line => JSON.parse(line))
+            .filter(log => log.session_id === sessionId);
+    }
+    
+    const event = (sessionId, eventType, fields = {}) => ({
+        sessionId,
+        eventType,
+        timestamp: new Date().toISOString(),
+        eventData: {},
+        ...fields
+    });
+    
+    test('rejects an empty batch and events with bad timestamps', async () => {
+        const empty = await server.post('/api/log/batch', { events: [] });
+        assert.equal(empty.status, 400);
+        assert.equal(empty.body.message, 'No events provided');
+        
+        const invalid = await server.post('/api/log/batch', {
+            events: [event('bad', 'PAGE_VIEW'), event('bad', 'CLICK', { timestamp: 'yesterday' })]
+        });
+        assert.equal(invalid.status, 400);
+        assert.deepEqual(invalid.body.data.errors, ['events[1].timestamp must be an ISO 8601 date-time']);
+        assert.deepEqual(eventLogs('bad'), []);
+    });
+    
+    test('logs every event in the batch and keeps the client\'s timestamps', async () => {
+        const queuedAt = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString();
+        const response = await server.post('/api/log/batch', {
+            events: [
+                event('batch-1', 'PAGE_VIEW', { timestamp: queuedAt }),
+                event('batch-1', 'FORM_FOCUS', { eventData: { field: 'username' }, deviceInfo: { fingerprint: 'fp-1' } })
+            ]
+        });
+        
+        assert.equal(response.status, 201);
+        assert.deepEqual(response.body.data, { eventsLogged: 2, failedEvents: 0, droppedEventsReported: 0 });
+        
+        const logs = eventLogs('batch-1');
+        assert.deepEqual(logs.map(log => log.event_type).sort(), ['FORM_FOCUS', 'PAGE_VIEW']);
+        assert.equal(logs.find(log => log.event_type === 'PAGE_VIEW').timestamp, queuedAt);
+        assert.equal(logs.find(log => log.event_type === 'FORM_FOCUS').device_fingerprint, 'fp-1');
+    });
+    
+    test('records events the client reports as dropped', async () => {
+        const response = await server.post('/api/log/batch', {
+            events: [event('batch-2', 'PAGE_VIEW', { deviceInfo: { fingerprint: 'fp-2' } })],
+            droppedEvents: 3
+        });
+        assert.equal(response.body.data.droppedEventsReported, 3);
+        
+        const dropped = eventLogs('batch-2').find(log => log.event_type === 'TELEMETRY_DROPPED');
+        assert.deepEqual(dropped.event_data, { droppedEvents: 3 });
+        assert.equal(dropped.device_fingerprint, 'fp-2');
+    });
+    
+    test('attaches the signed-in user', async () => {
+        const token = await server.login('user1', 'password123');
+        const { user_id } = server.readData('users.json').find(user => user.username === 'user1');
+        
+        await server.post('/api/log/batch', { events: [event('batch-3', 'PAGE_VIEW')] }, { token });
+        
+        assert.equal(eventLogs('batch-3')[0].user_id, user_id);
+    });
+    
+    test('accepts a sendBeacon body sent as text/plain', async () => {
+        const response = await fetch(`${server.url}/api/log/batch`, {
+            method: 'POST',
+            headers: { 'content-type': 'text/plain;charset=UTF-8' },
+            body: JSON.stringify({ events: [event('beacon', 'PAGE_UNLOAD')] })
+        });
+        assert.equal(response.status, 201);
+        assert.equal(eventLogs('beacon')[0].event_type, 'PAGE_UNLOAD');
+        
+        const garbled = await fetch(`${server.url}/api/log/batch`, {
+            method: 'POST',
+            headers: { 'content-type': 'text/plain' },
+            body: '{"events": ['
+        });
+        assert.equal(garbled.status, 400);
+    });
+});
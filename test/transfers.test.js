@@ -0,0 +1,107 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+// Risk scoring has its own tests; here every transfer is allowed
+describe('transfers', () => {
+    let server;
+    let sender;
+    let recipient;
+    
+    before(async () => {
+        server = await startServer({ env: { RISK_HOLD_THRESHOLD: '1000', RISK_REJECT_THRESHOLD: '1000' } });
+        sender = await server.login('user1', 'password123');
+        recipient = await server.login('testuser', 'test123');
+    });
+    
+    after(() => server.stop());
+    
+    const balance = username => server.readData('users.json').find(user => user.username === username).account_balance;
+    const transfer = (body, options = {}) => server.post('/api/transfers', body, { token: sender, ...options });
+    
+    test('moves money between the two accounts and records both entries', async () => {
+        const response = await transfer({ toUsername: 'testuser', amount: 100.25, description: 'rent' });
+        
+        assert.equal(response.status, 201);
+        assert.equal(response.body.data.status, 'posted');
+        assert.equal(response.body.data.balanceAfter, 12349.75);
+        assert.equal(balance('user1'), 12349.75);
+        assert.equal(balance('testuser'), 5100.25);
+        
+        const [stored] = server.readData('transactions.json');
+        assert.deepEqual(stored.entries.map(e => [e.direction, e.amount, e.balance_after]), [
+            ['debit', 100.25, 12349.75],
+            ['credit', 100.25, 5100.25]
+        ]);
+    });
+    
+    test('refuses invalid amounts, unknown recipients and self-transfers', async () => {
+        for (const amount of [0, -5, 1.005, 'ten', 10001]) {
+            assert.equal((await transfer({ toUsername: 'testuser', amount })).status, 400, String(amount));
+        }
+        
+        const unknown = await transfer({ toUsername: 'nobody', amount: 1 });
+        assert.equal(unknown.status, 404);
+        assert.equal(unknown.body.message, 'Recipient not found');
+        
+        assert.equal((await transfer({ toUsername: 'user1', amount: 1 })).status, 400);
+        assert.equal((await server.post('/api/transfers', { toUsername: 'testuser', amount: 1 })).status, 401);
+    });
+    
+    test('refuses a transfer the balance cannot cover, moving nothing', async () => {
+        const short = await transfer({ toUsername: 'user1', amount: 9999 }, { token: recipient });
+        assert.equal(short.status, 422);
+        assert.equal(short.body.message, 'Insufficient funds');
+        assert.equal(balance('testuser'), 5100.25);
+        
+        assert.equal((await transfer({ toUsername: 'user1', amount: 0.25 }, { token: recipient })).status, 201);
+        assert.equal(balance('testuser'), 5100);
+    });
+    
+    test('a retried request with the same idempotency key moves money once', async () => {
+        const before = balance('user1');
+        const headers = { 'idempotency-key': 'retry-1' };
+        
+        const first = await transfer({ toUsername: 'testuser', amount: 5 }, { headers });
+        const retry = await transfer({ toUsername: 'testuser', amount: 5 }, { headers });
+        
+        assert.equal(first.status, 201);
+        assert.equal(retry.status, 200);
+        assert.equal(retry.body.data.idempotentReplay, true);
+        assert.equal(retry.body.data.transactionId, first.body.data.transactionId);
+        assert.equal(balance('user1'), before - 5);
+        
+        const reused = await transfer({ toUsername: 'testuser', amount: 6 }, { headers });
+        assert.equal(reused.status, 422);
+    });
+    
+    test('concurrent transfers never overdraw the account', async () => {
+        server.updateData('users.json', user => {
+            if (user.username === 'user1') user.account_balance = 30;
+        });
+        
+        const results = await Promise.all(Array.from({ length: 5 }, () => transfer({ toUsername: 'admin', amount: 10 })));
+        
+        assert.equal(results.filter(r => r.status === 201).length, 3);
+        assert.equal(balance('user1'), 0);
+    });
+    
+    test('lists the user\'s transactions with filters and pagination', async () => {
+        const list = async query => (await server.get(`/api/transactions${query}`, { token: sender })).body.data;
+        
+        const all = await list('');
+        assert.equal(all.pagination.total, 6);
+        assert.ok(all.transactions.every((t, i, ts) => i === 0 || ts[i - 1].createdAt >= t.createdAt));
+        
+        assert.deepEqual((await list('?counterparty=testuser&direction=debit')).transactions.map(t => t.amount).sort((a, b) => a - b), [5, 100.25]);
+        assert.equal((await list('?direction=credit')).pagination.total, 1);
+        assert.equal((await list('?minAmount=50')).pagination.total, 1);
+        
+        const page = await list('?limit=4&page=2');
+        assert.equal(page.transactions.length, 2);
+        assert.equal(page.pagination.totalPages, 2);
+        
+        const received = (await server.get('/api/transactions', { token: recipient })).body.data.transactions;
+        assert.ok(received.some(t => t.direction === 'credit' && t.counterparty === 'user1' && t.amount === 100.25));
+    });
+});